@@ -0,0 +1,155 @@
+import OpenAI from 'openai';
+import RateLimiter from './rateLimiter.mjs';
+import { buildTaskRequest } from '../src/services/llmTasks/index.js';
+
+/**
+ * Task-level API endpoints, mapped to the task whose prompt they build and the env suffix used for
+ * per-task model overrides
+ */
+export const API_ROUTES = {
+  '/api/analyze': { task: 'analyze', modelKey: 'ANALYZE' },
+  '/api/concepts': { task: 'concepts', modelKey: 'CONCEPTS' },
+  '/api/questions': { task: 'questions', modelKey: 'QUESTIONS' },
+  '/api/evaluate': { task: 'evaluate', modelKey: 'EVALUATE' },
+  '/api/explain': { task: 'explain', modelKey: 'EXPLAIN' },
+  '/api/audio-script': { task: 'audioScript', modelKey: 'AUDIO_SCRIPT' },
+  '/api/learning-patterns': { task: 'learningPatterns', modelKey: 'LEARNING_PATTERNS' },
+  '/api/hints': { task: 'hints', modelKey: 'HINTS' },
+  '/api/study-plan': { task: 'studyPlan', modelKey: 'STUDY_PLAN' }
+};
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Maximum accepted body size
+ * @returns {Promise<Object>} Parsed body
+ */
+const readJsonBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413, expose: true }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (error) {
+      reject(Object.assign(new Error('Invalid JSON body'), { status: 400, expose: true }));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Identifies the client a request counts against for rate limiting
+ * The forwarded header is only trusted behind a proxy that sets it, since any client can send one.
+ * @param {http.IncomingMessage} req - Request
+ * @param {boolean} trustProxy - Whether the server runs behind a proxy that sets x-forwarded-for
+ * @returns {string} Client address
+ */
+const getClientKey = (req, trustProxy) => {
+  const forwarded = trustProxy ? req.headers['x-forwarded-for']?.split(',')?.[0]?.trim() : null;
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Creates the /api middleware that holds the OpenAI key, prompts, model choice and rate limiting server-side
+ * Clients send { inputs } for the endpoint's task and the prompt is built here, so the endpoints
+ * cannot be used to run arbitrary prompts on the server's key.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Function} Connect-style middleware (req, res, next)
+ */
+export const createApiMiddleware = (env = process.env) => {
+  const client = new OpenAI({
+    apiKey: env.OPENAI_API_KEY || 'missing-key',
+    baseURL: env.LLM_BASE_URL || undefined
+  });
+  const rateLimiter = new RateLimiter({
+    limit: Number(env.API_RATE_LIMIT) || 30,
+    windowMs: (Number(env.API_RATE_WINDOW_SECONDS) || 60) * 1000
+  });
+  const maxBodyBytes = Number(env.API_MAX_BODY_BYTES) || 512 * 1024;
+  const trustProxy = env.API_TRUST_PROXY === 'true';
+
+  const getModel = (modelKey) => env[`LLM_MODEL_${modelKey}`] || env.LLM_MODEL || 'gpt-4o';
+
+  return async (req, res, next) => {
+    const pathname = req.url?.split('?')?.[0];
+    const route = Object.prototype.hasOwnProperty.call(API_ROUTES, pathname) ? API_ROUTES[pathname] : null;
+
+    if (!pathname?.startsWith('/api/')) {
+      next();
+      return;
+    }
+
+    if (!route) {
+      sendJson(res, 404, { error: 'Unknown API endpoint' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const rate = rateLimiter.consume(getClientKey(req, trustProxy));
+    res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', String(rate.retryAfter));
+      sendJson(res, 429, { error: 'Too many requests, please slow down' });
+      return;
+    }
+
+    if (!env.OPENAI_API_KEY && !env.LLM_BASE_URL) {
+      sendJson(res, 503, { error: 'LLM backend is not configured' });
+      return;
+    }
+
+    try {
+      const body = await readJsonBody(req, maxBodyBytes);
+      const { messages, response_format } = buildTaskRequest(route.task, body?.inputs);
+
+      const model = getModel(route.modelKey);
+      const completion = await client.chat.completions.create({ model, messages, response_format });
+
+      sendJson(res, 200, {
+        model,
+        choices: completion?.choices?.map(choice => ({
+          index: choice?.index,
+          finish_reason: choice?.finish_reason,
+          message: { role: choice?.message?.role, content: choice?.message?.content }
+        }))
+      });
+    } catch (error) {
+      console.error(`Error handling ${pathname}:`, error?.message);
+      if (error?.expose) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      sendJson(res, 502, { error: 'LLM request failed' });
+    }
+  };
+};
+
+export default createApiMiddleware;
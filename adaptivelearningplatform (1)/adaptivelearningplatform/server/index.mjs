@@ -0,0 +1,84 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+import { createApiMiddleware } from './apiMiddleware.mjs';
+
+/**
+ * Production server
+ * Serves the built app from build/ and the /api proxy from a single Node process
+ */
+dotenv.config();
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const buildDir = path.join(rootDir, 'build');
+const port = Number(process.env.PORT) || 8080;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.map': 'application/json',
+  '.txt': 'text/plain'
+};
+
+const apiMiddleware = createApiMiddleware(process.env);
+
+/**
+ * Serves a static file, falling back to index.html for client-side routes
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+const serveStatic = (req, res) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.url?.split('?')?.[0] || '/');
+  } catch (error) {
+    res.statusCode = 400;
+    res.end('Bad request');
+    return;
+  }
+
+  const requested = path.normalize(path.join(buildDir, pathname));
+  // A bare prefix check would also admit sibling directories such as build-old/
+  const isInsideBuild = requested === buildDir || requested.startsWith(buildDir + path.sep);
+  const filePath = isInsideBuild && fs.existsSync(requested) && fs.statSync(requested).isFile()
+    ? requested
+    : path.join(buildDir, 'index.html');
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.statusCode = 404;
+      res.end('Not found');
+      return;
+    }
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    res.end(data);
+  });
+};
+
+// One failing request must not take the process down with an unhandled rejection
+const server = http.createServer((req, res) => {
+  Promise.resolve()
+    .then(() => apiMiddleware(req, res, () => serveStatic(req, res)))
+    .catch((error) => {
+      console.error(`Error handling ${req.method} ${req.url}:`, error?.message);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.statusCode = 500;
+      res.end('Internal server error');
+    });
+});
+
+server.listen(port, () => {
+  console.log(`Adaptive learning server listening on http://localhost:${port}`);
+});
@@ -0,0 +1,58 @@
+/**
+ * Rate Limiter
+ * Sliding-window request limiter keyed by client address
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.limit - Requests allowed per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   */
+  constructor({ limit = 30, windowMs = 60 * 1000 } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.hits = new Map();
+  }
+
+  /**
+   * Records a request and reports whether it is allowed
+   * @param {string} key - Client key (usually the remote address)
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} { allowed, remaining, retryAfter } with retryAfter in seconds
+   */
+  consume(key, now = Date.now()) {
+    const windowStart = now - this.windowMs;
+    const timestamps = (this.hits.get(key) || []).filter(time => time > windowStart);
+
+    if (timestamps.length >= this.limit) {
+      this.hits.set(key, timestamps);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((timestamps[0] + this.windowMs - now) / 1000)
+      };
+    }
+
+    timestamps.push(now);
+    this.hits.set(key, timestamps);
+    this.prune(windowStart);
+
+    return { allowed: true, remaining: this.limit - timestamps.length, retryAfter: 0 };
+  }
+
+  /**
+   * Drops clients with no requests inside the current window
+   * @param {number} windowStart - Start of the current window
+   */
+  prune(windowStart) {
+    if (this.hits.size < 1000) return;
+
+    for (const [key, timestamps] of this.hits) {
+      if (!timestamps.some(time => time > windowStart)) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+export default RateLimiter;
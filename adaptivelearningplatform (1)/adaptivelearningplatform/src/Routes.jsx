@@ -6,6 +6,9 @@ import NotFound from "pages/NotFound";
 import FileUpload from './pages/file-upload';
 import QuestionGenerationAssessment from './pages/question-generation-assessment';
 import AdaptiveLearningExplanations from './pages/adaptive-learning-explanations';
+import ReviewSession from './pages/review-session';
+import ProgressDashboard from './pages/progress-dashboard';
+import QuestionBank from './pages/question-bank';
 
 const Routes = () => {
   return (
@@ -18,6 +21,9 @@ const Routes = () => {
         <Route path="/file-upload" element={<FileUpload />} />
         <Route path="/question-generation-assessment" element={<QuestionGenerationAssessment />} />
         <Route path="/adaptive-learning-explanations" element={<AdaptiveLearningExplanations />} />
+        <Route path="/review" element={<ReviewSession />} />
+        <Route path="/dashboard" element={<ProgressDashboard />} />
+        <Route path="/question-bank" element={<QuestionBank />} />
         <Route path="*" element={<NotFound />} />
       </RouterRoutes>
       </ErrorBoundary>
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import Icon from './AppIcon';
+import Button from './ui/Button';
+import questionExportService, { EXPORT_FORMATS } from '../services/questionExportService';
+
+const QuestionExport = ({
+  questions = [],
+  title = 'Questions',
+  className = ''
+}) => {
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    setNotice(null);
+    try {
+      const result = await questionExportService?.exportQuestions(questions, format, { title });
+      if (!result?.exported) {
+        setNotice({ isError: true, text: `None of these questions can be written as ${EXPORT_FORMATS?.[format]?.label}.` });
+        return;
+      }
+
+      questionExportService?.download(result);
+      if (result?.skipped?.length) {
+        const reasons = [...new Set(result.skipped.map(entry => entry?.reason))];
+        setNotice({
+          isError: false,
+          text: `Exported ${result.exported} of ${questions?.length} questions. Left out: ${reasons.join('; ')}.`
+        });
+      }
+    } catch (exportError) {
+      console.error('Error exporting questions:', exportError);
+      setNotice({ isError: true, text: 'The questions could not be exported.' });
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div className={`bg-card border rounded-lg p-4 ${className}`}>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center space-x-2">
+          <Icon name="Download" size={16} className="text-primary" />
+          <span className="text-sm font-medium text-foreground">Export {questions?.length} questions for your LMS</span>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label, description }]) => (
+            <Button
+              key={format}
+              variant="outline"
+              size="sm"
+              title={description}
+              loading={exportingFormat === format}
+              disabled={!questions?.length || !!exportingFormat}
+              onClick={() => handleExport(format)}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+      </div>
+      {notice && (
+        <p className={`text-xs mt-3 ${notice.isError ? 'text-error' : 'text-muted-foreground'}`}>{notice.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default QuestionExport;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import Icon from './AppIcon';
+import retrievalService from '../services/retrievalService';
+
+const SourceReference = ({
+  sources = [],
+  showQuotes = true,
+  className = ''
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!sources?.length) return null;
+
+  const locations = [...new Set(sources?.map(source => retrievalService?.describeLocation(source)))];
+
+  return (
+    <div className={`border border-border rounded-lg bg-muted/30 ${className}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={!showQuotes}
+        aria-expanded={showQuotes && isOpen}
+        className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left disabled:cursor-default"
+      >
+        <span className="flex items-center space-x-2 min-w-0">
+          <Icon name="FileText" size={14} className="text-primary flex-shrink-0" />
+          <span className="text-sm font-medium text-foreground flex-shrink-0">From your material</span>
+          <span className="text-xs text-muted-foreground truncate">{locations?.join('; ')}</span>
+        </span>
+        {showQuotes ? (
+          <Icon name={isOpen ? 'ChevronUp' : 'ChevronDown'} size={14} className="text-muted-foreground flex-shrink-0" />
+        ) : (
+          <span className="text-xs text-muted-foreground flex-shrink-0">Quote shown after you answer</span>
+        )}
+      </button>
+
+      {showQuotes && isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          {sources?.map((source, index) => (
+            <figure key={source?.passageId || index}>
+              <blockquote className="text-sm text-foreground border-l-2 border-primary/40 pl-3 whitespace-pre-line">
+                “{source?.excerpt}”
+              </blockquote>
+              <figcaption className="text-xs text-muted-foreground mt-1 pl-3">
+                {retrievalService?.describeLocation(source)}
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SourceReference;
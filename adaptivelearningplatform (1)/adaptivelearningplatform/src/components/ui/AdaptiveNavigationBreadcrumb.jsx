@@ -6,7 +6,10 @@ const AdaptiveNavigationBreadcrumb = ({
   currentPhase = 'Assessment',
   completedPhases = [],
   availableNextSteps = [],
-  sessionProgress = {}
+  sessionProgress = {},
+  conceptPathway = [],
+  currentConceptId,
+  onConceptSelect
 }) => {
   const location = useLocation();
 
@@ -92,6 +95,25 @@ const AdaptiveNavigationBreadcrumb = ({
     }
   };
 
+  const getConceptStateConfig = (concept) => {
+    switch (concept?.state) {
+      case 'locked':
+        return {
+          icon: 'Lock',
+          className: 'border-border bg-muted/50 text-muted-foreground',
+          title: `Locked until you master ${concept?.blockedBy?.map(dependency => dependency?.name)?.join(', ')}`
+        };
+      case 'mastered':
+        return { icon: 'CheckCircle', className: 'border-success/30 bg-success/10 text-success', title: 'Mastered' };
+      case 'tested_out':
+        return { icon: 'FastForward', className: 'border-success/30 bg-success/10 text-success', title: 'Tested out' };
+      case 'in_progress':
+        return { icon: 'CircleDot', className: 'border-primary/30 bg-primary/5 text-primary', title: 'In progress' };
+      default:
+        return { icon: 'Unlock', className: 'border-primary/30 bg-background text-foreground', title: 'Unlocked' };
+    }
+  };
+
   return (
     <nav className="w-full bg-background border-b" aria-label="Learning progress">
       <div className="px-4 py-4">
@@ -192,6 +214,33 @@ const AdaptiveNavigationBreadcrumb = ({
             })}
           </div>
         </div>
+
+        {/* Concept Pathway */}
+        {conceptPathway?.length > 0 && (
+          <div className="flex items-center gap-2 mt-3 overflow-x-auto pb-1" aria-label="Concept pathway">
+            {conceptPathway?.map((concept, index) => {
+              const stateConfig = getConceptStateConfig(concept);
+
+              return (
+                <React.Fragment key={concept?.id}>
+                  {index > 0 && <Icon name="ChevronRight" size={12} className="text-muted-foreground flex-shrink-0" />}
+                  <button
+                    type="button"
+                    onClick={() => onConceptSelect?.(concept)}
+                    disabled={!onConceptSelect}
+                    title={stateConfig?.title}
+                    className={`flex items-center space-x-1.5 px-2.5 py-1 rounded-full border text-xs font-medium whitespace-nowrap transition-colors duration-200 ${stateConfig?.className} ${
+                      concept?.id === currentConceptId ? 'ring-2 ring-primary/30' : ''
+                    }`}
+                  >
+                    <Icon name={stateConfig?.icon} size={12} />
+                    <span>{concept?.name}</span>
+                  </button>
+                </React.Fragment>
+              );
+            })}
+          </div>
+        )}
       </div>
     </nav>
   );
@@ -14,12 +14,24 @@ const Header = () => {
       icon: 'BookOpen',
       description: 'Generate questions and start learning'
     },
+    {
+      label: 'Review',
+      path: '/review',
+      icon: 'Repeat',
+      description: 'Practice what is due for review'
+    },
     {
       label: 'Progress',
-      path: '/progress',
+      path: '/dashboard',
       icon: 'TrendingUp',
       description: 'Track your learning progress'
     },
+    {
+      label: 'Questions',
+      path: '/question-bank',
+      icon: 'Library',
+      description: 'Review and curate the question bank'
+    },
     {
       label: 'Sessions',
       path: '/sessions',
@@ -6,6 +6,7 @@ const LearningProgressHeader = ({
   questionProgress = { current: 1, total: 10 },
   completionPercentage = 10,
   sessionTime = '5:23',
+  pathwayProgress = null,
   onPause,
   onSettings
 }) => {
@@ -68,6 +69,19 @@ const LearningProgressHeader = ({
                 {completionPercentage}%
               </span>
             </div>
+
+            {/* Pathway Unlock State */}
+            {pathwayProgress?.total > 0 && (
+              <div
+                className="flex items-center space-x-2 text-sm text-muted-foreground"
+                title={`${pathwayProgress?.mastered} mastered, ${pathwayProgress?.locked} locked`}
+              >
+                <Icon name={pathwayProgress?.locked > 0 ? 'Lock' : 'Unlock'} size={14} />
+                <span className="font-data">
+                  {pathwayProgress?.unlocked}/{pathwayProgress?.total} concepts unlocked
+                </span>
+              </div>
+            )}
           </div>
 
           {/* Right: Session Info & Controls */}
@@ -85,13 +99,15 @@ const LearningProgressHeader = ({
               >
                 <Icon name="Pause" size={16} className="text-muted-foreground" />
               </button>
-              <button
-                onClick={onSettings}
-                className="p-2 rounded-lg hover:bg-muted transition-colors duration-200"
-                title="Session settings"
-              >
-                <Icon name="Settings" size={16} className="text-muted-foreground" />
-              </button>
+              {onSettings && (
+                <button
+                  onClick={onSettings}
+                  className="p-2 rounded-lg hover:bg-muted transition-colors duration-200"
+                  title="Session settings"
+                >
+                  <Icon name="Settings" size={16} className="text-muted-foreground" />
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -110,6 +126,7 @@ const LearningProgressHeader = ({
                 </div>
                 <div className="text-xs text-muted-foreground">
                   {questionProgress?.current}/{questionProgress?.total}
+                  {pathwayProgress?.total > 0 && ` • ${pathwayProgress?.unlocked}/${pathwayProgress?.total} unlocked`}
                 </div>
               </div>
             </div>
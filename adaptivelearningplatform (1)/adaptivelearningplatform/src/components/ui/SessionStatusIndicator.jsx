@@ -2,8 +2,8 @@ import React, { useState } from 'react';
 import Icon from '../AppIcon';
 
 const SessionStatusIndicator = ({ 
-  sessionStatus = 'active', // 'active', 'paused', 'saving', 'saved'
-  lastSaved = '2 minutes ago',
+  sessionStatus = 'active', // 'active', 'paused', 'saving', 'saved', 'error'
+  lastSaved = null,
   sessionName = 'Learning Session',
   onSessionManage,
   autoSaveEnabled = true
@@ -45,6 +45,14 @@ const SessionStatusIndicator = ({
           label: 'Saved',
           pulse: false
         };
+      case 'error':
+        return {
+          icon: 'AlertCircle',
+          color: 'text-destructive',
+          bgColor: 'bg-destructive/10',
+          label: 'Save failed',
+          pulse: false
+        };
       default:
         return {
           icon: 'Circle',
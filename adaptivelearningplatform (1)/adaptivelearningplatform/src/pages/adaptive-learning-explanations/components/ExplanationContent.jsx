@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Image from '../../../components/AppImage';
+import SourceReference from '../../../components/SourceReference';
 
 const ExplanationContent = ({ 
   concept = {},
@@ -37,11 +38,12 @@ const ExplanationContent = ({
   };
 
   const tabs = [
-    { id: 'overview', label: 'Overview', icon: 'BookOpen' },
-    { id: 'detailed', label: 'Detailed', icon: 'Microscope' },
-    { id: 'examples', label: 'Examples', icon: 'Image' },
+    { id: 'overview', label: 'Overview', icon: 'BookOpen', section: 'overview' },
+    { id: 'detailed', label: 'Detailed', icon: 'Microscope', section: 'detailedExplanation' },
+    { id: 'examples', label: 'Examples', icon: 'Image', section: 'examples' },
     { id: 'formula', label: 'Formula', icon: 'Calculator' }
   ];
+  const activeSection = tabs?.find(tab => tab?.id === activeTab)?.section;
 
   const renderTabContent = () => {
     switch (activeTab) {
@@ -165,6 +167,7 @@ const ExplanationContent = ({
         {/* Tab Content */}
         <div className="mb-8">
           {renderTabContent()}
+          <SourceReference sources={mockConcept?.sources?.[activeSection]} className="mt-6" />
         </div>
 
         {/* Action Buttons */}
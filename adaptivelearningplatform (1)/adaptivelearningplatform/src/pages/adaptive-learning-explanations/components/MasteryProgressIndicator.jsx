@@ -1,5 +1,6 @@
 import React from 'react';
 import Icon from '../../../components/AppIcon';
+import masteryModelService from '../../../services/masteryModelService';
 
 const MasteryProgressIndicator = ({ 
   currentLevel = 65,
@@ -7,7 +8,10 @@ const MasteryProgressIndicator = ({
   conceptsCompleted = 3,
   totalConcepts = 5,
   timeSpent = "12 min",
-  onViewProgress
+  history = [],
+  achievements = [],
+  onViewProgress,
+  onTargetLevelChange
 }) => {
   const progressPercentage = (currentLevel / 100) * 100;
   const targetPercentage = (targetLevel / 100) * 100;
@@ -20,32 +24,21 @@ const MasteryProgressIndicator = ({
     return { label: 'Beginner', color: 'text-muted-foreground', bgColor: 'bg-muted' };
   };
 
+  const targetOptions = [70, 80, 90];
+
   const currentMastery = getMasteryLevel(currentLevel);
   const targetMastery = getMasteryLevel(targetLevel);
 
-  const achievements = [
-    {
-      id: 1,
-      title: "First Explanation",
-      description: "Completed your first AI explanation",
-      icon: "Award",
-      earned: true
-    },
-    {
-      id: 2,
-      title: "Quick Learner",
-      description: "Understood concept in under 10 minutes",
-      icon: "Zap",
-      earned: true
-    },
-    {
-      id: 3,
-      title: "Note Taker",
-      description: "Added notes during explanation",
-      icon: "PenTool",
-      earned: false
-    }
-  ];
+  const trend = masteryModelService?.getTrend(history);
+  // Earned achievements first so the two shown are the ones the learner has
+  const sortedAchievements = [...achievements]?.sort((a, b) => Number(!!b?.earned) - Number(!!a?.earned));
+
+  // Sparkline points over a 100x30 box, oldest entry on the left
+  const sparklinePoints = history?.length > 1
+    ? history?.map((entry, index) =>
+      `${(index / (history.length - 1)) * 100},${30 - (entry?.masteryLevel / 100) * 30}`
+    )?.join(' ')
+    : null;
 
   return (
     <div className="bg-card border rounded-lg p-6 mb-6">
@@ -108,6 +101,43 @@ const MasteryProgressIndicator = ({
           </div>
         </div>
 
+        {/* Mastery Trend */}
+        {sparklinePoints && (
+          <div className="space-y-1">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-muted-foreground">Trend over {history?.length - 1} answers</span>
+              <span className={`flex items-center space-x-1 font-medium font-data ${
+                trend?.direction === 'up' ? 'text-success' : trend?.direction === 'down' ? 'text-error' : 'text-muted-foreground'
+              }`}>
+                <Icon
+                  name={trend?.direction === 'up' ? 'TrendingUp' : trend?.direction === 'down' ? 'TrendingDown' : 'Minus'}
+                  size={14}
+                />
+                <span>{trend?.change > 0 ? '+' : ''}{trend?.change}%</span>
+              </span>
+            </div>
+            <svg className="w-full h-8" viewBox="0 0 100 30" preserveAspectRatio="none">
+              <polyline
+                points={`0,${30 - (targetLevel / 100) * 30} 100,${30 - (targetLevel / 100) * 30}`}
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="0.5"
+                strokeDasharray="2 2"
+                className="text-muted-foreground"
+                vectorEffect="non-scaling-stroke"
+              />
+              <polyline
+                points={sparklinePoints}
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                className={currentMastery?.color}
+                vectorEffect="non-scaling-stroke"
+              />
+            </svg>
+          </div>
+        )}
+
         {/* Progress Bar to Target */}
         <div className="space-y-2">
           <div className="flex items-center justify-between text-sm">
@@ -119,7 +149,7 @@ const MasteryProgressIndicator = ({
           <div className="w-full h-2 bg-muted rounded-full overflow-hidden">
             <div 
               className={`h-full ${currentMastery?.bgColor} transition-all duration-500 ease-smooth`}
-              style={{ width: `${(currentLevel / targetLevel) * 100}%` }}
+              style={{ width: `${Math.min(100, (currentLevel / targetLevel) * 100)}%` }}
             />
           </div>
         </div>
@@ -155,7 +185,10 @@ const MasteryProgressIndicator = ({
         </h4>
         
         <div className="space-y-2">
-          {achievements?.slice(0, 2)?.map((achievement) => (
+          {achievements?.length === 0 && (
+            <p className="text-xs text-muted-foreground">Answer questions to start earning achievements.</p>
+          )}
+          {sortedAchievements?.slice(0, 2)?.map((achievement) => (
             <div
               key={achievement?.id}
               className={`flex items-center space-x-3 p-2 rounded-lg ${
@@ -192,13 +225,30 @@ const MasteryProgressIndicator = ({
             <div className="text-xs text-muted-foreground">
               Reach {targetLevel}% mastery level
             </div>
+            {onTargetLevelChange && (
+              <div className="flex items-center space-x-1 mt-2" title="Mastery needed to unlock the next concepts">
+                {targetOptions?.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => onTargetLevelChange(option)}
+                    className={`px-2 py-0.5 rounded text-xs font-data transition-colors duration-200 ${
+                      option === targetLevel
+                        ? 'bg-primary text-primary-foreground'
+                        : 'bg-muted text-muted-foreground hover:text-foreground'
+                    }`}
+                  >
+                    {option}%
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
           <div className="text-right">
             <div className="text-sm font-medium text-primary font-data">
-              {targetLevel - currentLevel}% to go
+              {Math.max(0, targetLevel - currentLevel)}% to go
             </div>
             <div className="text-xs text-muted-foreground">
-              ~{Math.ceil((targetLevel - currentLevel) / 10)} more concepts
+              ~{Math.max(0, Math.ceil((targetLevel - currentLevel) / 10))} more concepts
             </div>
           </div>
         </div>
@@ -1,76 +1,76 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Icon from '../../../components/AppIcon';
 
+const AUTO_SAVE_DELAY_MS = 1500;
+const NO_HIGHLIGHTS = [];
+
 const NoteTakingPanel = ({ 
   isExpanded = false,
   onToggleExpanded,
-  conceptTitle = "Photosynthesis Process"
+  conceptTitle = "Current concept",
+  notes = "",
+  highlights = NO_HIGHLIGHTS,
+  onSave
 }) => {
-  const [notes, setNotes] = useState("");
-  const [highlights, setHighlights] = useState([]);
   const [activeTab, setActiveTab] = useState('notes');
+  const [currentNotes, setCurrentNotes] = useState(notes);
+  const [currentHighlights, setCurrentHighlights] = useState(highlights);
+  const [isDirty, setIsDirty] = useState(false);
+  const latest = useRef({});
+  latest.current = { notes: currentNotes, highlights: currentHighlights, isDirty, onSave };
 
-  const mockHighlights = [
-    {
-      id: 1,
-      text: "Photosynthesis occurs in chloroplasts",
-      timestamp: "2:34",
-      color: "yellow"
-    },
-    {
-      id: 2,
-      text: "Light-dependent reactions produce ATP and NADPH",
-      timestamp: "4:12",
-      color: "green"
-    },
-    {
-      id: 3,
-      text: "Calvin cycle fixes carbon dioxide",
-      timestamp: "5:45",
-      color: "blue"
-    }
-  ];
-
-  const mockNotes = `Key Points from Photosynthesis Explanation:
+  // Load the saved notes whenever the concept changes
+  useEffect(() => {
+    setCurrentNotes(notes);
+    setCurrentHighlights(highlights);
+    setIsDirty(false);
+  }, [notes, highlights]);
 
-1. Two main stages:
-   - Light-dependent reactions (thylakoids)
-   - Light-independent reactions (stroma)
+  // Auto-save shortly after the learner stops editing
+  useEffect(() => {
+    if (!isDirty) return undefined;
 
-2. Essential components:
-   - Chlorophyll pigments
-   - ATP and NADPH
-   - Carbon dioxide and water
+    const timeout = setTimeout(() => {
+      onSave?.({ notes: currentNotes, highlights: currentHighlights });
+      setIsDirty(false);
+    }, AUTO_SAVE_DELAY_MS);
 
-3. Products:
-   - Glucose (energy storage)
-   - Oxygen (byproduct)
+    return () => clearTimeout(timeout);
+  }, [isDirty, currentNotes, currentHighlights, onSave]);
 
-Questions to review:
-- How does light intensity affect photosynthesis rate?
-- What happens during the Calvin cycle?`;
+  // Save pending edits when the panel is closed or switched to another concept
+  useEffect(() => () => {
+    const { notes: pendingNotes, highlights: pendingHighlights, isDirty: hasPending, onSave: save } = latest.current;
+    if (hasPending) {
+      save?.({ notes: pendingNotes, highlights: pendingHighlights });
+    }
+  }, []);
 
-  const [currentNotes, setCurrentNotes] = useState(notes || mockNotes);
-  const [currentHighlights, setCurrentHighlights] = useState(highlights?.length > 0 ? highlights : mockHighlights);
+  const handleNotesChange = (value) => {
+    setCurrentNotes(value);
+    setIsDirty(true);
+  };
 
   const handleSaveNotes = () => {
-    setNotes(currentNotes);
-    // Here you would typically save to backend
-    console.log('Notes saved:', currentNotes);
+    onSave?.({ notes: currentNotes, highlights: currentHighlights });
+    setIsDirty(false);
   };
 
   const handleAddHighlight = () => {
+    const selectedText = window.getSelection?.()?.toString()?.trim();
     const newHighlight = {
       id: Date.now(),
-      text: "New highlight",
-      timestamp: "0:00",
+      text: selectedText || "New highlight",
+      timestamp: new Date()?.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
       color: "yellow"
     };
     setCurrentHighlights([...currentHighlights, newHighlight]);
+    setIsDirty(true);
   };
 
   const handleRemoveHighlight = (id) => {
     setCurrentHighlights(currentHighlights?.filter(h => h?.id !== id));
+    setIsDirty(true);
   };
 
   const getHighlightColor = (color) => {
@@ -147,7 +147,7 @@ Questions to review:
             <div className="flex-1 p-4">
               <textarea
                 value={currentNotes}
-                onChange={(e) => setCurrentNotes(e?.target?.value)}
+                onChange={(e) => handleNotesChange(e?.target?.value)}
                 placeholder="Take notes while learning..."
                 className="w-full h-full resize-none bg-background border border-border rounded-lg p-3 text-sm text-foreground placeholder-muted-foreground focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
               />
@@ -1,56 +1,19 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import Icon from '../../../components/AppIcon';
-import Image from '../../../components/AppImage';
 
 const RelatedConceptsCard = ({ 
   concepts = [],
   onConceptSelect
 }) => {
-  const mockConcepts = [
-    {
-      id: 1,
-      title: "Cellular Respiration",
-      description: "The process by which cells break down glucose to release energy",
-      difficulty: "Intermediate",
-      estimatedTime: "6 min",
-      completionStatus: "not_started",
-      image: "https://images.pexels.com/photos/1108572/pexels-photo-1108572.jpeg?w=300&h=200&fit=crop",
-      relationship: "opposite_process"
-    },
-    {
-      id: 2,
-      title: "Chloroplast Structure",
-      description: "Detailed anatomy of the organelle where photosynthesis occurs",
-      difficulty: "Advanced",
-      estimatedTime: "10 min",
-      completionStatus: "in_progress",
-      image: "https://images.unsplash.com/photo-1530026405186-ed1f139313f8?w=300&h=200&fit=crop",
-      relationship: "prerequisite"
-    },
-    {
-      id: 3,
-      title: "Light Spectrum & Plants",
-      description: "How different wavelengths of light affect plant growth",
-      difficulty: "Beginner",
-      estimatedTime: "4 min",
-      completionStatus: "completed",
-      image: "https://images.pixabay.com/photo/2016/11/29/05/45/astronomy-1867616_960_720.jpg?w=300&h=200&fit=crop",
-      relationship: "related_topic"
-    },
-    {
-      id: 4,
-      title: "Plant Nutrition",
-      description: "Essential nutrients plants need for healthy growth",
-      difficulty: "Beginner",
-      estimatedTime: "5 min",
-      completionStatus: "not_started",
-      image: "https://images.unsplash.com/photo-1416879595882-3373a0480b5b?w=300&h=200&fit=crop",
-      relationship: "related_topic"
-    }
-  ];
-
-  const displayConcepts = concepts?.length > 0 ? concepts : mockConcepts;
+  // Pathway state when the concept comes from a resolved pathway, else the strong-area threshold
+  const getCompletionStatus = (concept) => {
+    if (concept?.isUnlocked === false) return 'locked';
+    if (['mastered', 'tested_out'].includes(concept?.state)) return 'completed';
+    if (!concept?.state && (concept?.masteryLevel || 0) >= 80) return 'completed';
+    if ((concept?.masteryLevel || 0) > 0 || concept?.attempts > 0) return 'in_progress';
+    return 'not_started';
+  };
 
   const getStatusIcon = (status) => {
     switch (status) {
@@ -60,6 +23,8 @@ const RelatedConceptsCard = ({
         return { icon: 'Clock', color: 'text-warning' };
       case 'not_started':
         return { icon: 'Circle', color: 'text-muted-foreground' };
+      case 'locked':
+        return { icon: 'Lock', color: 'text-muted-foreground' };
       default:
         return { icon: 'Circle', color: 'text-muted-foreground' };
     }
@@ -82,9 +47,15 @@ const RelatedConceptsCard = ({
     switch (relationship) {
       case 'prerequisite':
         return { label: 'Prerequisite', icon: 'ArrowUp', color: 'text-primary' };
-      case 'opposite_process':
-        return { label: 'Opposite Process', icon: 'RefreshCw', color: 'text-secondary' };
-      case 'related_topic':
+      case 'leads_to':
+        return { label: 'Builds on this', icon: 'ArrowDown', color: 'text-primary' };
+      case 'has_part':
+        return { label: 'Subtopic', icon: 'GitBranch', color: 'text-secondary' };
+      case 'part_of':
+        return { label: 'Part of', icon: 'Layers', color: 'text-secondary' };
+      case 'opposite':
+        return { label: 'Contrasting', icon: 'RefreshCw', color: 'text-secondary' };
+      case 'related':
         return { label: 'Related', icon: 'Link', color: 'text-accent' };
       default:
         return { label: 'Related', icon: 'Link', color: 'text-muted-foreground' };
@@ -103,9 +74,16 @@ const RelatedConceptsCard = ({
           </p>
         </div>
 
+        {concepts?.length === 0 && (
+          <div className="bg-card border rounded-lg p-6 text-center text-sm text-muted-foreground">
+            No connections to other concepts were found in your material for this topic.
+          </div>
+        )}
+
         <div className="grid gap-4 md:grid-cols-2">
-          {displayConcepts?.map((concept) => {
-            const statusConfig = getStatusIcon(concept?.completionStatus);
+          {concepts?.map((concept) => {
+            const completionStatus = getCompletionStatus(concept);
+            const statusConfig = getStatusIcon(completionStatus);
             const relationshipConfig = getRelationshipLabel(concept?.relationship);
 
             return (
@@ -114,21 +92,13 @@ const RelatedConceptsCard = ({
                 className="bg-card border rounded-lg overflow-hidden hover:shadow-card transition-all duration-200 cursor-pointer group"
                 onClick={() => onConceptSelect?.(concept)}
               >
-                {/* Image */}
-                <div className="aspect-video overflow-hidden">
-                  <Image 
-                    src={concept?.image} 
-                    alt={concept?.title}
-                    className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
-                  />
-                </div>
                 {/* Content */}
                 <div className="p-4">
                   {/* Header */}
                   <div className="flex items-start justify-between mb-2">
                     <div className="flex-1">
                       <h3 className="font-medium text-foreground group-hover:text-primary transition-colors duration-200">
-                        {concept?.title}
+                        {concept?.name}
                       </h3>
                       <p className="text-sm text-muted-foreground mt-1 line-clamp-2">
                         {concept?.description}
@@ -164,8 +134,9 @@ const RelatedConceptsCard = ({
                   <div className="mt-4">
                     <button className="w-full flex items-center justify-center space-x-2 py-2 px-4 bg-muted text-foreground rounded-lg hover:bg-muted/80 transition-colors duration-200 group-hover:bg-primary group-hover:text-primary-foreground">
                       <span className="text-sm font-medium">
-                        {concept?.completionStatus === 'completed' ? 'Review' : 
-                         concept?.completionStatus === 'in_progress' ? 'Continue' : 'Start Learning'}
+                        {completionStatus === 'completed' ? 'Review' : 
+                         completionStatus === 'in_progress' ? 'Continue' :
+                         completionStatus === 'locked' ? 'Locked · Test out' : 'Start Learning'}
                       </span>
                       <Icon name="ArrowRight" size={14} />
                     </button>
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import QuestionCard from '../../question-generation-assessment/components/QuestionCard';
+import questionGenerationService from '../../../services/questionGenerationService';
+import questionQualityService from '../../../services/questionQualityService';
+import pathwayService, { DIAGNOSTIC_QUESTIONS_PER_CONCEPT } from '../../../services/pathwayService';
+
+const MAX_DIAGNOSTIC_CONCEPTS = 3;
+
+const TestOutDiagnostic = ({
+  targetConcept,
+  documentId,
+  masteryThreshold,
+  onComplete,
+  onClose
+}) => {
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [confidence, setConfidence] = useState({});
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const blockingConcepts = targetConcept?.blockedBy?.slice(0, MAX_DIAGNOSTIC_CONCEPTS) || [];
+  const allAnswered = questions?.length > 0 && questions?.every(question => answers?.[question?.id]);
+
+  const handleStart = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      // Objective questions only, so the diagnostic grades instantly
+      const questionSets = await Promise.all(blockingConcepts?.map(concept =>
+        questionGenerationService?.generateQuestionsForConcept(concept, {
+          questionCount: DIAGNOSTIC_QUESTIONS_PER_CONCEPT,
+          questionTypes: ['multiple_choice', 'true_false'],
+          documentId
+        })
+      ));
+      setQuestions(questionQualityService?.dropDuplicateQuestions(questionSets?.flat())?.map((question, index) => ({
+        ...question,
+        id: `diagnostic_${question?.conceptId}_${question?.id}`,
+        number: index + 1
+      })));
+    } catch (generationError) {
+      console.error('Error generating diagnostic:', generationError);
+      setError('The diagnostic could not be generated. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event?.key === 'Escape' && !isSubmitting) onClose?.(false);
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isSubmitting, onClose]);
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+
+    const grades = await questionGenerationService?.gradeResponses(questions, answers);
+    const conceptResults = pathwayService?.scoreDiagnostic(questions, grades, masteryThreshold);
+    const attempts = questions?.map(question => ({
+      questionId: question?.id,
+      conceptId: question?.conceptId,
+      questionType: question?.type,
+      difficulty: question?.difficulty,
+      answer: answers?.[question?.id],
+      confidence: confidence?.[question?.id] || 3,
+      isCorrect: !!grades?.[question?.id]?.isCorrect,
+      score: grades?.[question?.id]?.score ?? 0,
+      gradedBy: grades?.[question?.id]?.gradedBy,
+      source: 'diagnostic'
+    }));
+
+    setResults(conceptResults);
+    setIsSubmitting(false);
+    await onComplete?.({ results: conceptResults, attempts });
+  };
+
+  const passedAll = results?.length > 0
+    && results?.every(result => result?.passed)
+    && targetConcept?.blockedBy?.length <= MAX_DIAGNOSTIC_CONCEPTS;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Icon name="Lock" size={20} className="text-primary" />
+            <h3 className="text-lg font-heading font-semibold text-foreground">
+              {targetConcept?.name} is locked
+            </h3>
+          </div>
+          <button
+            onClick={() => onClose?.(false)}
+            disabled={isSubmitting}
+            className="p-1 rounded-lg hover:bg-muted transition-colors duration-200"
+          >
+            <Icon name="X" size={16} className="text-muted-foreground" />
+          </button>
+        </div>
+
+        {questions?.length === 0 && !results && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              It unlocks once you reach {masteryThreshold}% mastery in:
+            </p>
+            <ul className="space-y-2">
+              {targetConcept?.blockedBy?.map(concept => (
+                <li key={concept?.id} className="flex items-center justify-between p-3 bg-muted/50 rounded-lg text-sm">
+                  <span className="font-medium text-foreground">{concept?.name}</span>
+                  <span className="text-muted-foreground font-data">{concept?.masteryLevel || 0}%</span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-sm text-muted-foreground">
+              Already know this material? Take a short diagnostic of {blockingConcepts?.length * DIAGNOSTIC_QUESTIONS_PER_CONCEPT} questions
+              and skip ahead if you score {masteryThreshold}% or more.
+            </p>
+            {error && <p className="text-sm text-error">{error}</p>}
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => onClose?.(false)}>
+                Not now
+              </Button>
+              <Button iconName="FastForward" loading={isLoading} onClick={handleStart}>
+                Test out
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {questions?.length > 0 && !results && (
+          <div className="space-y-4">
+            {questions?.map(question => (
+              <QuestionCard
+                key={question?.id}
+                question={question}
+                currentAnswer={answers?.[question?.id]}
+                onAnswerChange={(answer) => setAnswers(prev => ({ ...prev, [question?.id]: answer }))}
+                onConfidenceChange={(level) => setConfidence(prev => ({ ...prev, [question?.id]: level }))}
+                confidence={confidence?.[question?.id] || 3}
+              />
+            ))}
+            <div className="flex justify-end">
+              <Button iconName="Check" disabled={!allAnswered} loading={isSubmitting} onClick={handleSubmit}>
+                Submit diagnostic
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {results && (
+          <div className="space-y-4">
+            <ul className="space-y-2">
+              {results?.map(result => (
+                <li key={result?.conceptId} className="flex items-center justify-between p-3 bg-muted/50 rounded-lg text-sm">
+                  <span className="font-medium text-foreground">
+                    {blockingConcepts?.find(concept => concept?.id === result?.conceptId)?.name}
+                  </span>
+                  <span className={`flex items-center space-x-1 ${result?.passed ? 'text-success' : 'text-error'}`}>
+                    <Icon name={result?.passed ? 'CheckCircle' : 'XCircle'} size={14} />
+                    <span className="font-data">{result?.score}%</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-sm text-muted-foreground">
+              {passedAll
+                ? `You tested out. ${targetConcept?.name} is now unlocked.`
+                : `Concepts you passed are marked as tested out. Study the rest to unlock ${targetConcept?.name}.`}
+            </p>
+            <div className="flex justify-end">
+              <Button onClick={() => onClose?.(passedAll)}>
+                {passedAll ? `Start ${targetConcept?.name}` : 'Close'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TestOutDiagnostic;
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
 import Header from '../../components/ui/Header';
 import LearningProgressHeader from '../../components/ui/LearningProgressHeader';
 import AdaptiveNavigationBreadcrumb from '../../components/ui/AdaptiveNavigationBreadcrumb';
@@ -14,10 +15,14 @@ import LearningModeToggle from './components/LearningModeToggle';
 import RelatedConceptsCard from './components/RelatedConceptsCard';
 import NoteTakingPanel from './components/NoteTakingPanel';
 import MasteryProgressIndicator from './components/MasteryProgressIndicator';
+import TestOutDiagnostic from './components/TestOutDiagnostic';
 import Icon from '../../components/AppIcon';
 
 // Import AI services
 import adaptiveLearningService from '../../services/adaptiveLearningService';
+import learnerProgressService from '../../services/learnerProgressService';
+import conceptGraphService from '../../services/conceptGraphService';
+import pathwayService from '../../services/pathwayService';
 
 const AdaptiveLearningExplanations = () => {
   const navigate = useNavigate();
@@ -37,6 +42,35 @@ const AdaptiveLearningExplanations = () => {
   const [concepts, setConcepts] = useState([]);
   const [assessmentResults, setAssessmentResults] = useState(null);
   const [weakAreas, setWeakAreas] = useState([]);
+  const [documentId, setDocumentId] = useState(null);
+  const [conceptNotes, setConceptNotes] = useState({ notes: '', highlights: [] });
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [learningPathway, setLearningPathway] = useState(null);
+  const [testOutTarget, setTestOutTarget] = useState(null);
+  const [masteryHistory, setMasteryHistory] = useState([]);
+  const [achievements, setAchievements] = useState([]);
+
+  // Courses saved before the concept graph existed get one built from their concepts
+  const conceptGraph = useMemo(
+    () => learningPathway?.graph || conceptGraphService?.buildGraph(concepts),
+    [learningPathway, concepts]
+  );
+  const resolvedPathway = useMemo(
+    () => pathwayService?.resolvePathway(learningPathway, concepts),
+    [learningPathway, concepts]
+  );
+  const pathwayProgress = pathwayService?.getProgress(resolvedPathway);
+  const masteryThreshold = pathwayService?.getMasteryThreshold(learningPathway);
+  const currentPathwayEntry = resolvedPathway?.find(entry => entry?.id === currentConcept?.id);
+  // Names of the concepts that list each other as prerequisites along with the current one
+  const currentCycleNames = learningPathway?.cycles
+    ?.find(cycle => cycle?.includes(currentConcept?.id))
+    ?.map(conceptId => concepts?.find(concept => concept?.id === conceptId)?.name)
+    ?.filter(Boolean);
+  const relatedConcepts = useMemo(
+    () => conceptGraphService?.getRelatedConcepts(conceptGraph, currentConcept?.id, resolvedPathway)?.slice(0, 4),
+    [conceptGraph, currentConcept, resolvedPathway]
+  );
 
   // Load data from navigation state or determine focus concept
   useEffect(() => {
@@ -44,11 +78,14 @@ const AdaptiveLearningExplanations = () => {
       let conceptsData = [];
       let resultsData = null;
       let weakAreasData = [];
+      let pathwayData = null;
       let focusConcept = null;
+      let courseId = location.state?.documentId || null;
 
       // Get data from navigation state
       if (location.state) {
         conceptsData = location.state?.concepts || [];
+        pathwayData = location.state?.learningPathway || null;
         resultsData = location.state?.assessmentResults;
         weakAreasData = location.state?.weakAreas || [];
 
@@ -58,15 +95,21 @@ const AdaptiveLearningExplanations = () => {
         }
       }
 
-      // Fallback to sessionStorage
+      // Fall back to the course the learner last worked on
       if (!conceptsData?.length) {
-        const storedConcepts = sessionStorage.getItem('extractedConcepts');
-        if (storedConcepts) {
-          conceptsData = JSON.parse(storedConcepts);
+        try {
+          const course = await learnerProgressService?.loadActiveCourse();
+          conceptsData = course?.concepts || [];
+          pathwayData = course?.learningPathway || null;
+          courseId = course?.document?.id || null;
+        } catch (error) {
+          console.error('Error loading saved course:', error);
         }
       }
 
       setConcepts(conceptsData);
+      setLearningPathway(pathwayData);
+      setDocumentId(courseId);
       setAssessmentResults(resultsData);
       setWeakAreas(weakAreasData);
 
@@ -85,7 +128,7 @@ const AdaptiveLearningExplanations = () => {
       if (focusConcept) {
         setCurrentConcept(focusConcept);
         setMasteryLevel(focusConcept?.masteryLevel || 0);
-        await generatePersonalizedExplanation(focusConcept, resultsData);
+        await generatePersonalizedExplanation(focusConcept, resultsData, courseId);
       } else {
         // Redirect back if no concepts available
         navigate('/file-upload');
@@ -96,17 +139,35 @@ const AdaptiveLearningExplanations = () => {
   }, [location.state, navigate]);
 
   // Generate personalized explanation using AI
-  const generatePersonalizedExplanation = async (concept, userResults = null) => {
+  const generatePersonalizedExplanation = async (concept, userResults = null, courseId = documentId) => {
     setIsGeneratingExplanation(true);
     
     try {
+      // Answers the learner was sure of but got wrong, from this assessment and earlier ones
+      const getAnswerText = (result, answer) => result?.options?.find(option => option?.id === answer)?.text || answer;
+      const recentMisconceptions = userResults?.calibration?.confidentlyWrong
+        ?.filter(result => result?.conceptId === concept?.id)
+        ?.map(result => ({
+          questionId: result?.questionId,
+          question: result?.question,
+          userAnswer: result?.userAnswerText || getAnswerText(result, result?.userAnswer),
+          correctAnswer: result?.correctAnswerText || getAnswerText(result, result?.correctAnswer)
+        })) || [];
+      const savedMisconceptions = courseId
+        ? await learnerProgressService?.getMisconceptions(courseId, concept?.id)?.catch(() => [])
+        : [];
+      const misconceptions = [...recentMisconceptions, ...(savedMisconceptions || [])]
+        ?.filter((item, index, all) => all.findIndex(other => other?.questionId === item?.questionId) === index);
+
       // Build user context from assessment results
       const userContext = {
         currentMasteryLevel: concept?.masteryLevel || 0,
         previousAttempts: concept?.attempts || 0,
         learningStyle: 'visual', // Could be determined from user preferences
         preferredComplexity: concept?.difficulty?.toLowerCase() || 'intermediate',
-        mistakePatterns: userResults?.weakAreas?.map(area => area?.topic) || []
+        mistakePatterns: userResults?.weakAreas?.map(area => area?.topic) || [],
+        misconceptions,
+        documentId: courseId
       };
 
       const explanation = await adaptiveLearningService?.generatePersonalizedExplanation(
@@ -147,6 +208,56 @@ const AdaptiveLearningExplanations = () => {
     }
   };
 
+  // Load the learner's saved notes for the concept being explained
+  useEffect(() => {
+    setConceptNotes({ notes: '', highlights: [] });
+    if (!documentId || !currentConcept?.id) return;
+
+    learnerProgressService?.getNotes(documentId, currentConcept.id)
+      ?.then(saved => setConceptNotes({ notes: saved?.notes, highlights: saved?.highlights }))
+      ?.catch(error => console.error('Error loading notes:', error));
+  }, [documentId, currentConcept?.id]);
+
+  // Reload mastery history and achievements whenever saved mastery may have changed
+  useEffect(() => {
+    if (!documentId) return;
+
+    Promise.all([
+      currentConcept?.id ? learnerProgressService?.getMasteryHistory(documentId, currentConcept.id) : [],
+      learnerProgressService?.getAchievements(documentId)
+    ])
+      ?.then(([history, earned]) => {
+        setMasteryHistory(history || []);
+        setAchievements(earned || []);
+      })
+      ?.catch(error => console.error('Error loading mastery history:', error));
+  }, [documentId, currentConcept?.id, concepts, lastSavedAt]);
+
+  // Runs a save and reflects its real outcome in the session status
+  const persist = useCallback(async (save) => {
+    if (!documentId) return;
+
+    setSessionStatus('saving');
+    try {
+      await save();
+      setLastSavedAt(new Date());
+      setSessionStatus('saved');
+      setTimeout(() => setSessionStatus('active'), 1000);
+    } catch (error) {
+      console.error('Error saving learning progress:', error);
+      setSessionStatus('error');
+    }
+  }, [documentId]);
+
+  const handleSaveNotes = useCallback((content) => {
+    persist(() => learnerProgressService?.saveNotes(documentId, currentConcept?.id, content));
+  }, [persist, documentId, currentConcept?.id]);
+
+  // "Got it" and finishing the avatar explanation are the learner's own word; mastery moves only with graded answers
+  const recordSelfReport = (signal) => {
+    persist(() => learnerProgressService?.recordSelfReport(documentId, currentConcept?.id, signal));
+  };
+
   // Session timer
   useEffect(() => {
     let startTime = Date.now();
@@ -184,8 +295,8 @@ const AdaptiveLearningExplanations = () => {
   };
 
   const handleGotIt = () => {
-    // Simulate understanding confirmation
-    setMasteryLevel(prev => Math.min(100, prev + 15));
+    // Record the learner's confirmation that they understood the explanation
+    recordSelfReport('understood');
     
     // Show success feedback
     setTimeout(() => {
@@ -199,20 +310,66 @@ const AdaptiveLearningExplanations = () => {
     setShowHelpModal(true);
   };
 
-  const handleConceptSelect = async (concept) => {
+  const openConcept = async (concept) => {
     setCurrentConcept(concept);
     setMasteryLevel(concept?.masteryLevel || 0);
     await generatePersonalizedExplanation(concept, assessmentResults);
   };
 
+  // Locked concepts offer the test-out diagnostic instead of opening
+  const handleConceptSelect = async (concept) => {
+    const entry = resolvedPathway?.find(item => item?.id === concept?.id);
+    if (entry && !entry?.isUnlocked) {
+      setTestOutTarget(entry);
+      return;
+    }
+    await openConcept(concept);
+  };
+
+  const applyMasteryRecords = (records) => {
+    setConcepts(prev => prev?.map(concept => records?.[concept?.id] ? {
+      ...concept,
+      masteryLevel: records[concept.id]?.masteryLevel,
+      attempts: records[concept.id]?.attempts,
+      testedOut: !!records[concept.id]?.testedOut
+    } : concept));
+  };
+
+  const handleTestOutComplete = async ({ results, attempts }) => {
+    if (!documentId) {
+      applyMasteryRecords(Object.fromEntries(results?.filter(result => result?.passed)?.map(result => [
+        result?.conceptId,
+        { masteryLevel: result?.score, attempts: 0, testedOut: true }
+      ])));
+      return;
+    }
+
+    await persist(async () => {
+      applyMasteryRecords(await learnerProgressService?.recordAttempts(documentId, attempts));
+      applyMasteryRecords(await learnerProgressService?.testOutConcepts(documentId, results));
+    });
+  };
+
+  const handleTestOutClose = async (openTarget) => {
+    const target = testOutTarget;
+    setTestOutTarget(null);
+    if (openTarget && target) {
+      await openConcept(concepts?.find(concept => concept?.id === target?.id) || target);
+    }
+  };
+
+  const handleMasteryThresholdChange = (threshold) => {
+    setLearningPathway(prev => ({ ...prev, masteryThreshold: threshold }));
+    persist(() => learnerProgressService?.setMasteryThreshold(documentId, threshold));
+  };
+
   const handleSessionManage = (action) => {
     switch (action) {
       case 'pause':
         setSessionStatus(sessionStatus === 'active' ? 'paused' : 'active');
         break;
-      case 'save': setSessionStatus('saving');
-        setTimeout(() => setSessionStatus('saved'), 1000);
-        setTimeout(() => setSessionStatus('active'), 2000);
+      case 'save':
+        persist(() => learnerProgressService?.touchDocument(documentId));
         break;
       case 'manage':
         // Open session management modal
@@ -238,7 +395,7 @@ const AdaptiveLearningExplanations = () => {
 
   const handlePlaybackComplete = () => {
     // Handle avatar explanation completion
-    setMasteryLevel(prev => Math.min(100, prev + 10));
+    recordSelfReport('playback_complete');
   };
 
   const handlePauseSession = () => {
@@ -250,7 +407,7 @@ const AdaptiveLearningExplanations = () => {
   };
 
   const handleViewProgress = () => {
-    navigate('/progress');
+    navigate('/dashboard', { state: { documentId } });
   };
 
   // Loading state
@@ -281,6 +438,7 @@ const AdaptiveLearningExplanations = () => {
         questionProgress={{ current: 1, total: concepts?.length }}
         completionPercentage={masteryLevel}
         sessionTime={sessionTime}
+        pathwayProgress={pathwayProgress}
         onPause={handlePauseSession}
         onSettings={handleSessionSettings}
       />
@@ -290,6 +448,9 @@ const AdaptiveLearningExplanations = () => {
         completedPhases={assessmentResults ? ['upload', 'assessment'] : ['upload']}
         availableNextSteps={['review']}
         sessionProgress={{ current: 1, total: concepts?.length }}
+        conceptPathway={resolvedPathway}
+        currentConceptId={currentConcept?.id}
+        onConceptSelect={handleConceptSelect}
       />
       {/* Session Status */}
       <div className="sticky top-32 z-30 bg-background/95 backdrop-blur border-b">
@@ -301,10 +462,10 @@ const AdaptiveLearningExplanations = () => {
           </div>
           <SessionStatusIndicator
             sessionStatus={sessionStatus}
-            lastSaved="1 minute ago"
+            lastSaved={lastSavedAt ? formatDistanceToNow(lastSavedAt, { addSuffix: true }) : null}
             sessionName={`${currentConcept?.name || 'Learning'} Session`}
             onSessionManage={handleSessionManage}
-            autoSaveEnabled={true}
+            autoSaveEnabled={!!documentId}
           />
         </div>
       </div>
@@ -323,6 +484,35 @@ const AdaptiveLearningExplanations = () => {
 
         {/* Learning Mode Toggle */}
         <div className="max-w-4xl mx-auto px-4 py-6">
+          {/* Locked Concept Notice */}
+          {currentPathwayEntry && !currentPathwayEntry?.isUnlocked && (
+            <div className="flex items-center justify-between gap-4 p-4 mb-6 bg-warning/10 border border-warning/20 rounded-lg">
+              <div className="flex items-start space-x-2 text-sm text-foreground">
+                <Icon name="Lock" size={16} className="text-warning mt-0.5" />
+                <span>
+                  This concept builds on {currentPathwayEntry?.blockedBy?.map(dependency => dependency?.name)?.join(', ')}.
+                  Master {currentPathwayEntry?.blockedBy?.length > 1 ? 'them' : 'it'} first or test out.
+                </span>
+              </div>
+              <button
+                onClick={() => setTestOutTarget(currentPathwayEntry)}
+                className="text-sm font-medium text-primary hover:text-primary/80 whitespace-nowrap"
+              >
+                Test out
+              </button>
+            </div>
+          )}
+
+          {/* Circular Prerequisites Notice */}
+          {currentCycleNames?.length > 1 && (
+            <div className="flex items-start space-x-2 p-4 mb-6 bg-muted/50 border rounded-lg text-sm text-foreground">
+              <Icon name="RefreshCw" size={16} className="text-muted-foreground mt-0.5" />
+              <span>
+                {currentCycleNames.join(', ')} list each other as prerequisites, so your pathway orders them by difficulty and none of them waits on the others to unlock.
+              </span>
+            </div>
+          )}
+
           <LearningModeToggle
             currentMode={learningMode}
             onModeChange={handleModeChange}
@@ -342,10 +532,13 @@ const AdaptiveLearningExplanations = () => {
           {/* Mastery Progress Indicator */}
           <MasteryProgressIndicator
             currentLevel={masteryLevel}
-            targetLevel={80}
-            conceptsCompleted={1}
+            targetLevel={masteryThreshold}
+            onTargetLevelChange={documentId ? handleMasteryThresholdChange : undefined}
+            conceptsCompleted={pathwayProgress?.mastered}
             totalConcepts={concepts?.length}
             timeSpent={sessionTime}
+            history={masteryHistory}
+            achievements={achievements}
             onViewProgress={handleViewProgress}
           />
         </div>
@@ -361,16 +554,30 @@ const AdaptiveLearningExplanations = () => {
 
         {/* Related Concepts */}
         <RelatedConceptsCard
-          concepts={concepts?.filter(c => c?.id !== currentConcept?.id)?.slice(0, 3)}
+          concepts={relatedConcepts}
           onConceptSelect={handleConceptSelect}
         />
       </div>
       {/* Note Taking Panel */}
       <NoteTakingPanel
+        key={currentConcept?.id}
         isExpanded={isNotePanelExpanded}
         onToggleExpanded={setIsNotePanelExpanded}
         conceptTitle={currentConcept?.name}
+        notes={conceptNotes?.notes}
+        highlights={conceptNotes?.highlights}
+        onSave={handleSaveNotes}
       />
+      {/* Test-Out Diagnostic */}
+      {testOutTarget && (
+        <TestOutDiagnostic
+          targetConcept={testOutTarget}
+          documentId={documentId}
+          masteryThreshold={masteryThreshold}
+          onComplete={handleTestOutComplete}
+          onClose={handleTestOutClose}
+        />
+      )}
       {/* Floating Action Assistant */}
       <FloatingActionAssistant
         currentContext="explanation"
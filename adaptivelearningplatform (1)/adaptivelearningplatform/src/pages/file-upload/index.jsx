@@ -2,16 +2,20 @@ import React, { useState, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
 import AppIcon from '../../components/AppIcon';
-import fileAnalysisService from '../../services/fileAnalysisService';
+import fileAnalysisService, { ACCEPTED_FILE_EXTENSIONS, MAX_COLLECTION_FILES } from '../../services/fileAnalysisService';
 import conceptExtractionService from '../../services/conceptExtractionService';
+import learnerProgressService from '../../services/learnerProgressService';
 
 const FileUpload = () => {
   const navigate = useNavigate();
   const [dragActive, setDragActive] = useState(false);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [collectionName, setCollectionName] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingStep, setProcessingStep] = useState('');
+  const [analysisProgress, setAnalysisProgress] = useState(null);
   const [error, setError] = useState('');
   const [analysisResult, setAnalysisResult] = useState(null);
 
@@ -31,43 +35,83 @@ const FileUpload = () => {
     e?.stopPropagation();
     setDragActive(false);
     
-    if (e?.dataTransfer?.files && e?.dataTransfer?.files?.[0]) {
-      handleFileSelection(e?.dataTransfer?.files?.[0]);
+    if (e?.dataTransfer?.files?.length) {
+      handleFileSelection(e?.dataTransfer?.files);
     }
-  }, []);
+  }, [selectedFiles, collectionName]);
 
   const handleFileInputChange = (e) => {
-    if (e?.target?.files && e?.target?.files?.[0]) {
-      handleFileSelection(e?.target?.files?.[0]);
+    if (e?.target?.files?.length) {
+      handleFileSelection(e?.target?.files);
     }
+    e.target.value = '';
   };
 
-  const handleFileSelection = (file) => {
-    const validation = fileAnalysisService?.validateFile(file);
-    
-    if (!validation?.isValid) {
-      setError(validation?.error);
-      return;
+  const handleFileSelection = (fileList) => {
+    const errors = [];
+    const validFiles = Array.from(fileList || [])?.filter(file => {
+      const validation = fileAnalysisService?.validateFile(file);
+      if (!validation?.isValid) {
+        errors.push(`${file?.name}: ${validation?.error}`);
+      }
+      return validation?.isValid;
+    });
+
+    const isDuplicate = (file) => selectedFiles?.some(existing =>
+      existing?.name === file?.name && existing?.size === file?.size && existing?.lastModified === file?.lastModified
+    );
+    const combined = [...selectedFiles, ...validFiles?.filter(file => !isDuplicate(file))];
+
+    if (combined?.length > MAX_COLLECTION_FILES) {
+      errors.push(`A collection can hold up to ${MAX_COLLECTION_FILES} files`);
     }
 
-    setSelectedFile(file);
-    setError('');
+    if (!collectionName && combined?.[0]) {
+      setCollectionName(combined[0].name.replace(/\.[^.]+$/, ''));
+    }
+
+    setSelectedFiles(combined.slice(0, MAX_COLLECTION_FILES));
+    setError(errors.join('. '));
   };
 
   const handleFileUpload = async () => {
-    if (!selectedFile) return;
+    if (!selectedFiles?.length) return;
 
     setIsProcessing(true);
     setError('');
     
     try {
-      // Step 1: Analyze file
-      setProcessingStep('Analyzing file content...');
-      const analysisResult = await fileAnalysisService?.analyzeFile(selectedFile);
-      
-      // Step 2: Extract concepts
+      const analyses = [];
+      const conceptLists = [];
+      const fileCount = selectedFiles.length;
+
+      // Step 1: Analyze each file and extract its concepts
+      for (const [fileIndex, file] of selectedFiles.entries()) {
+        const filePrefix = fileCount > 1 ? `File ${fileIndex + 1} of ${fileCount} (${file?.name}): ` : '';
+
+        setProcessingStep(`Analyzing file content... ${filePrefix}`);
+        setAnalysisProgress({ fileIndex, fileCount, completed: 0, total: 1 });
+        const fileAnalysis = await fileAnalysisService?.analyzeFile(file, {
+          onProgress: (progress) => {
+            setAnalysisProgress({ ...progress, fileIndex, fileCount });
+            if (progress?.stage === 'merging') {
+              setProcessingStep(`Analyzing file content... ${filePrefix}merging ${progress?.total} sections`);
+            } else if (progress?.total > 1) {
+              setProcessingStep(`Analyzing file content... ${filePrefix}${progress?.completed} of ${progress?.total} sections done`);
+            }
+          }
+        });
+        analyses.push(fileAnalysis);
+
+        setProcessingStep(`Analyzing file content... ${filePrefix}extracting concepts`);
+        conceptLists.push(await conceptExtractionService?.extractConcepts(fileAnalysis));
+      }
+      setAnalysisProgress(null);
+
+      // Step 2: Merge concepts across the collection
       setProcessingStep('Extracting learning concepts...');
-      const concepts = await conceptExtractionService?.extractConcepts(analysisResult);
+      const analysisResult = fileAnalysisService?.createCollectionAnalysis(collectionName, analyses);
+      const concepts = conceptExtractionService?.mergeConcepts(conceptLists);
       
       // Step 3: Create learning pathway
       setProcessingStep('Creating personalized learning path...');
@@ -79,17 +123,21 @@ const FileUpload = () => {
         learningPathway
       });
       
+      // Save the course so progress survives closing the tab
+      let documentId = null;
+      try {
+        documentId = await learnerProgressService?.saveCourse({ analysis: analysisResult, concepts, learningPathway });
+      } catch (saveError) {
+        console.error('Course could not be saved, continuing without persistence:', saveError);
+      }
+
       setProcessingStep('Complete! Redirecting to assessment...');
       
-      // Store data in sessionStorage for access across components
-      sessionStorage.setItem('fileAnalysis', JSON.stringify(analysisResult));
-      sessionStorage.setItem('extractedConcepts', JSON.stringify(concepts));
-      sessionStorage.setItem('learningPathway', JSON.stringify(learningPathway));
-      
       // Navigate to question generation after brief delay
       setTimeout(() => {
         navigate('/question-generation-assessment', {
           state: {
+            documentId,
             analysisResult,
             concepts,
             learningPathway
@@ -99,19 +147,32 @@ const FileUpload = () => {
 
     } catch (error) {
       console.error('Error processing file:', error);
-      setError('Failed to process file. Please try again.');
+      setError('Failed to process files. Please try again.');
       setProcessingStep('');
+      setAnalysisProgress(null);
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const removeSelectedFile = () => {
-    setSelectedFile(null);
+  const removeSelectedFile = (fileToRemove) => {
+    setSelectedFiles(prev => prev?.filter(file => file !== fileToRemove));
+    setError('');
+    setAnalysisResult(null);
+  };
+
+  const clearSelectedFiles = () => {
+    setSelectedFiles([]);
+    setCollectionName('');
     setError('');
     setAnalysisResult(null);
   };
 
+  const getAnalysisPercent = () => {
+    const fileFraction = (analysisProgress?.completed || 0) / (analysisProgress?.total || 1);
+    const overall = ((analysisProgress?.fileIndex || 0) + fileFraction) / (analysisProgress?.fileCount || 1);
+    return Math.round(5 + 28 * overall);
+  };
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -136,7 +197,16 @@ const FileUpload = () => {
 
         {/* File Upload Area */}
         <div className="bg-card rounded-lg border-2 border-dashed border-border p-8 mb-6">
-          {!selectedFile ? (
+          <input
+            id="file-input"
+            type="file"
+            multiple
+            className="hidden"
+            accept={ACCEPTED_FILE_EXTENSIONS}
+            onChange={handleFileInputChange}
+          />
+
+          {!selectedFiles?.length ? (
             <div
               className={`text-center transition-all duration-200 ${
                 dragActive ? 'border-primary bg-primary/5' : ''
@@ -167,53 +237,77 @@ const FileUpload = () => {
                   className="mx-auto"
                 >
                   <AppIcon name="FolderOpen" size={20} className="mr-2" />
-                  Choose File
+                  Choose Files
                 </Button>
-                
-                <input
-                  id="file-input"
-                  type="file"
-                  className="hidden"
-                  accept=".txt,.md,.json,.csv,.pdf"
-                  onChange={handleFileInputChange}
-                />
               </div>
               
               <div className="mt-6 text-xs text-muted-foreground">
-                Supported formats: TXT, PDF, JSON, CSV, Markdown (Max 10MB)
+                Supported formats: PDF, Word (DOCX), PowerPoint (PPTX), EPUB, HTML, TXT, Markdown, JSON, CSV (Max 10MB each, up to {MAX_COLLECTION_FILES} files per collection)
               </div>
             </div>
           ) : (
             <div className="space-y-4">
-              {/* Selected File Info */}
-              <div className="flex items-center justify-between p-4 bg-muted rounded-lg">
-                <div className="flex items-center space-x-3">
-                  <AppIcon name="File" size={24} className="text-primary" />
-                  <div>
-                    <p className="font-medium text-foreground">{selectedFile?.name}</p>
-                    <p className="text-sm text-muted-foreground">
-                      {formatFileSize(selectedFile?.size)} • {selectedFile?.type || 'Unknown type'}
-                    </p>
+              {/* Collection Name */}
+              <Input
+                label="Course or collection name"
+                placeholder="e.g. Biology 101"
+                value={collectionName}
+                onChange={(e) => setCollectionName(e?.target?.value)}
+                disabled={isProcessing}
+              />
+
+              {/* Selected Files */}
+              <div
+                className={`space-y-2 rounded-lg transition-all duration-200 ${
+                  dragActive ? 'ring-2 ring-primary bg-primary/5' : ''
+                }`}
+                onDragEnter={handleDrag}
+                onDragLeave={handleDrag}
+                onDragOver={handleDrag}
+                onDrop={handleDrop}
+              >
+                {selectedFiles?.map((file) => (
+                  <div
+                    key={`${file?.name}-${file?.size}-${file?.lastModified}`}
+                    className="flex items-center justify-between p-4 bg-muted rounded-lg"
+                  >
+                    <div className="flex items-center space-x-3">
+                      <AppIcon name="File" size={24} className="text-primary" />
+                      <div>
+                        <p className="font-medium text-foreground">{file?.name}</p>
+                        <p className="text-sm text-muted-foreground">
+                          {formatFileSize(file?.size)} • {file?.type || 'Unknown type'}
+                        </p>
+                      </div>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => removeSelectedFile(file)}
+                      disabled={isProcessing}
+                    >
+                      <AppIcon name="X" size={16} />
+                    </Button>
                   </div>
-                </div>
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={removeSelectedFile}
-                  disabled={isProcessing}
-                >
-                  <AppIcon name="X" size={16} />
-                </Button>
+                ))}
               </div>
               
               {/* Action Buttons */}
               <div className="flex space-x-3 justify-center">
                 <Button
                   variant="outline"
-                  onClick={removeSelectedFile}
+                  onClick={() => document.getElementById('file-input')?.click()}
+                  disabled={isProcessing || selectedFiles?.length >= MAX_COLLECTION_FILES}
+                >
+                  <AppIcon name="Plus" size={16} className="mr-2" />
+                  Add Files
+                </Button>
+                <Button
+                  variant="ghost"
+                  onClick={clearSelectedFiles}
                   disabled={isProcessing}
                 >
-                  Choose Different File
+                  Clear
                 </Button>
                 <Button
                   onClick={handleFileUpload}
@@ -243,7 +337,9 @@ const FileUpload = () => {
             <div className="flex items-center space-x-3">
               <div className="animate-spin rounded-full h-5 w-5 border-2 border-primary border-t-transparent" />
               <div>
-                <h4 className="font-medium text-foreground">Processing Your File</h4>
+                <h4 className="font-medium text-foreground">
+                  {selectedFiles?.length > 1 ? `Processing ${selectedFiles.length} Files` : 'Processing Your File'}
+                </h4>
                 <p className="text-sm text-muted-foreground">{processingStep}</p>
               </div>
             </div>
@@ -252,7 +348,8 @@ const FileUpload = () => {
               <div 
                 className="h-2 bg-primary rounded-full transition-all duration-500"
                 style={{ 
-                  width: processingStep?.includes('Analyzing') ? '33%' : 
+                  width: processingStep?.includes('Analyzing')
+                    ? `${getAnalysisPercent()}%` : 
                          processingStep?.includes('Extracting') ? '66%' : 
                          processingStep?.includes('Creating') ? '90%' : '100%' 
                 }}
@@ -276,8 +373,13 @@ const FileUpload = () => {
         {analysisResult && (
           <div className="bg-card border rounded-lg p-6">
             <h3 className="text-lg font-heading font-semibold text-foreground mb-4">
-              Analysis Complete
+              Analysis Complete{analysisResult?.collection?.name ? `: ${analysisResult.collection.name}` : ''}
             </h3>
+            {analysisResult?.collection?.fileCount > 1 && (
+              <p className="text-sm text-muted-foreground mb-4">
+                {analysisResult.collection.fileCount} files merged into {analysisResult?.concepts?.length} concepts
+              </p>
+            )}
             <div className="grid md:grid-cols-2 gap-4">
               <div>
                 <h4 className="font-medium text-foreground mb-2">Subject</h4>
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+
+const DIMENSIONS = [
+  { key: 'questionType', label: 'Type' },
+  { key: 'difficulty', label: 'Difficulty' }
+];
+
+const AccuracyBreakdownChart = ({
+  byQuestionType = [],
+  byDifficulty = []
+}) => {
+  const [dimension, setDimension] = useState('questionType');
+  const data = dimension === 'questionType' ? byQuestionType : byDifficulty;
+
+  const dimensionToggle = (
+    <div className="flex items-center bg-muted rounded-lg p-0.5">
+      {DIMENSIONS?.map(option => (
+        <button
+          key={option?.key}
+          onClick={() => setDimension(option?.key)}
+          className={`px-3 py-1 rounded-md text-xs font-medium transition-colors duration-200 ${
+            dimension === option?.key ? 'bg-card text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+          }`}
+        >
+          {option?.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <ChartCard
+      title="Accuracy breakdown"
+      description="Fully correct answers and average score, partial credit included"
+      icon="BarChart3"
+      isEmpty={data?.length === 0}
+      actions={dimensionToggle}
+    >
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" vertical={false} />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+            <Tooltip
+              formatter={(value, name) => [`${value}%`, name]}
+              labelFormatter={(label) => {
+                const group = data?.find(entry => entry?.label === label);
+                return `${label} (${group?.count} answers)`;
+              }}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <Bar dataKey="accuracy" name="Correct" fill="var(--color-primary)" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="averageScore" name="Average score" fill="var(--color-accent)" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default AccuracyBreakdownChart;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import ChartCard from './ChartCard';
+
+const MODE_LABELS = {
+  standard: 'Exam',
+  practice: 'Practice',
+  adaptive: 'Adaptive'
+};
+
+const AssessmentScoreChart = ({ assessments = [] }) => {
+  return (
+    <ChartCard
+      title="Assessment scores"
+      description={`${assessments?.length} completed assessments`}
+      icon="ClipboardCheck"
+      isEmpty={assessments?.length === 0}
+      emptyMessage="Your completed assessments will appear here."
+    >
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={assessments} margin={{ top: 8, right: 8, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+            <Tooltip
+              formatter={(value) => [`${value}%`, 'Score']}
+              labelFormatter={(label, payload) => {
+                const assessment = payload?.[0]?.payload;
+                return assessment
+                  ? `${label} • ${MODE_LABELS?.[assessment?.mode] || MODE_LABELS.standard}, ${assessment?.questionCount} questions`
+                  : label;
+              }}
+            />
+            <Line type="monotone" dataKey="score" stroke="var(--color-primary)" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default AssessmentScoreChart;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { ResponsiveContainer, ComposedChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+
+const CalibrationChart = ({ points = [], brierScore = null }) => {
+  const answered = points?.reduce((sum, point) => sum + (point?.count || 0), 0);
+
+  return (
+    <ChartCard
+      title="Confidence calibration"
+      description={`How often you were right at each confidence level${
+        brierScore !== null ? ` • Brier score ${brierScore?.toFixed(2)} (lower is better)` : ''
+      }`}
+      icon="Crosshair"
+      isEmpty={answered === 0}
+    >
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={points} margin={{ top: 8, right: 8, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+            <XAxis dataKey="confidence" tick={{ fontSize: 12 }} tickFormatter={(level) => `${level}/5`} />
+            <YAxis yAxisId="score" domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+            <YAxis yAxisId="count" orientation="right" hide />
+            <Tooltip
+              labelFormatter={(level) => `Confidence ${level}/5`}
+              formatter={(value, name) => (name === 'Answers' ? [value, name] : [`${value}%`, name])}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <Bar yAxisId="count" dataKey="count" name="Answers" fill="var(--color-muted)" radius={[4, 4, 0, 0]} />
+            <Line
+              yAxisId="score"
+              type="linear"
+              dataKey="expected"
+              name="Perfect calibration"
+              stroke="var(--color-muted-foreground)"
+              strokeDasharray="4 4"
+              dot={false}
+            />
+            <Line
+              yAxisId="score"
+              type="linear"
+              dataKey="accuracy"
+              name="Your accuracy"
+              stroke="var(--color-primary)"
+              strokeWidth={2}
+              connectNulls
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default CalibrationChart;
@@ -0,0 +1,36 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+const ChartCard = ({
+  title,
+  description,
+  icon,
+  isEmpty = false,
+  emptyMessage = 'Not enough data yet.',
+  actions,
+  className = '',
+  children
+}) => {
+  return (
+    <div className={`bg-card border rounded-lg p-6 ${className}`}>
+      <div className="flex items-start justify-between mb-4">
+        <div className="flex items-start space-x-2">
+          {icon && <Icon name={icon} size={18} className="text-primary mt-0.5" />}
+          <div>
+            <h3 className="text-base font-heading font-semibold text-foreground">{title}</h3>
+            {description && <p className="text-sm text-muted-foreground">{description}</p>}
+          </div>
+        </div>
+        {actions}
+      </div>
+
+      {isEmpty ? (
+        <div className="flex items-center justify-center h-48 text-sm text-muted-foreground text-center">
+          {emptyMessage}
+        </div>
+      ) : children}
+    </div>
+  );
+};
+
+export default ChartCard;
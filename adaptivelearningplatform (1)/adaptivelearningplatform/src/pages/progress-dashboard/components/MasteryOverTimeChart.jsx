@@ -0,0 +1,66 @@
+import React from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine } from 'recharts';
+import { format, parseISO } from 'date-fns';
+import ChartCard from './ChartCard';
+
+const SERIES_COLORS = [
+  'var(--color-primary)',
+  'var(--color-secondary)',
+  'var(--color-accent)',
+  'var(--color-warning)',
+  'var(--color-error)',
+  'var(--color-success)'
+];
+
+const MasteryOverTimeChart = ({
+  rows = [],
+  series = [],
+  masteryThreshold
+}) => {
+  return (
+    <ChartCard
+      title="Mastery over time"
+      description="Probability of mastery per concept at the end of each study day"
+      icon="TrendingUp"
+      isEmpty={rows?.length === 0}
+      emptyMessage="Answer some questions to start tracking mastery."
+      className="lg:col-span-2"
+    >
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={rows} margin={{ top: 8, right: 16, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+            <XAxis
+              dataKey="date"
+              tickFormatter={(date) => format(parseISO(date), 'MMM d')}
+              tick={{ fontSize: 12 }}
+            />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+            <Tooltip
+              labelFormatter={(date) => format(parseISO(date), 'PP')}
+              formatter={(value) => `${value}%`}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {masteryThreshold && (
+              <ReferenceLine y={masteryThreshold} stroke="var(--color-muted-foreground)" strokeDasharray="4 4" />
+            )}
+            {series?.map((entry, index) => (
+              <Line
+                key={entry?.id}
+                type="monotone"
+                dataKey={entry?.id}
+                name={entry?.name}
+                stroke={SERIES_COLORS[index % SERIES_COLORS.length]}
+                strokeWidth={2}
+                dot={rows?.length < 15}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default MasteryOverTimeChart;
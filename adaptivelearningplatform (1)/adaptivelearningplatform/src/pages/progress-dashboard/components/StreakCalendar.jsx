@@ -0,0 +1,62 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import ChartCard from './ChartCard';
+
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const getIntensityClass = (count) => {
+  if (count >= 20) return 'bg-success';
+  if (count >= 10) return 'bg-success/70';
+  if (count >= 5) return 'bg-success/45';
+  if (count > 0) return 'bg-success/25';
+  return 'bg-muted';
+};
+
+const StreakCalendar = ({
+  weeks = [],
+  currentStreak = 0,
+  longestStreak = 0,
+  activeDays = 0
+}) => {
+  return (
+    <ChartCard
+      title="Study streak"
+      description={`${activeDays} active days • longest streak ${longestStreak} days`}
+      icon="Flame"
+      actions={
+        <div className="text-right">
+          <div className="text-2xl font-bold text-foreground font-data">{currentStreak}</div>
+          <div className="text-xs text-muted-foreground">day streak</div>
+        </div>
+      }
+    >
+      <div className="flex space-x-1 overflow-x-auto">
+        <div className="flex flex-col space-y-1 mr-1">
+          {WEEKDAY_LABELS?.map((label, index) => (
+            <div key={index} className="w-3 h-3 text-[9px] leading-3 text-muted-foreground">{label}</div>
+          ))}
+        </div>
+        {weeks?.map((week, weekIndex) => (
+          <div key={weekIndex} className="flex flex-col space-y-1">
+            {week?.map(day => (
+              <div
+                key={day?.date}
+                className={`w-3 h-3 rounded-sm ${day?.isFuture ? 'bg-transparent' : getIntensityClass(day?.count)}`}
+                title={day?.isFuture ? undefined : `${format(parseISO(day?.date), 'PP')}: ${day?.count} answers`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-end space-x-1 mt-3 text-xs text-muted-foreground">
+        <span>Less</span>
+        {[0, 1, 5, 10, 20]?.map(count => (
+          <div key={count} className={`w-3 h-3 rounded-sm ${getIntensityClass(count)}`} />
+        ))}
+        <span>More</span>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default StreakCalendar;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import ChartCard from './ChartCard';
+
+const TimeOnTaskChart = ({ days = [] }) => {
+  const totalMinutes = days?.reduce((sum, day) => sum + (day?.minutes || 0), 0);
+
+  return (
+    <ChartCard
+      title="Time on task"
+      description={`${totalMinutes} minutes in assessments over the last ${days?.length} days`}
+      icon="Clock"
+      isEmpty={totalMinutes === 0}
+      emptyMessage="Complete an assessment to see your study time."
+    >
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={days} margin={{ top: 8, right: 8, bottom: 0, left: -16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" vertical={false} />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} interval="preserveStartEnd" />
+            <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+            <Tooltip formatter={(value) => [`${value} min`, 'Time']} />
+            <Bar dataKey="minutes" fill="var(--color-secondary)" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </ChartCard>
+  );
+};
+
+export default TimeOnTaskChart;
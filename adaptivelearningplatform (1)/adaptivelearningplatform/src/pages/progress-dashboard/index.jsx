@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import MasteryOverTimeChart from './components/MasteryOverTimeChart';
+import AccuracyBreakdownChart from './components/AccuracyBreakdownChart';
+import CalibrationChart from './components/CalibrationChart';
+import TimeOnTaskChart from './components/TimeOnTaskChart';
+import StreakCalendar from './components/StreakCalendar';
+import AssessmentScoreChart from './components/AssessmentScoreChart';
+
+// Import services
+import learnerProgressService from '../../services/learnerProgressService';
+import progressAnalyticsService from '../../services/progressAnalyticsService';
+import pathwayService from '../../services/pathwayService';
+import calibrationService from '../../services/calibrationService';
+
+const ProgressDashboard = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [course, setCourse] = useState(null);
+  const [progressData, setProgressData] = useState({ attempts: [], masteryRecords: [], sessions: [] });
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Load the course from navigation state or the one the learner last worked on
+  useEffect(() => {
+    const loadDashboard = async () => {
+      try {
+        const savedCourse = location.state?.documentId
+          ? await learnerProgressService?.loadCourse(location.state.documentId)
+          : await learnerProgressService?.loadActiveCourse();
+
+        if (!savedCourse?.document?.id) {
+          navigate('/file-upload');
+          return;
+        }
+
+        setCourse(savedCourse);
+        setProgressData(await learnerProgressService?.getProgressData(savedCourse.document.id));
+      } catch (error) {
+        console.error('Error loading progress dashboard:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadDashboard();
+  }, [location.state, navigate]);
+
+  const analytics = useMemo(() => {
+    const { attempts, masteryRecords, sessions } = progressData;
+    const completedSessions = sessions?.filter(session => session?.status === 'completed');
+    // Unanswered questions are stored as attempts but say nothing about accuracy or confidence
+    const answeredAttempts = attempts?.filter(attempt => attempt?.answered !== false);
+
+    return {
+      mastery: progressAnalyticsService?.getMasteryOverTime(masteryRecords, course?.concepts),
+      byQuestionType: progressAnalyticsService?.getAccuracyBreakdown(answeredAttempts, 'questionType'),
+      byDifficulty: progressAnalyticsService?.getAccuracyBreakdown(answeredAttempts, 'difficulty'),
+      calibration: progressAnalyticsService?.getCalibration(answeredAttempts),
+      brierScore: calibrationService?.getBrierScore(answeredAttempts),
+      timeOnTask: progressAnalyticsService?.getTimeOnTask(sessions),
+      streak: progressAnalyticsService?.getStreakCalendar(attempts),
+      assessments: progressAnalyticsService?.getAssessmentHistory(completedSessions)
+    };
+  }, [progressData, course]);
+
+  const masteryThreshold = pathwayService?.getMasteryThreshold(course?.learningPathway);
+  const pathwayProgress = pathwayService?.getProgress(
+    pathwayService?.resolvePathway(course?.learningPathway, course?.concepts)
+  );
+  const attempts = progressData?.attempts;
+  const averageScore = attempts?.length
+    ? Math.round(attempts.reduce((sum, attempt) => sum + (attempt?.score ?? (attempt?.isCorrect ? 100 : 0)), 0) / attempts.length)
+    : 0;
+
+  const summaryStats = [
+    { label: 'Concepts mastered', value: `${pathwayProgress?.mastered}/${pathwayProgress?.total}`, icon: 'Target' },
+    { label: 'Questions answered', value: attempts?.length, icon: 'ListChecks' },
+    { label: 'Average score', value: `${averageScore}%`, icon: 'Percent' },
+    { label: 'Current streak', value: `${analytics?.streak?.currentStreak} days`, icon: 'Flame' }
+  ];
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-background">
+        <Header />
+        <div className="flex items-center justify-center h-96">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-heading font-semibold text-foreground">Your progress</h1>
+            <p className="text-muted-foreground">{course?.document?.name}</p>
+          </div>
+          <div className="flex gap-3">
+            <Button variant="outline" iconName="Repeat" onClick={() => navigate('/review', { state: { documentId: course?.document?.id } })}>
+              Review
+            </Button>
+            <Button iconName="BookOpen" onClick={() => navigate('/question-generation-assessment')}>
+              Continue learning
+            </Button>
+          </div>
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {summaryStats?.map(stat => (
+            <div key={stat?.label} className="bg-card border rounded-lg p-4 flex items-center space-x-3">
+              <div className="p-2 rounded-lg bg-primary/10">
+                <Icon name={stat?.icon} size={18} className="text-primary" />
+              </div>
+              <div>
+                <div className="text-lg font-bold text-foreground font-data">{stat?.value}</div>
+                <div className="text-xs text-muted-foreground">{stat?.label}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Charts */}
+        <div className="grid gap-6 lg:grid-cols-2">
+          <MasteryOverTimeChart
+            rows={analytics?.mastery?.rows}
+            series={analytics?.mastery?.series}
+            masteryThreshold={masteryThreshold}
+          />
+          <AccuracyBreakdownChart
+            byQuestionType={analytics?.byQuestionType}
+            byDifficulty={analytics?.byDifficulty}
+          />
+          <CalibrationChart points={analytics?.calibration} brierScore={analytics?.brierScore} />
+          <AssessmentScoreChart assessments={analytics?.assessments} />
+          <TimeOnTaskChart days={analytics?.timeOnTask} />
+          <StreakCalendar
+            weeks={analytics?.streak?.weeks}
+            currentStreak={analytics?.streak?.currentStreak}
+            longestStreak={analytics?.streak?.longestStreak}
+            activeDays={analytics?.streak?.activeDays}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressDashboard;
@@ -0,0 +1,83 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import SourceReference from '../../../components/SourceReference';
+import questionScoringService, { QUESTION_TYPE_LABELS } from '../../../services/questionScoringService';
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending review', className: 'bg-warning/10 text-warning', icon: 'Clock' },
+  approved: { label: 'Approved', className: 'bg-success/10 text-success', icon: 'CheckCircle2' },
+  rejected: { label: 'Rejected', className: 'bg-error/10 text-error', icon: 'XCircle' }
+};
+
+const BankQuestionItem = ({
+  question,
+  status = 'pending',
+  isBusy = false,
+  onStatusChange,
+  onEdit,
+  onRegenerate
+}) => {
+  const statusStyle = STATUS_STYLES?.[status] || STATUS_STYLES.pending;
+
+  return (
+    <div className={`bg-card border rounded-lg p-4 ${status === 'rejected' ? 'opacity-70' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className={`inline-flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-medium ${statusStyle.className}`}>
+          <Icon name={statusStyle.icon} size={12} />
+          <span>{statusStyle.label}</span>
+        </span>
+        <span className="text-xs text-muted-foreground">
+          {QUESTION_TYPE_LABELS?.[question?.type] || question?.type}
+          {question?.difficulty && ` • ${question.difficulty}`}
+        </span>
+        {question?.editedAt && (
+          <span className="text-xs text-muted-foreground">• edited</span>
+        )}
+        {question?.tags?.map(tag => (
+          <span key={tag} className="inline-flex items-center space-x-1 px-2 py-0.5 rounded-full bg-muted text-xs text-foreground">
+            <Icon name="Tag" size={10} />
+            <span>{tag}</span>
+          </span>
+        ))}
+      </div>
+
+      <p className="text-sm font-medium text-foreground mb-1">
+        {question?.question || question?.clozeText}
+      </p>
+      <p className="text-sm text-muted-foreground mb-3">
+        <span className="text-foreground">Answer:</span> {questionScoringService?.formatCorrectAnswer(question) || '—'}
+      </p>
+
+      <SourceReference sources={question?.sources} className="mb-3" />
+
+      <div className="flex flex-wrap items-center justify-end gap-2">
+        {status !== 'approved' && (
+          <Button variant="outline" size="sm" iconName="ThumbsUp" disabled={isBusy} onClick={() => onStatusChange?.('approved')}>
+            Approve
+          </Button>
+        )}
+        {status !== 'rejected' && (
+          <Button variant="ghost" size="sm" iconName="ThumbsDown" disabled={isBusy} onClick={() => onStatusChange?.('rejected')}>
+            Reject
+          </Button>
+        )}
+        {status === 'rejected' && !question?.replacedBy && (
+          <Button variant="ghost" size="sm" iconName="Undo2" disabled={isBusy} onClick={() => onStatusChange?.('pending')}>
+            Restore
+          </Button>
+        )}
+        <Button variant="ghost" size="sm" iconName="Pencil" disabled={isBusy} onClick={onEdit}>
+          Edit
+        </Button>
+        {!question?.replacedBy && (
+          <Button variant="ghost" size="sm" iconName="RefreshCw" loading={isBusy} disabled={isBusy} onClick={onRegenerate}>
+            Regenerate
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BankQuestionItem;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+
+const ExamSettingsPanel = ({
+  settings,
+  isSaving = false,
+  onSave,
+  onClose
+}) => {
+  const [totalMinutes, setTotalMinutes] = useState(
+    settings?.totalTimeLimit ? String(Math.round(settings.totalTimeLimit / 60)) : ''
+  );
+  const [questionSeconds, setQuestionSeconds] = useState(
+    settings?.questionTimeLimit ? String(settings.questionTimeLimit) : ''
+  );
+
+  const handleSave = () => {
+    onSave?.({
+      totalTimeLimit: totalMinutes ? Number(totalMinutes) * 60 : null,
+      questionTimeLimit: questionSeconds ? Number(questionSeconds) : null
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-lg max-w-md w-full p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Icon name="Timer" size={20} className="text-primary" />
+            <h3 className="text-lg font-heading font-semibold text-foreground">
+              Exam time limits
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className="p-1 rounded-lg hover:bg-muted transition-colors duration-200"
+          >
+            <Icon name="X" size={16} className="text-muted-foreground" />
+          </button>
+        </div>
+
+        <p className="text-sm text-muted-foreground mb-4">
+          Set limits for exams on this course. When time runs out on a question it locks and the exam moves on;
+          when the total runs out the exam is submitted as it stands. Leave a field empty for no limit.
+        </p>
+
+        <div className="space-y-4">
+          <Input
+            type="number"
+            min="1"
+            label="Total time (minutes)"
+            placeholder="No limit"
+            value={totalMinutes}
+            onChange={(e) => setTotalMinutes(e?.target?.value)}
+            disabled={isSaving}
+          />
+          <Input
+            type="number"
+            min="5"
+            label="Time per question (seconds)"
+            placeholder="No limit"
+            value={questionSeconds}
+            onChange={(e) => setQuestionSeconds(e?.target?.value)}
+            disabled={isSaving}
+          />
+        </div>
+
+        <p className="text-xs text-muted-foreground mt-4">
+          Limits apply to exams started after you save; an exam in progress keeps the limits it started with.
+          Practice and adaptive tests stay untimed.
+        </p>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button iconName="Check" loading={isSaving} onClick={handleSave}>
+            Save limits
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExamSettingsPanel;
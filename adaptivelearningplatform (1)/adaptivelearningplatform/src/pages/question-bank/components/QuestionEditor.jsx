@@ -0,0 +1,371 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { CLOZE_BLANK, QUESTION_TYPE_LABELS, parseNumber } from '../../../services/questionScoringService';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const textareaClassName = 'w-full p-3 border border-border rounded-lg bg-background text-sm focus:border-primary focus:ring-2 focus:ring-primary/20 resize-y transition-colors duration-200';
+
+const countBlanks = (clozeText) => (clozeText || '').split(CLOZE_BLANK).length - 1;
+
+// Returns the first problem that would make the edited question unanswerable or unscorable
+const getValidationError = (draft) => {
+  if (!draft?.question?.trim() && draft?.type !== 'cloze') return 'The question needs some text.';
+
+  switch (draft?.type) {
+    case 'multiple_choice':
+      return draft?.options?.some(option => option?.id === draft?.correctAnswer) ? null : 'Mark the correct option.';
+    case 'multi_select':
+      return draft?.correctOptionIds?.length ? null : 'Mark at least one correct option.';
+    case 'cloze':
+      return countBlanks(draft?.clozeText) > 0 && draft?.blanks?.every(blank => blank?.acceptedAnswers?.length)
+        ? null
+        : `Write each blank as ${CLOZE_BLANK} and give accepted answers for every blank.`;
+    case 'numeric':
+      return parseNumber(draft?.numericAnswer) !== null ? null : 'The answer must be a number.';
+    default:
+      return draft?.type === 'short_answer' && !draft?.correctAnswer?.trim() ? 'Give the expected answer.' : null;
+  }
+};
+
+const QuestionEditor = ({
+  question,
+  isSaving = false,
+  onSave,
+  onClose
+}) => {
+  const [draft, setDraft] = useState({
+    ...question,
+    options: question?.options?.map(option => ({ ...option })),
+    sequence: question?.sequence?.map(item => ({ ...item })),
+    pairs: question?.pairs?.map(pair => ({ ...pair })),
+    blanks: question?.blanks?.map(blank => ({ ...blank }))
+  });
+  const [tagText, setTagText] = useState((question?.tags || []).join(', '));
+  const [showValidation, setShowValidation] = useState(false);
+  const validationError = getValidationError(draft);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateListItem = (listKey, index, changes) => setDraft(prev => ({
+    ...prev,
+    [listKey]: prev?.[listKey]?.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item))
+  }));
+
+  // Keeps one blanks entry per blank marker in the cloze text
+  const handleClozeTextChange = (clozeText) => {
+    const blankCount = countBlanks(clozeText);
+    setDraft(prev => ({
+      ...prev,
+      clozeText,
+      blanks: Array.from({ length: blankCount }, (_, index) => prev?.blanks?.[index] || { id: `b${index + 1}`, acceptedAnswers: [] })
+    }));
+  };
+
+  const toggleCorrectOption = (optionId) => setDraft(prev => ({
+    ...prev,
+    correctOptionIds: prev?.correctOptionIds?.includes(optionId)
+      ? prev.correctOptionIds.filter(id => id !== optionId)
+      : [...(prev?.correctOptionIds || []), optionId]
+  }));
+
+  const handleSave = () => {
+    if (validationError) {
+      setShowValidation(true);
+      return;
+    }
+
+    onSave?.({
+      ...draft,
+      tags: [...new Set(tagText.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))],
+      numericAnswer: draft?.type === 'numeric' ? parseNumber(draft?.numericAnswer) : draft?.numericAnswer,
+      tolerance: draft?.type === 'numeric' ? Math.abs(parseNumber(draft?.tolerance) || 0) : draft?.tolerance
+    });
+  };
+
+  const renderAnswerFields = () => {
+    switch (draft?.type) {
+      case 'multiple_choice':
+      case 'multi_select':
+        return (
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">
+              Options <span className="text-muted-foreground font-normal">(tick the correct {draft?.type === 'multi_select' ? 'ones' : 'one'})</span>
+            </div>
+            {draft?.options?.map((option, index) => (
+              <div key={option?.id} className="flex items-center gap-3">
+                <input
+                  type={draft?.type === 'multi_select' ? 'checkbox' : 'radio'}
+                  name="correct-option"
+                  checked={draft?.type === 'multi_select'
+                    ? !!draft?.correctOptionIds?.includes(option?.id)
+                    : draft?.correctAnswer === option?.id}
+                  onChange={() => (draft?.type === 'multi_select'
+                    ? toggleCorrectOption(option?.id)
+                    : updateDraft({ correctAnswer: option?.id }))}
+                  disabled={isSaving}
+                  className="w-4 h-4 text-primary"
+                />
+                <div className="flex-1">
+                  <Input
+                    value={option?.text || ''}
+                    onChange={(e) => updateListItem('options', index, { text: e?.target?.value })}
+                    disabled={isSaving}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        );
+
+      case 'true_false':
+        return (
+          <div className="flex items-center gap-6">
+            <span className="text-sm font-medium text-foreground">Correct answer</span>
+            {['true', 'false']?.map(value => (
+              <label key={value} className="flex items-center gap-2 text-sm text-foreground capitalize">
+                <input
+                  type="radio"
+                  name="true-false"
+                  checked={draft?.correctAnswer === value}
+                  onChange={() => updateDraft({ correctAnswer: value })}
+                  disabled={isSaving}
+                  className="w-4 h-4 text-primary"
+                />
+                <span>{value}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'ordering':
+        return (
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">
+              Steps <span className="text-muted-foreground font-normal">(in the correct order)</span>
+            </div>
+            {draft?.sequence?.map((item, index) => (
+              <div key={item?.id} className="flex items-center gap-3">
+                <span className="w-6 text-sm text-muted-foreground text-right">{index + 1}.</span>
+                <div className="flex-1">
+                  <Input
+                    value={item?.text || ''}
+                    onChange={(e) => updateListItem('sequence', index, { text: e?.target?.value })}
+                    disabled={isSaving}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        );
+
+      case 'matching':
+        return (
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-foreground">Pairs</div>
+            {draft?.pairs?.map((pair, index) => (
+              <div key={pair?.id} className="grid grid-cols-2 gap-3">
+                <Input
+                  value={pair?.term || ''}
+                  onChange={(e) => updateListItem('pairs', index, { term: e?.target?.value })}
+                  disabled={isSaving}
+                />
+                <Input
+                  value={pair?.match || ''}
+                  onChange={(e) => updateListItem('pairs', index, { match: e?.target?.value })}
+                  disabled={isSaving}
+                />
+              </div>
+            ))}
+          </div>
+        );
+
+      case 'cloze':
+        return (
+          <div className="space-y-3">
+            <div>
+              <div className="text-sm font-medium text-foreground mb-1">
+                Text <span className="text-muted-foreground font-normal">(write each blank as {CLOZE_BLANK})</span>
+              </div>
+              <textarea
+                value={draft?.clozeText || ''}
+                onChange={(e) => handleClozeTextChange(e?.target?.value)}
+                disabled={isSaving}
+                rows={3}
+                className={textareaClassName}
+              />
+            </div>
+            {draft?.blanks?.map((blank, index) => (
+              <Input
+                key={blank?.id || index}
+                label={`Accepted answers for blank ${index + 1} (comma-separated)`}
+                value={blank?.acceptedAnswers?.join(', ') || ''}
+                onChange={(e) => updateListItem('blanks', index, {
+                  acceptedAnswers: e?.target?.value?.split(',')?.map(answer => answer.trim())?.filter(Boolean)
+                })}
+                disabled={isSaving}
+              />
+            ))}
+          </div>
+        );
+
+      case 'numeric':
+        return (
+          <div className="grid grid-cols-3 gap-3">
+            <Input
+              label="Answer"
+              value={draft?.numericAnswer ?? ''}
+              onChange={(e) => updateDraft({ numericAnswer: e?.target?.value })}
+              disabled={isSaving}
+            />
+            <Input
+              label="Tolerance (±)"
+              value={draft?.tolerance ?? ''}
+              onChange={(e) => updateDraft({ tolerance: e?.target?.value })}
+              disabled={isSaving}
+            />
+            <Input
+              label="Unit"
+              value={draft?.unit || ''}
+              onChange={(e) => updateDraft({ unit: e?.target?.value })}
+              disabled={isSaving}
+            />
+          </div>
+        );
+
+      default:
+        return (
+          <div className="space-y-3">
+            <div>
+              <div className="text-sm font-medium text-foreground mb-1">Expected answer</div>
+              <textarea
+                value={draft?.correctAnswer || ''}
+                onChange={(e) => updateDraft({ correctAnswer: e?.target?.value })}
+                disabled={isSaving}
+                rows={2}
+                className={textareaClassName}
+              />
+            </div>
+            <div>
+              <div className="text-sm font-medium text-foreground mb-1">
+                Other acceptable answers <span className="text-muted-foreground font-normal">(one per line)</span>
+              </div>
+              <textarea
+                value={draft?.sampleAnswers?.join('\n') || ''}
+                onChange={(e) => updateDraft({ sampleAnswers: e?.target?.value?.split('\n')?.filter(answer => answer.trim()) })}
+                disabled={isSaving}
+                rows={3}
+                className={textareaClassName}
+              />
+            </div>
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Icon name="Pencil" size={20} className="text-primary" />
+            <h3 className="text-lg font-heading font-semibold text-foreground">
+              Edit {QUESTION_TYPE_LABELS?.[draft?.type]?.toLowerCase() || 'question'}
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className="p-1 rounded-lg hover:bg-muted transition-colors duration-200"
+          >
+            <Icon name="X" size={16} className="text-muted-foreground" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <div className="text-sm font-medium text-foreground mb-1">Question</div>
+            <textarea
+              value={draft?.question || ''}
+              onChange={(e) => updateDraft({ question: e?.target?.value })}
+              disabled={isSaving}
+              rows={2}
+              className={textareaClassName}
+            />
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-foreground mb-1">Context</div>
+            <textarea
+              value={draft?.context || ''}
+              onChange={(e) => updateDraft({ context: e?.target?.value })}
+              placeholder="Optional"
+              disabled={isSaving}
+              rows={2}
+              className={textareaClassName}
+            />
+          </div>
+
+          {renderAnswerFields()}
+
+          <div>
+            <div className="text-sm font-medium text-foreground mb-1">Explanation</div>
+            <textarea
+              value={draft?.explanation || ''}
+              onChange={(e) => updateDraft({ explanation: e?.target?.value })}
+              disabled={isSaving}
+              rows={3}
+              className={textareaClassName}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <div className="text-sm font-medium text-foreground mb-1">Difficulty</div>
+              <select
+                value={draft?.difficulty?.toLowerCase() || ''}
+                onChange={(e) => updateDraft({ difficulty: e?.target?.value })}
+                disabled={isSaving}
+                className="w-full h-10 px-3 border border-border rounded-md bg-background text-sm capitalize"
+              >
+                {!DIFFICULTIES.includes(draft?.difficulty?.toLowerCase()) && (
+                  <option value={draft?.difficulty?.toLowerCase() || ''}>{draft?.difficulty || 'Not set'}</option>
+                )}
+                {DIFFICULTIES.map(difficulty => (
+                  <option key={difficulty} value={difficulty}>{difficulty}</option>
+                ))}
+              </select>
+            </div>
+            <Input
+              label="Tags (comma-separated)"
+              placeholder="e.g. unit 2, exam"
+              value={tagText}
+              onChange={(e) => setTagText(e?.target?.value)}
+              disabled={isSaving}
+            />
+          </div>
+        </div>
+
+        {showValidation && validationError && (
+          <div className="flex items-center space-x-2 p-3 mt-4 bg-warning/10 border border-warning/20 rounded-lg">
+            <Icon name="AlertTriangle" size={16} className="text-warning" />
+            <span className="text-sm text-warning">{validationError}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button iconName="Check" loading={isSaving} onClick={handleSave}>
+            Save question
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionEditor;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import { Checkbox } from '../../components/ui/Checkbox';
+import Icon from '../../components/AppIcon';
+import QuestionExport from '../../components/QuestionExport';
+import BankQuestionItem from './components/BankQuestionItem';
+import QuestionEditor from './components/QuestionEditor';
+import ExamSettingsPanel from './components/ExamSettingsPanel';
+
+// Import services
+import learnerProgressService from '../../services/learnerProgressService';
+import questionBankService, { DEFAULT_BANK_SETTINGS, QUESTION_STATUSES } from '../../services/questionBankService';
+import examTimingService, { DEFAULT_EXAM_SETTINGS } from '../../services/examTimingService';
+
+const STATUS_LABELS = { pending: 'Pending review', approved: 'Approved', rejected: 'Rejected' };
+
+const selectClassName = 'h-10 px-3 border border-border rounded-md bg-background text-sm text-foreground';
+
+const QuestionBank = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [course, setCourse] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_BANK_SETTINGS);
+  const [examSettings, setExamSettings] = useState(DEFAULT_EXAM_SETTINGS);
+  const [showExamSettings, setShowExamSettings] = useState(false);
+  const [filters, setFilters] = useState({ conceptId: '', status: '', tag: '' });
+  const [editingQuestion, setEditingQuestion] = useState(null);
+  const [busyIds, setBusyIds] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const documentId = course?.document?.id;
+
+  // Load the course from navigation state or the one last worked on
+  useEffect(() => {
+    const loadBank = async () => {
+      try {
+        const savedCourse = location.state?.documentId
+          ? await learnerProgressService?.loadCourse(location.state.documentId)
+          : await learnerProgressService?.loadActiveCourse();
+
+        if (!savedCourse?.document?.id) {
+          navigate('/file-upload');
+          return;
+        }
+
+        const [bankQuestions, bankSettings, courseExamSettings] = await Promise.all([
+          questionBankService?.getQuestions(savedCourse.document.id),
+          questionBankService?.getSettings(savedCourse.document.id),
+          learnerProgressService?.getExamSettings(savedCourse.document.id)
+        ]);
+
+        setCourse(savedCourse);
+        setQuestions(bankQuestions || []);
+        setSettings(bankSettings);
+        setExamSettings(courseExamSettings);
+      } catch (loadError) {
+        console.error('Error loading question bank:', loadError);
+        setError('The question bank could not be loaded.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadBank();
+  }, [location.state, navigate]);
+
+  // Runs a bank change, marking the question or concept it affects as busy until it finishes
+  const runAction = async (busyId, action) => {
+    setBusyIds(prev => [...prev, busyId]);
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      console.error('Error updating question bank:', actionError);
+      setError(actionError?.message || 'The change could not be saved.');
+    } finally {
+      setBusyIds(prev => prev.filter(id => id !== busyId));
+    }
+  };
+
+  const replaceQuestion = (updated) => {
+    setQuestions(prev => prev.map(question => (question?.id === updated?.id ? updated : question)));
+  };
+
+  const getConcept = (question) => course?.concepts?.find(concept => concept?.id === question?.conceptId)
+    || { id: question?.conceptId, name: question?.conceptName };
+
+  const handleStatusChange = (question, status) => runAction(question?.id, async () => {
+    replaceQuestion(await questionBankService?.setStatus(documentId, question, status));
+  });
+
+  const handleRegenerate = (question) => runAction(question?.id, async () => {
+    const { replacement, original } = await questionBankService?.regenerateQuestion(documentId, question, getConcept(question));
+    setQuestions(prev => [...prev.map(item => (item?.id === original?.id ? original : item)), replacement]);
+  });
+
+  const handleGenerateMore = (concept) => runAction(concept?.id, async () => {
+    const added = await questionBankService?.generateForConcept(documentId, concept);
+    if (!added?.length) {
+      throw new Error('No new questions passed the quality checks. Try again.');
+    }
+    setQuestions(prev => [...prev, ...added]);
+  });
+
+  const handleSaveEdit = (question) => runAction(question?.id, async () => {
+    replaceQuestion(await questionBankService?.updateQuestion(documentId, question));
+    setEditingQuestion(null);
+  });
+
+  const handleUseOnlyApprovedChange = (useOnlyApproved) => runAction('settings', async () => {
+    setSettings(await questionBankService?.setSettings(documentId, { ...settings, useOnlyApproved }));
+  });
+
+  // Exam limits are set here rather than during an exam, so a running exam keeps the limits it started with
+  const handleExamSettingsSave = (nextSettings) => runAction('examSettings', async () => {
+    setExamSettings(await learnerProgressService?.setExamSettings(documentId, nextSettings));
+    setShowExamSettings(false);
+  });
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const statusCounts = useMemo(() => Object.fromEntries(QUESTION_STATUSES.map(status => [
+    status,
+    questions?.filter(question => questionBankService?.getStatus(question) === status)?.length
+  ])), [questions]);
+
+  const tags = useMemo(() => questionBankService?.getTags(questions), [questions]);
+
+  // Questions grouped by concept in pathway order, after filtering; every concept is listed so it can be generated for
+  const conceptGroups = useMemo(() => {
+    const conceptList = [
+      ...(course?.concepts || []),
+      ...questions
+        ?.filter(question => !course?.concepts?.some(concept => concept?.id === question?.conceptId))
+        ?.map(question => ({ id: question?.conceptId, name: question?.conceptName }))
+    ]?.filter((concept, index, all) => all.findIndex(other => other?.id === concept?.id) === index);
+
+    return conceptList
+      ?.filter(concept => !filters.conceptId || concept?.id === filters.conceptId)
+      ?.map(concept => ({
+        concept,
+        questions: questions?.filter(question => question?.conceptId === concept?.id
+          && (!filters.status || questionBankService?.getStatus(question) === filters.status)
+          && (!filters.tag || question?.tags?.includes(filters.tag)))
+      }));
+  }, [course, questions, filters]);
+
+  // What the filters show, leaving out rejected questions unless those are what is being looked at
+  const exportableQuestions = useMemo(() => conceptGroups
+    ?.flatMap(group => group?.questions || [])
+    ?.filter(question => filters.status === 'rejected' || questionBankService?.getStatus(question) !== 'rejected'),
+  [conceptGroups, filters.status]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-background">
+        <Header />
+        <div className="flex items-center justify-center h-96">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <div className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-heading font-semibold text-foreground">Question bank</h1>
+            <p className="text-muted-foreground">{course?.document?.name}</p>
+          </div>
+          <Button iconName="BookOpen" onClick={() => navigate('/question-generation-assessment', { state: { documentId } })}>
+            Start assessment
+          </Button>
+        </div>
+
+        {/* Review status */}
+        <div className="grid grid-cols-3 gap-4">
+          {QUESTION_STATUSES.map(status => (
+            <button
+              key={status}
+              onClick={() => updateFilter('status', filters.status === status ? '' : status)}
+              className={`bg-card border rounded-lg p-4 text-left transition-colors duration-200 ${
+                filters.status === status ? 'border-primary' : 'hover:border-primary/50'
+              }`}
+            >
+              <div className="text-lg font-bold text-foreground font-data">{statusCounts?.[status] || 0}</div>
+              <div className="text-xs text-muted-foreground">{STATUS_LABELS?.[status]}</div>
+            </button>
+          ))}
+        </div>
+
+        {/* Settings */}
+        <div className="bg-card border rounded-lg p-4">
+          <Checkbox
+            checked={!!settings?.useOnlyApproved}
+            onChange={(e) => handleUseOnlyApprovedChange(e?.target?.checked)}
+            disabled={busyIds.includes('settings')}
+            label="Use only approved questions"
+            description="Assessments and adaptive tests ask only questions approved here, and no new questions are generated during a test."
+          />
+          <div className="flex items-center justify-between gap-4 mt-4 pt-4 border-t">
+            <div>
+              <div className="text-sm font-medium text-foreground">Exam time limits</div>
+              <div className="text-xs text-muted-foreground">
+                {examTimingService?.describe(examSettings) || 'No limits'}
+              </div>
+            </div>
+            <Button variant="outline" size="sm" iconName="Timer" onClick={() => setShowExamSettings(true)}>
+              Set limits
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={filters.conceptId}
+            onChange={(e) => updateFilter('conceptId', e?.target?.value)}
+            className={selectClassName}
+          >
+            <option value="">All concepts</option>
+            {course?.concepts?.map(concept => (
+              <option key={concept?.id} value={concept?.id}>{concept?.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e?.target?.value)}
+            className={selectClassName}
+          >
+            <option value="">Any status</option>
+            {QUESTION_STATUSES.map(status => (
+              <option key={status} value={status}>{STATUS_LABELS?.[status]}</option>
+            ))}
+          </select>
+          {tags?.length > 0 && (
+            <select
+              value={filters.tag}
+              onChange={(e) => updateFilter('tag', e?.target?.value)}
+              className={selectClassName}
+            >
+              <option value="">Any tag</option>
+              {tags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <QuestionExport questions={exportableQuestions} title={course?.document?.name} />
+
+        {error && (
+          <div className="flex items-center space-x-2 p-3 bg-error/10 border border-error/20 rounded-lg">
+            <Icon name="AlertCircle" size={16} className="text-error" />
+            <span className="text-sm text-error">{error}</span>
+          </div>
+        )}
+
+        {/* Questions by concept */}
+        {conceptGroups?.map(({ concept, questions: conceptQuestions }) => (
+          <section key={concept?.id} className="space-y-3">
+            <div className="flex items-center justify-between gap-3">
+              <h2 className="font-heading font-semibold text-foreground">
+                {concept?.name}
+                <span className="ml-2 text-sm font-normal text-muted-foreground">{conceptQuestions?.length}</span>
+              </h2>
+              <Button
+                variant="outline"
+                size="sm"
+                iconName="Sparkles"
+                loading={busyIds.includes(concept?.id)}
+                onClick={() => handleGenerateMore(concept)}
+              >
+                Generate more
+              </Button>
+            </div>
+
+            {conceptQuestions?.length > 0 ? (
+              conceptQuestions.map(question => (
+                <BankQuestionItem
+                  key={question?.id}
+                  question={question}
+                  status={questionBankService?.getStatus(question)}
+                  isBusy={busyIds.includes(question?.id)}
+                  onStatusChange={(status) => handleStatusChange(question, status)}
+                  onEdit={() => setEditingQuestion(question)}
+                  onRegenerate={() => handleRegenerate(question)}
+                />
+              ))
+            ) : (
+              <p className="text-sm text-muted-foreground bg-muted/30 rounded-lg p-4">
+                No questions match these filters.
+              </p>
+            )}
+          </section>
+        ))}
+      </div>
+
+      {editingQuestion && (
+        <QuestionEditor
+          question={editingQuestion}
+          isSaving={busyIds.includes(editingQuestion?.id)}
+          onSave={handleSaveEdit}
+          onClose={() => setEditingQuestion(null)}
+        />
+      )}
+
+      {showExamSettings && (
+        <ExamSettingsPanel
+          settings={examSettings}
+          isSaving={busyIds.includes('examSettings')}
+          onSave={handleExamSettingsSave}
+          onClose={() => setShowExamSettings(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QuestionBank;
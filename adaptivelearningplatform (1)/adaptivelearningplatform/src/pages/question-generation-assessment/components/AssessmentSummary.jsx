@@ -2,12 +2,30 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import QuestionExport from '../../../components/QuestionExport';
+
+const STOP_REASONS = {
+  precision: 'Stopped once your level was estimated precisely enough',
+  max_items: 'Stopped at the maximum number of questions',
+  pool_exhausted: 'Stopped after every available question was used'
+};
+
+const CALIBRATION_LABELS = {
+  overconfident: { label: 'Overconfident', icon: 'ArrowUpRight', color: 'text-error', bgColor: 'bg-error/10' },
+  underconfident: { label: 'Underconfident', icon: 'ArrowDownRight', color: 'text-warning', bgColor: 'bg-warning/10' },
+  calibrated: { label: 'Well calibrated', icon: 'Check', color: 'text-success', bgColor: 'bg-success/10' }
+};
+
+// Multiple choice answers are stored as option ids
+const getAnswerText = (result, answer) =>
+  result?.options?.find(option => option?.id === answer)?.text || answer;
 
 const AssessmentSummary = ({ 
   results,
   onRetakeAssessment,
   onContinueToExplanations,
-  sessionData
+  sessionData,
+  questions = []
 }) => {
   const {
     totalQuestions = 0,
@@ -17,9 +35,19 @@ const AssessmentSummary = ({
     timeSpent = '0:00',
     weakAreas = [],
     strongAreas = [],
-    overallScore = 0
+    overallScore = 0,
+    partialCredit = 0,
+    hintsUsed = 0,
+    retriedQuestions = 0,
+    mode = 'standard',
+    timing = null,
+    questionResults = [],
+    adaptive = null,
+    calibration = null
   } = results || {};
 
+  const writtenResults = questionResults?.filter(result => result?.gradedBy && result?.gradedBy !== 'exact');
+
   const getScoreColor = (score) => {
     if (score >= 80) return 'text-success';
     if (score >= 60) return 'text-warning';
@@ -75,6 +103,9 @@ const AssessmentSummary = ({
                 {incorrectAnswers}
               </div>
               <div className="text-sm text-muted-foreground">Incorrect</div>
+              {partialCredit > 0 && (
+                <div className="text-xs text-warning mt-1">{partialCredit} with partial credit</div>
+              )}
             </div>
             <div>
               <div className="text-2xl font-bold text-primary">
@@ -89,8 +120,164 @@ const AssessmentSummary = ({
               <div className="text-sm text-muted-foreground">Time Spent</div>
             </div>
           </div>
+          {hintsUsed > 0 && (
+            <div className="flex items-center justify-center space-x-2 mt-4 text-sm text-muted-foreground">
+              <Icon name="Lightbulb" size={14} className="text-accent" />
+              <span>
+                You used {hintsUsed} {hintsUsed === 1 ? 'hint' : 'hints'} on{' '}
+                {questionResults?.filter(result => result?.hintsUsed)?.length} questions; those answers earned reduced credit.
+              </span>
+            </div>
+          )}
+          {timing && (
+            <div className={`flex items-center justify-center space-x-2 mt-2 text-sm ${
+              timing?.timedOut ? 'text-error' : 'text-muted-foreground'
+            }`}>
+              <Icon name="Timer" size={14} />
+              <span>
+                {timing?.timedOut
+                  ? `Time ran out and the exam was submitted automatically${
+                    timing?.unansweredQuestions > 0 ? ` with ${timing.unansweredQuestions} unanswered` : ''
+                  }.`
+                  : 'Timed exam finished within the time limit.'}
+                {timing?.expiredQuestions > 0 && ` ${timing.expiredQuestions} ${
+                  timing.expiredQuestions === 1 ? 'question' : 'questions'
+                } hit the per-question limit.`}
+              </span>
+            </div>
+          )}
+          {mode === 'practice' && (
+            <div className="flex items-center justify-center space-x-2 mt-2 text-sm text-muted-foreground">
+              <Icon name="Dumbbell" size={14} className="text-primary" />
+              <span>
+                Practice session • every try counts toward your mastery
+                {retriedQuestions > 0 && `; you retried ${retriedQuestions} ${retriedQuestions === 1 ? 'question' : 'questions'}`}.
+              </span>
+            </div>
+          )}
         </div>
 
+        {/* Adaptive Test Estimate */}
+        {adaptive && (
+          <div className="bg-card border rounded-xl p-6 shadow-card">
+            <div className="flex items-center space-x-2 mb-4">
+              <Icon name="Gauge" size={20} className="text-primary" />
+              <h3 className="text-lg font-semibold text-foreground">
+                Adaptive Test Result
+              </h3>
+            </div>
+            <div className="grid grid-cols-3 gap-4 text-center">
+              <div>
+                <div className={`text-2xl font-bold ${getScoreColor(adaptive?.mastery)}`}>
+                  {adaptive?.mastery}%
+                </div>
+                <div className="text-sm text-muted-foreground">Estimated Mastery</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-foreground">
+                  {adaptive?.theta > 0 ? '+' : ''}{adaptive?.theta?.toFixed(2)}
+                </div>
+                <div className="text-sm text-muted-foreground">Ability (logits)</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-foreground">
+                  ±{adaptive?.standardError?.toFixed(2)}
+                </div>
+                <div className="text-sm text-muted-foreground">Standard Error</div>
+              </div>
+            </div>
+            {STOP_REASONS?.[adaptive?.stopReason] && (
+              <p className="text-sm text-muted-foreground text-center mt-4">
+                {STOP_REASONS[adaptive.stopReason]} ({totalQuestions} questions).
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Confidence Calibration */}
+        {calibration?.brierScore !== null && calibration?.brierScore !== undefined && (
+          <div className="bg-card border rounded-xl p-6 shadow-card">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center space-x-2">
+                <Icon name="Crosshair" size={20} className="text-primary" />
+                <h3 className="text-lg font-semibold text-foreground">
+                  Confidence Calibration
+                </h3>
+              </div>
+              <div className="text-right">
+                <div className="text-lg font-bold text-foreground font-data">
+                  {calibration?.brierScore?.toFixed(2)}
+                </div>
+                <div className="text-xs text-muted-foreground">Brier score (lower is better)</div>
+              </div>
+            </div>
+            <p className="text-sm text-muted-foreground mb-4">
+              {calibration?.label === 'overconfident' && 'Overall you felt surer than your answers justified.'}
+              {calibration?.label === 'underconfident' && 'Overall you knew more than you gave yourself credit for.'}
+              {calibration?.label === 'calibrated' && 'Overall your confidence matched how well you did.'}
+            </p>
+            <div className="space-y-2">
+              {calibration?.concepts?.map(concept => {
+                const config = CALIBRATION_LABELS?.[concept?.label];
+                return (
+                  <div key={concept?.conceptId} className="flex items-center justify-between p-3 bg-muted/50 rounded-lg">
+                    <span className="text-sm font-medium text-foreground">{concept?.conceptName}</span>
+                    <div className="flex items-center space-x-3">
+                      <span className="text-xs text-muted-foreground font-data">
+                        {Math.round(concept?.confidence * 100)}% sure • {Math.round(concept?.accuracy * 100)}% right
+                      </span>
+                      <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-medium ${config?.color} ${config?.bgColor}`}>
+                        <Icon name={config?.icon} size={12} />
+                        <span>{config?.label}</span>
+                      </span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Sure But Wrong */}
+        {calibration?.confidentlyWrong?.length > 0 && (
+          <div className="bg-card border rounded-xl p-6 shadow-card">
+            <div className="flex items-center space-x-2 mb-2">
+              <Icon name="AlertOctagon" size={20} className="text-error" />
+              <h3 className="text-lg font-semibold text-foreground">
+                You Were Sure, But Wrong
+              </h3>
+            </div>
+            <p className="text-sm text-muted-foreground mb-4">
+              These may be misconceptions rather than gaps, so your explanations will address them directly.
+            </p>
+            <div className="space-y-3">
+              {calibration?.confidentlyWrong?.map(result => (
+                <div key={result?.questionId} className="p-4 border border-error/20 rounded-lg space-y-2">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="text-sm font-medium text-foreground">
+                      {result?.number ? `Q${result.number}. ` : ''}{result?.question}
+                    </div>
+                    <span className="text-xs text-muted-foreground whitespace-nowrap">
+                      Confidence {result?.confidence}/5
+                    </span>
+                  </div>
+                  <div className="text-sm text-error">
+                    <span className="font-medium">Your answer: </span>
+                    {result?.userAnswerText || getAnswerText(result, result?.userAnswer)}
+                  </div>
+                  <div className="text-sm text-success">
+                    <span className="font-medium">Correct answer: </span>
+                    {result?.correctAnswerText || getAnswerText(result, result?.correctAnswer)}
+                  </div>
+                  {result?.explanation && (
+                    <div className="text-sm text-muted-foreground">{result.explanation}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Performance Analysis */}
         <div className="grid md:grid-cols-2 gap-6">
           {/* Strong Areas */}
@@ -148,6 +335,61 @@ const AssessmentSummary = ({
           )}
         </div>
 
+        {/* Written Answer Feedback */}
+        {writtenResults?.length > 0 && (
+          <div className="bg-card border rounded-xl p-6 shadow-card">
+            <div className="flex items-center space-x-2 mb-4">
+              <Icon name="MessageSquare" size={20} className="text-primary" />
+              <h3 className="text-lg font-semibold text-foreground">
+                Written Answer Feedback
+              </h3>
+            </div>
+            <div className="space-y-4">
+              {writtenResults?.map((result) => (
+                <div key={result?.questionId} className="p-4 border rounded-lg space-y-2">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="text-sm font-medium text-foreground">
+                      {result?.number ? `Q${result.number}. ` : ''}{result?.question}
+                    </div>
+                    <div className={`text-sm font-bold whitespace-nowrap ${getScoreColor(result?.score)}`}>
+                      {result?.score}/100
+                    </div>
+                  </div>
+                  <div className="text-sm text-muted-foreground">
+                    <span className="font-medium text-foreground">Your answer: </span>
+                    {result?.userAnswer}
+                  </div>
+                  {result?.feedback && (
+                    <div className="text-sm text-foreground">{result.feedback}</div>
+                  )}
+                  {result?.areasForImprovement?.length > 0 && (
+                    <ul className="text-sm text-muted-foreground list-disc pl-5 space-y-1">
+                      {result.areasForImprovement.map((area, index) => (
+                        <li key={index}>{area}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {result?.hints?.length > 0 && (
+                    <div className="flex items-start space-x-2 p-3 bg-accent/5 rounded-lg">
+                      <Icon name="Lightbulb" size={14} className="text-accent mt-0.5" />
+                      <div className="text-sm text-muted-foreground space-y-1">
+                        {result.hints.map((hint, index) => (
+                          <div key={index}>{hint}</div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {result?.gradedBy === 'fallback' && (
+                    <div className="text-xs text-muted-foreground">
+                      Expected answer: {result?.correctAnswer}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Recommendations */}
         <div className="bg-card border rounded-xl p-6 shadow-card">
           <div className="flex items-center space-x-2 mb-4">
@@ -208,6 +450,9 @@ const AssessmentSummary = ({
           </div>
         </div>
 
+        {/* Export */}
+        <QuestionExport questions={questions} title="Assessment" />
+
         {/* Action Buttons */}
         <div className="flex flex-col sm:flex-row gap-4 pt-6">
           <Button
@@ -234,7 +479,7 @@ const AssessmentSummary = ({
         {/* Navigation Links */}
         <div className="flex justify-center pt-4">
           <Link
-            to="/progress"
+            to="/dashboard"
             className="flex items-center space-x-2 text-sm text-muted-foreground hover:text-foreground transition-colors duration-200"
           >
             <Icon name="BarChart3" size={14} />
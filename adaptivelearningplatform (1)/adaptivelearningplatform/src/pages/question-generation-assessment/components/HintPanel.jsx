@@ -0,0 +1,85 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { HINT_PENALTY, MAX_HINT_PENALTY } from '../../../services/questionGenerationService';
+
+const HINT_LEVEL_LABELS = ['Nudge', 'Guidance', 'Approach', 'Near solution'];
+
+const HintPanel = ({
+  hints = [],
+  revealedCount = 0,
+  encouragement,
+  isLoading = false,
+  error = null,
+  onRevealNext,
+  onClose
+}) => {
+  const revealedHints = hints?.slice(0, revealedCount);
+  const hasMoreHints = revealedCount < hints?.length;
+  const currentPenalty = Math.round(Math.min(MAX_HINT_PENALTY, revealedCount * HINT_PENALTY) * 100);
+  const nextPenalty = Math.round(Math.min(MAX_HINT_PENALTY, (revealedCount + 1) * HINT_PENALTY) * 100);
+
+  return (
+    <div className="mt-4 bg-accent/5 border border-accent/20 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <Icon name="Lightbulb" size={18} className="text-accent" />
+          <h4 className="text-sm font-semibold text-foreground">Hints</h4>
+          {hints?.length > 0 && (
+            <span className="text-xs text-muted-foreground">
+              {revealedCount} of {hints?.length} revealed
+            </span>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-muted transition-colors duration-200"
+          title="Hide hints"
+        >
+          <Icon name="X" size={14} className="text-muted-foreground" />
+        </button>
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center space-x-2 text-sm text-muted-foreground">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-accent"></div>
+          <span>Preparing hints...</span>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      {!isLoading && !error && (
+        <div className="space-y-3">
+          {revealedHints?.map((hint, index) => (
+            <div key={index} className="flex items-start space-x-3">
+              <span className="flex-shrink-0 text-xs font-medium text-accent bg-accent/10 px-2 py-0.5 rounded-full">
+                {HINT_LEVEL_LABELS?.[index] || `Hint ${index + 1}`}
+              </span>
+              <p className="text-sm text-foreground">{hint?.text}</p>
+            </div>
+          ))}
+
+          {revealedCount > 0 && encouragement && (
+            <p className="text-xs text-muted-foreground italic">{encouragement}</p>
+          )}
+
+          <div className="flex items-center justify-between pt-1">
+            <span className="text-xs text-muted-foreground">
+              {revealedCount > 0
+                ? `This answer will earn up to ${100 - currentPenalty}% credit.`
+                : `Each hint reduces the credit for this answer by ${Math.round(HINT_PENALTY * 100)}%.`}
+            </span>
+            {hasMoreHints && (
+              <Button variant="outline" size="sm" iconName="Eye" onClick={onRevealNext}>
+                {revealedCount === 0 ? 'Show first hint' : `Next hint (up to ${100 - nextPenalty}% credit)`}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HintPanel;
@@ -0,0 +1,57 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const PracticeFeedback = ({
+  question,
+  grade,
+  tries = 1,
+  onRetry,
+  onExplain
+}) => {
+  const isCorrect = !!grade?.isCorrect;
+  const isPartial = !isCorrect && (grade?.score ?? 0) > 0;
+
+  return (
+    <div className={`mt-4 p-4 rounded-lg border ${
+      isCorrect ? 'bg-success/5 border-success/20' : isPartial ? 'bg-warning/5 border-warning/20' : 'bg-error/5 border-error/20'
+    }`}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Icon
+            name={isCorrect ? 'CheckCircle2' : isPartial ? 'CircleDot' : 'XCircle'}
+            size={18}
+            className={isCorrect ? 'text-success' : isPartial ? 'text-warning' : 'text-error'}
+          />
+          <span className="text-sm font-medium text-foreground">
+            {isCorrect ? 'Correct' : isPartial ? 'Partly right' : 'Not quite'}
+          </span>
+          {tries > 1 && (
+            <span className="text-xs text-muted-foreground">Try {tries}</span>
+          )}
+        </div>
+        <span className="text-sm text-muted-foreground">{grade?.score ?? 0}/100</span>
+      </div>
+
+      {grade?.feedback && (
+        <p className="text-sm text-foreground mb-2">{grade.feedback}</p>
+      )}
+      {question?.explanation && (
+        <p className="text-sm text-muted-foreground">{question.explanation}</p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-end gap-2 mt-4">
+        <Button variant="ghost" size="sm" iconName="BookOpen" onClick={onExplain}>
+          Explain this
+        </Button>
+        {!isCorrect && (
+          <Button variant="outline" size="sm" iconName="RotateCcw" onClick={onRetry}>
+            Try again
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PracticeFeedback;
@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
-
+import SourceReference from '../../../components/SourceReference';
+import questionScoringService, { CLOZE_BLANK, parseNumber } from '../../../services/questionScoringService';
 
 const QuestionCard = ({ 
   question, 
@@ -9,34 +10,128 @@ const QuestionCard = ({
   onConfidenceChange,
   confidence = 3,
   showValidation = false,
-  isSubmitted = false
+  isSubmitted = false,
+  revealAnswers = false,
+  isLocked = false
 }) => {
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const isInputLocked = revealAnswers || isLocked;
+  const isMultiSelect = question?.type === 'multi_select';
+
+  const isCorrectOption = (value) => (isMultiSelect
+    ? question?.correctOptionIds?.includes(value)
+    : value === question?.correctAnswer);
+  const isSelectedOption = (value) => (isMultiSelect
+    ? !!currentAnswer?.includes?.(value)
+    : currentAnswer === value);
+
+  // Once an answer is checked the choice is locked and the correct option marked
+  const getOptionClassName = (value) => {
+    if (revealAnswers && isCorrectOption(value)) return 'border-success bg-success/5';
+    if (revealAnswers && isSelectedOption(value)) return 'border-error bg-error/5';
+    if (isSelectedOption(value)) return 'border-primary bg-primary/5';
+    return revealAnswers ? 'border-border' : 'border-border hover:border-primary/50 hover:bg-muted/50';
+  };
+
+  const getRevealClassName = (isCorrect) => {
+    if (!revealAnswers) return 'border-border';
+    return isCorrect ? 'border-success bg-success/5' : 'border-error bg-error/5';
+  };
+
+  const toggleOption = (optionId) => {
+    const selected = currentAnswer || [];
+    onAnswerChange(selected.includes(optionId)
+      ? selected.filter(id => id !== optionId)
+      : [...selected, optionId]);
+  };
+
+  // Ordering starts from a stable shuffle; the first move turns it into the learner's answer
+  const sequenceOrder = currentAnswer?.length
+    ? currentAnswer
+    : questionScoringService?.shuffleForDisplay(question?.sequence?.map(item => item?.id), question?.id);
+
+  const moveSequenceItem = (fromIndex, toIndex) => {
+    if (isInputLocked || toIndex < 0 || toIndex >= sequenceOrder?.length || fromIndex === toIndex) return;
+    const order = [...sequenceOrder];
+    const [moved] = order.splice(fromIndex, 1);
+    order.splice(toIndex, 0, moved);
+    onAnswerChange(order);
+  };
+
+  const renderClozeText = (text) => {
+    const parts = text?.split(CLOZE_BLANK) || [];
+
+    return (
+      <div className="text-sm text-foreground leading-relaxed">
+        {parts?.map((part, index) => {
+          const acceptedAnswers = question?.blanks?.[index]?.acceptedAnswers;
+          const isBlankCorrect = question?.type === 'cloze'
+            && questionScoringService?.scoreCloze({ blanks: [question?.blanks?.[index]] }, [currentAnswer?.[index]])?.isCorrect;
+
+          return (
+            <React.Fragment key={index}>
+              {part}
+              {index < parts.length - 1 && (
+                <>
+                  <input
+                    type="text"
+                    value={currentAnswer?.[index] || ''}
+                    onChange={(e) => {
+                      const newAnswers = [...(currentAnswer || [])];
+                      newAnswers[index] = e?.target?.value;
+                      onAnswerChange(newAnswers);
+                    }}
+                    readOnly={isInputLocked}
+                    className={`inline-block mx-2 px-3 py-1 border-b-2 bg-transparent focus:outline-none min-w-[100px] ${
+                      revealAnswers && question?.type === 'cloze'
+                        ? isBlankCorrect ? 'border-success' : 'border-error'
+                        : 'border-primary focus:border-primary'
+                    }`}
+                    placeholder="answer"
+                  />
+                  {revealAnswers && question?.type === 'cloze' && !isBlankCorrect && acceptedAnswers?.[0] && (
+                    <span className="text-xs text-success mr-2">({acceptedAnswers[0]})</span>
+                  )}
+                </>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </div>
+    );
+  };
+
   const renderQuestionContent = () => {
     switch (question?.type) {
       case 'multiple_choice':
+      case 'multi_select':
         return (
           <div className="space-y-3">
+            {isMultiSelect && (
+              <div className="text-xs text-muted-foreground">Select all that apply.</div>
+            )}
             {question?.options?.map((option, index) => (
               <label
                 key={index}
-                className={`flex items-start space-x-3 p-4 rounded-lg border-2 cursor-pointer transition-all duration-200 ${
-                  currentAnswer === option?.id
-                    ? 'border-primary bg-primary/5' :'border-border hover:border-primary/50 hover:bg-muted/50'
-                }`}
+                className={`flex items-start space-x-3 p-4 rounded-lg border-2 transition-all duration-200 ${
+                  isInputLocked ? 'cursor-default' : 'cursor-pointer'
+                } ${getOptionClassName(option?.id)}`}
               >
                 <input
-                  type="radio"
+                  type={isMultiSelect ? 'checkbox' : 'radio'}
                   name={`question-${question?.id}`}
                   value={option?.id}
-                  checked={currentAnswer === option?.id}
-                  onChange={(e) => onAnswerChange(e?.target?.value)}
+                  checked={isSelectedOption(option?.id)}
+                  onChange={(e) => (isMultiSelect ? toggleOption(option?.id) : onAnswerChange(e?.target?.value))}
+                  disabled={isInputLocked}
                   className="mt-1 w-4 h-4 text-primary border-border focus:ring-primary focus:ring-2"
                 />
                 <div className="flex-1">
                   <div className="text-sm font-medium text-foreground">
                     {option?.text}
                   </div>
-                  {option?.explanation && (
+                  {/* Option explanations would give the answer away, so they only appear after checking */}
+                  {revealAnswers && option?.explanation && (
                     <div className="text-xs text-muted-foreground mt-1">
                       {option?.explanation}
                     </div>
@@ -53,10 +148,9 @@ const QuestionCard = ({
             {['true', 'false']?.map((option) => (
               <label
                 key={option}
-                className={`flex items-center space-x-3 p-4 rounded-lg border-2 cursor-pointer transition-all duration-200 ${
-                  currentAnswer === option
-                    ? 'border-primary bg-primary/5' :'border-border hover:border-primary/50 hover:bg-muted/50'
-                }`}
+                className={`flex items-center space-x-3 p-4 rounded-lg border-2 transition-all duration-200 ${
+                  isInputLocked ? 'cursor-default' : 'cursor-pointer'
+                } ${getOptionClassName(option)}`}
               >
                 <input
                   type="radio"
@@ -64,6 +158,7 @@ const QuestionCard = ({
                   value={option}
                   checked={currentAnswer === option}
                   onChange={(e) => onAnswerChange(e?.target?.value)}
+                  disabled={isInputLocked}
                   className="w-4 h-4 text-primary border-border focus:ring-primary focus:ring-2"
                 />
                 <span className="text-sm font-medium text-foreground capitalize">
@@ -81,6 +176,7 @@ const QuestionCard = ({
               value={currentAnswer || ''}
               onChange={(e) => onAnswerChange(e?.target?.value)}
               placeholder="Type your answer here..."
+              readOnly={isInputLocked}
               className="w-full p-4 border-2 border-border rounded-lg focus:border-primary focus:ring-2 focus:ring-primary/20 resize-none transition-colors duration-200"
               rows={4}
             />
@@ -93,26 +189,132 @@ const QuestionCard = ({
       case 'fill_blank':
         return (
           <div className="space-y-4">
-            <div className="text-sm text-foreground leading-relaxed">
-              {question?.content?.split('___')?.map((part, index) => (
-                <React.Fragment key={index}>
-                  {part}
-                  {index < question?.content?.split('___')?.length - 1 && (
-                    <input
-                      type="text"
-                      value={currentAnswer?.[index] || ''}
-                      onChange={(e) => {
-                        const newAnswers = [...(currentAnswer || [])];
-                        newAnswers[index] = e?.target?.value;
-                        onAnswerChange(newAnswers);
-                      }}
-                      className="inline-block mx-2 px-3 py-1 border-b-2 border-primary bg-transparent focus:outline-none focus:border-primary min-w-[100px]"
-                      placeholder="answer"
-                    />
+            {renderClozeText(question?.content)}
+          </div>
+        );
+
+      case 'cloze':
+        return (
+          <div className="space-y-4">
+            {renderClozeText(question?.clozeText)}
+          </div>
+        );
+
+      case 'ordering':
+        return (
+          <div className="space-y-2">
+            <div className="text-xs text-muted-foreground">Drag the steps into the right order.</div>
+            {sequenceOrder?.map((itemId, index) => {
+              const item = question?.sequence?.find(step => step?.id === itemId);
+              const correctIndex = question?.sequence?.findIndex(step => step?.id === itemId);
+
+              return (
+                <div
+                  key={itemId}
+                  draggable={!isInputLocked}
+                  onDragStart={() => setDraggedIndex(index)}
+                  onDragOver={(e) => e?.preventDefault()}
+                  onDrop={() => {
+                    moveSequenceItem(draggedIndex, index);
+                    setDraggedIndex(null);
+                  }}
+                  onDragEnd={() => setDraggedIndex(null)}
+                  className={`flex items-center space-x-3 p-3 rounded-lg border-2 bg-card transition-all duration-200 ${
+                    isInputLocked ? 'cursor-default' : 'cursor-move'
+                  } ${draggedIndex === index ? 'opacity-50' : ''} ${getRevealClassName(correctIndex === index)}`}
+                >
+                  <Icon name="GripVertical" size={16} className="text-muted-foreground flex-shrink-0" />
+                  <span className="text-xs font-medium text-muted-foreground w-5">{index + 1}.</span>
+                  <span className="flex-1 text-sm text-foreground">{item?.text}</span>
+                  {revealAnswers && correctIndex !== index && (
+                    <span className="text-xs text-success">belongs at {correctIndex + 1}</span>
+                  )}
+                  {!isInputLocked && (
+                    <div className="flex flex-col">
+                      <button
+                        onClick={() => moveSequenceItem(index, index - 1)}
+                        disabled={index === 0}
+                        className="p-0.5 rounded hover:bg-muted disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <Icon name="ChevronUp" size={14} />
+                      </button>
+                      <button
+                        onClick={() => moveSequenceItem(index, index + 1)}
+                        disabled={index === sequenceOrder.length - 1}
+                        className="p-0.5 rounded hover:bg-muted disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <Icon name="ChevronDown" size={14} />
+                      </button>
+                    </div>
                   )}
-                </React.Fragment>
-              ))}
+                </div>
+              );
+            })}
+          </div>
+        );
+
+      case 'matching': {
+        const matches = questionScoringService?.shuffleForDisplay(question?.pairs, question?.id);
+
+        return (
+          <div className="space-y-3">
+            {question?.pairs?.map(pair => (
+              <div
+                key={pair?.id}
+                className={`flex flex-col sm:flex-row sm:items-center gap-2 p-3 rounded-lg border-2 ${
+                  getRevealClassName(currentAnswer?.[pair?.id] === pair?.id)
+                }`}
+              >
+                <span className="sm:w-1/3 text-sm font-medium text-foreground">{pair?.term}</span>
+                <select
+                  value={currentAnswer?.[pair?.id] || ''}
+                  onChange={(e) => onAnswerChange({ ...(currentAnswer || {}), [pair?.id]: e?.target?.value })}
+                  disabled={isInputLocked}
+                  className="flex-1 h-10 rounded-md border border-input bg-background px-3 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+                >
+                  <option value="">Choose a match...</option>
+                  {matches?.map(match => (
+                    <option key={match?.id} value={match?.id}>{match?.match}</option>
+                  ))}
+                </select>
+                {revealAnswers && currentAnswer?.[pair?.id] !== pair?.id && (
+                  <span className="text-xs text-success sm:w-1/4">{pair?.match}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        );
+      }
+
+      case 'numeric':
+        return (
+          <div className="space-y-2">
+            <div className="flex items-center space-x-3">
+              <input
+                type="text"
+                inputMode="decimal"
+                value={currentAnswer || ''}
+                onChange={(e) => onAnswerChange(e?.target?.value)}
+                readOnly={isInputLocked}
+                placeholder="Enter a number"
+                className={`w-48 p-3 border-2 rounded-lg focus:border-primary focus:ring-2 focus:ring-primary/20 font-data ${
+                  revealAnswers
+                    ? getRevealClassName(questionScoringService?.scoreNumeric(question, currentAnswer)?.isCorrect)
+                    : 'border-border'
+                }`}
+              />
+              {question?.unit && <span className="text-sm text-muted-foreground">{question.unit}</span>}
             </div>
+            {!isInputLocked && questionScoringService?.isAnswered(question, currentAnswer) && parseNumber(currentAnswer) === null && (
+              <div className="text-xs text-warning">Enter a number, for example 3.5</div>
+            )}
+            {revealAnswers && (
+              <div className="text-xs text-success">
+                Expected {questionScoringService?.formatCorrectAnswer(question)}
+              </div>
+            )}
           </div>
         );
 
@@ -124,13 +326,7 @@ const QuestionCard = ({
     }
   };
 
-  const isAnswered = () => {
-    if (!currentAnswer) return false;
-    if (question?.type === 'fill_blank') {
-      return Array.isArray(currentAnswer) && currentAnswer?.some(answer => answer?.trim());
-    }
-    return currentAnswer?.toString()?.trim()?.length > 0;
-  };
+  const isAnswered = () => questionScoringService?.isAnswered(question, currentAnswer);
 
   return (
     <div className="bg-card border rounded-xl p-6 shadow-card">
@@ -173,6 +369,9 @@ const QuestionCard = ({
         )}
 
         {renderQuestionContent()}
+
+        {/* The quote can give the answer away, so it opens once answers are revealed */}
+        <SourceReference sources={question?.sources} showQuotes={revealAnswers} className="mt-4" />
       </div>
       {/* Confidence Level */}
       <div className="mb-6 p-4 bg-muted/30 rounded-lg">
@@ -192,6 +391,7 @@ const QuestionCard = ({
               <button
                 key={level}
                 onClick={() => onConfidenceChange(level)}
+                disabled={isInputLocked}
                 className={`w-8 h-8 rounded-full border-2 transition-all duration-200 ${
                   confidence >= level
                     ? 'bg-primary border-primary text-primary-foreground'
@@ -84,6 +84,7 @@ const QuestionNavigation = ({
             variant="default"
             onClick={onNext}
             disabled={!canGoNext}
+            loading={isSubmitting}
             iconName="ChevronRight"
             iconPosition="right"
             className="min-w-[100px]"
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
 import Header from '../../components/ui/Header';
 import LearningProgressHeader from '../../components/ui/LearningProgressHeader';
 import AdaptiveNavigationBreadcrumb from '../../components/ui/AdaptiveNavigationBreadcrumb';
@@ -9,11 +10,35 @@ import QuestionCard from './components/QuestionCard';
 import QuestionNavigation from './components/QuestionNavigation';
 import QuestionOverview from './components/QuestionOverview';
 import AssessmentSummary from './components/AssessmentSummary';
+import HintPanel from './components/HintPanel';
+import PracticeFeedback from './components/PracticeFeedback';
 import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
 
 // Import AI services
 import questionGenerationService from '../../services/questionGenerationService';
+import learnerProgressService from '../../services/learnerProgressService';
+import adaptiveLearningService from '../../services/adaptiveLearningService';
+import adaptiveTestingService, { DEFAULT_STOPPING_RULE } from '../../services/adaptiveTestingService';
+import pathwayService from '../../services/pathwayService';
+import calibrationService from '../../services/calibrationService';
+import questionScoringService, { QUESTION_TYPES } from '../../services/questionScoringService';
+import examTimingService, { DEFAULT_EXAM_SETTINGS, TIME_WARNING_SECONDS } from '../../services/examTimingService';
+import questionBankService, { DEFAULT_BANK_SETTINGS, QUESTIONS_PER_CONCEPT, ASSESSMENT_CONCEPT_LIMIT } from '../../services/questionBankService';
+import questionQualityService from '../../services/questionQualityService';
 
+const AUTO_SAVE_DELAY_MS = 1000;
+const AUTO_SAVE_INTERVAL_MS = 30000;
+
+/**
+ * Modes for a fixed question set: exam grades everything on submit, practice checks each answer right away
+ */
+const QUESTION_SET_MODES = [
+  { id: 'standard', label: 'Exam', icon: 'ClipboardCheck' },
+  { id: 'practice', label: 'Practice', icon: 'Dumbbell' }
+];
+
+const createSessionId = () => `session_${Date.now()?.toString(36)}_${Math.random()?.toString(36)?.slice(2, 8)}`;
 
 const QuestionGenerationAssessment = () => {
   const navigate = useNavigate();
@@ -29,77 +54,292 @@ const QuestionGenerationAssessment = () => {
   const [showOverview, setShowOverview] = useState(false);
   const [sessionTime, setSessionTime] = useState(0);
   const [sessionStatus, setSessionStatus] = useState('active');
+  const [isPaused, setIsPaused] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [resumableSession, setResumableSession] = useState(null);
+  const [grades, setGrades] = useState({});
   const [showSummary, setShowSummary] = useState(false);
-  const [lastSaved, setLastSaved] = useState('Just now');
+  const [lastSavedAt, setLastSavedAt] = useState(null);
   const [isGeneratingQuestions, setIsGeneratingQuestions] = useState(false);
   const [concepts, setConcepts] = useState([]);
   const [learningPathway, setLearningPathway] = useState(null);
+  const [documentId, setDocumentId] = useState(null);
+  const [bankSettings, setBankSettings] = useState(DEFAULT_BANK_SETTINGS);
+  const [assessmentMode, setAssessmentMode] = useState('standard');
+  const [itemPool, setItemPool] = useState([]);
+  const [abilityEstimate, setAbilityEstimate] = useState(null);
+  const [hintSets, setHintSets] = useState({});
+  const [hintUsage, setHintUsage] = useState({});
+  const [isHintPanelOpen, setIsHintPanelOpen] = useState(false);
+  const [isLoadingHints, setIsLoadingHints] = useState(false);
+  const [hintError, setHintError] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
+  const [practiceTries, setPracticeTries] = useState({});
+  const [isCheckingAnswer, setIsCheckingAnswer] = useState(false);
+  const [examSettings, setExamSettings] = useState(DEFAULT_EXAM_SETTINGS);
+  const [timeLimits, setTimeLimits] = useState(DEFAULT_EXAM_SETTINGS);
+  const [questionTimes, setQuestionTimes] = useState({});
+  const [expiredQuestionIds, setExpiredQuestionIds] = useState([]);
+  const [timedOut, setTimedOut] = useState(false);
 
+  const isAdaptive = assessmentMode === 'adaptive';
+  const isPractice = assessmentMode === 'practice';
+  // Time limits only apply to exams; practice and adaptive tests stay untimed
+  const isTimedExam = assessmentMode === 'standard' && examTimingService?.isTimed(timeLimits);
   const currentQuestion = questions?.[currentQuestionIndex];
-  const totalQuestions = questions?.length;
+  const isCurrentQuestionExpired = expiredQuestionIds?.includes(currentQuestion?.id);
+  const isCurrentAnswered = questionScoringService?.isAnswered(currentQuestion, answers?.[currentQuestion?.id]);
+  // The question whose clock is running: graded and timed-out questions no longer accrue time
+  const timedQuestionId = currentQuestion && !grades?.[currentQuestion?.id] && !isCurrentQuestionExpired
+    ? currentQuestion?.id
+    : null;
+  const timeRemaining = isTimedExam ? examTimingService?.getTimeRemaining(timeLimits, sessionTime) : null;
+  const questionTimeRemaining = isTimedExam
+    ? examTimingService?.getQuestionTimeRemaining(timeLimits, questionTimes?.[currentQuestion?.id])
+    : null;
+  // Adaptive tests grow one question at a time, up to the stopping rule's limit
+  const totalQuestions = isAdaptive ? DEFAULT_STOPPING_RULE.maxItems : questions?.length;
+  const resolvedPathway = useMemo(
+    () => pathwayService?.resolvePathway(learningPathway, concepts),
+    [learningPathway, concepts]
+  );
   const answeredQuestions = Object.keys(answers);
   const completionPercentage = totalQuestions > 0 ? Math.round((answeredQuestions?.length / totalQuestions) * 100) : 0;
 
-  // Load data from navigation state or sessionStorage
+  // Latest session state, read by checkpoints that run from timers and page-exit handlers
+  const sessionSnapshot = useRef(null);
+  sessionSnapshot.current = {
+    id: sessionId,
+    documentId,
+    mode: assessmentMode,
+    questions,
+    itemPool,
+    answers,
+    grades,
+    confidence,
+    hintSets,
+    hintUsage,
+    practiceTries,
+    timeLimits,
+    questionTimes,
+    expiredQuestionIds,
+    currentQuestionIndex,
+    sessionTime,
+    isFinished: showSummary
+  };
+
+  // Load data from navigation state or the saved course
   useEffect(() => {
     const loadData = async () => {
       let conceptsData = [];
       let pathwayData = null;
+      let courseId = null;
 
       // Try to get data from navigation state first
       if (location.state?.concepts) {
         conceptsData = location.state?.concepts;
         pathwayData = location.state?.learningPathway;
+        courseId = location.state?.documentId || null;
       } else {
-        // Fallback to sessionStorage
-        const storedConcepts = sessionStorage.getItem('extractedConcepts');
-        const storedPathway = sessionStorage.getItem('learningPathway');
-        
-        if (storedConcepts) {
-          conceptsData = JSON.parse(storedConcepts);
-        }
-        if (storedPathway) {
-          pathwayData = JSON.parse(storedPathway);
+        // Fall back to the requested course, or the one the learner last worked on
+        try {
+          const course = location.state?.documentId
+            ? await learnerProgressService?.loadCourse(location.state.documentId)
+            : await learnerProgressService?.loadActiveCourse();
+          conceptsData = course?.concepts || [];
+          pathwayData = course?.learningPathway;
+          courseId = course?.document?.id || null;
+        } catch (error) {
+          console.error('Error loading saved course:', error);
         }
       }
 
+      const courseExamSettings = courseId
+        ? await learnerProgressService?.getExamSettings(courseId)?.catch(() => DEFAULT_EXAM_SETTINGS)
+        : DEFAULT_EXAM_SETTINGS;
+
       setConcepts(conceptsData);
       setLearningPathway(pathwayData);
+      setDocumentId(courseId);
+      setExamSettings(courseExamSettings);
 
-      // Generate questions if we have concepts
-      if (conceptsData?.length > 0) {
-        await generateQuestionsFromConcepts(conceptsData);
-      } else {
-        // Fallback to demo questions if no concepts available
-        console.warn('No concepts found, redirecting to file upload');
-        navigate('/file-upload');
+      // Offer to resume an unfinished session before starting a new one
+      const inProgressSession = courseId
+        ? await learnerProgressService?.getInProgressSession(courseId)?.catch(() => null)
+        : null;
+
+      if (inProgressSession) {
+        setResumableSession(inProgressSession);
+        return;
       }
+
+      await startNewSession(conceptsData, courseId, courseExamSettings);
     };
 
     loadData();
   }, [location.state, navigate]);
 
+  // Starts a session with questions drawn from the course's question bank, generating some if the bank has none to offer
+  const startNewSession = async (conceptsData, courseId, sessionExamSettings = examSettings) => {
+    const [bankQuestions, courseBankSettings, lastAsked] = courseId
+      ? await Promise.all([
+        questionBankService?.getQuestions(courseId),
+        questionBankService?.getSettings(courseId),
+        questionBankService?.getLastAskedTimes(courseId)
+      ])?.catch(() => [[], DEFAULT_BANK_SETTINGS, {}])
+      : [[], DEFAULT_BANK_SETTINGS, {}];
+    const drawnQuestions = questionBankService?.selectForAssessment(bankQuestions, conceptsData, courseBankSettings, lastAsked);
+
+    setBankSettings(courseBankSettings);
+
+    if (drawnQuestions?.length > 0) {
+      setQuestions(drawnQuestions);
+    } else if (courseBankSettings?.useOnlyApproved) {
+      // Nothing approved yet; the empty state points to the question bank
+      setQuestions([]);
+    } else if (conceptsData?.length > 0) {
+      await generateQuestionsFromConcepts(conceptsData, courseId);
+    } else {
+      console.warn('No concepts found, redirecting to file upload');
+      navigate('/file-upload');
+      return;
+    }
+
+    setAssessmentMode('standard');
+    setTimeLimits(sessionExamSettings);
+    resetTiming();
+    setSessionId(createSessionId());
+  };
+
+  const resetTiming = () => {
+    setQuestionTimes({});
+    setExpiredQuestionIds([]);
+    setTimedOut(false);
+  };
+
+  // Starts a computer-adaptive test: questions are picked one at a time from the learner's ability estimate
+  const startAdaptiveSession = async () => {
+    setIsGeneratingQuestions(true);
+
+    try {
+      // Start from the question bank, generating a pool only when it has nothing to offer
+      const bankPool = documentId
+        ? questionBankService?.getEligibleQuestions(
+          await questionBankService?.getQuestions(documentId)?.catch(() => []),
+          bankSettings
+        )
+        : [];
+      const poolConcepts = concepts?.slice(0, ASSESSMENT_CONCEPT_LIMIT);
+      const pool = bankPool?.length > 0 || bankSettings?.useOnlyApproved
+        ? bankPool
+        : await adaptiveTestingService?.createItemPool(poolConcepts, { documentId })
+          ?.catch(error => {
+            console.error('Error generating adaptive item pool, using the current questions:', error);
+            return questions;
+          });
+      const previousSessionId = sessionId;
+
+      await beginAdaptiveTest(pool);
+      if (previousSessionId) {
+        await learnerProgressService?.discardAssessmentSession(previousSessionId)?.catch(error =>
+          console.error('Error discarding session:', error)
+        );
+      }
+    } finally {
+      setIsGeneratingQuestions(false);
+    }
+  };
+
+  const beginAdaptiveTest = async (pool) => {
+    const { question, pool: nextPool } = await adaptiveTestingService?.getNextQuestion({
+      concepts: getPoolConcepts(pool),
+      pool,
+      responses: [],
+      administeredIds: [],
+      documentId,
+      allowGeneration: !bankSettings?.useOnlyApproved
+    });
+
+    setItemPool(nextPool);
+    setSubmitError(null);
+    setQuestions(question ? [{ ...question, number: 1 }] : []);
+    setAnswers({});
+    setConfidence({});
+    setGrades({});
+    setHintSets({});
+    setHintUsage({});
+    setPracticeTries({});
+    resetTiming();
+    setAbilityEstimate(null);
+    setCurrentQuestionIndex(0);
+    setSessionTime(0);
+    setAssessmentMode('adaptive');
+    setSessionId(createSessionId());
+  };
+
+  // Content balancing only covers the concepts that have items in the pool
+  const getPoolConcepts = (pool) => concepts?.filter(concept => pool?.some(item => item?.conceptId === concept?.id));
+
+  const handleResumeSession = () => {
+    const session = resumableSession;
+
+    setAssessmentMode(session?.mode || 'standard');
+    setItemPool(session?.itemPool || []);
+    setGrades(session?.grades || {});
+    setQuestions(session?.questions || []);
+    setAnswers(session?.answers || {});
+    setConfidence(session?.confidence || {});
+    setHintSets(session?.hintSets || {});
+    setHintUsage(session?.hintUsage || {});
+    setPracticeTries(session?.practiceTries || {});
+    setTimeLimits(examTimingService?.normalizeSettings(session?.timeLimits));
+    setQuestionTimes(session?.questionTimes || {});
+    setExpiredQuestionIds(session?.expiredQuestionIds || []);
+    setCurrentQuestionIndex(Math.min(session?.currentQuestionIndex || 0, (session?.questions?.length || 1) - 1));
+    setSessionTime(session?.sessionTime || 0);
+    setLastSavedAt(session?.updatedAt ? new Date(session.updatedAt) : null);
+    setSessionId(session?.id);
+    setResumableSession(null);
+  };
+
+  const handleStartOver = async () => {
+    const session = resumableSession;
+
+    setResumableSession(null);
+    await learnerProgressService?.discardAssessmentSession(session?.id)?.catch(error =>
+      console.error('Error discarding session:', error)
+    );
+    await startNewSession(concepts, documentId);
+  };
+
   // Generate questions from concepts using AI
-  const generateQuestionsFromConcepts = async (conceptsData) => {
+  const generateQuestionsFromConcepts = async (conceptsData, courseId) => {
     setIsGeneratingQuestions(true);
     
     try {
-      // Generate questions for up to 3 concepts to keep assessment manageable
-      const selectedConcepts = conceptsData?.slice(0, 3);
+      // Generate questions for a few concepts to keep assessment manageable
+      const selectedConcepts = conceptsData?.slice(0, ASSESSMENT_CONCEPT_LIMIT);
       const questionPromises = selectedConcepts?.map(concept =>
         questionGenerationService?.generateQuestionsForConcept(concept, {
-          questionCount: 3,
-          questionTypes: ['multiple_choice', 'true_false', 'short_answer']
+          questionCount: QUESTIONS_PER_CONCEPT,
+          questionTypes: QUESTION_TYPES,
+          documentId: courseId
         })
       );
 
       const questionSets = await Promise.all(questionPromises);
-      const allQuestions = questionSets?.flat();
-      
+      let allQuestions = questionQualityService?.dropDuplicateQuestions(questionSets?.flat());
+
+      // Bank the new questions for review, so later assessments draw from them instead of generating again
+      if (courseId) {
+        await persist(async () => {
+          allQuestions = await questionBankService?.addQuestions(courseId, allQuestions);
+        });
+      }
+
       // Shuffle questions for better experience
-      const shuffledQuestions = questionGenerationService?.shuffleQuestions(allQuestions);
-      setQuestions(shuffledQuestions);
-      
+      setQuestions(questionGenerationService?.shuffleQuestions(allQuestions));
+
     } catch (error) {
       console.error('Error generating questions:', error);
       // Fallback to demo questions
@@ -144,32 +384,105 @@ const QuestionGenerationAssessment = () => {
     ];
   };
 
-  // Timer effect
+  // Timer effect: counts the session time and the time spent on the current question
   useEffect(() => {
     let interval;
-    if (sessionStatus === 'active') {
+    if (sessionId && !isPaused && !showSummary) {
       interval = setInterval(() => {
         setSessionTime(prev => prev + 1);
+        if (timedQuestionId) {
+          setQuestionTimes(prev => ({ ...prev, [timedQuestionId]: (prev?.[timedQuestionId] || 0) + 1 }));
+        }
       }, 1000);
     }
     return () => clearInterval(interval);
-  }, [sessionStatus]);
+  }, [sessionId, isPaused, showSummary, timedQuestionId]);
 
-  // Auto-save effect
+  // Submit the exam as it stands once the total time limit runs out; after a failed submission the
+  // learner retries from the submit button rather than in a loop
   useEffect(() => {
-    const autoSaveInterval = setInterval(() => {
-      if (sessionStatus === 'active' && answeredQuestions?.length > 0) {
-        setSessionStatus('saving');
-        setTimeout(() => {
-          setSessionStatus('saved');
-          setLastSaved('Just now');
-          setTimeout(() => setSessionStatus('active'), 1000);
-        }, 500);
+    if (!isTimedExam || showSummary || isSubmitting || submitError || timeRemaining !== 0) return;
+    submitExam({ ranOutOfTime: true });
+  }, [isTimedExam, showSummary, isSubmitting, submitError, timeRemaining]);
+
+  // Lock a question once its own time runs out and move to the next one that still has time
+  useEffect(() => {
+    if (!isTimedExam || showSummary || isSubmitting || submitError || !timedQuestionId || questionTimeRemaining !== 0) return;
+
+    const expiredIds = [...expiredQuestionIds, timedQuestionId];
+    const hasTime = (question) => !expiredIds.includes(question?.id);
+    const laterIndex = questions?.findIndex((question, index) => index > currentQuestionIndex && hasTime(question));
+    const nextIndex = laterIndex !== -1 ? laterIndex : questions?.findIndex(hasTime);
+
+    setExpiredQuestionIds(expiredIds);
+    setShowValidation(false);
+    if (nextIndex === -1) {
+      submitExam({ ranOutOfTime: true });
+    } else {
+      setCurrentQuestionIndex(nextIndex);
+    }
+  }, [isTimedExam, showSummary, isSubmitting, submitError, timedQuestionId, questionTimeRemaining]);
+
+  // Runs a save and reflects its real outcome in the session status
+  const persist = useCallback(async (save) => {
+    setSessionStatus('saving');
+    try {
+      await save();
+      setLastSavedAt(new Date());
+      setSessionStatus('saved');
+      setTimeout(() => setSessionStatus(prev => (prev === 'saved' ? 'active' : prev)), 1000);
+    } catch (error) {
+      console.error('Error saving assessment:', error);
+      setSessionStatus('error');
+    }
+  }, []);
+
+  // Writes the current answers, position, time and question set to the session checkpoint
+  const checkpoint = useCallback(() => {
+    const { isFinished, ...session } = sessionSnapshot.current || {};
+    if (!session?.id || !session?.documentId || !session?.questions?.length || isFinished) {
+      return Promise.resolve();
+    }
+    return persist(() => learnerProgressService?.saveAssessmentSession(session));
+  }, [persist]);
+
+  // Auto-save shortly after every answer, confidence or navigation change
+  useEffect(() => {
+    if (!sessionId || showSummary) return undefined;
+
+    const timeout = setTimeout(checkpoint, AUTO_SAVE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [sessionId, showSummary, answers, confidence, grades, hintUsage, expiredQuestionIds, currentQuestionIndex, checkpoint]);
+
+  // Reopen the hint panel on questions the learner already took hints for
+  useEffect(() => {
+    setIsHintPanelOpen(!!hintUsage?.[currentQuestion?.id]);
+    setHintError(null);
+  }, [currentQuestion?.id]);
+
+  // Periodically auto-save so the elapsed time survives too
+  useEffect(() => {
+    if (!sessionId || showSummary || isPaused) return undefined;
+
+    const interval = setInterval(checkpoint, AUTO_SAVE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [sessionId, showSummary, isPaused, checkpoint]);
+
+  // Save when the tab is closed or the learner navigates away mid-assessment
+  useEffect(() => {
+    const saveOnExit = () => {
+      const { isFinished, ...session } = sessionSnapshot.current || {};
+      if (session?.id && session?.documentId && session?.questions?.length && !isFinished) {
+        learnerProgressService?.saveAssessmentSession(session)?.catch(() => {});
       }
-    }, 30000); // Auto-save every 30 seconds
+    };
 
-    return () => clearInterval(autoSaveInterval);
-  }, [sessionStatus, answeredQuestions?.length]);
+    window.addEventListener('pagehide', saveOnExit);
+    return () => {
+      window.removeEventListener('pagehide', saveOnExit);
+      saveOnExit();
+    };
+  }, []);
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -178,14 +491,23 @@ const QuestionGenerationAssessment = () => {
   };
 
   const handleAnswerChange = (answer) => {
-    setAnswers(prev => ({
-      ...prev,
-      [currentQuestion?.id]: answer
-    }));
+    // A checked practice answer stays as it was until the learner chooses to try again,
+    // and a timed-out exam question keeps the answer it had
+    if ((isPractice && grades?.[currentQuestion?.id]) || isCurrentQuestionExpired) return;
+
+    // Cleared answers are dropped so they no longer count as answered
+    setAnswers(prev => {
+      const { [currentQuestion?.id]: _previous, ...rest } = prev;
+      return questionScoringService?.isAnswered(currentQuestion, answer)
+        ? { ...rest, [currentQuestion?.id]: answer }
+        : rest;
+    });
     setShowValidation(false);
   };
 
   const handleConfidenceChange = (level) => {
+    if ((isPractice && grades?.[currentQuestion?.id]) || isCurrentQuestionExpired) return;
+
     setConfidence(prev => ({
       ...prev,
       [currentQuestion?.id]: level
@@ -193,10 +515,15 @@ const QuestionGenerationAssessment = () => {
   };
 
   const handleNext = () => {
-    if (!answers?.[currentQuestion?.id]) {
+    if (!isCurrentAnswered && !isCurrentQuestionExpired) {
       setShowValidation(true);
       return;
     }
+
+    if (isAdaptive) {
+      handleAdaptiveNext();
+      return;
+    }
     
     if (currentQuestionIndex < totalQuestions - 1) {
       setCurrentQuestionIndex(prev => prev + 1);
@@ -205,28 +532,252 @@ const QuestionGenerationAssessment = () => {
   };
 
   const handlePrevious = () => {
-    if (currentQuestionIndex > 0) {
+    if (currentQuestionIndex > 0 && !isAdaptive) {
       setCurrentQuestionIndex(prev => prev - 1);
       setShowValidation(false);
     }
   };
 
+  // Grades the current answer, updates the ability estimate and either stops or picks the next question
+  const handleAdaptiveNext = async () => {
+    setIsSubmitting(true);
+    setSubmitError(null);
+
+    try {
+      const currentGrade = questionGenerationService?.applyHintPenalty(
+        await questionGenerationService?.gradeResponses(
+          [currentQuestion],
+          { [currentQuestion?.id]: answers?.[currentQuestion?.id] },
+          { questionTimes, documentId }
+        ),
+        hintUsage
+      );
+      const nextGrades = { ...grades, ...currentGrade };
+      const responses = adaptiveTestingService?.getResponses(questions, nextGrades);
+      const estimate = adaptiveTestingService?.estimateAbility(responses);
+      let stopReason = adaptiveTestingService?.getStopReason(estimate, responses?.length);
+
+      setGrades(nextGrades);
+
+      if (!stopReason) {
+        const { question, pool } = await adaptiveTestingService?.getNextQuestion({
+          concepts: getPoolConcepts(itemPool),
+          pool: itemPool,
+          responses,
+          administeredIds: questions?.map(q => q?.id),
+          documentId,
+          allowGeneration: !bankSettings?.useOnlyApproved
+        });
+
+        setItemPool(pool);
+        if (question) {
+          setQuestions(prev => [...prev, { ...question, number: prev?.length + 1 }]);
+          setCurrentQuestionIndex(prev => prev + 1);
+          setShowValidation(false);
+          return;
+        }
+        stopReason = 'pool_exhausted';
+      }
+
+      const result = { ...estimate, stopReason, mastery: adaptiveTestingService?.abilityToMastery(estimate?.theta) };
+      setAbilityEstimate(result);
+      await finishAssessment(nextGrades, { adaptive: result });
+    } catch (error) {
+      console.error('Error moving to the next adaptive question:', error);
+      setSubmitError('Your answer could not be submitted. Check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Switches a question set between exam and practice before the learner has answered anything
+  const handleModeChange = (mode) => {
+    if (answeredQuestions?.length > 0) return;
+    setAssessmentMode(mode);
+  };
+
+  // Practice mode: grades the current answer right away and records it as an attempt
+  const handleCheckAnswer = async () => {
+    const question = currentQuestion;
+    const answer = answers?.[question?.id];
+    if (!questionScoringService?.isAnswered(question, answer)) {
+      setShowValidation(true);
+      return;
+    }
+
+    setIsCheckingAnswer(true);
+    try {
+      const questionGrades = questionGenerationService?.applyHintPenalty(
+        await questionGenerationService?.gradeResponses([question], { [question?.id]: answer }, { questionTimes, documentId }),
+        hintUsage
+      );
+      const questionGrade = questionGrades?.[question?.id];
+
+      setGrades(prev => ({ ...prev, ...questionGrades }));
+      setPracticeTries(prev => ({ ...prev, [question?.id]: (prev?.[question?.id] || 0) + 1 }));
+
+      if (documentId) {
+        await persist(async () => {
+          const mastery = await learnerProgressService?.recordAttempts(documentId, [{
+            ...buildAttempt(question?.id, questionGrades),
+            source: 'practice'
+          }]);
+          applyMastery(mastery);
+        });
+      }
+    } catch (error) {
+      console.error('Error checking answer:', error);
+    } finally {
+      setIsCheckingAnswer(false);
+      setShowValidation(false);
+    }
+  };
+
+  // Practice mode: clears a checked answer so the learner can answer again; the earlier try stays recorded
+  const handleRetryQuestion = () => {
+    const questionId = currentQuestion?.id;
+
+    setAnswers(prev => {
+      const { [questionId]: _answer, ...rest } = prev;
+      return rest;
+    });
+    setGrades(prev => {
+      const { [questionId]: _grade, ...rest } = prev;
+      return rest;
+    });
+  };
+
   const handleSubmit = async () => {
-    if (!answers?.[currentQuestion?.id]) {
+    // An exam whose time ran out is submitted as it stands
+    if (!isCurrentAnswered && !isCurrentQuestionExpired && !timedOut) {
       setShowValidation(true);
       return;
     }
 
+    if (isAdaptive) {
+      await handleAdaptiveNext();
+      return;
+    }
+
+    if (isPractice) {
+      setIsSubmitting(true);
+      setSubmitError(null);
+
+      try {
+        const { uncheckedIds, skippedIds } = questionScoringService?.getPracticeSubmission(questions, {
+          answeredIds: answeredQuestions,
+          grades,
+          practiceTries
+        });
+        const uncheckedGrades = uncheckedIds?.length
+          ? questionGenerationService?.applyHintPenalty(
+            await questionGenerationService?.gradeResponses(
+              questions?.filter(question => uncheckedIds?.includes(question?.id)),
+              answers,
+              { questionTimes, documentId }
+            ),
+            hintUsage
+          )
+          : {};
+        await finishAssessment({ ...grades, ...uncheckedGrades }, {}, { recordQuestionIds: [...uncheckedIds, ...skippedIds] });
+      } catch (error) {
+        console.error('Error submitting practice session:', error);
+        setSubmitError('Your answers could not be submitted. Check your connection and try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
+    await submitExam({ ranOutOfTime: timedOut });
+  };
+
+  // Grades the whole exam; a time limit running out submits it as it stands
+  const submitExam = async ({ ranOutOfTime = false } = {}) => {
     setIsSubmitting(true);
-    
-    // Simulate submission delay and analysis
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    setSubmitError(null);
+    setTimedOut(ranOutOfTime);
+
+    try {
+      // Score objective answers exactly and free-text answers with rubric-based AI evaluation,
+      // then discount the answers that needed hints
+      const submissionGrades = questionGenerationService?.applyHintPenalty(
+        await questionGenerationService?.gradeResponses(questions, answers, { questionTimes, documentId }),
+        hintUsage
+      );
+      await finishAssessment(submissionGrades, ranOutOfTime ? { timedOut: true } : {});
+    } catch (error) {
+      console.error('Error submitting exam:', error);
+      setSubmitError('Your exam could not be submitted. Check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Builds the stored attempt for one graded answer; an unanswered question is stored as an incorrect
+  // attempt without a confidence rating
+  const buildAttempt = (questionId, attemptGrades) => {
+    const question = questions?.find(q => q?.id === questionId);
+    const answered = answeredQuestions?.includes(questionId);
+    return {
+      questionId,
+      answered,
+      conceptId: question?.conceptId,
+      questionType: question?.type,
+      difficulty: question?.difficulty,
+      answer: answers?.[questionId],
+      confidence: answered ? confidence?.[questionId] || 3 : undefined,
+      isCorrect: !!attemptGrades?.[questionId]?.isCorrect,
+      score: attemptGrades?.[questionId]?.score ?? 0,
+      gradedBy: attemptGrades?.[questionId]?.gradedBy,
+      feedback: attemptGrades?.[questionId]?.feedback,
+      hintsUsed: hintUsage?.[questionId] || 0,
+      timeTaken: questionTimes?.[questionId] || 0,
+      sessionTime
+    };
+  };
+
+  const applyMastery = (mastery) => {
+    setConcepts(prev => prev?.map(concept => mastery?.[concept?.id] ? {
+      ...concept,
+      masteryLevel: mastery[concept.id]?.masteryLevel,
+      attempts: mastery[concept.id]?.attempts,
+      correctAnswers: mastery[concept.id]?.correctAnswers
+    } : concept));
+  };
+
+  // Records the graded attempts, unanswered questions included, closes the session and shows the summary
+  const finishAssessment = async (submissionGrades, sessionResult = {}, { recordQuestionIds = questions?.map(question => question?.id) } = {}) => {
+    setGrades(submissionGrades);
+
+    if (documentId) {
+      const attempts = recordQuestionIds?.map(questionId => buildAttempt(questionId, submissionGrades));
+
+      // Keep the results with the session so the progress dashboard can chart them later
+      const results = generateAssessmentResults(submissionGrades, sessionResult?.adaptive ?? abilityEstimate);
+
+      await persist(async () => {
+        const { isFinished, ...session } = sessionSnapshot.current || {};
+        await learnerProgressService?.completeAssessmentSession({
+          ...session,
+          ...sessionResult,
+          grades: submissionGrades,
+          results
+        });
+        if (attempts?.length > 0) {
+          applyMastery(await learnerProgressService?.recordAttempts(documentId, attempts));
+        }
+      });
+    }
     
     setIsSubmitting(false);
     setShowSummary(true);
   };
 
   const handleQuestionSelect = (questionId) => {
+    // Adaptive answers are graded as soon as the learner moves on, so earlier questions are locked
+    if (isAdaptive) return;
+
     const questionIndex = questions?.findIndex(q => q?.id === questionId);
     if (questionIndex !== -1) {
       setCurrentQuestionIndex(questionIndex);
@@ -234,7 +785,11 @@ const QuestionGenerationAssessment = () => {
   };
 
   const handlePauseSession = () => {
-    setSessionStatus(sessionStatus === 'active' ? 'paused' : 'active');
+    // Pausing would stop the clock, so timed exams run straight through
+    if (isTimedExam) return;
+
+    setIsPaused(prev => !prev);
+    checkpoint();
   };
 
   const handleSessionManage = (action) => {
@@ -242,12 +797,8 @@ const QuestionGenerationAssessment = () => {
       case 'pause':
         handlePauseSession();
         break;
-      case 'save': setSessionStatus('saving');
-        setTimeout(() => {
-          setSessionStatus('saved');
-          setLastSaved('Just now');
-          setTimeout(() => setSessionStatus('active'), 1000);
-        }, 1000);
+      case 'save':
+        checkpoint();
         break;
       case 'manage':
         // Handle session management
@@ -262,15 +813,47 @@ const QuestionGenerationAssessment = () => {
         currentQuestion: currentQuestion,
         userAnswer: answers?.[currentQuestion?.id],
         confidence: confidence?.[currentQuestion?.id] || 3,
+        documentId,
         concepts: concepts,
         learningPathway: learningPathway
       }
     });
   };
 
-  const handleHintRequest = () => {
-    // Show hint modal or tooltip
-    console.log('Hint requested for question:', currentQuestion?.id);
+  // Opens the hint panel, generating the progressive hints for the question the first time
+  const handleHintRequest = async () => {
+    const question = currentQuestion;
+    setIsHintPanelOpen(true);
+    if (!question || hintSets?.[question?.id]) return;
+
+    setIsLoadingHints(true);
+    setHintError(null);
+    try {
+      const result = await adaptiveLearningService?.generateAdaptiveHints(question, {
+        timeSpent: sessionTime,
+        previousHints: [],
+        masteryLevel: concepts?.find(concept => concept?.id === question?.conceptId)?.masteryLevel || 0
+      });
+      setHintSets(prev => ({
+        ...prev,
+        [question.id]: {
+          hints: [...(result?.hints || [])]?.sort((a, b) => (a?.level || 0) - (b?.level || 0)),
+          encouragement: result?.encouragement
+        }
+      }));
+    } catch (error) {
+      console.error('Error loading hints:', error);
+      setHintError('Hints are unavailable for this question right now.');
+    } finally {
+      setIsLoadingHints(false);
+    }
+  };
+
+  // Reveals one more hint level; every revealed hint is recorded against the answer
+  const handleRevealHint = () => {
+    const questionId = currentQuestion?.id;
+    const available = hintSets?.[questionId]?.hints?.length || 0;
+    setHintUsage(prev => ({ ...prev, [questionId]: Math.min(available, (prev?.[questionId] || 0) + 1) }));
   };
 
   const handleHelpRequest = () => {
@@ -278,27 +861,53 @@ const QuestionGenerationAssessment = () => {
     console.log('Help requested');
   };
 
-  const generateAssessmentResults = () => {
+  const generateAssessmentResults = (resultGrades = grades, adaptiveResult = abilityEstimate) => {
     const totalAnswered = answeredQuestions?.length;
     let correctCount = 0;
     let conceptPerformance = {};
+    const questionResults = [];
+
+    // Every question counts: unanswered and expired ones have no grade and score 0
+    questions?.forEach(question => {
+      const questionId = question?.id;
+      const grade = resultGrades?.[questionId];
+      const score = grade?.score ?? 0;
+      const answered = answeredQuestions?.includes(questionId);
 
-    // Analyze answers
-    answeredQuestions?.forEach(questionId => {
-      const question = questions?.find(q => q?.id === questionId);
-      const userAnswer = answers?.[questionId];
-      
-      if (question && userAnswer === question?.correctAnswer) {
+      if (grade?.isCorrect) {
         correctCount++;
       }
 
+      questionResults.push({
+        questionId,
+        number: question?.number,
+        question: question?.question,
+        type: question?.type,
+        conceptId: question?.conceptId,
+        conceptName: question?.conceptName,
+        options: question?.options,
+        userAnswer: answers?.[questionId],
+        correctAnswer: question?.correctAnswer,
+        userAnswerText: answered ? questionScoringService?.formatAnswer(question, answers?.[questionId]) : 'No answer',
+        correctAnswerText: questionScoringService?.formatCorrectAnswer(question),
+        explanation: question?.explanation,
+        confidence: confidence?.[questionId] || 3,
+        tries: practiceTries?.[questionId] || 0,
+        timeTaken: questionTimes?.[questionId] || 0,
+        answered,
+        ...grade,
+        isCorrect: !!grade?.isCorrect,
+        score
+      });
+
       // Track concept performance
       if (question?.conceptId) {
         if (!conceptPerformance?.[question?.conceptId]) {
-          conceptPerformance[question.conceptId] = { correct: 0, total: 0, concept: question?.conceptName };
+          conceptPerformance[question.conceptId] = { correct: 0, total: 0, score: 0, concept: question?.conceptName };
         }
         conceptPerformance[question.conceptId].total++;
-        if (userAnswer === question?.correctAnswer) {
+        conceptPerformance[question.conceptId].score += score;
+        if (grade?.isCorrect) {
           conceptPerformance[question.conceptId].correct++;
         }
       }
@@ -309,7 +918,7 @@ const QuestionGenerationAssessment = () => {
     const strongAreas = [];
 
     Object.values(conceptPerformance)?.forEach(perf => {
-      const score = Math.round((perf?.correct / perf?.total) * 100);
+      const score = Math.round(perf?.score / perf?.total);
       if (score < 60) {
         weakAreas?.push({ topic: perf?.concept, score });
       } else if (score >= 80) {
@@ -318,25 +927,51 @@ const QuestionGenerationAssessment = () => {
     });
 
     return {
-      totalQuestions: totalAnswered,
+      totalQuestions: questions?.length,
       correctAnswers: correctCount,
-      incorrectAnswers: totalAnswered - correctCount,
+      incorrectAnswers: questions?.length - correctCount,
+      partialCredit: questionResults?.filter(result => result?.score > 0 && !result?.isCorrect)?.length,
+      hintsUsed: questionResults?.reduce((sum, result) => sum + (result?.hintsUsed || 0), 0),
+      retriedQuestions: questionResults?.filter(result => result?.tries > 1)?.length,
       averageConfidence: Object.values(confidence)?.length > 0 ? 
         (Object.values(confidence)?.reduce((a, b) => a + b, 0) / Object.values(confidence)?.length)?.toFixed(1) : 3.0,
       timeSpent: formatTime(sessionTime),
-      overallScore: totalAnswered > 0 ? Math.round((correctCount / totalAnswered) * 100) : 0,
+      overallScore: questionScoringService?.getOverallScore(questions, resultGrades),
       weakAreas,
       strongAreas,
-      conceptPerformance
+      conceptPerformance,
+      questionResults: questionResults?.sort((a, b) => (a?.number || 0) - (b?.number || 0)),
+      // Only answered questions carry a confidence rating
+      calibration: calibrationService?.analyze(questionResults?.filter(result => result?.answered)),
+      mode: assessmentMode,
+      timing: isTimedExam ? {
+        ...timeLimits,
+        timedOut,
+        expiredQuestions: expiredQuestionIds?.length,
+        unansweredQuestions: questions?.length - totalAnswered
+      } : null,
+      adaptive: isAdaptive ? adaptiveResult : null
     };
   };
 
-  const handleRetakeAssessment = () => {
-    setCurrentQuestionIndex(0);
-    setAnswers({});
-    setConfidence({});
+  const handleRetakeAssessment = async () => {
+    if (isAdaptive) {
+      await beginAdaptiveTest(itemPool);
+    } else {
+      setCurrentQuestionIndex(0);
+      setAnswers({});
+      setConfidence({});
+      setGrades({});
+      setHintUsage({});
+      setPracticeTries({});
+      setTimeLimits(examSettings);
+      resetTiming();
+      setSessionTime(0);
+      setSessionId(createSessionId());
+    }
+
     setShowSummary(false);
-    setSessionTime(0);
+    setIsPaused(false);
     setSessionStatus('active');
   };
 
@@ -346,6 +981,7 @@ const QuestionGenerationAssessment = () => {
       state: {
         assessmentResults: results,
         weakAreas: results?.weakAreas,
+        documentId,
         concepts: concepts,
         learningPathway: learningPathway
       }
@@ -368,6 +1004,41 @@ const QuestionGenerationAssessment = () => {
     );
   }
 
+  if (resumableSession) {
+    const answeredCount = Object.keys(resumableSession?.answers || {})?.length;
+    const questionCount = resumableSession?.questions?.length || 0;
+
+    return (
+      <div className="min-h-screen bg-background">
+        <Header />
+        <div className="max-w-lg mx-auto px-4 py-16">
+          <div className="bg-card border rounded-lg p-6 text-center">
+            <Icon name="History" size={40} className="mx-auto text-primary mb-4" />
+            <h2 className="text-xl font-heading font-semibold text-foreground mb-2">
+              Resume your {resumableSession?.mode === 'adaptive' ? 'adaptive test'
+                : resumableSession?.mode === 'practice' ? 'practice session' : 'assessment'}?
+            </h2>
+            <p className="text-muted-foreground mb-1">
+              You answered {answeredCount} of {questionCount} questions and were on question {(resumableSession?.currentQuestionIndex || 0) + 1}.
+            </p>
+            <p className="text-sm text-muted-foreground mb-6">
+              Time spent {formatTime(resumableSession?.sessionTime || 0)}
+              {resumableSession?.updatedAt && ` • last saved ${formatDistanceToNow(new Date(resumableSession.updatedAt), { addSuffix: true })}`}
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              <Button iconName="Play" onClick={handleResumeSession}>
+                Resume session
+              </Button>
+              <Button variant="outline" iconName="RotateCcw" onClick={handleStartOver}>
+                Start over
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (showSummary) {
     return (
       <div className="min-h-screen bg-background">
@@ -377,6 +1048,7 @@ const QuestionGenerationAssessment = () => {
           onRetakeAssessment={handleRetakeAssessment}
           onContinueToExplanations={handleContinueToExplanations}
           sessionData={{ time: formatTime(sessionTime) }}
+          questions={questions}
         />
       </div>
     );
@@ -387,12 +1059,24 @@ const QuestionGenerationAssessment = () => {
       <div className="min-h-screen bg-background">
         <Header />
         <div className="flex items-center justify-center h-96">
-          <div className="text-center">
-            <p className="text-muted-foreground mb-4">No questions available</p>
-            <Button onClick={() => navigate('/file-upload')}>
-              Upload Learning Material
-            </Button>
-          </div>
+          {bankSettings?.useOnlyApproved && documentId ? (
+            <div className="text-center max-w-md">
+              <p className="text-foreground font-medium mb-2">No approved questions yet</p>
+              <p className="text-muted-foreground mb-4">
+                This course only uses approved questions. Review the question bank to approve some.
+              </p>
+              <Button iconName="Library" onClick={() => navigate('/question-bank', { state: { documentId } })}>
+                Open question bank
+              </Button>
+            </div>
+          ) : (
+            <div className="text-center">
+              <p className="text-muted-foreground mb-4">No questions available</p>
+              <Button onClick={() => navigate('/file-upload')}>
+                Upload Learning Material
+              </Button>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -405,14 +1089,15 @@ const QuestionGenerationAssessment = () => {
         currentPhase="Assessment"
         questionProgress={{ current: currentQuestionIndex + 1, total: totalQuestions }}
         completionPercentage={completionPercentage}
-        sessionTime={formatTime(sessionTime)}
+        sessionTime={timeRemaining !== null ? `${formatTime(timeRemaining)} left` : formatTime(sessionTime)}
+        pathwayProgress={pathwayService?.getProgress(resolvedPathway)}
         onPause={handlePauseSession}
-        onSettings={() => console.log('Settings')}
       />
       <AdaptiveNavigationBreadcrumb
         currentPhase="Assessment"
         completedPhases={['upload']}
         sessionProgress={{ completion: completionPercentage }}
+        conceptPathway={resolvedPathway}
       />
       <div className="flex">
         {/* Desktop Sidebar */}
@@ -444,14 +1129,82 @@ const QuestionGenerationAssessment = () => {
                 >
                   Overview
                 </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  iconName="Lightbulb"
+                  onClick={handleHintRequest}
+                  disabled={isHintPanelOpen || isPaused || (isPractice && !!grades?.[currentQuestion?.id])}
+                >
+                  Hint{hintUsage?.[currentQuestion?.id] ? ` (${hintUsage[currentQuestion.id]})` : ''}
+                </Button>
+                {!isAdaptive && answeredQuestions?.length === 0 && (
+                  <div className="inline-flex rounded-lg border border-border p-0.5">
+                    {QUESTION_SET_MODES?.map(mode => (
+                      <button
+                        key={mode?.id}
+                        onClick={() => handleModeChange(mode?.id)}
+                        className={`inline-flex items-center px-3 py-1 text-xs font-medium rounded-md transition-colors duration-200 ${
+                          assessmentMode === mode?.id
+                            ? 'bg-primary text-primary-foreground'
+                            : 'text-muted-foreground hover:text-foreground'
+                        }`}
+                      >
+                        <Icon name={mode?.icon} size={12} className="mr-1" />
+                        {mode?.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {isPractice && answeredQuestions?.length > 0 && (
+                  <span className="inline-flex items-center text-xs font-medium text-primary bg-primary/10 px-2 py-1 rounded-full">
+                    <Icon name="Dumbbell" size={12} className="mr-1" />
+                    Practice • answers are checked as you go
+                  </span>
+                )}
+                {!isAdaptive && answeredQuestions?.length === 0 && concepts?.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    iconName="Gauge"
+                    onClick={startAdaptiveSession}
+                  >
+                    Adaptive test
+                  </Button>
+                )}
+                {isAdaptive && (
+                  <span className="inline-flex items-center text-xs font-medium text-primary bg-primary/10 px-2 py-1 rounded-full">
+                    <Icon name="Gauge" size={12} className="mr-1" />
+                    Adaptive • stops when your level is clear
+                  </span>
+                )}
+                {isTimedExam && (
+                  <span
+                    className={`inline-flex items-center text-xs font-medium px-2 py-1 rounded-full ${
+                      isCurrentQuestionExpired || [timeRemaining, questionTimeRemaining]?.some(
+                        remaining => remaining !== null && remaining <= TIME_WARNING_SECONDS
+                      )
+                        ? 'text-error bg-error/10'
+                        : 'text-primary bg-primary/10'
+                    }`}
+                    title={examTimingService?.describe(timeLimits)}
+                  >
+                    <Icon name="Timer" size={12} className="mr-1" />
+                    {isCurrentQuestionExpired
+                      ? 'Time is up on this question'
+                      : questionTimeRemaining !== null
+                        ? `${formatTime(questionTimeRemaining)} left on this question`
+                        : `Timed exam • ${formatTime(timeRemaining)} left`}
+                  </span>
+                )}
               </div>
               
               <SessionStatusIndicator
-                sessionStatus={sessionStatus}
-                lastSaved={lastSaved}
+                sessionStatus={isPaused && sessionStatus === 'active' ? 'paused' : sessionStatus}
+                lastSaved={lastSavedAt ? formatDistanceToNow(lastSavedAt, { addSuffix: true }) : null}
                 sessionName="AI Assessment"
                 onSessionManage={handleSessionManage}
-                autoSaveEnabled={true}
+                autoSaveEnabled={!!documentId}
               />
             </div>
 
@@ -465,6 +1218,53 @@ const QuestionGenerationAssessment = () => {
                 confidence={confidence?.[currentQuestion?.id] || 3}
                 showValidation={showValidation}
                 isSubmitted={false}
+                revealAnswers={isPractice && !!grades?.[currentQuestion?.id]}
+                isLocked={isCurrentQuestionExpired}
+              />
+            )}
+
+            {submitError && (
+              <div className="flex items-center space-x-2 p-3 mt-4 bg-error/10 border border-error/20 rounded-lg">
+                <Icon name="AlertCircle" size={16} className="text-error" />
+                <span className="text-sm text-error">{submitError}</span>
+              </div>
+            )}
+
+            {/* Practice Feedback */}
+            {currentQuestion && isPractice && (
+              grades?.[currentQuestion?.id] ? (
+                <PracticeFeedback
+                  question={currentQuestion}
+                  grade={grades[currentQuestion.id]}
+                  tries={practiceTries?.[currentQuestion?.id] || 1}
+                  onRetry={handleRetryQuestion}
+                  onExplain={handleExplanationRequest}
+                />
+              ) : (
+                <div className="flex justify-end mt-4">
+                  <Button
+                    iconName="Check"
+                    iconPosition="right"
+                    loading={isCheckingAnswer}
+                    disabled={!isCurrentAnswered || isPaused}
+                    onClick={handleCheckAnswer}
+                  >
+                    Check answer
+                  </Button>
+                </div>
+              )
+            )}
+
+            {/* Progressive Hints */}
+            {currentQuestion && isHintPanelOpen && (
+              <HintPanel
+                hints={hintSets?.[currentQuestion?.id]?.hints}
+                encouragement={hintSets?.[currentQuestion?.id]?.encouragement}
+                revealedCount={hintUsage?.[currentQuestion?.id] || 0}
+                isLoading={isLoadingHints}
+                error={hintError}
+                onRevealNext={handleRevealHint}
+                onClose={() => setIsHintPanelOpen(false)}
               />
             )}
           </div>
@@ -477,8 +1277,10 @@ const QuestionGenerationAssessment = () => {
               onPrevious={handlePrevious}
               onNext={handleNext}
               onSubmit={handleSubmit}
-              canGoNext={!!answers?.[currentQuestion?.id]}
-              canGoPrevious={currentQuestionIndex > 0}
+              canGoNext={isPractice
+                ? !!grades?.[currentQuestion?.id]
+                : isCurrentAnswered || isCurrentQuestionExpired}
+              canGoPrevious={currentQuestionIndex > 0 && !isAdaptive}
               isLastQuestion={currentQuestionIndex === totalQuestions - 1}
               isSubmitting={isSubmitting}
               showValidation={showValidation}
@@ -501,7 +1303,7 @@ const QuestionGenerationAssessment = () => {
         onExplanationRequest={handleExplanationRequest}
         onHelpRequest={handleHelpRequest}
         onHintRequest={handleHintRequest}
-        disabled={sessionStatus === 'paused'}
+        disabled={isPaused}
       />
     </div>
   );
@@ -0,0 +1,76 @@
+import React from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const DueReviewQueue = ({
+  queue = [],
+  nextReviewDate,
+  onStartReview,
+  onContinueLearning
+}) => {
+  if (queue?.length === 0) {
+    return (
+      <div className="bg-card border rounded-xl p-8 text-center shadow-card">
+        <Icon name="CheckCircle2" size={40} className="mx-auto text-success mb-4" />
+        <h2 className="text-xl font-heading font-semibold text-foreground mb-2">
+          Nothing is due for review
+        </h2>
+        <p className="text-muted-foreground mb-6">
+          {nextReviewDate
+            ? `Your next review is due ${formatDistanceToNow(new Date(nextReviewDate), { addSuffix: true })}.`
+            : 'Answer some assessment questions and they will be scheduled for review here.'}
+        </p>
+        <Button variant="outline" iconName="BookOpen" onClick={onContinueLearning}>
+          Continue learning
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-card border rounded-xl p-6 shadow-card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Icon name="Repeat" size={20} className="text-primary" />
+          <h2 className="text-lg font-semibold text-foreground">
+            Due for review
+          </h2>
+          <span className="text-xs font-medium text-primary bg-primary/10 px-2 py-0.5 rounded-full">
+            {queue?.length}
+          </span>
+        </div>
+        <Button iconName="Play" onClick={onStartReview}>
+          Start review
+        </Button>
+      </div>
+      <div className="divide-y">
+        {queue?.map(item => (
+          <div key={item?.question?.id} className="flex items-start justify-between gap-4 py-3">
+            <div className="min-w-0">
+              <div className="text-sm font-medium text-foreground truncate">
+                {item?.question?.question}
+              </div>
+              <div className="text-xs text-muted-foreground mt-1">
+                {item?.conceptName || 'General'}
+                {item?.card?.itemType === 'concept' && ' • concept review'}
+              </div>
+            </div>
+            <div className="text-right shrink-0">
+              <div className="text-xs text-muted-foreground">
+                Due {formatDistanceToNow(new Date(item?.dueAt), { addSuffix: true })}
+              </div>
+              {item?.card?.lapses > 0 && (
+                <div className="text-xs text-warning mt-1">
+                  Forgotten {item.card.lapses}×
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DueReviewQueue;
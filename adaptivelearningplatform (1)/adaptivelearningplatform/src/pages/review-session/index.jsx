@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import QuestionCard from '../question-generation-assessment/components/QuestionCard';
+import DueReviewQueue from './components/DueReviewQueue';
+
+// Import services
+import questionGenerationService from '../../services/questionGenerationService';
+import questionScoringService from '../../services/questionScoringService';
+import learnerProgressService from '../../services/learnerProgressService';
+import spacedRepetitionService from '../../services/spacedRepetitionService';
+
+const ReviewSession = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [documentId, setDocumentId] = useState(null);
+  const [concepts, setConcepts] = useState([]);
+  const [learningPathway, setLearningPathway] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [nextReviewDate, setNextReviewDate] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [phase, setPhase] = useState('queue');
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [confidence, setConfidence] = useState(3);
+  const [showValidation, setShowValidation] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [grade, setGrade] = useState(null);
+  const [error, setError] = useState(null);
+  const [results, setResults] = useState([]);
+
+  const currentItem = queue?.[currentIndex];
+
+  // Load the course from navigation state or the one the learner last worked on
+  useEffect(() => {
+    const loadCourse = async () => {
+      try {
+        const course = location.state?.documentId
+          ? await learnerProgressService?.loadCourse(location.state.documentId)
+          : await learnerProgressService?.loadActiveCourse();
+
+        if (!course?.document?.id) {
+          navigate('/file-upload');
+          return;
+        }
+
+        setDocumentId(course.document.id);
+        setConcepts(course?.concepts || []);
+        setLearningPathway(course?.learningPathway);
+        await loadQueue(course.document.id);
+      } catch (error) {
+        console.error('Error loading review queue:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadCourse();
+  }, [location.state, navigate]);
+
+  const loadQueue = async (courseId) => {
+    const [dueItems, cards] = await Promise.all([
+      learnerProgressService?.getReviewQueue(courseId),
+      learnerProgressService?.getReviewCards(courseId)
+    ]);
+
+    setQueue(dueItems || []);
+    setNextReviewDate(cards?.length ? spacedRepetitionService?.getNextReviewDate(cards) : null);
+  };
+
+  const resetAnswer = () => {
+    setAnswer(null);
+    setConfidence(3);
+    setGrade(null);
+    setError(null);
+    setShowValidation(false);
+  };
+
+  const handleStartReview = () => {
+    resetAnswer();
+    setResults([]);
+    setCurrentIndex(0);
+    setPhase('reviewing');
+  };
+
+  // Grades the answer right away, then reschedules the question and its concept. A failed save
+  // still shows the grade and lets the learner move on; the item simply stays due.
+  const handleCheckAnswer = async () => {
+    const question = currentItem?.question;
+    if (!questionScoringService?.isAnswered(question, answer)) {
+      setShowValidation(true);
+      return;
+    }
+
+    setIsChecking(true);
+    setError(null);
+    let questionGrade;
+    try {
+      const grades = await questionGenerationService?.gradeResponses([question], { [question?.id]: answer }, { documentId });
+      questionGrade = grades?.[question?.id];
+    } catch (gradingError) {
+      console.error('Error grading review:', gradingError);
+      setError('We could not check this answer. Please try again.');
+      setIsChecking(false);
+      return;
+    }
+
+    setGrade(questionGrade);
+    setResults(prev => [...prev, { questionId: question?.id, ...questionGrade }]);
+
+    try {
+      await learnerProgressService?.recordAttempts(documentId, [{
+        questionId: question?.id,
+        conceptId: question?.conceptId,
+        questionType: question?.type,
+        difficulty: question?.difficulty,
+        answer,
+        confidence,
+        isCorrect: !!questionGrade?.isCorrect,
+        score: questionGrade?.score ?? 0,
+        gradedBy: questionGrade?.gradedBy,
+        feedback: questionGrade?.feedback,
+        source: 'review'
+      }]);
+    } catch (saveError) {
+      console.error('Error recording review:', saveError);
+      setError('Your answer was checked but could not be saved, so this item stays due for review.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleNextItem = async () => {
+    if (currentIndex < queue?.length - 1) {
+      resetAnswer();
+      setCurrentIndex(prev => prev + 1);
+      return;
+    }
+
+    await loadQueue(documentId)?.catch(error => console.error('Error reloading review queue:', error));
+    setPhase('done');
+  };
+
+  const handleContinueLearning = () => {
+    navigate('/adaptive-learning-explanations', {
+      state: { documentId, concepts, learningPathway }
+    });
+  };
+
+  const renderFeedback = () => (
+    <div className={`mt-4 p-4 rounded-lg border ${grade?.isCorrect ? 'bg-success/5 border-success/20' : 'bg-error/5 border-error/20'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Icon
+            name={grade?.isCorrect ? 'CheckCircle2' : 'XCircle'}
+            size={18}
+            className={grade?.isCorrect ? 'text-success' : 'text-error'}
+          />
+          <span className="text-sm font-medium text-foreground">
+            {grade?.isCorrect ? 'Correct' : 'Not quite'}
+          </span>
+        </div>
+        <span className="text-sm text-muted-foreground">{grade?.score}/100</span>
+      </div>
+      {grade?.feedback && (
+        <p className="text-sm text-foreground mb-2">{grade.feedback}</p>
+      )}
+      {currentItem?.question?.explanation && (
+        <p className="text-sm text-muted-foreground">{currentItem.question.explanation}</p>
+      )}
+    </div>
+  );
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-background">
+        <Header />
+        <div className="flex items-center justify-center h-96">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === 'done') {
+    const correctCount = results?.filter(result => result?.isCorrect)?.length;
+
+    return (
+      <div className="min-h-screen bg-background">
+        <Header />
+        <div className="max-w-lg mx-auto px-4 py-16">
+          <div className="bg-card border rounded-xl p-8 text-center shadow-card">
+            <Icon name="Trophy" size={40} className="mx-auto text-primary mb-4" />
+            <h2 className="text-xl font-heading font-semibold text-foreground mb-2">
+              Review complete
+            </h2>
+            <p className="text-muted-foreground mb-1">
+              You recalled {correctCount} of {results?.length} items.
+            </p>
+            {nextReviewDate && (
+              <p className="text-sm text-muted-foreground mb-6">
+                Next review due {formatDistanceToNow(new Date(nextReviewDate), { addSuffix: true })}
+              </p>
+            )}
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              {queue?.length > 0 && (
+                <Button iconName="Repeat" onClick={() => setPhase('queue')}>
+                  Review more ({queue.length})
+                </Button>
+              )}
+              <Button variant="outline" iconName="BookOpen" onClick={handleContinueLearning}>
+                Continue learning
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <div className="max-w-3xl mx-auto p-4 pb-24 space-y-6">
+        {phase === 'queue' && (
+          <DueReviewQueue
+            queue={queue}
+            nextReviewDate={nextReviewDate}
+            onStartReview={handleStartReview}
+            onContinueLearning={handleContinueLearning}
+          />
+        )}
+
+        {phase === 'reviewing' && currentItem && (
+          <>
+            <div className="flex items-center justify-between text-sm text-muted-foreground">
+              <span>Review {currentIndex + 1} of {queue?.length}</span>
+              <span>{currentItem?.conceptName}</span>
+            </div>
+
+            <QuestionCard
+              question={{ ...currentItem.question, number: currentIndex + 1 }}
+              currentAnswer={answer}
+              onAnswerChange={(value) => {
+                if (grade) return;
+                setAnswer(value);
+                setShowValidation(false);
+              }}
+              onConfidenceChange={setConfidence}
+              confidence={confidence}
+              showValidation={showValidation}
+              revealAnswers={!!grade}
+            />
+
+            {grade && renderFeedback()}
+
+            {error && (
+              <div className="flex items-center space-x-2 p-3 bg-error/10 border border-error/20 rounded-lg">
+                <Icon name="AlertCircle" size={16} className="text-error" />
+                <span className="text-sm text-error">{error}</span>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              {grade ? (
+                <Button iconName="ChevronRight" iconPosition="right" onClick={handleNextItem}>
+                  {currentIndex < queue?.length - 1 ? 'Next' : 'Finish'}
+                </Button>
+              ) : (
+                <Button iconName="Check" iconPosition="right" loading={isChecking} onClick={handleCheckAnswer}>
+                  Check answer
+                </Button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewSession;
@@ -0,0 +1,265 @@
+import questionGenerationService from './questionGenerationService';
+import questionBankService from './questionBankService';
+
+/**
+ * Item difficulty (Rasch b parameter, in logits) for each difficulty label the generator uses
+ */
+const DIFFICULTY_PARAMETERS = {
+  easy: -1,
+  beginner: -1,
+  medium: 0,
+  intermediate: 0,
+  hard: 1,
+  advanced: 1
+};
+
+/**
+ * Default stopping rule: stop once the ability estimate is precise enough, within item limits
+ * Each Rasch item adds at most 0.25 information, so a 0.55 standard error needs about ten well-targeted items.
+ */
+export const DEFAULT_STOPPING_RULE = {
+  targetStandardError: 0.55,
+  minItems: 5,
+  maxItems: 15
+};
+
+// Quadrature grid for the ability posterior, -4 to +4 logits
+const THETA_GRID = Array.from({ length: 81 }, (_, index) => -4 + index * 0.1);
+
+/**
+ * Probability of a correct response under the Rasch model
+ * @param {number} theta - Learner ability
+ * @param {number} difficulty - Item difficulty
+ * @returns {number} Probability between 0 and 1
+ */
+const probabilityCorrect = (theta, difficulty) => 1 / (1 + Math.exp(-(theta - difficulty)));
+
+/**
+ * Appends generated items to a pool, renaming any whose id is already taken
+ * @param {Array} pool - Existing items
+ * @param {Array} items - New items
+ * @returns {Array} Combined pool
+ */
+const addToPool = (pool, items) => {
+  const ids = new Set(pool?.map(item => item?.id));
+
+  return [...(pool || []), ...(items || [])?.map(item => {
+    let id = item?.id;
+    for (let suffix = 2; ids.has(id); suffix++) {
+      id = `${item?.conceptId}_${item?.id}_${suffix}`;
+    }
+    ids.add(id);
+    return { ...item, id };
+  })];
+};
+
+/**
+ * Adaptive Testing Service
+ * Computer-adaptive testing on a Rasch (1PL) item-response model: estimates ability after each
+ * answer, picks the most informative next question and decides when the estimate is precise enough
+ */
+class AdaptiveTestingService {
+  /**
+   * Returns the Rasch difficulty of a question
+   * @param {Object} question - Question with a difficulty label
+   * @returns {number} Difficulty in logits
+   */
+  getItemDifficulty(question) {
+    return DIFFICULTY_PARAMETERS?.[question?.difficulty?.toLowerCase()] ?? 0;
+  }
+
+  /**
+   * Estimates ability from graded responses (expected a posteriori with a standard normal prior)
+   * Scores are treated as fractional responses, so partial credit moves the estimate partially.
+   * @param {Array} responses - Responses as { difficulty, score } with score from 0 to 100
+   * @returns {Object} { theta, standardError }
+   */
+  estimateAbility(responses) {
+    const logPosterior = THETA_GRID.map(theta => {
+      const logPrior = -(theta * theta) / 2;
+      return responses?.reduce((sum, response) => {
+        const p = probabilityCorrect(theta, response?.difficulty ?? 0);
+        const x = Math.max(0, Math.min(1, (response?.score ?? 0) / 100));
+        return sum + x * Math.log(p) + (1 - x) * Math.log(1 - p);
+      }, logPrior);
+    });
+
+    const maxLog = Math.max(...logPosterior);
+    const weights = logPosterior.map(value => Math.exp(value - maxLog));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const theta = THETA_GRID.reduce((sum, value, index) => sum + value * weights[index], 0) / total;
+    const variance = THETA_GRID.reduce((sum, value, index) => sum + (value - theta) ** 2 * weights[index], 0) / total;
+
+    return {
+      theta: Math.round(theta * 100) / 100,
+      standardError: Math.round(Math.sqrt(variance) * 100) / 100
+    };
+  }
+
+  /**
+   * Builds item responses from the questions asked so far and their grades
+   * @param {Array} questions - Administered questions
+   * @param {Object} grades - Grades keyed by question id, from questionGenerationService.gradeResponses
+   * @returns {Array} Responses as { questionId, conceptId, difficulty, score }
+   */
+  getResponses(questions, grades) {
+    return questions
+      ?.filter(question => grades?.[question?.id])
+      ?.map(question => ({
+        questionId: question?.id,
+        conceptId: question?.conceptId,
+        difficulty: this.getItemDifficulty(question),
+        score: grades[question.id]?.score ?? (grades[question.id]?.isCorrect ? 100 : 0)
+      })) || [];
+  }
+
+  /**
+   * Converts an ability estimate to a 0-100 mastery level (chance of answering a medium item)
+   * @param {number} theta - Ability estimate
+   * @returns {number} Mastery level
+   */
+  abilityToMastery(theta) {
+    return Math.round(probabilityCorrect(theta, DIFFICULTY_PARAMETERS.medium) * 100);
+  }
+
+  /**
+   * Builds the per-concept performance map used by questionGenerationService
+   * Concepts with responses use their own ability estimate; others use the stored mastery level.
+   * @param {Array} concepts - Concepts in the assessment
+   * @param {Array} responses - Responses as { conceptId, difficulty, score }
+   * @returns {Object} Performance keyed by concept id: { masteryLevel, attempts }
+   */
+  getUserPerformance(concepts, responses) {
+    return Object.fromEntries(concepts?.map(concept => {
+      const conceptResponses = responses?.filter(response => response?.conceptId === concept?.id);
+      const masteryLevel = conceptResponses?.length
+        ? this.abilityToMastery(this.estimateAbility(conceptResponses)?.theta)
+        : concept?.masteryLevel || 0;
+
+      return [concept?.id, { masteryLevel, attempts: (concept?.attempts || 0) + (conceptResponses?.length || 0) }];
+    }) || []);
+  }
+
+  /**
+   * Chooses the concept to test next, balancing coverage before precision
+   * @param {Array} concepts - Concepts in the assessment
+   * @param {Array} responses - Responses so far
+   * @returns {Object} Concept with the fewest responses, weakest first on ties
+   */
+  selectNextConcept(concepts, responses) {
+    const counts = Object.fromEntries(concepts?.map(concept => [
+      concept?.id,
+      responses?.filter(response => response?.conceptId === concept?.id)?.length || 0
+    ]) || []);
+
+    return [...(concepts || [])]?.sort((a, b) =>
+      counts[a?.id] - counts[b?.id] || (a?.masteryLevel || 0) - (b?.masteryLevel || 0)
+    )?.[0];
+  }
+
+  /**
+   * Picks the unanswered question with the most information at the current ability estimate
+   * @param {Array} pool - Candidate questions
+   * @param {Object} options - Selection options
+   * @param {number} options.theta - Current ability estimate
+   * @param {Array<string>} options.administeredIds - Ids of questions already asked
+   * @param {string} options.conceptId - Restrict to this concept when it has candidates
+   * @returns {Object|null} Next question, or null if the pool is exhausted
+   */
+  selectNextQuestion(pool, { theta = 0, administeredIds = [], conceptId } = {}) {
+    const available = pool?.filter(question => !administeredIds?.includes(question?.id));
+    const forConcept = available?.filter(question => question?.conceptId === conceptId);
+    const candidates = forConcept?.length ? forConcept : available;
+
+    return candidates?.reduce((best, question) => {
+      const p = probabilityCorrect(theta, this.getItemDifficulty(question));
+      const information = p * (1 - p);
+      return !best || information > best.information ? { question, information } : best;
+    }, null)?.question || null;
+  }
+
+  /**
+   * Applies the stopping rule
+   * @param {Object} estimate - Current { standardError }
+   * @param {number} itemCount - Questions answered so far
+   * @param {Object} rule - Stopping rule, see DEFAULT_STOPPING_RULE
+   * @returns {string|null} Reason to stop ('precision' or 'max_items'), or null to continue
+   */
+  getStopReason(estimate, itemCount, rule = DEFAULT_STOPPING_RULE) {
+    if (itemCount >= rule?.maxItems) return 'max_items';
+    if (itemCount >= rule?.minItems && estimate?.standardError <= rule?.targetStandardError) return 'precision';
+    return null;
+  }
+
+  /**
+   * Builds the starting item pool from the learner's stored mastery
+   * @param {Array} concepts - Concepts in the assessment
+   * @param {Object} options - Pool options
+   * @param {string} options.documentId - Course whose material the questions are drawn from
+   * @returns {Promise<Array>} Question pool
+   */
+  async createItemPool(concepts, { documentId } = {}) {
+    const questions = await questionGenerationService?.generateAdaptiveQuestions(
+      concepts,
+      this.getUserPerformance(concepts, []),
+      { documentId }
+    );
+    return addToPool([], await this.bankQuestions(documentId, questions));
+  }
+
+  /**
+   * Saves generated items to the course's question bank so later assessments can draw on them
+   * A failed save keeps the test going with the unsaved items.
+   * @param {string} documentId - Course the items belong to
+   * @param {Array} questions - Generated questions
+   * @returns {Promise<Array>} Questions as saved, with their bank ids
+   */
+  async bankQuestions(documentId, questions) {
+    if (!documentId || !questions?.length) return questions || [];
+
+    try {
+      return await questionBankService?.addQuestions(documentId, questions);
+    } catch (error) {
+      console.error('Error banking adaptive items, using them unsaved:', error);
+      return questions;
+    }
+  }
+
+  /**
+   * Chooses the next question, generating more items for the target concept when the pool has
+   * nothing close to the learner's current level and generation is allowed
+   * @param {Object} state - { concepts, pool, responses, administeredIds, documentId, allowGeneration }
+   * @returns {Promise<Object>} { question, pool } where pool may include new items
+   */
+  async getNextQuestion({ concepts, pool, responses, administeredIds, documentId, allowGeneration = true }) {
+    const { theta } = this.estimateAbility(responses);
+    const concept = this.selectNextConcept(concepts, responses);
+    let nextPool = pool || [];
+    let question = this.selectNextQuestion(nextPool, { theta, administeredIds, conceptId: concept?.id });
+
+    const isWellTargeted = question
+      && question?.conceptId === concept?.id
+      && Math.abs(this.getItemDifficulty(question) - theta) <= 1;
+
+    if (!isWellTargeted && concept && allowGeneration) {
+      try {
+        const performance = this.getUserPerformance(concepts, responses);
+        const generated = await questionGenerationService?.generateQuestionsForConcept(concept, {
+          questionCount: 2,
+          difficultyLevel: questionGenerationService?.adjustDifficultyForPerformance(concept, performance),
+          documentId,
+          existingQuestions: nextPool
+        });
+
+        nextPool = addToPool(nextPool, await this.bankQuestions(documentId, generated));
+        question = this.selectNextQuestion(nextPool, { theta, administeredIds, conceptId: concept?.id }) || question;
+      } catch (error) {
+        console.error('Error generating adaptive items, using the existing pool:', error);
+      }
+    }
+
+    return { question, pool: nextPool };
+  }
+}
+
+export default new AdaptiveTestingService();
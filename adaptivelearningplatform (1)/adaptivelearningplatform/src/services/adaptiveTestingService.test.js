@@ -0,0 +1,126 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import adaptiveTestingService, { DEFAULT_STOPPING_RULE } from './adaptiveTestingService';
+import questionGenerationService from './questionGenerationService';
+import questionBankService from './questionBankService';
+
+const responses = (difficulty, scores) => scores.map(score => ({ difficulty, score }));
+
+describe('adaptiveTestingService.estimateAbility', () => {
+  it('returns the prior without responses', () => {
+    const { theta, standardError } = adaptiveTestingService.estimateAbility([]);
+
+    expect(theta).toBe(0);
+    expect(standardError).toBeCloseTo(1, 1);
+  });
+
+  it('moves the estimate up for right answers and down for wrong ones, symmetrically', () => {
+    const up = adaptiveTestingService.estimateAbility(responses(0, [100, 100, 100]));
+    const down = adaptiveTestingService.estimateAbility(responses(0, [0, 0, 0]));
+
+    expect(up.theta).toBeGreaterThan(0);
+    expect(down.theta).toBe(-up.theta);
+  });
+
+  it('credits a right answer on a hard item more than on an easy one', () => {
+    const hard = adaptiveTestingService.estimateAbility(responses(1, [100]));
+    const easy = adaptiveTestingService.estimateAbility(responses(-1, [100]));
+
+    expect(hard.theta).toBeGreaterThan(easy.theta);
+  });
+
+  it('treats half credit on a medium item as no evidence either way', () => {
+    expect(adaptiveTestingService.estimateAbility(responses(0, [50, 50])).theta).toBe(0);
+  });
+
+  it('narrows the standard error as responses accumulate', () => {
+    const few = adaptiveTestingService.estimateAbility(responses(0, [100, 0]));
+    const many = adaptiveTestingService.estimateAbility(responses(0, [100, 0, 100, 0, 100, 0, 100, 0]));
+
+    expect(many.standardError).toBeLessThan(few.standardError);
+  });
+});
+
+describe('adaptiveTestingService item selection', () => {
+  const pool = [
+    { id: 'easy', conceptId: 'a', difficulty: 'easy' },
+    { id: 'medium', conceptId: 'a', difficulty: 'medium' },
+    { id: 'hard', conceptId: 'a', difficulty: 'hard' },
+    { id: 'other', conceptId: 'b', difficulty: 'hard' }
+  ];
+
+  it('picks the item closest to the current ability', () => {
+    expect(adaptiveTestingService.selectNextQuestion(pool, { theta: 1, conceptId: 'a' })?.id).toBe('hard');
+    expect(adaptiveTestingService.selectNextQuestion(pool, { theta: -1.2, conceptId: 'a' })?.id).toBe('easy');
+  });
+
+  it('skips administered items and falls back to other concepts', () => {
+    expect(adaptiveTestingService.selectNextQuestion(pool, {
+      theta: 1,
+      conceptId: 'a',
+      administeredIds: ['easy', 'medium', 'hard']
+    })?.id).toBe('other');
+    expect(adaptiveTestingService.selectNextQuestion(pool, {
+      administeredIds: pool.map(question => question.id)
+    })).toBeNull();
+  });
+
+  it('tests the concept with the fewest responses, weakest first', () => {
+    const concepts = [
+      { id: 'a', masteryLevel: 10 },
+      { id: 'b', masteryLevel: 80 },
+      { id: 'c', masteryLevel: 40 }
+    ];
+
+    expect(adaptiveTestingService.selectNextConcept(concepts, [{ conceptId: 'a' }])?.id).toBe('c');
+  });
+});
+
+describe('adaptiveTestingService.getStopReason', () => {
+  it('stops on precision only after the minimum number of items', () => {
+    const precise = { standardError: DEFAULT_STOPPING_RULE.targetStandardError };
+
+    expect(adaptiveTestingService.getStopReason(precise, DEFAULT_STOPPING_RULE.minItems - 1)).toBeNull();
+    expect(adaptiveTestingService.getStopReason(precise, DEFAULT_STOPPING_RULE.minItems)).toBe('precision');
+  });
+
+  it('stops at the item limit however imprecise the estimate', () => {
+    expect(adaptiveTestingService.getStopReason({ standardError: 1 }, DEFAULT_STOPPING_RULE.maxItems)).toBe('max_items');
+  });
+});
+
+describe('adaptiveTestingService.getNextQuestion', () => {
+  const concepts = [{ id: 'a', name: 'Recursion', masteryLevel: 50 }];
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('banks generated items and asks them under their bank ids', async () => {
+    vi.spyOn(questionGenerationService, 'generateQuestionsForConcept')
+      .mockResolvedValue([{ id: 'generated', conceptId: 'a', difficulty: 'medium' }]);
+    const addQuestions = vi.spyOn(questionBankService, 'addQuestions')
+      .mockImplementation(async (documentId, questions) => questions.map(question => ({ ...question, id: 'banked' })));
+
+    const { question, pool } = await adaptiveTestingService.getNextQuestion({
+      concepts, pool: [], responses: [], administeredIds: [], documentId: 'doc'
+    });
+
+    expect(addQuestions).toHaveBeenCalledWith('doc', [expect.objectContaining({ id: 'generated' })]);
+    expect(question?.id).toBe('banked');
+    expect(pool.map(item => item.id)).toEqual(['banked']);
+  });
+
+  it('keeps the existing pool when generation fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(questionGenerationService, 'generateQuestionsForConcept').mockRejectedValue(new Error('offline'));
+    const pool = [{ id: 'far', conceptId: 'a', difficulty: 'hard' }];
+
+    const result = await adaptiveTestingService.getNextQuestion({
+      concepts, pool, responses: responses(0, [0, 0, 0]).map(response => ({ ...response, conceptId: 'a' })),
+      administeredIds: [], documentId: 'doc'
+    });
+
+    expect(result.question?.id).toBe('far');
+    expect(result.pool).toBe(pool);
+  });
+});
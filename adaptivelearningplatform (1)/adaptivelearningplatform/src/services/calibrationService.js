@@ -0,0 +1,117 @@
+/**
+ * Confidence from which the learner counts as sure of an answer
+ */
+export const SURE_CONFIDENCE = 4;
+
+/**
+ * Gap between stated confidence and accuracy tolerated before a concept counts as over- or under-confident
+ */
+export const CALIBRATION_TOLERANCE = 0.15;
+
+/**
+ * Score below which a sure answer counts as a misconception rather than a slip
+ */
+const MISCONCEPTION_SCORE = 50;
+
+const outcomeOf = (item) => (item?.score ?? (item?.isCorrect ? 100 : 0)) / 100;
+
+/**
+ * Calibration Service
+ * Scores how well the learner's 1-5 confidence ratings match how often they are actually right
+ */
+class CalibrationService {
+  /**
+   * Converts a 1-5 confidence rating to the probability of being right it expresses
+   * @param {number} confidence - Confidence from 1 to 5
+   * @returns {number} Probability from 0.2 to 1
+   */
+  confidenceToProbability(confidence) {
+    return Math.max(1, Math.min(5, confidence || 3)) / 5;
+  }
+
+  /**
+   * Mean squared gap between stated confidence and outcome; 0 is perfect, 1 is always sure and always wrong
+   * Partial credit counts as a fractional outcome.
+   * @param {Array} items - Graded answers as { confidence, score, isCorrect }
+   * @returns {number|null} Brier score, or null without answers
+   */
+  getBrierScore(items) {
+    if (!items?.length) return null;
+
+    const total = items.reduce((sum, item) =>
+      sum + Math.pow(this.confidenceToProbability(item?.confidence) - outcomeOf(item), 2), 0);
+    return total / items.length;
+  }
+
+  /**
+   * Labels the gap between mean confidence and accuracy
+   * @param {number} bias - Mean confidence minus accuracy, both from 0 to 1
+   * @returns {string} 'overconfident', 'underconfident' or 'calibrated'
+   */
+  getBiasLabel(bias) {
+    if (bias > CALIBRATION_TOLERANCE) return 'overconfident';
+    if (bias < -CALIBRATION_TOLERANCE) return 'underconfident';
+    return 'calibrated';
+  }
+
+  /**
+   * Checks whether an answer was given with confidence and still wrong
+   * @param {Object} item - Graded answer as { confidence, score, isCorrect }
+   * @returns {boolean} True for a likely misconception
+   */
+  isConfidentlyWrong(item) {
+    return (item?.confidence || 3) >= SURE_CONFIDENCE
+      && !item?.isCorrect
+      && (item?.score ?? 0) < MISCONCEPTION_SCORE;
+  }
+
+  /**
+   * Summarizes calibration per concept
+   * @param {Array} items - Graded answers as { conceptId, conceptName, confidence, score, isCorrect }
+   * @returns {Array} Concepts as { conceptId, conceptName, count, confidence, accuracy, bias, label, brierScore }
+   */
+  getConceptCalibration(items) {
+    const conceptIds = [...new Set(items?.map(item => item?.conceptId)?.filter(Boolean))];
+
+    return conceptIds?.map(conceptId => {
+      const conceptItems = items?.filter(item => item?.conceptId === conceptId);
+      const confidence = conceptItems.reduce((sum, item) => sum + this.confidenceToProbability(item?.confidence), 0)
+        / conceptItems.length;
+      const accuracy = conceptItems.reduce((sum, item) => sum + outcomeOf(item), 0) / conceptItems.length;
+
+      return {
+        conceptId,
+        conceptName: conceptItems[0]?.conceptName,
+        count: conceptItems.length,
+        confidence,
+        accuracy,
+        bias: confidence - accuracy,
+        label: this.getBiasLabel(confidence - accuracy),
+        brierScore: this.getBrierScore(conceptItems)
+      };
+    });
+  }
+
+  /**
+   * Scores the calibration of a set of graded answers
+   * @param {Array} items - Graded answers as { questionId, conceptId, conceptName, confidence, score, isCorrect }
+   * @returns {Object} { brierScore, bias, label, concepts, confidentlyWrong }
+   */
+  analyze(items) {
+    const answered = items?.filter(Boolean) || [];
+    const bias = answered.length
+      ? answered.reduce((sum, item) => sum + this.confidenceToProbability(item?.confidence) - outcomeOf(item), 0)
+        / answered.length
+      : 0;
+
+    return {
+      brierScore: this.getBrierScore(answered),
+      bias,
+      label: this.getBiasLabel(bias),
+      concepts: this.getConceptCalibration(answered),
+      confidentlyWrong: answered.filter(item => this.isConfidentlyWrong(item))
+    };
+  }
+}
+
+export default new CalibrationService();
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import calibrationService, { CALIBRATION_TOLERANCE } from './calibrationService';
+
+describe('calibrationService.getBrierScore', () => {
+  it('is 0 for sure right answers and 1 for sure wrong ones', () => {
+    expect(calibrationService.getBrierScore([{ confidence: 5, isCorrect: true }])).toBe(0);
+    expect(calibrationService.getBrierScore([{ confidence: 5, isCorrect: false }])).toBe(1);
+  });
+
+  it('averages the squared gap between confidence and outcome', () => {
+    const items = [
+      { confidence: 1, isCorrect: false },
+      { confidence: 4, score: 100 },
+      { confidence: 3, score: 60 }
+    ];
+
+    expect(calibrationService.getBrierScore(items)).toBeCloseTo((0.04 + 0.04 + 0) / 3);
+  });
+
+  it('has no score without answers', () => {
+    expect(calibrationService.getBrierScore([])).toBeNull();
+  });
+});
+
+describe('calibrationService.getBiasLabel', () => {
+  it('tolerates small gaps between confidence and accuracy', () => {
+    expect(calibrationService.getBiasLabel(CALIBRATION_TOLERANCE)).toBe('calibrated');
+    expect(calibrationService.getBiasLabel(CALIBRATION_TOLERANCE + 0.01)).toBe('overconfident');
+    expect(calibrationService.getBiasLabel(-CALIBRATION_TOLERANCE - 0.01)).toBe('underconfident');
+  });
+});
+
+describe('calibrationService.isConfidentlyWrong', () => {
+  it('flags sure answers that scored below half as misconceptions', () => {
+    expect(calibrationService.isConfidentlyWrong({ confidence: 4, isCorrect: false, score: 20 })).toBe(true);
+    expect(calibrationService.isConfidentlyWrong({ confidence: 4, isCorrect: false, score: 60 })).toBe(false);
+    expect(calibrationService.isConfidentlyWrong({ confidence: 2, isCorrect: false, score: 0 })).toBe(false);
+    expect(calibrationService.isConfidentlyWrong({ confidence: 5, isCorrect: true, score: 100 })).toBe(false);
+  });
+});
+
+describe('calibrationService.analyze', () => {
+  it('labels each concept by the gap between its confidence and accuracy', () => {
+    const items = [
+      { questionId: 'q1', conceptId: 'a', conceptName: 'Recursion', confidence: 5, isCorrect: false, score: 0 },
+      { questionId: 'q2', conceptId: 'a', conceptName: 'Recursion', confidence: 5, isCorrect: true, score: 100 },
+      { questionId: 'q3', conceptId: 'b', conceptName: 'Sorting', confidence: 1, isCorrect: true, score: 100 },
+      { questionId: 'q4', conceptId: 'b', conceptName: 'Sorting', confidence: 2, isCorrect: true, score: 100 }
+    ];
+
+    const result = calibrationService.analyze(items);
+
+    expect(result.concepts.map(concept => [concept.conceptId, concept.label])).toEqual([
+      ['a', 'overconfident'],
+      ['b', 'underconfident']
+    ]);
+    expect(result.concepts[0]).toMatchObject({ conceptName: 'Recursion', count: 2, confidence: 1, accuracy: 0.5 });
+    expect(result.confidentlyWrong.map(item => item.questionId)).toEqual(['q1']);
+    expect(result.bias).toBeCloseTo((0.5 - 0.7) / 2);
+    expect(result.label).toBe('calibrated');
+  });
+
+  it('reports a neutral result without answers', () => {
+    expect(calibrationService.analyze(undefined)).toEqual({
+      brierScore: null,
+      bias: 0,
+      label: 'calibrated',
+      concepts: [],
+      confidentlyWrong: []
+    });
+  });
+});
@@ -1,4 +1,7 @@
-import openai from './openaiClient';
+import llmGateway from './llmGateway';
+import { normalizeKey, rankByFrequency } from '../utils/dedupe';
+import conceptGraphService from './conceptGraphService';
+import pathwayService, { DEFAULT_MASTERY_THRESHOLD } from './pathwayService';
 
 /**
  * Concept Extraction Service
@@ -12,67 +15,12 @@ class ConceptExtractionService {
    */
   async extractConcepts(analysisData) {
     try {
-      const response = await openai?.chat?.completions?.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an expert educational content curator. Extract comprehensive concepts from the analyzed content to create an adaptive learning experience.`
-          },
-          {
-            role: 'user',
-            content: `Based on this content analysis, extract detailed concepts for adaptive learning:
-
-Subject: ${analysisData?.subject}
-Topic: ${analysisData?.topic}
-Key Concepts: ${analysisData?.keyConcepts?.join(', ')}
-Learning Objectives: ${analysisData?.learningObjectives?.join(', ')}
-Content Summary: ${analysisData?.summary}
-
-For each concept, provide:
-1. Concept name and description
-2. Difficulty level
-3. Prerequisites
-4. Sub-concepts
-5. Real-world examples
-6. Common misconceptions
-7. Key formulas or principles (if applicable)`
-          }
-        ],
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'concepts_extraction_response',
-            schema: {
-              type: 'object',
-              properties: {
-                concepts: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: { type: 'string' },
-                      name: { type: 'string' },
-                      description: { type: 'string' },
-                      difficulty: { type: 'string' },
-                      prerequisites: { type: 'array', items: { type: 'string' } },
-                      subConcepts: { type: 'array', items: { type: 'string' } },
-                      examples: { type: 'array', items: { type: 'string' } },
-                      misconceptions: { type: 'array', items: { type: 'string' } },
-                      keyPrinciples: { type: 'array', items: { type: 'string' } },
-                      estimatedTime: { type: 'string' },
-                      bloomsLevel: { type: 'string' }
-                    },
-                    required: ['id', 'name', 'description', 'difficulty', 'estimatedTime'],
-                    additionalProperties: false
-                  }
-                }
-              },
-              required: ['concepts'],
-              additionalProperties: false
-            }
-          }
-        }
+      const response = await llmGateway?.runTask('concepts', {
+        subject: analysisData?.subject,
+        topic: analysisData?.topic,
+        keyConcepts: analysisData?.keyConcepts,
+        learningObjectives: analysisData?.learningObjectives,
+        summary: analysisData?.summary
       });
 
       const extractionResult = JSON.parse(response?.choices?.[0]?.message?.content);
@@ -84,6 +32,7 @@ For each concept, provide:
         extractedAt: new Date()?.toISOString(),
         sourceSubject: analysisData?.subject,
         sourceTopic: analysisData?.topic,
+        sourceFiles: analysisData?.fileInfo?.name ? [analysisData?.fileInfo?.name] : [],
         masteryLevel: 0, // Initial mastery level
         attempts: 0,
         correctAnswers: 0
@@ -94,18 +43,74 @@ For each concept, provide:
     }
   }
 
+  /**
+   * Merges concepts extracted from several files, combining concepts with the same name
+   * Ids are reassigned across the merged set because every file numbers its concepts from 1.
+   * @param {Array<Array>} conceptLists - Extracted concepts, one array per file
+   * @returns {Array} Deduplicated concepts
+   */
+  mergeConcepts(conceptLists) {
+    const merged = new Map();
+    const listFields = [
+      'prerequisites',
+      'subConcepts',
+      'examples',
+      'misconceptions',
+      'keyPrinciples',
+      'relatedConcepts',
+      'contrastingConcepts'
+    ];
+
+    conceptLists?.flat()?.forEach(concept => {
+      // Names made only of symbols still get a key, so only a concept with no name is dropped
+      const key = normalizeKey(concept?.name);
+      if (!key) return;
+
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...concept });
+        return;
+      }
+
+      listFields.forEach(field => {
+        existing[field] = rankByFrequency([existing?.[field], concept?.[field]]);
+      });
+      existing.sourceFiles = rankByFrequency([existing?.sourceFiles, concept?.sourceFiles]);
+      if ((concept?.description?.length || 0) > (existing?.description?.length || 0)) {
+        existing.description = concept.description;
+      }
+      if (this.parseTimeToMinutes(concept?.estimatedTime) > this.parseTimeToMinutes(existing?.estimatedTime)) {
+        existing.estimatedTime = concept.estimatedTime;
+      }
+    });
+
+    const concepts = Array.from(merged.values());
+    const conceptKeys = concepts.map(concept => normalizeKey(concept?.name));
+
+    return concepts.map((concept, index) => ({
+      ...concept,
+      id: `concept_${index + 1}`,
+      // A concept cannot be its own prerequisite once duplicates from other files are folded in
+      prerequisites: concept?.prerequisites?.filter(prereq => normalizeKey(prereq) !== conceptKeys[index])
+    }));
+  }
+
   /**
    * Creates a learning pathway based on extracted concepts
    * @param {Array} concepts - Array of extracted concepts
+   * @param {Object} options - Pathway options
+   * @param {number} options.masteryThreshold - Mastery each dependency needs before a concept unlocks
    * @returns {Object} Structured learning pathway
    */
-  createLearningPathway(concepts) {
+  createLearningPathway(concepts, { masteryThreshold = DEFAULT_MASTERY_THRESHOLD } = {}) {
     if (!concepts?.length) {
-      return { pathway: [], totalEstimatedTime: '0 min' };
+      return { pathway: [], totalEstimatedTime: '0 min', masteryThreshold };
     }
 
-    // Sort concepts by difficulty and prerequisites
-    const sortedConcepts = this.sortConceptsByDependency(concepts);
+    // Order concepts along the prerequisite and part-of edges of the concept graph
+    const graph = conceptGraphService?.buildGraph(concepts);
+    // Concepts in a prerequisite cycle are ordered by difficulty; the cycles are returned for the UI to explain
+    const { order: sortedConcepts, cycles } = conceptGraphService?.topologicalSort(concepts, graph);
     
     // Calculate total estimated time
     const totalMinutes = sortedConcepts?.reduce((total, concept) => {
@@ -114,65 +119,28 @@ For each concept, provide:
     }, 0);
 
     const totalEstimatedTime = this.formatMinutesToTime(totalMinutes);
+    const cycleGroups = pathwayService?.getCycleGroups(cycles);
 
     return {
-      pathway: sortedConcepts?.map((concept, index) => ({
-        ...concept,
-        order: index + 1,
-        isUnlocked: index === 0, // Only first concept is initially unlocked
-        dependencies: this.findDependencies(concept, sortedConcepts)
-      })),
+      pathway: sortedConcepts?.map((concept, index) => {
+        const dependencies = conceptGraphService?.getPrerequisiteIds(graph, concept?.id);
+        return {
+          ...concept,
+          order: index + 1,
+          // Concepts with no prerequisites outside their own cycle start unlocked; pathwayService unlocks the rest
+          isUnlocked: dependencies?.every(id => cycleGroups.has(id) && cycleGroups.get(id) === cycleGroups.get(concept?.id)),
+          dependencies
+        };
+      }),
+      graph,
+      masteryThreshold,
+      cycles,
       totalEstimatedTime,
       totalConcepts: sortedConcepts?.length,
       difficultyDistribution: this.calculateDifficultyDistribution(sortedConcepts)
     };
   }
 
-  /**
-   * Sorts concepts based on dependencies and difficulty
-   * @param {Array} concepts - Array of concepts to sort
-   * @returns {Array} Sorted concepts array
-   */
-  sortConceptsByDependency(concepts) {
-    const difficultyOrder = { 'Beginner': 1, 'Intermediate': 2, 'Advanced': 3 };
-    
-    return concepts?.sort((a, b) => {
-      const diffA = difficultyOrder?.[a?.difficulty] || 2;
-      const diffB = difficultyOrder?.[b?.difficulty] || 2;
-      
-      if (diffA !== diffB) {
-        return diffA - diffB;
-      }
-      
-      // If same difficulty, sort by prerequisites count
-      const prereqA = a?.prerequisites?.length || 0;
-      const prereqB = b?.prerequisites?.length || 0;
-      return prereqA - prereqB;
-    });
-  }
-
-  /**
-   * Finds dependencies between concepts
-   * @param {Object} concept - Current concept
-   * @param {Array} allConcepts - All concepts
-   * @returns {Array} Array of dependency concept IDs
-   */
-  findDependencies(concept, allConcepts) {
-    if (!concept?.prerequisites?.length) {
-      return [];
-    }
-
-    return allConcepts?.filter(otherConcept => 
-        otherConcept?.id !== concept?.id &&
-        concept?.prerequisites?.some(prereq =>
-          otherConcept?.name?.toLowerCase()?.includes(prereq?.toLowerCase()) ||
-          otherConcept?.subConcepts?.some(sub =>
-            sub?.toLowerCase()?.includes(prereq?.toLowerCase())
-          )
-        )
-      )?.map(dep => dep?.id);
-  }
-
   /**
    * Parses time string to minutes
    * @param {string} timeString - Time string (e.g., "15 min", "1 hour")
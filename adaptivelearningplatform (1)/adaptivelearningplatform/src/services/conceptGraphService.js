@@ -0,0 +1,244 @@
+import { normalizeKey } from '../utils/dedupe';
+
+/**
+ * Edge types of the concept graph. Prerequisite and part-of edges are directed and constrain
+ * learning order; related and opposite edges are symmetric and only used for navigation.
+ */
+export const EDGE_TYPES = {
+  prerequisite: 'prerequisite',
+  partOf: 'part_of',
+  related: 'related',
+  opposite: 'opposite'
+};
+
+const ORDERING_EDGE_TYPES = [EDGE_TYPES.prerequisite, EDGE_TYPES.partOf];
+const DIFFICULTY_ORDER = { beginner: 1, intermediate: 2, advanced: 3 };
+
+/**
+ * Minimum share of words two labels must have in common to count as the same concept
+ */
+const WORD_OVERLAP_THRESHOLD = 0.6;
+
+/**
+ * Splits a label into comparison words
+ * @param {string} label - Label
+ * @returns {Set<string>} Normalized words
+ */
+const toWords = (label) => new Set(normalizeKey(label)?.split(' ')?.filter(Boolean)?.map(word => word.replace(/s$/, '')));
+
+/**
+ * Concept Graph Service
+ * Builds a typed graph over extracted concepts and derives learning order and related concepts from it
+ */
+class ConceptGraphService {
+  /**
+   * Resolves a concept label (a prerequisite, sub-concept or related name) to a concept
+   * Exact name matches win, then sub-concept names, then labels sharing most of their words.
+   * @param {string} label - Label to resolve
+   * @param {Array} concepts - Candidate concepts
+   * @returns {Object|null} Matching concept
+   */
+  resolveConcept(label, concepts) {
+    const key = normalizeKey(label);
+    if (!key) return null;
+
+    const exact = concepts?.find(concept => normalizeKey(concept?.name) === key);
+    if (exact) return exact;
+
+    const bySubConcept = concepts?.find(concept => concept?.subConcepts?.some(sub => normalizeKey(sub) === key));
+    if (bySubConcept) return bySubConcept;
+
+    const labelWords = toWords(label);
+    let best = null;
+
+    concepts?.forEach(concept => {
+      const nameWords = toWords(concept?.name);
+      const shared = [...labelWords]?.filter(word => nameWords.has(word))?.length;
+      const overlap = shared / Math.max(labelWords.size, nameWords.size, 1);
+
+      if (overlap >= WORD_OVERLAP_THRESHOLD && overlap > (best?.overlap || 0)) {
+        best = { concept, overlap };
+      }
+    });
+
+    return best?.concept || null;
+  }
+
+  /**
+   * Builds the concept graph from the prerequisites, sub-concepts, related and contrasting
+   * concepts named in each concept
+   * @param {Array} concepts - Extracted concepts
+   * @returns {Object} Graph as { nodes: Array<string>, edges: Array<{ from, to, type }> }
+   */
+  buildGraph(concepts) {
+    const edges = [];
+    const addEdge = (from, to, type) => {
+      if (!from || !to || from === to) return;
+
+      const isSymmetric = !ORDERING_EDGE_TYPES.includes(type);
+      const exists = edges.some(edge => edge.type === type && (
+        (edge.from === from && edge.to === to) || (isSymmetric && edge.from === to && edge.to === from)
+      ));
+      if (!exists) edges.push({ from, to, type });
+    };
+
+    concepts?.forEach(concept => {
+      // Edges point the way learning flows: prerequisite -> concept, part -> whole
+      concept?.prerequisites?.forEach(label => {
+        addEdge(this.resolveConcept(label, concepts)?.id, concept?.id, EDGE_TYPES.prerequisite);
+      });
+      concept?.subConcepts?.forEach(label => {
+        const part = concepts?.find(other => normalizeKey(other?.name) === normalizeKey(label));
+        addEdge(part?.id, concept?.id, EDGE_TYPES.partOf);
+      });
+      concept?.relatedConcepts?.forEach(label => {
+        addEdge(concept?.id, this.resolveConcept(label, concepts)?.id, EDGE_TYPES.related);
+      });
+      concept?.contrastingConcepts?.forEach(label => {
+        addEdge(concept?.id, this.resolveConcept(label, concepts)?.id, EDGE_TYPES.opposite);
+      });
+    });
+
+    return {
+      nodes: concepts?.map(concept => concept?.id) || [],
+      edges
+    };
+  }
+
+  /**
+   * Orders concepts so every prerequisite and part comes before the concepts that build on it
+   * Ties are broken by difficulty, then by number of prerequisites. Concepts caught in a cycle are
+   * placed after everything else and the cycles are reported.
+   * @param {Array} concepts - Concepts to order
+   * @param {Object} graph - Graph from buildGraph
+   * @returns {Object} { order: Array (concepts), cycles: Array<Array<string>> (concept ids) }
+   */
+  topologicalSort(concepts, graph = this.buildGraph(concepts)) {
+    const orderingEdges = graph?.edges?.filter(edge => ORDERING_EDGE_TYPES.includes(edge?.type));
+    const inDegree = new Map(concepts?.map(concept => [concept?.id, 0]));
+    orderingEdges?.forEach(edge => {
+      if (inDegree.has(edge.to) && inDegree.has(edge.from)) {
+        inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+      }
+    });
+
+    const compare = (a, b) => {
+      const difficultyA = DIFFICULTY_ORDER?.[a?.difficulty?.toLowerCase()] || 2;
+      const difficultyB = DIFFICULTY_ORDER?.[b?.difficulty?.toLowerCase()] || 2;
+      return difficultyA - difficultyB || (a?.prerequisites?.length || 0) - (b?.prerequisites?.length || 0);
+    };
+
+    const order = [];
+    const ready = concepts?.filter(concept => inDegree.get(concept?.id) === 0) || [];
+
+    while (ready.length) {
+      ready.sort(compare);
+      const next = ready.shift();
+      order.push(next);
+
+      orderingEdges?.filter(edge => edge.from === next?.id)?.forEach(edge => {
+        if (!inDegree.has(edge.to)) return;
+        inDegree.set(edge.to, inDegree.get(edge.to) - 1);
+        if (inDegree.get(edge.to) === 0) {
+          ready.push(concepts.find(concept => concept?.id === edge.to));
+        }
+      });
+    }
+
+    const remaining = concepts?.filter(concept => !order.includes(concept))?.sort(compare) || [];
+
+    return {
+      order: [...order, ...remaining],
+      cycles: remaining.length ? this.findCycles(remaining.map(concept => concept?.id), orderingEdges) : []
+    };
+  }
+
+  /**
+   * Finds the cycles among concepts that could not be ordered
+   * @param {Array<string>} conceptIds - Ids of unordered concepts
+   * @param {Array} edges - Ordering edges
+   * @returns {Array<Array<string>>} Each cycle as the concept ids along it
+   */
+  findCycles(conceptIds, edges) {
+    const cycles = [];
+    const visited = new Set();
+
+    const visit = (id, path) => {
+      const index = path.indexOf(id);
+      if (index !== -1) {
+        const cycle = path.slice(index);
+        const key = [...cycle].sort().join('|');
+        if (!cycles.some(existing => [...existing].sort().join('|') === key)) {
+          cycles.push(cycle);
+        }
+        return;
+      }
+      if (visited.has(id)) return;
+
+      edges?.filter(edge => edge.from === id && conceptIds.includes(edge.to))
+        ?.forEach(edge => visit(edge.to, [...path, id]));
+      visited.add(id);
+    };
+
+    conceptIds.forEach(id => visit(id, []));
+    return cycles;
+  }
+
+  /**
+   * Returns the concepts that must be learned before a concept
+   * @param {Object} graph - Concept graph
+   * @param {string} conceptId - Concept id
+   * @returns {Array<string>} Ids of direct prerequisites and parts
+   */
+  getPrerequisiteIds(graph, conceptId) {
+    return graph?.edges
+      ?.filter(edge => edge?.to === conceptId && ORDERING_EDGE_TYPES.includes(edge?.type))
+      ?.map(edge => edge?.from) || [];
+  }
+
+  /**
+   * Lists the neighbours of a concept with their relationship as seen from that concept
+   * @param {Object} graph - Concept graph
+   * @param {string} conceptId - Concept id
+   * @param {Array} concepts - Concepts to look neighbours up in
+   * @returns {Array} Concepts with a relationship of 'prerequisite', 'leads_to', 'part_of',
+   *   'has_part', 'related' or 'opposite'
+   */
+  getRelatedConcepts(graph, conceptId, concepts) {
+    const relationships = [];
+
+    graph?.edges?.forEach(edge => {
+      if (edge?.to === conceptId) {
+        const relationship = {
+          [EDGE_TYPES.prerequisite]: 'prerequisite',
+          [EDGE_TYPES.partOf]: 'has_part',
+          [EDGE_TYPES.related]: 'related',
+          [EDGE_TYPES.opposite]: 'opposite'
+        }?.[edge?.type];
+        relationships.push({ id: edge?.from, relationship });
+      } else if (edge?.from === conceptId) {
+        const relationship = {
+          [EDGE_TYPES.prerequisite]: 'leads_to',
+          [EDGE_TYPES.partOf]: 'part_of',
+          [EDGE_TYPES.related]: 'related',
+          [EDGE_TYPES.opposite]: 'opposite'
+        }?.[edge?.type];
+        relationships.push({ id: edge?.to, relationship });
+      }
+    });
+
+    // Prerequisites first: they are what the learner most likely needs next
+    const priority = ['prerequisite', 'has_part', 'opposite', 'part_of', 'leads_to', 'related'];
+
+    return relationships
+      ?.sort((a, b) => priority.indexOf(a.relationship) - priority.indexOf(b.relationship))
+      ?.filter((entry, index, sorted) => sorted.findIndex(other => other.id === entry.id) === index)
+      ?.map(entry => {
+        const concept = concepts?.find(item => item?.id === entry.id);
+        return concept ? { ...concept, relationship: entry.relationship } : null;
+      })
+      ?.filter(Boolean);
+  }
+}
+
+export default new ConceptGraphService();
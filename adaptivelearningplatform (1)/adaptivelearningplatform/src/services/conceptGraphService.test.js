@@ -0,0 +1,130 @@
+import { describe, expect, it, vi } from 'vitest';
+import conceptGraphService, { EDGE_TYPES } from './conceptGraphService';
+import conceptExtractionService from './conceptExtractionService';
+
+const concept = (id, name, details = {}) => ({ id, name, difficulty: 'intermediate', ...details });
+
+describe('conceptGraphService.resolveConcept', () => {
+  const concepts = [
+    concept('nn', 'Neural Networks', { subConcepts: ['Perceptron'] }),
+    concept('gd', 'Gradient Descent')
+  ];
+
+  it('matches names regardless of case and plural', () => {
+    expect(conceptGraphService.resolveConcept('neural network', concepts)?.id).toBe('nn');
+  });
+
+  it('matches a sub-concept name to its parent concept', () => {
+    expect(conceptGraphService.resolveConcept('perceptrons', concepts)?.id).toBe('nn');
+  });
+
+  it('matches labels that share most of their words and rejects weak overlaps', () => {
+    expect(conceptGraphService.resolveConcept('stochastic gradient descent', concepts)?.id).toBe('gd');
+    expect(conceptGraphService.resolveConcept('gradient boosting machines', concepts)).toBeNull();
+  });
+});
+
+describe('conceptGraphService.buildGraph', () => {
+  it('points ordering edges from prerequisite and part to the concept that builds on them', () => {
+    const concepts = [
+      concept('alg', 'Linear Algebra'),
+      concept('mat', 'Matrices'),
+      concept('ml', 'Machine Learning', {
+        prerequisites: ['linear algebra'],
+        subConcepts: ['Matrices'],
+        relatedConcepts: ['Linear Algebra']
+      })
+    ];
+
+    expect(conceptGraphService.buildGraph(concepts).edges).toEqual([
+      { from: 'alg', to: 'ml', type: EDGE_TYPES.prerequisite },
+      { from: 'mat', to: 'ml', type: EDGE_TYPES.partOf },
+      { from: 'ml', to: 'alg', type: EDGE_TYPES.related }
+    ]);
+  });
+
+  it('stores a symmetric relation named from both sides once', () => {
+    const concepts = [
+      concept('a', 'Supervised Learning', { contrastingConcepts: ['Unsupervised Learning'] }),
+      concept('b', 'Unsupervised Learning', { contrastingConcepts: ['Supervised Learning'] })
+    ];
+
+    expect(conceptGraphService.buildGraph(concepts).edges).toEqual([
+      { from: 'a', to: 'b', type: EDGE_TYPES.opposite }
+    ]);
+  });
+});
+
+describe('conceptGraphService.topologicalSort', () => {
+  it('puts every prerequisite before the concepts that need it', () => {
+    const concepts = [
+      concept('c', 'Backpropagation', { prerequisites: ['Chain Rule', 'Neural Networks'] }),
+      concept('b', 'Neural Networks', { prerequisites: ['Chain Rule'] }),
+      concept('a', 'Chain Rule')
+    ];
+
+    const { order, cycles } = conceptGraphService.topologicalSort(concepts);
+
+    expect(order.map(item => item.id)).toEqual(['a', 'b', 'c']);
+    expect(cycles).toEqual([]);
+  });
+
+  it('breaks ties between independent concepts by difficulty', () => {
+    const concepts = [
+      concept('hard', 'Transformers', { difficulty: 'advanced' }),
+      concept('easy', 'Variables', { difficulty: 'beginner' }),
+      concept('mid', 'Functions')
+    ];
+
+    expect(conceptGraphService.topologicalSort(concepts).order.map(item => item.id)).toEqual(['easy', 'mid', 'hard']);
+  });
+
+  it('places concepts in a cycle last and reports the cycle once', () => {
+    const concepts = [
+      concept('x', 'Eggs', { prerequisites: ['Chickens'] }),
+      concept('y', 'Chickens', { prerequisites: ['Eggs'] }),
+      concept('z', 'Farming'),
+      concept('w', 'Omelettes', { prerequisites: ['Eggs'] })
+    ];
+
+    const { order, cycles } = conceptGraphService.topologicalSort(concepts);
+
+    expect(order[0].id).toBe('z');
+    expect(order).toHaveLength(4);
+    expect(cycles).toHaveLength(1);
+    expect([...cycles[0]].sort()).toEqual(['x', 'y']);
+  });
+});
+
+describe('conceptGraphService.getRelatedConcepts', () => {
+  it('describes neighbours as seen from the concept, prerequisites first', () => {
+    const concepts = [
+      concept('a', 'Chain Rule'),
+      concept('b', 'Backpropagation', { prerequisites: ['Chain Rule'], relatedConcepts: ['Gradient Descent'] }),
+      concept('c', 'Gradient Descent', { prerequisites: ['Backpropagation'] })
+    ];
+    const graph = conceptGraphService.buildGraph(concepts);
+
+    expect(conceptGraphService.getRelatedConcepts(graph, 'b', concepts).map(item => [item.id, item.relationship]))
+      .toEqual([['a', 'prerequisite'], ['c', 'leads_to']]);
+    expect(conceptGraphService.getPrerequisiteIds(graph, 'c')).toEqual(['b']);
+  });
+});
+
+describe('conceptExtractionService.createLearningPathway', () => {
+  it('returns prerequisite cycles for the UI instead of logging them, leaving their members unlocked', () => {
+    const warn = vi.spyOn(console, 'warn');
+    const concepts = [
+      concept('x', 'Eggs', { prerequisites: ['Chickens'] }),
+      concept('y', 'Chickens', { prerequisites: ['Eggs'] }),
+      concept('z', 'Farming')
+    ];
+
+    const { pathway, cycles } = conceptExtractionService.createLearningPathway(concepts);
+
+    expect(pathway.map(item => [item.id, item.isUnlocked])).toEqual([['z', true], ['x', true], ['y', true]]);
+    expect(cycles).toHaveLength(1);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,85 @@
+import { getSectionText } from './documentParsers/structuredDocument';
+
+export const DEFAULT_CHUNK_CHARS = 12000;
+
+/**
+ * Splits text that is longer than the budget at paragraph, then sentence, then hard boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {Array<string>} Pieces no longer than maxChars
+ */
+const splitOversizedText = (text, maxChars) => {
+  const pieces = [];
+  let remaining = text;
+
+  while (remaining?.length > maxChars) {
+    const window = remaining.slice(0, maxChars);
+    const breakAt = Math.max(
+      window.lastIndexOf('\n\n'),
+      window.lastIndexOf('\n'),
+      window.lastIndexOf('. ') + 1
+    );
+    const cut = breakAt > maxChars * 0.5 ? breakAt : maxChars;
+
+    pieces.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+
+  if (remaining) pieces.push(remaining);
+  return pieces;
+};
+
+/**
+ * Groups the sections of a normalized document into chunks that fit a prompt budget
+ * Sections are kept whole where possible so each chunk starts at a page, slide or heading anchor.
+ * @param {Object} document - Normalized document { text, sections }
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @returns {Array} Chunks as { index, text, sectionIds, firstAnchor, lastAnchor }
+ */
+export const chunkDocument = (document, { maxChars = DEFAULT_CHUNK_CHARS } = {}) => {
+  const sections = document?.sections?.length
+    ? document.sections
+    : [{ id: 'section_1', anchor: '', start: 0, end: document?.text?.length || 0 }];
+  const chunks = [];
+  let current = null;
+
+  const pushCurrent = () => {
+    if (current?.parts?.length) {
+      chunks.push({
+        index: chunks.length,
+        text: current.parts.join('\n\n'),
+        sectionIds: current.sectionIds,
+        firstAnchor: current.firstAnchor,
+        lastAnchor: current.lastAnchor
+      });
+    }
+    current = null;
+  };
+
+  sections?.forEach(section => {
+    const sectionText = getSectionText(document, section);
+
+    splitOversizedText(sectionText, maxChars)?.forEach(piece => {
+      const nextLength = (current?.length || 0) + piece.length + 2;
+
+      if (current && nextLength > maxChars) {
+        pushCurrent();
+      }
+
+      if (!current) {
+        current = { parts: [], sectionIds: [], length: 0, firstAnchor: section?.anchor };
+      }
+
+      current.parts.push(piece);
+      current.length += piece.length + 2;
+      current.lastAnchor = section?.anchor;
+      if (!current.sectionIds.includes(section?.id)) {
+        current.sectionIds.push(section?.id);
+      }
+    });
+  });
+  pushCurrent();
+
+  return chunks;
+};
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { chunkDocument } from './documentChunker';
+import StructuredDocumentBuilder from './documentParsers/structuredDocument';
+
+/**
+ * Builds a paged document with one section per given body
+ */
+const pagedDocument = (bodies) => bodies
+  .reduce((builder, text, index) => builder.addSection({ text, page: index + 1, anchor: `Page ${index + 1}` }), new StructuredDocumentBuilder('pdf'))
+  .build({ pageCount: bodies.length });
+
+describe('chunkDocument', () => {
+  it('keeps whole sections together and starts each chunk at a section anchor', () => {
+    const document = pagedDocument(['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)]);
+
+    const chunks = chunkDocument(document, { maxChars: 110 });
+
+    expect(chunks.map(({ index, sectionIds, firstAnchor, lastAnchor }) => ({ index, sectionIds, firstAnchor, lastAnchor }))).toEqual([
+      { index: 0, sectionIds: ['section_1', 'section_2'], firstAnchor: 'Page 1', lastAnchor: 'Page 2' },
+      { index: 1, sectionIds: ['section_3'], firstAnchor: 'Page 3', lastAnchor: 'Page 3' }
+    ]);
+    expect(chunks[0].text).toBe(`[Page 1]\n${'a'.repeat(40)}\n\n[Page 2]\n${'b'.repeat(40)}`);
+    expect(chunks[1].text.startsWith('[Page 3]')).toBe(true);
+  });
+
+  it('splits a section longer than the budget at paragraph breaks', () => {
+    const paragraphs = ['one '.repeat(15).trim(), 'two '.repeat(15).trim(), 'three '.repeat(10).trim()];
+    const document = pagedDocument([paragraphs.join('\n\n')]);
+
+    const chunks = chunkDocument(document, { maxChars: 80 });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([`[Page 1]\n${paragraphs[0]}`, paragraphs[1], paragraphs[2]]);
+    expect(chunks.every(chunk => chunk.firstAnchor === 'Page 1' && chunk.sectionIds[0] === 'section_1')).toBe(true);
+  });
+
+  it('cuts text without any break at the budget and loses nothing', () => {
+    const text = 'x'.repeat(250);
+
+    const chunks = chunkDocument({ text, sections: [] }, { maxChars: 100 });
+
+    expect(chunks.map(chunk => chunk.text.length)).toEqual([100, 100, 50]);
+    expect(chunks.map(chunk => chunk.text).join('')).toBe(text);
+    expect(chunks[0].sectionIds).toEqual(['section_1']);
+  });
+
+  it('returns no chunks for a document without text', () => {
+    expect(chunkDocument({ text: '', sections: [] })).toEqual([]);
+  });
+});
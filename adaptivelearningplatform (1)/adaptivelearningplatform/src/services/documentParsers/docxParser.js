@@ -0,0 +1,105 @@
+import JSZip from 'jszip';
+import StructuredDocumentBuilder from './structuredDocument';
+import { parseXml } from './xmlUtils';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * Maps style ids to heading levels using word/styles.xml
+ * @param {Document} stylesXml - Parsed styles part, if present
+ * @returns {Object} Heading level keyed by style id
+ */
+const getHeadingStyles = (stylesXml) => {
+  const headingStyles = {};
+
+  Array.from(stylesXml?.getElementsByTagNameNS(W_NS, 'style') || [])?.forEach(style => {
+    const styleId = style?.getAttributeNS(W_NS, 'styleId');
+    const name = style?.getElementsByTagNameNS(W_NS, 'name')?.[0]?.getAttributeNS(W_NS, 'val') || '';
+    const outline = style?.getElementsByTagNameNS(W_NS, 'outlineLvl')?.[0]?.getAttributeNS(W_NS, 'val');
+    const headingMatch = name?.match(/^heading\s*(\d)$/i);
+
+    if (/^title$/i.test(name)) {
+      headingStyles[styleId] = 1;
+    } else if (headingMatch) {
+      headingStyles[styleId] = Number(headingMatch?.[1]);
+    } else if (outline !== null && outline !== undefined && outline !== '') {
+      headingStyles[styleId] = Number(outline) + 1;
+    }
+  });
+
+  return headingStyles;
+};
+
+/**
+ * Returns the visible text of a paragraph, keeping tabs and line breaks
+ * @param {Element} paragraph - w:p element
+ * @returns {string} Paragraph text
+ */
+const getParagraphText = (paragraph) => {
+  let text = '';
+  // Skip paragraph properties (tab stops) and text boxes, whose own w:p elements are visited separately
+  const walker = paragraph?.ownerDocument?.createTreeWalker(paragraph, 1, {
+    acceptNode: node => (['pPr', 'txbxContent'].includes(node?.localName) ? 2 : 1)
+  });
+
+  while (walker?.nextNode()) {
+    const node = walker.currentNode;
+    if (node?.namespaceURI !== W_NS) continue;
+
+    if (node.localName === 't') text += node.textContent;
+    else if (node.localName === 'tab') text += '\t';
+    else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+  }
+
+  return text.trim();
+};
+
+/**
+ * Extracts a Word document into heading-delimited sections
+ * @param {ArrayBuffer} data - DOCX file contents
+ * @returns {Promise<Object>} Normalized document
+ */
+export const parseDocx = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+
+  if (!documentXml) {
+    throw new Error('Not a valid Word document: word/document.xml is missing');
+  }
+
+  const stylesXml = await zip.file('word/styles.xml')?.async('string');
+  const headingStyles = getHeadingStyles(stylesXml ? parseXml(stylesXml) : null);
+  const body = parseXml(documentXml)?.getElementsByTagNameNS(W_NS, 'body')?.[0];
+  const builder = new StructuredDocumentBuilder('docx');
+  let current = { title: '', level: 1, lines: [] };
+
+  const flush = () => {
+    builder.addSection({
+      title: current.title,
+      level: current.level,
+      anchor: current.title ? `Section: ${current.title}` : '',
+      text: current.lines.join('\n')
+    });
+  };
+
+  Array.from(body?.getElementsByTagNameNS(W_NS, 'p') || [])?.forEach(paragraph => {
+    const text = getParagraphText(paragraph);
+    if (!text) return;
+
+    const properties = paragraph?.getElementsByTagNameNS(W_NS, 'pPr')?.[0];
+    const styleId = properties?.getElementsByTagNameNS(W_NS, 'pStyle')?.[0]?.getAttributeNS(W_NS, 'val');
+    const outline = properties?.getElementsByTagNameNS(W_NS, 'outlineLvl')?.[0]?.getAttributeNS(W_NS, 'val');
+    const level = headingStyles?.[styleId] || (outline ? Number(outline) + 1 : 0);
+    const isListItem = !!properties?.getElementsByTagNameNS(W_NS, 'numPr')?.length;
+
+    if (level > 0 && level <= 6) {
+      flush();
+      current = { title: text, level, lines: [] };
+    } else {
+      current.lines.push(isListItem ? `• ${text}` : text);
+    }
+  });
+  flush();
+
+  return builder.build();
+};
@@ -0,0 +1,58 @@
+import JSZip from 'jszip';
+import StructuredDocumentBuilder from './structuredDocument';
+import { parseXml, resolvePartPath } from './xmlUtils';
+import { appendHtmlSections } from './htmlParser';
+
+const XHTML_TYPES = ['application/xhtml+xml', 'text/html'];
+
+/**
+ * Extracts an EPUB book into chapter-anchored sections in spine (reading) order
+ * @param {ArrayBuffer} data - EPUB file contents
+ * @returns {Promise<Object>} Normalized document
+ */
+export const parseEpub = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const containerXml = await zip.file('META-INF/container.xml')?.async('string');
+  const opfPath = parseXml(containerXml || '<container/>')
+    ?.getElementsByTagName('rootfile')?.[0]?.getAttribute('full-path');
+  const opfXml = opfPath ? await zip.file(opfPath)?.async('string') : null;
+
+  if (!opfXml) {
+    throw new Error('Not a valid EPUB file: package document is missing');
+  }
+
+  const opf = parseXml(opfXml);
+  const manifest = {};
+  Array.from(opf?.getElementsByTagName('item') || [])?.forEach(item => {
+    manifest[item?.getAttribute('id')] = {
+      path: resolvePartPath(opfPath, decodeURIComponent(item?.getAttribute('href') || '')),
+      type: item?.getAttribute('media-type')
+    };
+  });
+
+  const chapters = Array.from(opf?.getElementsByTagName('itemref') || [])
+    ?.filter(itemref => itemref?.getAttribute('linear') !== 'no')
+    ?.map(itemref => manifest?.[itemref?.getAttribute('idref')])
+    ?.filter(item => item && XHTML_TYPES.includes(item?.type) && zip.file(item?.path));
+
+  const builder = new StructuredDocumentBuilder('epub');
+
+  for (const [index, chapterItem] of chapters.entries()) {
+    const chapter = index + 1;
+    const source = await zip.file(chapterItem.path).async('string');
+    let html = new DOMParser().parseFromString(source, 'application/xhtml+xml');
+
+    if (html?.getElementsByTagName('parsererror')?.length) {
+      html = new DOMParser().parseFromString(source, 'text/html');
+    }
+
+    appendHtmlSections(builder, html?.getElementsByTagName('body')?.[0] || html?.documentElement, {
+      getAnchor: title => (title ? `Chapter ${chapter}: ${title}` : `Chapter ${chapter}`),
+      location: { chapter }
+    });
+  }
+
+  const title = opf?.getElementsByTagName('dc:title')?.[0]?.textContent?.trim() || null;
+
+  return builder.build({ title, chapterCount: chapters?.length });
+};
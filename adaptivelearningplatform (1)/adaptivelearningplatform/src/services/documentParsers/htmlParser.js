@@ -0,0 +1,91 @@
+import StructuredDocumentBuilder from './structuredDocument';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const BLOCK_TAGS = ['p', 'li', 'pre', 'blockquote', 'td', 'th', 'dt', 'dd', 'figcaption', 'caption', 'div', 'section', 'article'];
+const IGNORED_TAGS = ['script', 'style', 'noscript', 'template', 'nav', 'header', 'footer', 'svg', 'head'];
+
+/**
+ * Collects headings and leaf text blocks from an HTML element in document order
+ * @param {Element} root - Element to walk
+ * @returns {Array} Blocks as { type: 'heading' | 'text', level, text }
+ */
+const collectBlocks = (root) => {
+  const blocks = [];
+
+  const visit = (element) => {
+    const tag = element?.localName?.toLowerCase();
+
+    if (IGNORED_TAGS.includes(tag)) return;
+
+    if (HEADING_TAGS.includes(tag)) {
+      const text = element?.textContent?.replace(/\s+/g, ' ')?.trim();
+      if (text) blocks.push({ type: 'heading', level: Number(tag?.[1]), text });
+      return;
+    }
+
+    const childElements = Array.from(element?.children || []);
+    const hasBlockChildren = childElements?.some(child => {
+      const childTag = child?.localName?.toLowerCase();
+      return HEADING_TAGS.includes(childTag) || BLOCK_TAGS.includes(childTag) || child?.querySelector?.(
+        [...HEADING_TAGS, ...BLOCK_TAGS].join(',')
+      );
+    });
+
+    if (BLOCK_TAGS.includes(tag) && !hasBlockChildren) {
+      const text = element?.textContent?.replace(/[ \t\r\n]+/g, ' ')?.trim();
+      if (text) blocks.push({ type: 'text', text: tag === 'li' ? `• ${text}` : text });
+      return;
+    }
+
+    childElements?.forEach(visit);
+  };
+
+  visit(root);
+  return blocks;
+};
+
+/**
+ * Appends the sections of an HTML element to a document builder, split at headings
+ * @param {StructuredDocumentBuilder} builder - Builder to append to
+ * @param {Element} root - Element whose content is added
+ * @param {Object} options - Section options
+ * @param {Function} options.getAnchor - Returns the anchor label for a section title
+ * @param {Object} options.location - Extra fields stored on every section (e.g. { chapter: 2 })
+ */
+export const appendHtmlSections = (builder, root, { getAnchor = title => (title ? `Section: ${title}` : ''), location = {} } = {}) => {
+  let current = { title: '', level: 1, lines: [] };
+
+  const flush = () => {
+    builder.addSection({
+      ...location,
+      title: current.title,
+      level: current.level,
+      anchor: getAnchor(current.title),
+      text: current.lines.join('\n')
+    });
+  };
+
+  collectBlocks(root)?.forEach(block => {
+    if (block?.type === 'heading') {
+      flush();
+      current = { title: block.text, level: block.level, lines: [] };
+    } else {
+      current.lines.push(block.text);
+    }
+  });
+  flush();
+};
+
+/**
+ * Parses an HTML page into heading-delimited sections
+ * @param {string} content - HTML source
+ * @returns {Object} Normalized document
+ */
+export const parseHtml = (content = '') => {
+  const html = new DOMParser().parseFromString(content, 'text/html');
+  const builder = new StructuredDocumentBuilder('html');
+
+  appendHtmlSections(builder, html?.querySelector('main, article') || html?.body);
+
+  return builder.build({ title: html?.title?.trim() || null });
+};
@@ -0,0 +1,141 @@
+import StructuredDocumentBuilder from './structuredDocument';
+
+let pdfjsPromise = null;
+
+/**
+ * Loads pdf.js on first use so it stays out of the main bundle
+ * @returns {Promise<Object>} pdf.js module with its worker configured
+ */
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker?.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * Groups positioned text items into lines by their baseline
+ * @param {Array} items - pdf.js text content items
+ * @returns {Array} Lines as { text, size }
+ */
+const groupItemsIntoLines = (items = []) => {
+  const lines = [];
+  let current = null;
+
+  items?.forEach(item => {
+    if (typeof item?.str !== 'string') return;
+
+    const y = Math.round(item?.transform?.[5] ?? 0);
+    const size = Math.round(Math.abs(item?.transform?.[3] || item?.height || 0) * 10) / 10;
+
+    if (!current || Math.abs(current.y - y) > 2) {
+      current = { y, text: '', size: 0 };
+      lines.push(current);
+    }
+
+    current.text += item.str + (item?.hasEOL ? ' ' : '');
+    current.size = Math.max(current.size, size);
+  });
+
+  return lines
+    ?.map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), size: line.size }))
+    ?.filter(line => line.text);
+};
+
+/**
+ * Finds the dominant body font size, weighted by characters
+ * @param {Array} pages - Lines per page
+ * @returns {number} Body font size
+ */
+const findBodyFontSize = (pages) => {
+  const charsBySize = {};
+
+  pages?.flat()?.forEach(line => {
+    charsBySize[line.size] = (charsBySize?.[line.size] || 0) + line.text.length;
+  });
+
+  const [size] = Object.entries(charsBySize)?.sort((a, b) => b?.[1] - a?.[1])?.[0] || [12];
+  return Number(size) || 12;
+};
+
+/**
+ * Classifies a line as a heading from its font size relative to body text
+ * @param {Object} line - Line as { text, size }
+ * @param {number} bodySize - Body font size
+ * @returns {number} Heading level (1-3), or 0 for body text
+ */
+const getHeadingLevel = (line, bodySize) => {
+  const ratio = line?.size / bodySize;
+  const looksLikeSentence = /[.,;:]$/.test(line?.text) || line?.text?.length > 120;
+
+  if (looksLikeSentence || ratio < 1.15) return 0;
+  if (ratio >= 1.6) return 1;
+  if (ratio >= 1.35) return 2;
+  return 3;
+};
+
+/**
+ * Extracts the text layer of a PDF into page-anchored sections, split at detected headings
+ * @param {ArrayBuffer} data - PDF file contents
+ * @returns {Promise<Object>} Normalized document
+ */
+export const parsePdf = async (data) => {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(data) })?.promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf?.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(groupItemsIntoLines(content?.items));
+      page.cleanup();
+    }
+
+    const bodySize = findBodyFontSize(pages);
+    const builder = new StructuredDocumentBuilder('pdf');
+
+    pages?.forEach((lines, index) => {
+      const page = index + 1;
+      let current = { title: '', level: 1, lines: [] };
+
+      const flush = () => {
+        builder.addSection({
+          title: current.title,
+          level: current.level,
+          page,
+          anchor: `Page ${page}`,
+          text: current.lines.join('\n')
+        });
+      };
+
+      lines?.forEach(line => {
+        const level = getHeadingLevel(line, bodySize);
+
+        if (level > 0) {
+          flush();
+          current = { title: line.text, level, lines: [] };
+        } else {
+          current.lines.push(line.text);
+        }
+      });
+      flush();
+    });
+
+    const document = builder.build({ pageCount: pdf?.numPages });
+
+    if (!document?.text?.trim()) {
+      throw new Error('PDF has no extractable text layer (it may be a scanned image)');
+    }
+
+    return document;
+  } finally {
+    pdf?.destroy();
+  }
+};
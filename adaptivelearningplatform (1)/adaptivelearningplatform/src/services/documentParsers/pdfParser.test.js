@@ -0,0 +1,74 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { parsePdf } from './pdfParser';
+import { getSectionText } from './structuredDocument';
+
+const { getDocument } = vi.hoisted(() => ({ getDocument: vi.fn() }));
+
+vi.mock('pdfjs-dist', () => ({ getDocument, GlobalWorkerOptions: {} }));
+vi.mock('pdfjs-dist/build/pdf.worker.min.mjs?url', () => ({ default: 'pdf.worker.js' }));
+
+/**
+ * A text item as pdf.js reports it: font size in transform[3], baseline in transform[5]
+ */
+const item = (str, y, size = 10) => ({ str, transform: [size, 0, 0, size, 72, y], hasEOL: false });
+
+/**
+ * Stands in for a loaded pdf.js document with the given text items per page
+ */
+const mockPdf = (pages) => {
+  const pdf = {
+    numPages: pages.length,
+    getPage: vi.fn(async (pageNumber) => ({
+      getTextContent: async () => ({ items: pages[pageNumber - 1] }),
+      cleanup: vi.fn()
+    })),
+    destroy: vi.fn()
+  };
+  getDocument.mockReturnValue({ promise: Promise.resolve(pdf) });
+  return pdf;
+};
+
+afterEach(() => vi.clearAllMocks());
+
+describe('parsePdf', () => {
+  it('anchors every section to its page and splits pages at headings found by font size', async () => {
+    mockPdf([
+      [
+        item('Photosynthesis', 700, 20),
+        item('Plants turn light ', 680),
+        item('into sugar.', 680),
+        item('Light reactions', 660, 14),
+        item('They happen in the thylakoid.', 640)
+      ],
+      [item('The Calvin cycle fixes carbon.', 700)]
+    ]);
+
+    const document = await parsePdf(new ArrayBuffer(8));
+
+    expect(document.format).toBe('pdf');
+    expect(document.pageCount).toBe(2);
+    expect(document.sections.map(({ title, level, page }) => ({ title, level, page }))).toEqual([
+      { title: 'Photosynthesis', level: 1, page: 1 },
+      { title: 'Light reactions', level: 2, page: 1 },
+      { title: 'Page 2', level: 1, page: 2 }
+    ]);
+    expect(getSectionText(document, document.sections[0])).toBe('[Page 1] Photosynthesis\nPlants turn light into sugar.');
+    expect(getSectionText(document, document.sections[2])).toBe('[Page 2]\nThe Calvin cycle fixes carbon.');
+  });
+
+  it('does not mistake a large sentence for a heading', async () => {
+    mockPdf([[item('A pull quote set in large type.', 700, 20), item('Body text continues at the normal size for the rest of the page', 680)]]);
+
+    const document = await parsePdf(new ArrayBuffer(8));
+
+    expect(document.sections).toHaveLength(1);
+    expect(document.text).toBe('[Page 1]\nA pull quote set in large type.\nBody text continues at the normal size for the rest of the page');
+  });
+
+  it('rejects a PDF without a text layer and still releases it', async () => {
+    const pdf = mockPdf([[], []]);
+
+    await expect(parsePdf(new ArrayBuffer(8))).rejects.toThrow('no extractable text layer');
+    expect(pdf.destroy).toHaveBeenCalled();
+  });
+});
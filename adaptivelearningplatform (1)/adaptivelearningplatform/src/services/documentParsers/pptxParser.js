@@ -0,0 +1,118 @@
+import JSZip from 'jszip';
+import StructuredDocumentBuilder from './structuredDocument';
+import { parseXml, resolvePartPath } from './xmlUtils';
+
+const A_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const P_NS = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+/**
+ * Reads the relationships of a part
+ * @param {JSZip} zip - Opened package
+ * @param {string} partPath - Path of the part
+ * @returns {Promise<Array>} Relationships as { id, type, target }
+ */
+const readRelationships = async (zip, partPath) => {
+  const segments = partPath?.split('/');
+  const fileName = segments.pop();
+  const relsXml = await zip.file([...segments, '_rels', `${fileName}.rels`].join('/'))?.async('string');
+
+  if (!relsXml) return [];
+
+  return Array.from(parseXml(relsXml)?.getElementsByTagName('Relationship') || [])?.map(rel => ({
+    id: rel?.getAttribute('Id'),
+    type: rel?.getAttribute('Type'),
+    target: resolvePartPath(partPath, rel?.getAttribute('Target'))
+  }));
+};
+
+/**
+ * Returns slide part paths in presentation order
+ * @param {JSZip} zip - Opened package
+ * @returns {Promise<Array>} Slide paths
+ */
+const getSlidePaths = async (zip) => {
+  const presentationXml = await zip.file('ppt/presentation.xml')?.async('string');
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+  const slideIds = Array.from(parseXml(presentationXml || '<p/>')?.getElementsByTagNameNS(P_NS, 'sldId') || []);
+  const ordered = slideIds
+    ?.map(slideId => relationships?.find(rel => rel?.id === slideId?.getAttributeNS(R_NS, 'id'))?.target)
+    ?.filter(path => path && zip.file(path));
+
+  if (ordered?.length) return ordered;
+
+  // Fall back to numeric file order when presentation.xml is missing or unusual
+  return Object.keys(zip.files)
+    ?.filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    ?.sort((a, b) => Number(a.match(/(\d+)\.xml$/)?.[1]) - Number(b.match(/(\d+)\.xml$/)?.[1]));
+};
+
+/**
+ * Extracts the text of each shape on a slide, separating the title placeholder
+ * @param {Document} slideXml - Parsed slide part
+ * @returns {Object} { title, lines }
+ */
+const getSlideText = (slideXml) => {
+  let title = '';
+  const lines = [];
+
+  Array.from(slideXml?.getElementsByTagNameNS(P_NS, 'sp') || [])?.forEach(shape => {
+    const placeholder = shape?.getElementsByTagNameNS(P_NS, 'ph')?.[0];
+    const isTitle = TITLE_PLACEHOLDERS.includes(placeholder?.getAttribute('type'));
+    const paragraphs = Array.from(shape?.getElementsByTagNameNS(A_NS, 'p') || [])
+      ?.map(paragraph => Array.from(paragraph?.getElementsByTagNameNS(A_NS, 't') || [])
+        ?.map(node => node?.textContent)?.join('')?.trim())
+      ?.filter(Boolean);
+
+    if (isTitle && !title) {
+      title = paragraphs.join(' ');
+    } else {
+      lines.push(...paragraphs.map(text => `• ${text}`));
+    }
+  });
+
+  // Table cells are graphic frames rather than shapes
+  Array.from(slideXml?.getElementsByTagNameNS(A_NS, 'tc') || [])?.forEach(cell => {
+    const text = Array.from(cell?.getElementsByTagNameNS(A_NS, 't') || [])?.map(node => node?.textContent)?.join(' ')?.trim();
+    if (text) lines.push(text);
+  });
+
+  return { title, lines };
+};
+
+/**
+ * Extracts a PowerPoint deck into one section per slide, including speaker notes
+ * @param {ArrayBuffer} data - PPTX file contents
+ * @returns {Promise<Object>} Normalized document
+ */
+export const parsePptx = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const slidePaths = await getSlidePaths(zip);
+
+  if (!slidePaths?.length) {
+    throw new Error('Not a valid PowerPoint file: no slides found');
+  }
+
+  const builder = new StructuredDocumentBuilder('pptx');
+
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const slide = index + 1;
+    const { title, lines } = getSlideText(parseXml(await zip.file(slidePath).async('string')));
+    const notesPath = (await readRelationships(zip, slidePath))
+      ?.find(rel => rel?.type?.endsWith('/notesSlide'))?.target;
+    const notesXml = notesPath ? await zip.file(notesPath)?.async('string') : null;
+    const notes = notesXml ? getSlideText(parseXml(notesXml))?.lines?.map(line => line.replace(/^• /, '')) : [];
+    const noteLines = notes?.filter(line => !/^\d+$/.test(line));
+
+    builder.addSection({
+      title,
+      level: 1,
+      slide,
+      anchor: `Slide ${slide}`,
+      text: [...lines, ...(noteLines?.length ? ['Speaker notes:', ...noteLines] : [])].join('\n')
+    });
+  }
+
+  return builder.build({ slideCount: slidePaths.length });
+};
@@ -0,0 +1,84 @@
+/**
+ * Structured Document
+ * Builds the normalized text-plus-structure output shared by every document parser
+ *
+ * The output is `{ format, text, sections, pageCount }` where `text` contains an anchor line
+ * (e.g. "[Page 3] Photosynthesis") before each section, and every section records its
+ * character span in `text` so later steps can cite or quote it without duplicating content.
+ */
+class StructuredDocumentBuilder {
+  /**
+   * @param {string} format - Source format (e.g. 'pdf', 'markdown')
+   */
+  constructor(format) {
+    this.format = format;
+    this.parts = [];
+    this.sections = [];
+    this.length = 0;
+  }
+
+  /**
+   * Appends a section to the document
+   * @param {Object} section - Section data
+   * @param {string} section.text - Section body text
+   * @param {string} [section.title] - Heading or slide title
+   * @param {number} [section.level] - Heading level (1 = top level)
+   * @param {number} [section.page] - 1-based page number
+   * @param {string} [section.anchor] - Anchor label shown in the text, e.g. "Page 3"
+   * @returns {StructuredDocumentBuilder} The builder, for chaining
+   */
+  addSection({ text = '', title = '', level = 1, page = null, anchor = '', ...location }) {
+    const body = text?.replace(/[ \t]+\n/g, '\n')?.replace(/\n{3,}/g, '\n\n')?.trim();
+
+    if (!body && !title) {
+      return this;
+    }
+
+    const showTitle = title && !anchor?.includes(title);
+    const heading = [anchor && `[${anchor}]`, showTitle && title]?.filter(Boolean)?.join(' ');
+    const content = [heading, body]?.filter(Boolean)?.join('\n');
+    const separator = this.parts?.length > 0 ? '\n\n' : '';
+    const start = this.length + separator.length;
+
+    this.parts.push(separator + content);
+    this.length = start + content.length;
+    this.sections.push({
+      id: `section_${this.sections.length + 1}`,
+      title: title || anchor,
+      level,
+      page,
+      anchor,
+      ...location,
+      start,
+      end: this.length
+    });
+
+    return this;
+  }
+
+  /**
+   * Finalizes the document
+   * @param {Object} metadata - Extra fields such as pageCount
+   * @returns {Object} Normalized document
+   */
+  build(metadata = {}) {
+    return {
+      format: this.format,
+      text: this.parts.join(''),
+      sections: this.sections,
+      pageCount: null,
+      ...metadata
+    };
+  }
+}
+
+/**
+ * Returns the text of a section of a normalized document
+ * @param {Object} document - Normalized document
+ * @param {Object} section - One of document.sections
+ * @returns {string} Section text, including its anchor line
+ */
+export const getSectionText = (document, section) =>
+  document?.text?.slice(section?.start, section?.end) || '';
+
+export default StructuredDocumentBuilder;
@@ -0,0 +1,52 @@
+import StructuredDocumentBuilder from './structuredDocument';
+
+/**
+ * Splits Markdown into sections at its headings
+ * @param {string} content - Markdown source
+ * @returns {Object} Normalized document
+ */
+export const parseMarkdown = (content = '') => {
+  const builder = new StructuredDocumentBuilder('markdown');
+  let current = { title: '', level: 1, lines: [] };
+
+  const flush = () => {
+    builder.addSection({
+      title: current.title,
+      level: current.level,
+      anchor: current.title ? `Section: ${current.title}` : '',
+      text: current.lines.join('\n')
+    });
+  };
+
+  content?.split(/\r?\n/)?.forEach(line => {
+    const heading = line?.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+    if (heading) {
+      flush();
+      current = { title: heading?.[2], level: heading?.[1]?.length, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  flush();
+
+  return builder.build();
+};
+
+/**
+ * Wraps plain text, CSV or JSON in a single-section document
+ * @param {string} content - File content
+ * @param {string} format - 'text', 'csv' or 'json'
+ * @returns {Object} Normalized document
+ */
+export const parsePlainText = (content = '', format = 'text') => {
+  let text = content;
+
+  if (format === 'json') {
+    text = JSON.stringify(JSON.parse(content), null, 2);
+  }
+
+  return new StructuredDocumentBuilder(format)
+    .addSection({ text })
+    .build();
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { parseMarkdown, parsePlainText } from './textParser';
+import { getSectionText } from './structuredDocument';
+
+describe('parseMarkdown', () => {
+  it('starts a section at every heading and keeps its level', () => {
+    const document = parseMarkdown('Intro line\n\n# Cells\nCells are small.\n\n## Membranes ##\nThey wrap the cell.');
+
+    expect(document.format).toBe('markdown');
+    expect(document.sections.map(({ title, level, anchor }) => ({ title, level, anchor }))).toEqual([
+      { title: '', level: 1, anchor: '' },
+      { title: 'Cells', level: 1, anchor: 'Section: Cells' },
+      { title: 'Membranes', level: 2, anchor: 'Section: Membranes' }
+    ]);
+    expect(document.text).toBe('Intro line\n\n[Section: Cells]\nCells are small.\n\n[Section: Membranes]\nThey wrap the cell.');
+  });
+
+  it('records spans that cut each section, anchor line included, out of the text', () => {
+    const document = parseMarkdown('# One\nFirst body\n# Two\nSecond body');
+
+    expect(document.sections.map(section => getSectionText(document, section))).toEqual([
+      '[Section: One]\nFirst body',
+      '[Section: Two]\nSecond body'
+    ]);
+  });
+
+  it('drops sections with neither a title nor text and squeezes blank lines', () => {
+    const document = parseMarkdown('\n\n# Topic\nA\n\n\n\nB   \n');
+
+    expect(document.sections).toHaveLength(1);
+    expect(document.text).toBe('[Section: Topic]\nA\n\nB');
+  });
+});
+
+describe('parsePlainText', () => {
+  it('wraps text in a single section without an anchor', () => {
+    const document = parsePlainText('a,b\n1,2', 'csv');
+
+    expect(document).toEqual({
+      format: 'csv',
+      text: 'a,b\n1,2',
+      sections: [{ id: 'section_1', title: '', level: 1, page: null, anchor: '', start: 0, end: 7 }],
+      pageCount: null
+    });
+  });
+
+  it('pretty-prints JSON and rejects malformed JSON', () => {
+    expect(parsePlainText('{"a":[1]}', 'json').text).toBe('{\n  "a": [\n    1\n  ]\n}');
+    expect(() => parsePlainText('{"a":', 'json')).toThrow();
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * XML helpers shared by the zip-based document parsers (DOCX, PPTX, EPUB)
+ */
+
+/**
+ * Parses an XML string
+ * @param {string} xml - XML source
+ * @returns {Document} Parsed XML document
+ */
+export const parseXml = (xml) => new DOMParser().parseFromString(xml, 'application/xml');
+
+/**
+ * Resolves a package-relative target against the part that references it
+ * @param {string} basePath - Path of the referencing part, e.g. 'ppt/slides/slide1.xml'
+ * @param {string} target - Relative target, e.g. '../notesSlides/notesSlide1.xml'
+ * @returns {string} Zip path of the target
+ */
+export const resolvePartPath = (basePath, target = '') => {
+  if (target?.startsWith('/')) return target.slice(1);
+
+  const segments = basePath?.split('/')?.slice(0, -1);
+  target?.split('/')?.forEach(segment => {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  });
+
+  return segments.join('/');
+};
@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest';
+import { resolvePartPath } from './xmlUtils';
+
+describe('resolvePartPath', () => {
+  it('resolves a target relative to the folder of the part that references it', () => {
+    expect(resolvePartPath('ppt/slides/slide1.xml', '../notesSlides/notesSlide1.xml')).toBe('ppt/notesSlides/notesSlide1.xml');
+    expect(resolvePartPath('OEBPS/content.opf', './text/chapter1.xhtml')).toBe('OEBPS/text/chapter1.xhtml');
+    expect(resolvePartPath('content.opf', 'chapter1.xhtml')).toBe('chapter1.xhtml');
+  });
+
+  it('treats a leading slash as the package root', () => {
+    expect(resolvePartPath('ppt/presentation.xml', '/ppt/slides/slide2.xml')).toBe('ppt/slides/slide2.xml');
+  });
+});
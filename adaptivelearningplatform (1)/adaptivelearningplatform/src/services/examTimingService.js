@@ -0,0 +1,90 @@
+/**
+ * Time limits an exam starts with: untimed unless an instructor sets limits for the course
+ */
+export const DEFAULT_EXAM_SETTINGS = {
+  totalTimeLimit: null,
+  questionTimeLimit: null
+};
+
+/**
+ * Remaining time, in seconds, below which the countdown is shown as a warning
+ */
+export const TIME_WARNING_SECONDS = 30;
+
+/**
+ * Largest limits accepted, in seconds: 4 hours in total and 1 hour per question
+ */
+const MAX_TOTAL_TIME_LIMIT = 4 * 60 * 60;
+const MAX_QUESTION_TIME_LIMIT = 60 * 60;
+
+const toLimit = (value, max) => {
+  const seconds = Math.round(Number(value));
+  return seconds > 0 ? Math.min(max, seconds) : null;
+};
+
+/**
+ * Exam Timing Service
+ * Applies the total and per-question time limits of a timed exam
+ */
+class ExamTimingService {
+  /**
+   * Normalizes saved or entered exam settings
+   * @param {Object} settings - { totalTimeLimit, questionTimeLimit } in seconds; empty or 0 means no limit
+   * @returns {Object} { totalTimeLimit, questionTimeLimit } with null for no limit
+   */
+  normalizeSettings(settings) {
+    return {
+      totalTimeLimit: toLimit(settings?.totalTimeLimit, MAX_TOTAL_TIME_LIMIT),
+      questionTimeLimit: toLimit(settings?.questionTimeLimit, MAX_QUESTION_TIME_LIMIT)
+    };
+  }
+
+  /**
+   * Checks whether any time limit applies
+   * @param {Object} settings - Exam settings
+   * @returns {boolean} True for a timed exam
+   */
+  isTimed(settings) {
+    return !!(settings?.totalTimeLimit || settings?.questionTimeLimit);
+  }
+
+  /**
+   * Time left for the whole exam
+   * @param {Object} settings - Exam settings
+   * @param {number} sessionTime - Seconds spent on the exam so far
+   * @returns {number|null} Seconds left, or null without a total limit
+   */
+  getTimeRemaining(settings, sessionTime) {
+    if (!settings?.totalTimeLimit) return null;
+    return Math.max(0, settings.totalTimeLimit - (sessionTime || 0));
+  }
+
+  /**
+   * Time left on one question; time spent on earlier visits to the question counts against it
+   * @param {Object} settings - Exam settings
+   * @param {number} questionTime - Seconds spent on the question so far
+   * @returns {number|null} Seconds left, or null without a per-question limit
+   */
+  getQuestionTimeRemaining(settings, questionTime) {
+    if (!settings?.questionTimeLimit) return null;
+    return Math.max(0, settings.questionTimeLimit - (questionTime || 0));
+  }
+
+  /**
+   * Describes the limits for display, e.g. "20 min total • 90 s per question"
+   * @param {Object} settings - Exam settings
+   * @returns {string} Summary, or an empty string for an untimed exam
+   */
+  describe(settings) {
+    const parts = [];
+    if (settings?.totalTimeLimit) {
+      parts.push(`${Math.round(settings.totalTimeLimit / 60)} min total`);
+    }
+    if (settings?.questionTimeLimit) {
+      parts.push(`${settings.questionTimeLimit} s per question`);
+    }
+    return parts.join(' • ');
+  }
+}
+
+export default new ExamTimingService();
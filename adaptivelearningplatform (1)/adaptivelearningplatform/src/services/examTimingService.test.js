@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import examTimingService, { DEFAULT_EXAM_SETTINGS } from './examTimingService';
+
+describe('examTimingService.normalizeSettings', () => {
+  it('treats empty, zero and negative limits as no limit', () => {
+    expect(examTimingService.normalizeSettings({ totalTimeLimit: '', questionTimeLimit: 0 })).toEqual(DEFAULT_EXAM_SETTINGS);
+    expect(examTimingService.normalizeSettings({ totalTimeLimit: -60, questionTimeLimit: 'soon' })).toEqual(DEFAULT_EXAM_SETTINGS);
+    expect(examTimingService.isTimed(examTimingService.normalizeSettings(undefined))).toBe(false);
+  });
+
+  it('rounds limits to whole seconds and caps them', () => {
+    expect(examTimingService.normalizeSettings({ totalTimeLimit: '1200.4', questionTimeLimit: 99999 })).toEqual({
+      totalTimeLimit: 1200,
+      questionTimeLimit: 3600
+    });
+  });
+});
+
+describe('examTimingService remaining time', () => {
+  const settings = { totalTimeLimit: 600, questionTimeLimit: 90 };
+
+  it('counts down from each limit and stops at zero', () => {
+    expect(examTimingService.getTimeRemaining(settings, 250)).toBe(350);
+    expect(examTimingService.getTimeRemaining(settings, 900)).toBe(0);
+    expect(examTimingService.getQuestionTimeRemaining(settings, 30)).toBe(60);
+    expect(examTimingService.getQuestionTimeRemaining(settings, 120)).toBe(0);
+  });
+
+  it('has no remaining time for a limit that is not set', () => {
+    expect(examTimingService.getTimeRemaining({ questionTimeLimit: 90 }, 10)).toBeNull();
+    expect(examTimingService.getQuestionTimeRemaining({ totalTimeLimit: 600 }, 10)).toBeNull();
+  });
+
+  it('describes the limits for display', () => {
+    expect(examTimingService.describe(settings)).toBe('10 min total • 90 s per question');
+    expect(examTimingService.describe(DEFAULT_EXAM_SETTINGS)).toBe('');
+  });
+});
@@ -1,4 +1,46 @@
-import openai from './openaiClient';
+import llmGateway from './llmGateway';
+import { parsePdf } from './documentParsers/pdfParser';
+import { parseMarkdown, parsePlainText } from './documentParsers/textParser';
+import { parseHtml } from './documentParsers/htmlParser';
+import { parseDocx } from './documentParsers/docxParser';
+import { parsePptx } from './documentParsers/pptxParser';
+import { parseEpub } from './documentParsers/epubParser';
+import { chunkDocument } from './documentChunker';
+import conceptExtractionService from './conceptExtractionService';
+import { normalizeKey, rankByFrequency } from '../utils/dedupe';
+import { ANALYSIS_RESPONSE_FORMAT } from './llmTasks/analyze';
+
+const CHUNK_CONCURRENCY = 3;
+const CHUNK_ATTEMPTS = 2;
+
+const ANALYSIS_FIELDS = Object.keys(ANALYSIS_RESPONSE_FORMAT.json_schema.schema.properties);
+
+/**
+ * Supported document formats with their MIME types and file extensions
+ */
+export const SUPPORTED_FORMATS = {
+  pdf: { types: ['application/pdf'], extensions: ['pdf'] },
+  docx: { types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], extensions: ['docx'] },
+  pptx: { types: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'], extensions: ['pptx'] },
+  epub: { types: ['application/epub+zip'], extensions: ['epub'] },
+  html: { types: ['text/html', 'application/xhtml+xml'], extensions: ['html', 'htm', 'xhtml'] },
+  markdown: { types: ['text/markdown', 'text/x-markdown'], extensions: ['md', 'markdown'] },
+  json: { types: ['application/json'], extensions: ['json'] },
+  csv: { types: ['text/csv'], extensions: ['csv'] },
+  text: { types: ['text/plain'], extensions: ['txt'] }
+};
+
+/**
+ * Maximum number of files in one course or collection
+ */
+export const MAX_COLLECTION_FILES = 10;
+
+/**
+ * Value for a file input's accept attribute covering every supported format
+ */
+export const ACCEPTED_FILE_EXTENSIONS = Object.values(SUPPORTED_FORMATS)
+  ?.flatMap(format => format?.extensions?.map(extension => `.${extension}`))
+  ?.join(',');
 
 /**
  * File Analysis Service
@@ -7,60 +49,44 @@ import openai from './openaiClient';
 class FileAnalysisService {
   /**
    * Analyzes uploaded file content and extracts key information
+   * Large documents are split into section-aligned chunks, analyzed chunk by chunk and merged.
    * @param {File} file - The uploaded file
+   * @param {Object} options - Analysis options
+   * @param {Function} options.onProgress - Called with { stage, completed, total } as chunks finish
    * @returns {Promise<Object>} Analysis results with content and metadata
    */
-  async analyzeFile(file) {
+  async analyzeFile(file, { onProgress } = {}) {
     try {
-      const fileContent = await this.extractFileContent(file);
-      
-      const response = await openai?.chat?.completions?.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an AI educational content analyzer. Analyze the provided content and extract key information for adaptive learning purposes.`
-          },
-          {
-            role: 'user',
-            content: `Analyze this educational content and provide structured information:
-
-Content: ${fileContent}
-
-Please provide:
-1. Subject area and topic
-2. Difficulty level (Beginner/Intermediate/Advanced)
-3. Key concepts covered
-4. Learning objectives
-5. Prerequisites (if any)
-6. Estimated study time`
-          }
-        ],
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'file_analysis_response',
-            schema: {
-              type: 'object',
-              properties: {
-                subject: { type: 'string' },
-                topic: { type: 'string' },
-                difficulty: { type: 'string' },
-                keyConcepts: { type: 'array', items: { type: 'string' } },
-                learningObjectives: { type: 'array', items: { type: 'string' } },
-                prerequisites: { type: 'array', items: { type: 'string' } },
-                estimatedTime: { type: 'string' },
-                summary: { type: 'string' }
-              },
-              required: ['subject', 'topic', 'difficulty', 'keyConcepts', 'learningObjectives', 'estimatedTime', 'summary'],
-              additionalProperties: false
-            }
-          }
-        }
+      const parsedDocument = await this.extractFileContent(file);
+      const fileContent = parsedDocument?.text;
+      const chunks = chunkDocument(parsedDocument);
+      const total = chunks?.length || 1;
+      let completed = 0;
+
+      onProgress?.({ stage: 'analyzing', completed, total });
+
+      const chunkResults = await this.mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk) => {
+        const result = await this.analyzeChunk(chunk, total);
+        completed += 1;
+        onProgress?.({ stage: 'analyzing', completed, total });
+        return result;
       });
 
-      const analysisResult = JSON.parse(response?.choices?.[0]?.message?.content);
-      
+      const chunkAnalyses = chunkResults?.filter(Boolean);
+      const skippedChunks = chunks
+        ?.filter((chunk, index) => !chunkResults?.[index])
+        ?.map(chunk => ({ index: chunk?.index, firstAnchor: chunk?.firstAnchor, lastAnchor: chunk?.lastAnchor }));
+
+      if (!chunkAnalyses?.length) {
+        throw new Error('Every chunk of the document failed to analyze');
+      }
+
+      let analysisResult = chunkAnalyses?.[0];
+      if (total > 1) {
+        onProgress?.({ stage: 'merging', completed, total });
+        analysisResult = await this.reduceChunkAnalyses(chunkAnalyses);
+      }
+
       return {
         ...analysisResult,
         fileInfo: {
@@ -70,6 +96,15 @@ Please provide:
           lastModified: file?.lastModified
         },
         rawContent: fileContent,
+        document: {
+          format: parsedDocument?.format,
+          pageCount: parsedDocument?.pageCount,
+          sections: parsedDocument?.sections
+        },
+        chunking: {
+          chunkCount: total,
+          skippedChunks
+        },
         analyzedAt: new Date()?.toISOString()
       };
     } catch (error) {
@@ -79,39 +114,216 @@ Please provide:
   }
 
   /**
-   * Extracts text content from various file types
+   * Analyzes a single chunk of a document, retrying once before giving up
+   * @param {Object} chunk - Chunk from chunkDocument
+   * @param {number} total - Number of chunks in the document
+   * @returns {Promise<Object|null>} Chunk analysis, or null when the chunk could not be analyzed
+   */
+  async analyzeChunk(chunk, total) {
+    const span = chunk?.firstAnchor === chunk?.lastAnchor
+      ? chunk?.firstAnchor
+      : [chunk?.firstAnchor, chunk?.lastAnchor]?.filter(Boolean)?.join(' to ');
+
+    for (let attempt = 1; attempt <= CHUNK_ATTEMPTS; attempt++) {
+      try {
+        const response = await llmGateway?.runTask('analyze', {
+          text: chunk?.text,
+          part: chunk?.index + 1,
+          total,
+          span
+        });
+
+        return JSON.parse(response?.choices?.[0]?.message?.content);
+      } catch (error) {
+        console.error(`Error analyzing chunk ${chunk?.index + 1} (attempt ${attempt}):`, error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Merges per-chunk analyses into one document analysis
+   * The deterministic merge is refined by the model; if that call fails the merge is used as is.
+   * @param {Array} chunkAnalyses - Successful chunk analyses in document order
+   * @returns {Promise<Object>} Merged analysis
+   */
+  async reduceChunkAnalyses(chunkAnalyses) {
+    const merged = this.mergeAnalysisResults(chunkAnalyses);
+
+    try {
+      const response = await llmGateway?.runTask('analyze', {
+        step: 'merge',
+        parts: chunkAnalyses?.map(({ subject, topic, difficulty, summary }) => ({ subject, topic, difficulty, summary })),
+        candidates: {
+          keyConcepts: merged?.keyConcepts,
+          learningObjectives: merged?.learningObjectives,
+          prerequisites: merged?.prerequisites
+        },
+        estimatedTime: merged?.estimatedTime
+      });
+
+      const reduced = JSON.parse(response?.choices?.[0]?.message?.content);
+
+      return {
+        ...merged,
+        ...reduced,
+        keyConcepts: reduced?.keyConcepts?.length ? reduced.keyConcepts : merged?.keyConcepts,
+        estimatedTime: merged?.estimatedTime
+      };
+    } catch (error) {
+      console.error('Error merging chunk analyses, using deterministic merge:', error);
+      return merged;
+    }
+  }
+
+  /**
+   * Deterministically merges analyses of document chunks or of the files in a collection
+   * @param {Array} chunkAnalyses - Analyses in document order
+   * @returns {Object} Analysis with the most common subject, topic and difficulty and deduplicated lists
+   */
+  mergeAnalysisResults(chunkAnalyses) {
+    const keyConcepts = rankByFrequency(chunkAnalyses?.map(analysis => analysis?.keyConcepts));
+    const conceptKeys = keyConcepts?.map(normalizeKey);
+    const totalMinutes = chunkAnalyses?.reduce(
+      (sum, analysis) => sum + conceptExtractionService?.parseTimeToMinutes(analysis?.estimatedTime), 0
+    );
+
+    return {
+      subject: rankByFrequency(chunkAnalyses?.map(analysis => [analysis?.subject]))?.[0] || '',
+      topic: rankByFrequency(chunkAnalyses?.map(analysis => [analysis?.topic]))?.[0] || '',
+      difficulty: rankByFrequency(chunkAnalyses?.map(analysis => [analysis?.difficulty]))?.[0] || 'Intermediate',
+      keyConcepts,
+      learningObjectives: rankByFrequency(chunkAnalyses?.map(analysis => analysis?.learningObjectives)),
+      prerequisites: rankByFrequency(chunkAnalyses?.map(analysis => analysis?.prerequisites))
+        ?.filter(prerequisite => !conceptKeys?.includes(normalizeKey(prerequisite))),
+      estimatedTime: conceptExtractionService?.formatMinutesToTime(totalMinutes),
+      summary: chunkAnalyses?.map(analysis => analysis?.summary)?.filter(Boolean)?.join(' ')
+    };
+  }
+
+  /**
+   * Combines the analyses of every file in a course or collection into one analysis
+   * @param {string} name - Collection name
+   * @param {Array} analyses - Results of analyzeFile, one per file
+   * @returns {Object} Collection analysis; per-file results are kept in `sources`
+   */
+  createCollectionAnalysis(name, analyses) {
+    const merged = analyses?.length === 1
+      ? Object.fromEntries(ANALYSIS_FIELDS.map(field => [field, analyses?.[0]?.[field]]))
+      : this.mergeAnalysisResults(analyses);
+
+    return {
+      ...merged,
+      collection: {
+        name: name?.trim() || analyses?.[0]?.topic || 'Untitled collection',
+        fileCount: analyses?.length || 0
+      },
+      sources: analyses?.map(({ fileInfo, document, rawContent, subject, topic, summary, chunking }) => ({
+        fileInfo,
+        subject,
+        topic,
+        summary,
+        document,
+        rawContent,
+        chunking
+      })),
+      analyzedAt: new Date()?.toISOString()
+    };
+  }
+
+  /**
+   * Runs an async function over items with a bounded number in flight, preserving order
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - Async function called with (item, index)
+   * @returns {Promise<Array>} Results in item order
+   */
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items?.length || 0);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items?.length) {
+        const index = next++;
+        results[index] = await fn(items?.[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items?.length || 0) }, worker));
+    return results;
+  }
+
+  /**
+   * Extracts normalized text and structure from various file types
    * @param {File} file - The file to extract content from
-   * @returns {Promise<string>} Extracted text content
+   * @returns {Promise<Object>} Normalized document { format, text, sections, pageCount }
    */
   async extractFileContent(file) {
+    const format = this.getDocumentFormat(file);
+
+    try {
+      switch (format) {
+        case 'pdf':
+          return await parsePdf(await this.readFile(file, 'arrayBuffer'));
+        case 'docx':
+          return await parseDocx(await this.readFile(file, 'arrayBuffer'));
+        case 'pptx':
+          return await parsePptx(await this.readFile(file, 'arrayBuffer'));
+        case 'epub':
+          return await parseEpub(await this.readFile(file, 'arrayBuffer'));
+        case 'html':
+          return parseHtml(await this.readFile(file, 'text'));
+        case 'markdown':
+          return parseMarkdown(await this.readFile(file, 'text'));
+        default:
+          return parsePlainText(await this.readFile(file, 'text'), format);
+      }
+    } catch (error) {
+      console.error(`Error extracting ${format} content:`, error);
+      throw new Error('Failed to extract file content');
+    }
+  }
+
+  /**
+   * Determines the document format from MIME type, falling back to the file extension
+   * @param {File} file - The file to inspect
+   * @returns {string|null} A key of SUPPORTED_FORMATS, or null when unsupported
+   */
+  getDocumentFormat(file) {
+    const type = file?.type?.split(';')?.[0]?.trim()?.toLowerCase() || '';
+    const extension = file?.name?.includes('.') ? file?.name?.split('.')?.pop()?.toLowerCase() : '';
+    const formats = Object.entries(SUPPORTED_FORMATS);
+
+    const byExtension = formats?.find(([, format]) => format?.extensions?.includes(extension))?.[0];
+    if (byExtension) return byExtension;
+
+    const byType = formats?.find(([, format]) => format?.types?.includes(type))?.[0];
+    if (byType) return byType;
+
+    return type?.startsWith('text/') ? 'text' : null;
+  }
+
+  /**
+   * Reads a file with FileReader
+   * @param {File} file - The file to read
+   * @param {string} mode - 'text' or 'arrayBuffer'
+   * @returns {Promise<string|ArrayBuffer>} File contents
+   */
+  readFile(file, mode = 'text') {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      
-      reader.onload = (event) => {
-        try {
-          let content = '';
-          
-          if (file.type.includes('text/')) {
-            content = event.target.result;
-          } else if (file.type.includes('application/json')) {
-            const jsonData = JSON.parse(event.target.result);
-            content = JSON.stringify(jsonData, null, 2);
-          } else {
-            // For other file types, attempt to read as text
-            content = event.target.result;
-          }
-          
-          resolve(content);
-        } catch (error) {
-          reject(new Error('Failed to extract file content'));
-        }
-      };
-      
+
+      reader.onload = (event) => resolve(event?.target?.result);
       reader.onerror = () => {
         reject(new Error('Failed to read file'));
       };
-      
-      reader.readAsText(file);
+
+      if (mode === 'arrayBuffer') {
+        reader.readAsArrayBuffer(file);
+      } else {
+        reader.readAsText(file);
+      }
     });
   }
 
@@ -122,13 +334,6 @@ Please provide:
    */
   validateFile(file) {
     const maxSize = 10 * 1024 * 1024; // 10MB
-    const allowedTypes = [
-      'text/plain',
-      'text/markdown',
-      'application/json',
-      'text/csv',
-      'application/pdf' // Note: PDF requires additional processing
-    ];
 
     if (!file) {
       return { isValid: false, error: 'No file provided' };
@@ -138,7 +343,7 @@ Please provide:
       return { isValid: false, error: 'File size exceeds 10MB limit' };
     }
 
-    if (!allowedTypes?.some(type => file?.type?.includes(type?.split('/')?.[0]))) {
+    if (!this.getDocumentFormat(file)) {
       return { isValid: false, error: 'Unsupported file type' };
     }
 
@@ -0,0 +1,158 @@
+import JSZip from 'jszip';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import fileAnalysisService, { ACCEPTED_FILE_EXTENSIONS } from './fileAnalysisService';
+import llmGateway from './llmGateway';
+import StructuredDocumentBuilder from './documentParsers/structuredDocument';
+
+const file = (name, type = '', size = 1024) => ({ name, type, size });
+const completion = (content) => ({ choices: [{ message: { content: JSON.stringify(content) } }] });
+
+const chunkAnalyses = [
+  {
+    subject: 'Biology',
+    topic: 'Cells',
+    difficulty: 'Beginner',
+    keyConcepts: ['Cell membrane', 'Nucleus'],
+    learningObjectives: ['Describe a cell'],
+    prerequisites: ['Chemistry basics', 'nucleus'],
+    estimatedTime: '30 min',
+    summary: 'Cells.'
+  },
+  {
+    subject: 'Biology',
+    topic: 'Energy',
+    difficulty: 'Intermediate',
+    keyConcepts: ['Mitochondria', 'cell membranes'],
+    learningObjectives: ['Describe a cell', 'Explain respiration'],
+    prerequisites: ['Chemistry basics'],
+    estimatedTime: '1 hour',
+    summary: 'Energy.'
+  }
+];
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('fileAnalysisService.getDocumentFormat', () => {
+  it('recognizes Word, PowerPoint, EPUB and HTML files by extension or MIME type', () => {
+    expect([
+      file('notes.docx'),
+      file('deck.pptx'),
+      file('book.epub'),
+      file('page.htm'),
+      file('upload', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'),
+      file('upload', 'application/xhtml+xml')
+    ].map(item => fileAnalysisService.getDocumentFormat(item))).toEqual(['docx', 'pptx', 'epub', 'html', 'pptx', 'html']);
+  });
+
+  it('trusts the extension over a generic MIME type and falls back to text for other text types', () => {
+    expect(fileAnalysisService.getDocumentFormat(file('deck.PPTX', 'application/octet-stream'))).toBe('pptx');
+    expect(fileAnalysisService.getDocumentFormat(file('styles.css', 'text/css'))).toBe('text');
+    expect(fileAnalysisService.getDocumentFormat(file('image.png', 'image/png'))).toBeNull();
+  });
+
+  it('lists every supported extension for the upload input', () => {
+    expect(ACCEPTED_FILE_EXTENSIONS.split(',')).toEqual(expect.arrayContaining(['.docx', '.pptx', '.epub', '.html', '.pdf', '.md']));
+  });
+});
+
+describe('fileAnalysisService.validateFile', () => {
+  it('accepts supported files up to 10MB and names the problem otherwise', () => {
+    expect(fileAnalysisService.validateFile(file('deck.pptx'))).toEqual({ isValid: true });
+    expect(fileAnalysisService.validateFile(file('deck.pptx', '', 11 * 1024 * 1024)).error).toBe('File size exceeds 10MB limit');
+    expect(fileAnalysisService.validateFile(file('movie.mp4', 'video/mp4')).error).toBe('Unsupported file type');
+    expect(fileAnalysisService.validateFile(null).error).toBe('No file provided');
+  });
+});
+
+describe('fileAnalysisService.extractFileContent', () => {
+  it('reports an archive that is not really a Word document', async () => {
+    const zip = new JSZip();
+    zip.file('readme.txt', 'not a document');
+    vi.spyOn(fileAnalysisService, 'readFile').mockResolvedValue(await zip.generateAsync({ type: 'arraybuffer' }));
+    const logError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(fileAnalysisService.extractFileContent(file('notes.docx'))).rejects.toThrow('Failed to extract file content');
+    expect(logError.mock.calls[0][1].message).toContain('word/document.xml is missing');
+  });
+
+  it('reads Markdown as text and keeps its sections', async () => {
+    const readFile = vi.spyOn(fileAnalysisService, 'readFile').mockResolvedValue('# Cells\nCells are small.');
+
+    const document = await fileAnalysisService.extractFileContent(file('biology.md'));
+
+    expect(readFile).toHaveBeenCalledWith(expect.anything(), 'text');
+    expect(document.sections.map(section => section.title)).toEqual(['Cells']);
+  });
+});
+
+describe('fileAnalysisService.mergeAnalysisResults', () => {
+  it('keeps the most common labels, deduplicates lists and adds up the time', () => {
+    expect(fileAnalysisService.mergeAnalysisResults(chunkAnalyses)).toEqual({
+      subject: 'Biology',
+      topic: 'Cells',
+      difficulty: 'Beginner',
+      keyConcepts: ['Cell membrane', 'Nucleus', 'Mitochondria'],
+      learningObjectives: ['Describe a cell', 'Explain respiration'],
+      prerequisites: ['Chemistry basics'],
+      estimatedTime: '1h 30min',
+      summary: 'Cells. Energy.'
+    });
+  });
+});
+
+describe('fileAnalysisService.reduceChunkAnalyses', () => {
+  it('falls back to the deterministic merge when the merge call fails', async () => {
+    vi.spyOn(llmGateway, 'runTask').mockRejectedValue(new Error('timeout'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await fileAnalysisService.reduceChunkAnalyses(chunkAnalyses))
+      .toEqual(fileAnalysisService.mergeAnalysisResults(chunkAnalyses));
+  });
+
+  it('takes the refined fields from the model but never drops the merged concepts or time', async () => {
+    const runTask = vi.spyOn(llmGateway, 'runTask')
+      .mockResolvedValue(completion({ subject: 'Cell biology', keyConcepts: [], estimatedTime: '5 min' }));
+
+    const reduced = await fileAnalysisService.reduceChunkAnalyses(chunkAnalyses);
+
+    expect(reduced.subject).toBe('Cell biology');
+    expect(reduced.keyConcepts).toEqual(['Cell membrane', 'Nucleus', 'Mitochondria']);
+    expect(reduced.estimatedTime).toBe('1h 30min');
+    expect(runTask.mock.calls[0][1].step).toBe('merge');
+  });
+});
+
+describe('fileAnalysisService.analyzeFile', () => {
+  const largeDocument = () => ['a', 'b', 'c']
+    .reduce((builder, letter, index) => builder.addSection({ text: letter.repeat(7000), anchor: `Page ${index + 1}` }), new StructuredDocumentBuilder('pdf'))
+    .build({ pageCount: 3 });
+
+  it('analyzes a large document chunk by chunk, reports progress and merges the results', async () => {
+    vi.spyOn(fileAnalysisService, 'extractFileContent').mockResolvedValue(largeDocument());
+    const runTask = vi.spyOn(llmGateway, 'runTask').mockImplementation(async (task, inputs) =>
+      completion(inputs?.step === 'merge' ? { subject: 'Merged' } : chunkAnalyses[inputs.part % 2]));
+    const onProgress = vi.fn();
+
+    const analysis = await fileAnalysisService.analyzeFile(file('book.pdf'), { onProgress });
+
+    expect(runTask.mock.calls.map(([, inputs]) => inputs.step || inputs.span)).toEqual(['Page 1', 'Page 2', 'Page 3', 'merge']);
+    expect(onProgress.mock.calls.map(([progress]) => `${progress.stage} ${progress.completed}/${progress.total}`))
+      .toEqual(['analyzing 0/3', 'analyzing 1/3', 'analyzing 2/3', 'analyzing 3/3', 'merging 3/3']);
+    expect(analysis.subject).toBe('Merged');
+    expect(analysis.chunking).toEqual({ chunkCount: 3, skippedChunks: [] });
+  });
+
+  it('skips a chunk that fails twice and records where it was', async () => {
+    vi.spyOn(fileAnalysisService, 'extractFileContent').mockResolvedValue(largeDocument());
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(llmGateway, 'runTask').mockImplementation(async (task, inputs) => {
+      if (inputs?.part === 2) throw new Error('timeout');
+      return completion(inputs?.step === 'merge' ? {} : chunkAnalyses[0]);
+    });
+
+    const analysis = await fileAnalysisService.analyzeFile(file('book.pdf'));
+
+    expect(analysis.chunking.skippedChunks).toEqual([{ index: 1, firstAnchor: 'Page 2', lastAnchor: 'Page 2' }]);
+    expect(llmGateway.runTask.mock.calls.filter(([, inputs]) => inputs?.part === 2)).toHaveLength(2);
+  });
+});
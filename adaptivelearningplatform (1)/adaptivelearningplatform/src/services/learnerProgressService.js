@@ -0,0 +1,700 @@
+import documentRepository from './storage/documentRepository';
+import conceptRepository from './storage/conceptRepository';
+import questionRepository from './storage/questionRepository';
+import attemptRepository from './storage/attemptRepository';
+import noteRepository from './storage/noteRepository';
+import masteryRepository from './storage/masteryRepository';
+import profileRepository from './storage/profileRepository';
+import sessionRepository from './storage/sessionRepository';
+import reviewRepository from './storage/reviewRepository';
+import spacedRepetitionService from './spacedRepetitionService';
+import masteryModelService from './masteryModelService';
+import calibrationService from './calibrationService';
+import examTimingService from './examTimingService';
+import questionScoringService from './questionScoringService';
+import { DEFAULT_MASTERY_THRESHOLD } from './pathwayService';
+
+const ACTIVE_DOCUMENT_KEY = 'activeDocumentId';
+const REVIEW_SESSION_LIMIT = 20;
+const MISCONCEPTION_LIMIT = 5;
+const SELF_REPORT_LIMIT = 50;
+
+// Unanswered questions are stored as attempts so scores count them, but they carry no evidence
+// about what the learner knows
+const wasAnswered = (attempt) => attempt?.answered !== false;
+
+/**
+ * Achievements earned from saved progress. Each check receives
+ * { attempts, masteryRecords, notes, masteryThreshold }.
+ */
+const ACHIEVEMENTS = [
+  {
+    id: 'first_answer',
+    title: 'First Steps',
+    description: 'Answered your first question',
+    icon: 'Award',
+    isEarned: ({ attempts }) => attempts?.some(wasAnswered)
+  },
+  {
+    id: 'concept_mastered',
+    title: 'Concept Mastered',
+    description: 'Reached the mastery goal in a concept',
+    icon: 'Target',
+    isEarned: ({ masteryRecords, masteryThreshold }) =>
+      masteryRecords?.some(record => record?.masteryLevel >= masteryThreshold)
+  },
+  {
+    id: 'on_a_roll',
+    title: 'On a Roll',
+    description: 'Answered 5 questions correctly in a row',
+    icon: 'Zap',
+    isEarned: ({ attempts }) => {
+      let streak = 0;
+      return [...(attempts || [])]
+        ?.sort((a, b) => (a?.submittedAt || '').localeCompare(b?.submittedAt || ''))
+        ?.some(attempt => {
+          streak = attempt?.isCorrect ? streak + 1 : 0;
+          return streak >= 5;
+        });
+    }
+  },
+  {
+    id: 'steady_climber',
+    title: 'Steady Climber',
+    description: 'Raised a concept\'s mastery by 30 points',
+    icon: 'TrendingUp',
+    isEarned: ({ masteryRecords }) =>
+      masteryRecords?.some(record => masteryModelService?.getTrend(record?.history)?.change >= 30)
+  },
+  {
+    id: 'fast_track',
+    title: 'Fast Track',
+    description: 'Tested out of a concept',
+    icon: 'FastForward',
+    isEarned: ({ masteryRecords }) => masteryRecords?.some(record => record?.testedOut)
+  },
+  {
+    id: 'memory_keeper',
+    title: 'Memory Keeper',
+    description: 'Completed a spaced review',
+    icon: 'Repeat',
+    isEarned: ({ attempts }) => attempts?.some(attempt => attempt?.source === 'review')
+  },
+  {
+    id: 'note_taker',
+    title: 'Note Taker',
+    description: 'Added notes during an explanation',
+    icon: 'PenTool',
+    isEarned: ({ notes }) => notes?.some(record => record?.notes?.trim() || record?.highlights?.length)
+  }
+];
+
+/**
+ * Learner Progress Service
+ * Saves and restores courses, questions, attempts, notes and mastery so learners can resume across days
+ */
+class LearnerProgressService {
+  /**
+   * Saves a newly analyzed course and makes it the active one
+   * @param {Object} course - Course data
+   * @param {Object} course.analysis - Collection analysis from fileAnalysisService
+   * @param {Array} course.concepts - Extracted concepts
+   * @param {Object} course.learningPathway - Pathway from conceptExtractionService
+   * @returns {Promise<string>} Id of the saved document
+   */
+  async saveCourse({ analysis, concepts, learningPathway }) {
+    try {
+      const now = new Date()?.toISOString();
+      const documentId = `doc_${Date.now()?.toString(36)}_${Math.random()?.toString(36)?.slice(2, 8)}`;
+
+      await documentRepository?.save({
+        id: documentId,
+        name: analysis?.collection?.name || analysis?.topic || 'Untitled collection',
+        analysis,
+        learningPathway,
+        createdAt: now,
+        updatedAt: now
+      });
+      await conceptRepository?.saveAll(documentId, concepts);
+      await profileRepository?.setValue(ACTIVE_DOCUMENT_KEY, documentId);
+
+      return documentId;
+    } catch (error) {
+      console.error('Error saving course:', error);
+      throw new Error('Failed to save course');
+    }
+  }
+
+  /**
+   * Loads the course the learner last worked on
+   * @returns {Promise<Object|null>} { document, concepts, learningPathway }, or null if none is saved
+   */
+  async loadActiveCourse() {
+    const documentId = await profileRepository?.getValue(ACTIVE_DOCUMENT_KEY);
+    return documentId ? this.loadCourse(documentId) : null;
+  }
+
+  /**
+   * Loads a saved course with the learner's mastery applied to its concepts
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object|null>} { document, concepts, learningPathway }, or null if not found
+   */
+  async loadCourse(documentId) {
+    try {
+      const savedDocument = await documentRepository?.get(documentId);
+      if (!savedDocument) return null;
+
+      const [storedConcepts, masteryRecords] = await Promise.all([
+        conceptRepository?.getByDocument(documentId),
+        masteryRepository?.getByDocument(documentId)
+      ]);
+      const applyMastery = (concept) => {
+        const mastery = masteryRecords?.find(record => record?.conceptId === concept?.id);
+        return mastery ? {
+          ...concept,
+          // Records holding only self-reports have no mastery of their own yet
+          masteryLevel: mastery?.masteryLevel ?? concept?.masteryLevel,
+          attempts: mastery?.attempts,
+          correctAnswers: mastery?.correctAnswers,
+          testedOut: !!mastery?.testedOut
+        } : concept;
+      };
+      const pathwayOrder = savedDocument?.learningPathway?.pathway?.map(concept => concept?.id) || [];
+      const concepts = storedConcepts
+        ?.sort((a, b) => pathwayOrder.indexOf(a?.id) - pathwayOrder.indexOf(b?.id))
+        ?.map(applyMastery);
+
+      return {
+        document: savedDocument,
+        concepts,
+        learningPathway: savedDocument?.learningPathway ? {
+          ...savedDocument.learningPathway,
+          pathway: savedDocument.learningPathway?.pathway?.map(applyMastery)
+        } : null
+      };
+    } catch (error) {
+      console.error('Error loading course:', error);
+      throw new Error('Failed to load course');
+    }
+  }
+
+  /**
+   * Lists saved courses, most recent first
+   * @returns {Promise<Array>} Documents without their source content
+   */
+  async listCourses() {
+    const documents = await documentRepository?.getAll();
+    return documents?.map(({ analysis, ...summary }) => ({
+      ...summary,
+      subject: analysis?.subject,
+      topic: analysis?.topic,
+      fileCount: analysis?.collection?.fileCount || 1
+    }));
+  }
+
+  /**
+   * Makes a saved course the active one
+   * @param {string} documentId - Document id
+   * @returns {Promise<void>}
+   */
+  async setActiveCourse(documentId) {
+    await profileRepository?.setValue(ACTIVE_DOCUMENT_KEY, documentId);
+  }
+
+  /**
+   * Reads the question bank of a course, leaving out questions an instructor rejected
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} Questions in their saved order
+   */
+  async getQuestions(documentId) {
+    const questions = await questionRepository?.getByDocument(documentId);
+    return questions
+      ?.filter(question => question?.status !== 'rejected')
+      ?.sort((a, b) => (a?.number || 0) - (b?.number || 0));
+  }
+
+  /**
+   * Records submitted answers and updates mastery for every concept they cover
+   * Mastery is the knowledge-tracing probability from masteryModelService, updated by each answer in turn.
+   * Questions left unanswered are saved but neither move mastery nor reschedule reviews.
+   * @param {string} documentId - Document id
+   * @param {Array} attempts - Attempts as { questionId, conceptId, answer, confidence, isCorrect, score, ... }
+   * @returns {Promise<Object>} Updated mastery records keyed by concept id
+   */
+  async recordAttempts(documentId, attempts) {
+    try {
+      const submittedAt = new Date()?.toISOString();
+      const savedAttempts = attempts?.map(attempt => ({
+        ...attempt,
+        documentId,
+        submittedAt: attempt?.submittedAt || submittedAt
+      }));
+      await Promise.all(savedAttempts?.map(attempt => attemptRepository?.save(attempt)));
+      const answeredAttempts = savedAttempts?.filter(wasAnswered);
+
+      const conceptIds = [...new Set(attempts?.map(attempt => attempt?.conceptId)?.filter(Boolean))];
+      const updated = {};
+
+      for (const conceptId of conceptIds) {
+        const conceptAttempts = await attemptRepository?.getByConcept(documentId, conceptId);
+        const correctAnswers = conceptAttempts?.filter(attempt => attempt?.isCorrect)?.length || 0;
+        const existing = await masteryRepository?.getForConcept(documentId, conceptId);
+        const record = {
+          ...existing,
+          ...masteryModelService?.applyAttempts(
+            existing,
+            answeredAttempts?.filter(attempt => attempt?.conceptId === conceptId)
+          ),
+          documentId,
+          conceptId,
+          attempts: conceptAttempts?.length || 0,
+          correctAnswers,
+          updatedAt: submittedAt
+        };
+
+        await masteryRepository?.save(record);
+        updated[conceptId] = record;
+      }
+
+      await this.updateReviewCards(documentId, answeredAttempts, new Date(submittedAt));
+      await this.touchDocument(documentId);
+      return updated;
+    } catch (error) {
+      console.error('Error recording attempts:', error);
+      throw new Error('Failed to record attempts');
+    }
+  }
+
+  /**
+   * Reschedules the review cards of every question and concept covered by a set of attempts
+   * @param {string} documentId - Document id
+   * @param {Array} attempts - Graded attempts
+   * @param {Date} reviewedAt - Time of the attempts
+   * @returns {Promise<void>}
+   */
+  async updateReviewCards(documentId, attempts, reviewedAt) {
+    const qualities = attempts?.map(attempt => ({
+      attempt,
+      quality: spacedRepetitionService?.getRecallQuality(
+        attempt?.score ?? (attempt?.isCorrect ? 100 : 0),
+        attempt?.confidence
+      )
+    }));
+    const cards = [];
+
+    for (const { attempt, quality } of qualities || []) {
+      const card = await reviewRepository?.getForItem(documentId, 'question', attempt?.questionId)
+        || spacedRepetitionService?.createCard(documentId, 'question', attempt?.questionId, { conceptId: attempt?.conceptId });
+      cards.push(spacedRepetitionService?.review(card, quality, reviewedAt));
+    }
+
+    // A concept is recalled as well as the average of its answers in this submission
+    const conceptIds = [...new Set(attempts?.map(attempt => attempt?.conceptId)?.filter(Boolean))];
+    for (const conceptId of conceptIds) {
+      const conceptQualities = qualities?.filter(({ attempt }) => attempt?.conceptId === conceptId);
+      const quality = Math.round(
+        conceptQualities?.reduce((sum, entry) => sum + entry?.quality, 0) / conceptQualities?.length
+      );
+      const card = await reviewRepository?.getForItem(documentId, 'concept', conceptId)
+        || spacedRepetitionService?.createCard(documentId, 'concept', conceptId, { conceptId });
+      cards.push(spacedRepetitionService?.review(card, quality, reviewedAt));
+    }
+
+    await reviewRepository?.saveAll(documentId, cards);
+  }
+
+  /**
+   * Reads every review card for a course
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} Review cards
+   */
+  async getReviewCards(documentId) {
+    return reviewRepository?.getByDocument(documentId);
+  }
+
+  /**
+   * Builds the "due for review" queue: due questions, plus a question for every due concept
+   * not already covered, most overdue first
+   * @param {string} documentId - Document id
+   * @param {Object} options - { now, limit }
+   * @returns {Promise<Array>} Items as { question, card, conceptId, conceptName, dueAt }
+   */
+  async getReviewQueue(documentId, { now = new Date(), limit = REVIEW_SESSION_LIMIT } = {}) {
+    try {
+      const [dueCards, questions] = await Promise.all([
+        reviewRepository?.getDue(documentId, now?.toISOString()),
+        this.getQuestions(documentId)
+      ]);
+      const queue = [];
+
+      dueCards
+        ?.sort((a, b) => (a?.itemType === b?.itemType ? 0 : a?.itemType === 'question' ? -1 : 1)
+          || (a?.dueAt || '').localeCompare(b?.dueAt || ''))
+        ?.forEach(card => {
+          const question = card?.itemType === 'question'
+            ? questions?.find(item => item?.id === card?.itemId)
+            : !queue?.some(item => item?.conceptId === card?.itemId)
+              && questions?.find(item => item?.conceptId === card?.itemId && !queue?.some(entry => entry?.question?.id === item?.id));
+
+          if (question) {
+            queue.push({
+              question,
+              card,
+              conceptId: question?.conceptId,
+              conceptName: question?.conceptName,
+              dueAt: card?.dueAt
+            });
+          }
+        });
+
+      return queue
+        ?.sort((a, b) => (a?.dueAt || '').localeCompare(b?.dueAt || ''))
+        ?.slice(0, limit);
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+      throw new Error('Failed to load review queue');
+    }
+  }
+
+  /**
+   * Reads how a concept's mastery changed over time
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Array>} History entries as { at, probability, masteryLevel, questionId, score, source }
+   */
+  async getMasteryHistory(documentId, conceptId) {
+    const record = await masteryRepository?.getForConcept(documentId, conceptId);
+    return record?.history || [];
+  }
+
+  /**
+   * Lists likely misconceptions for a concept: saved questions whose latest answer was sure but wrong
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Array>} Most recent first, as { questionId, question, userAnswer, correctAnswer, confidence }
+   */
+  async getMisconceptions(documentId, conceptId) {
+    try {
+      const [attempts, questions] = await Promise.all([
+        attemptRepository?.getByConcept(documentId, conceptId),
+        questionRepository?.getByDocument(documentId)
+      ]);
+      const latest = {};
+      attempts?.filter(wasAnswered)?.forEach(attempt => {
+        if ((attempt?.submittedAt || '') >= (latest?.[attempt?.questionId]?.submittedAt || '')) {
+          latest[attempt.questionId] = attempt;
+        }
+      });
+
+      return Object.values(latest)
+        ?.filter(attempt => calibrationService?.isConfidentlyWrong(attempt))
+        ?.sort((a, b) => (b?.submittedAt || '').localeCompare(a?.submittedAt || ''))
+        ?.map(attempt => {
+          const question = questions?.find(item => item?.id === attempt?.questionId);
+          return question ? {
+            questionId: attempt?.questionId,
+            question: question?.question,
+            userAnswer: questionScoringService?.formatAnswer(question, attempt?.answer),
+            correctAnswer: questionScoringService?.formatCorrectAnswer(question),
+            confidence: attempt?.confidence
+          } : null;
+        })
+        ?.filter(Boolean)
+        ?.slice(0, MISCONCEPTION_LIMIT);
+    } catch (error) {
+      console.error('Error loading misconceptions:', error);
+      throw new Error('Failed to load misconceptions');
+    }
+  }
+
+  /**
+   * Works out which achievements the learner has earned in a course
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} Achievements as { id, title, description, icon, earned }
+   */
+  async getAchievements(documentId) {
+    try {
+      const [attempts, masteryRecords, notes, savedDocument] = await Promise.all([
+        attemptRepository?.getByDocument(documentId),
+        masteryRepository?.getByDocument(documentId),
+        noteRepository?.getByDocument(documentId),
+        documentRepository?.get(documentId)
+      ]);
+      const progress = {
+        attempts,
+        masteryRecords,
+        notes,
+        masteryThreshold: savedDocument?.learningPathway?.masteryThreshold ?? DEFAULT_MASTERY_THRESHOLD
+      };
+
+      return ACHIEVEMENTS?.map(({ isEarned, ...achievement }) => ({
+        ...achievement,
+        earned: !!isEarned(progress)
+      }));
+    } catch (error) {
+      console.error('Error loading achievements:', error);
+      throw new Error('Failed to load achievements');
+    }
+  }
+
+  /**
+   * Reads everything the progress dashboard charts for a course
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object>} { attempts, masteryRecords, sessions }
+   */
+  async getProgressData(documentId) {
+    try {
+      const [attempts, masteryRecords, sessions] = await Promise.all([
+        attemptRepository?.getByDocument(documentId),
+        masteryRepository?.getByDocument(documentId),
+        sessionRepository?.getByDocument(documentId)
+      ]);
+      return { attempts: attempts || [], masteryRecords: masteryRecords || [], sessions: sessions || [] };
+    } catch (error) {
+      console.error('Error loading progress data:', error);
+      throw new Error('Failed to load progress data');
+    }
+  }
+
+  /**
+   * Records that the learner says they understood a concept, e.g. "Got it" or finishing the avatar explanation
+   * Self-reports are kept apart from the mastery probability and never unlock concepts; only graded
+   * attempts change mastery.
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @param {string} signal - What the learner did, e.g. 'understood' or 'playback_complete'
+   * @returns {Promise<Object>} Saved mastery record
+   */
+  async recordSelfReport(documentId, conceptId, signal) {
+    try {
+      const reportedAt = new Date()?.toISOString();
+      const existing = await masteryRepository?.getForConcept(documentId, conceptId);
+      const record = {
+        attempts: 0,
+        correctAnswers: 0,
+        ...existing,
+        documentId,
+        conceptId,
+        selfReports: [...(existing?.selfReports || []), { at: reportedAt, signal }]?.slice(-SELF_REPORT_LIMIT)
+      };
+
+      await masteryRepository?.save(record);
+      return record;
+    } catch (error) {
+      console.error('Error saving self-report:', error);
+      throw new Error('Failed to save self-report');
+    }
+  }
+
+  /**
+   * Marks concepts the learner passed in a test-out diagnostic as mastered
+   * @param {string} documentId - Document id
+   * @param {Array} results - Diagnostic results as { conceptId, score, passed }
+   * @returns {Promise<Object>} Updated mastery records keyed by concept id
+   */
+  async testOutConcepts(documentId, results) {
+    try {
+      const updated = {};
+
+      for (const result of results?.filter(entry => entry?.passed) || []) {
+        const testedOutAt = new Date()?.toISOString();
+        const existing = await masteryRepository?.getForConcept(documentId, result?.conceptId);
+        const record = {
+          attempts: 0,
+          correctAnswers: 0,
+          ...existing,
+          ...masteryModelService?.setLevel(
+            existing,
+            Math.max(existing?.masteryLevel || 0, result?.score),
+            { at: testedOutAt, source: 'test_out' }
+          ),
+          documentId,
+          conceptId: result?.conceptId,
+          testedOut: true,
+          testedOutAt,
+          updatedAt: testedOutAt
+        };
+
+        await masteryRepository?.save(record);
+        updated[result.conceptId] = record;
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('Error saving test-out results:', error);
+      throw new Error('Failed to save test-out results');
+    }
+  }
+
+  /**
+   * Changes the mastery a course's concepts need before the concepts that depend on them unlock
+   * @param {string} documentId - Document id
+   * @param {number} masteryThreshold - Threshold from 0 to 100
+   * @returns {Promise<Object>} Updated learning pathway
+   */
+  async setMasteryThreshold(documentId, masteryThreshold) {
+    try {
+      const savedDocument = await documentRepository?.get(documentId);
+      const learningPathway = {
+        ...savedDocument?.learningPathway,
+        masteryThreshold: Math.max(0, Math.min(100, Math.round(masteryThreshold ?? DEFAULT_MASTERY_THRESHOLD)))
+      };
+
+      await documentRepository?.save({ ...savedDocument, learningPathway, updatedAt: new Date()?.toISOString() });
+      return learningPathway;
+    } catch (error) {
+      console.error('Error saving mastery threshold:', error);
+      throw new Error('Failed to save mastery threshold');
+    }
+  }
+
+  /**
+   * Reads the exam time limits configured for a course
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object>} { totalTimeLimit, questionTimeLimit } in seconds, null for no limit
+   */
+  async getExamSettings(documentId) {
+    const savedDocument = await documentRepository?.get(documentId);
+    return examTimingService?.normalizeSettings(savedDocument?.examSettings);
+  }
+
+  /**
+   * Configures the exam time limits for a course; they apply from the next exam started
+   * @param {string} documentId - Document id
+   * @param {Object} settings - { totalTimeLimit, questionTimeLimit } in seconds, empty for no limit
+   * @returns {Promise<Object>} Saved settings
+   */
+  async setExamSettings(documentId, settings) {
+    try {
+      const savedDocument = await documentRepository?.get(documentId);
+      const examSettings = examTimingService?.normalizeSettings(settings);
+
+      await documentRepository?.save({ ...savedDocument, examSettings, updatedAt: new Date()?.toISOString() });
+      return examSettings;
+    } catch (error) {
+      console.error('Error saving exam settings:', error);
+      throw new Error('Failed to save exam settings');
+    }
+  }
+
+  /**
+   * Reads the learner's notes and highlights for a concept
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Object>} { notes, highlights, updatedAt }
+   */
+  async getNotes(documentId, conceptId) {
+    const record = await noteRepository?.getForConcept(documentId, conceptId);
+    return {
+      notes: record?.notes || '',
+      highlights: record?.highlights || [],
+      updatedAt: record?.updatedAt || null
+    };
+  }
+
+  /**
+   * Saves the learner's notes and highlights for a concept
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @param {Object} content - { notes, highlights }
+   * @returns {Promise<string>} Time of the save
+   */
+  async saveNotes(documentId, conceptId, { notes, highlights }) {
+    try {
+      const updatedAt = new Date()?.toISOString();
+      await noteRepository?.save({ documentId, conceptId, notes, highlights, updatedAt });
+      return updatedAt;
+    } catch (error) {
+      console.error('Error saving notes:', error);
+      throw new Error('Failed to save notes');
+    }
+  }
+
+  /**
+   * Checkpoints an in-progress assessment session
+   * @param {Object} session - { id, documentId, questions, answers, confidence, currentQuestionIndex, sessionTime }
+   * @returns {Promise<string>} Time of the checkpoint
+   */
+  async saveAssessmentSession(session) {
+    try {
+      const updatedAt = new Date()?.toISOString();
+      const existing = await sessionRepository?.get(session?.id);
+
+      // A checkpoint that lands after submission must not reopen the session
+      if (existing?.status === 'completed') {
+        return existing?.updatedAt;
+      }
+
+      await sessionRepository?.save({
+        startedAt: existing?.startedAt || updatedAt,
+        ...session,
+        status: 'in_progress',
+        updatedAt
+      });
+      return updatedAt;
+    } catch (error) {
+      console.error('Error saving assessment session:', error);
+      throw new Error('Failed to save assessment session');
+    }
+  }
+
+  /**
+   * Reads the most recent unfinished assessment session for a course
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object|null>} Session, or null if there is nothing to resume
+   */
+  async getInProgressSession(documentId) {
+    const sessions = await sessionRepository?.getByStatus(documentId, 'in_progress');
+    return sessions?.find(session => session?.questions?.length) || null;
+  }
+
+  /**
+   * Marks an assessment session as submitted so it is no longer offered for resuming
+   * @param {Object} session - Final session state
+   * @returns {Promise<void>}
+   */
+  async completeAssessmentSession(session) {
+    try {
+      const completedAt = new Date()?.toISOString();
+      const existing = await sessionRepository?.get(session?.id);
+      const { questions, ...summary } = { ...existing, ...session };
+
+      await sessionRepository?.save({
+        ...summary,
+        questionIds: questions?.map(question => question?.id),
+        status: 'completed',
+        updatedAt: completedAt,
+        completedAt
+      });
+    } catch (error) {
+      console.error('Error completing assessment session:', error);
+      throw new Error('Failed to complete assessment session');
+    }
+  }
+
+  /**
+   * Deletes an unfinished assessment session
+   * @param {string} sessionId - Session id
+   * @returns {Promise<void>}
+   */
+  async discardAssessmentSession(sessionId) {
+    await sessionRepository?.remove(sessionId);
+  }
+
+  /**
+   * Marks a course as recently used
+   * @param {string} documentId - Document id
+   * @returns {Promise<string>} Time of the update
+   */
+  async touchDocument(documentId) {
+    const updatedAt = new Date()?.toISOString();
+    const savedDocument = await documentRepository?.get(documentId);
+
+    if (savedDocument) {
+      await documentRepository?.save({ ...savedDocument, updatedAt });
+    }
+    return updatedAt;
+  }
+}
+
+export default new LearnerProgressService();
@@ -0,0 +1,306 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import learnerProgressService from './learnerProgressService';
+import masteryRepository from './storage/masteryRepository';
+import attemptRepository from './storage/attemptRepository';
+import reviewRepository from './storage/reviewRepository';
+import questionRepository from './storage/questionRepository';
+import documentRepository from './storage/documentRepository';
+import database, { STORES } from './storage/database';
+
+const KEY_PATHS = {
+  [STORES.documents]: ['id'],
+  [STORES.concepts]: ['documentId', 'id'],
+  [STORES.questions]: ['documentId', 'id'],
+  [STORES.attempts]: ['id'],
+  [STORES.notes]: ['documentId', 'conceptId'],
+  [STORES.mastery]: ['documentId', 'conceptId'],
+  [STORES.profile]: ['key'],
+  [STORES.sessions]: ['id'],
+  [STORES.reviews]: ['documentId', 'itemType', 'itemId']
+};
+const INDEX_PATHS = {
+  documentId: ['documentId'],
+  conceptId: ['documentId', 'conceptId'],
+  questionId: ['documentId', 'questionId'],
+  status: ['documentId', 'status']
+};
+
+/**
+ * Replaces IndexedDB with in-memory stores that copy records in and out like the real database
+ */
+const stubDatabase = () => {
+  const stores = new Map(Object.keys(KEY_PATHS).map(name => [name, new Map()]));
+  const keyOf = (fields, record) => JSON.stringify(fields.map(field => record?.[field]));
+  const matches = (index, query) => (record) => !index || keyOf(INDEX_PATHS[index], record) === JSON.stringify([query].flat());
+  let nextAttemptId = 1;
+
+  const put = async (name, record) => {
+    const stored = structuredClone(name === STORES.attempts && record?.id === undefined ? { ...record, id: nextAttemptId++ } : record);
+    stores.get(name).set(keyOf(KEY_PATHS[name], stored), stored);
+  };
+
+  vi.spyOn(database, 'get').mockImplementation(async (name, key) => structuredClone(stores.get(name).get(JSON.stringify([key].flat()))));
+  vi.spyOn(database, 'getAll').mockImplementation(async (name, { index, query } = {}) =>
+    structuredClone([...stores.get(name).values()].filter(matches(index, query))));
+  vi.spyOn(database, 'put').mockImplementation(put);
+  vi.spyOn(database, 'putAll').mockImplementation(async (name, records) => {
+    for (const record of records || []) await put(name, record);
+  });
+  vi.spyOn(database, 'delete').mockImplementation(async (name, key) => {
+    stores.get(name).delete(JSON.stringify([key].flat()));
+  });
+  vi.spyOn(database, 'deleteWhere').mockImplementation(async (name, index, query) => {
+    [...stores.get(name).entries()]
+      .filter(([, record]) => matches(index, query)(record))
+      .forEach(([key]) => stores.get(name).delete(key));
+  });
+
+  return stores;
+};
+
+/**
+ * Keeps mastery records in memory, keyed like the mastery store
+ */
+const stubMasteryStore = (records = []) => {
+  const store = new Map(records.map(record => [`${record.documentId}/${record.conceptId}`, record]));
+  vi.spyOn(masteryRepository, 'getForConcept')
+    .mockImplementation(async (documentId, conceptId) => store.get(`${documentId}/${conceptId}`));
+  vi.spyOn(masteryRepository, 'save')
+    .mockImplementation(async (record) => store.set(`${record.documentId}/${record.conceptId}`, record));
+  return store;
+};
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('learnerProgressService.recordSelfReport', () => {
+  it('keeps self-reports apart from the mastery probability and its history', async () => {
+    const history = [{ at: '2025-01-01T00:00:00.000Z', probability: 0.4, masteryLevel: 40, source: 'assessment' }];
+    const store = stubMasteryStore([
+      { documentId: 'doc', conceptId: 'c1', probability: 0.4, masteryLevel: 40, history, attempts: 2, correctAnswers: 1 }
+    ]);
+
+    await learnerProgressService.recordSelfReport('doc', 'c1', 'understood');
+    await learnerProgressService.recordSelfReport('doc', 'c1', 'playback_complete');
+
+    const record = store.get('doc/c1');
+    expect(record).toMatchObject({ probability: 0.4, masteryLevel: 40, history, attempts: 2, correctAnswers: 1 });
+    expect(record.selfReports.map(report => report.signal)).toEqual(['understood', 'playback_complete']);
+  });
+
+  it('gives a concept with nothing but self-reports no mastery level', async () => {
+    const store = stubMasteryStore();
+
+    await learnerProgressService.recordSelfReport('doc', 'c1', 'understood');
+
+    expect(store.get('doc/c1').masteryLevel).toBeUndefined();
+    expect(store.get('doc/c1').history).toBeUndefined();
+  });
+
+  it('reports a failed save', async () => {
+    vi.spyOn(masteryRepository, 'getForConcept').mockRejectedValue(new Error('blocked'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(learnerProgressService.recordSelfReport('doc', 'c1', 'understood'))
+      .rejects.toThrow('Failed to save self-report');
+  });
+});
+
+describe('learnerProgressService.recordAttempts', () => {
+  const answered = { questionId: 'q1', conceptId: 'c1', answered: true, confidence: 4, isCorrect: true, score: 100 };
+  const unanswered = { questionId: 'q2', conceptId: 'c1', answered: false, isCorrect: false, score: 0 };
+
+  const stubAttemptStorage = () => {
+    const saved = [];
+    vi.spyOn(attemptRepository, 'save').mockImplementation(async (attempt) => saved.push(attempt));
+    vi.spyOn(attemptRepository, 'getByConcept').mockImplementation(async () => saved);
+    vi.spyOn(reviewRepository, 'getForItem').mockResolvedValue(undefined);
+    vi.spyOn(documentRepository, 'get').mockResolvedValue(undefined);
+    return { saved, saveCards: vi.spyOn(reviewRepository, 'saveAll').mockResolvedValue() };
+  };
+
+  it('saves unanswered questions but keeps them out of mastery and review scheduling', async () => {
+    const store = stubMasteryStore();
+    const { saved, saveCards } = stubAttemptStorage();
+
+    await learnerProgressService.recordAttempts('doc', [answered, unanswered]);
+
+    expect(saved.map(attempt => attempt.questionId)).toEqual(['q1', 'q2']);
+    expect(store.get('doc/c1').history.filter(entry => entry.source === 'assessment').map(entry => entry.questionId))
+      .toEqual(['q1']);
+    expect(saveCards.mock.calls[0][1].map(card => card.itemId)).toEqual(['q1', 'c1']);
+  });
+
+  it('matches the mastery of a submission without the unanswered question', async () => {
+    const withSkip = stubMasteryStore();
+    stubAttemptStorage();
+    await learnerProgressService.recordAttempts('doc', [answered, unanswered]);
+    vi.restoreAllMocks();
+
+    const withoutSkip = stubMasteryStore();
+    stubAttemptStorage();
+    await learnerProgressService.recordAttempts('doc', [answered]);
+
+    expect(withSkip.get('doc/c1').probability).toBe(withoutSkip.get('doc/c1').probability);
+  });
+});
+
+describe('learnerProgressService.getMisconceptions', () => {
+  it('judges a question by its latest answered attempt', async () => {
+    vi.spyOn(attemptRepository, 'getByConcept').mockResolvedValue([
+      { questionId: 'q1', answered: true, answer: 'b', confidence: 5, isCorrect: false, score: 0, submittedAt: '2025-01-01T00:00:00.000Z' },
+      { questionId: 'q1', answered: false, isCorrect: false, score: 0, submittedAt: '2025-01-02T00:00:00.000Z' },
+      { questionId: 'q2', answered: false, isCorrect: false, score: 0, submittedAt: '2025-01-02T00:00:00.000Z' }
+    ]);
+    vi.spyOn(questionRepository, 'getByDocument').mockResolvedValue([
+      { id: 'q1', type: 'multiple_choice', question: 'Pick one', options: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }], correctAnswer: 'a' },
+      { id: 'q2', type: 'multiple_choice', question: 'Pick another', options: [{ id: 'a', text: 'A' }], correctAnswer: 'a' }
+    ]);
+
+    const misconceptions = await learnerProgressService.getMisconceptions('doc', 'c1');
+
+    expect(misconceptions.map(item => item.questionId)).toEqual(['q1']);
+    expect(misconceptions[0].confidence).toBe(5);
+  });
+});
+
+describe('learnerProgressService course storage', () => {
+  const concepts = [{ id: 'c1', name: 'Cells', masteryLevel: 0 }, { id: 'c2', name: 'Energy', masteryLevel: 0 }];
+  const course = {
+    analysis: { subject: 'Biology', topic: 'Cells', collection: { name: 'Biology 101', fileCount: 2 }, rawContent: 'long text' },
+    concepts,
+    learningPathway: { pathway: [concepts[1], concepts[0]], masteryThreshold: 70 }
+  };
+
+  it('saves a course and resumes it later with mastery applied in pathway order', async () => {
+    stubDatabase();
+    const documentId = await learnerProgressService.saveCourse(course);
+    await database.put(STORES.mastery, { documentId, conceptId: 'c1', masteryLevel: 64, attempts: 3, correctAnswers: 2 });
+
+    const resumed = await learnerProgressService.loadActiveCourse();
+
+    expect(resumed.document).toMatchObject({ id: documentId, name: 'Biology 101' });
+    expect(resumed.concepts.map(({ id, masteryLevel, attempts }) => ({ id, masteryLevel, attempts }))).toEqual([
+      { id: 'c2', masteryLevel: 0, attempts: undefined },
+      { id: 'c1', masteryLevel: 64, attempts: 3 }
+    ]);
+    expect(resumed.learningPathway.pathway.find(concept => concept.id === 'c1').masteryLevel).toBe(64);
+    expect(resumed.learningPathway.masteryThreshold).toBe(70);
+  });
+
+  it('has nothing to resume before a course is saved or for an unknown id', async () => {
+    stubDatabase();
+
+    expect(await learnerProgressService.loadActiveCourse()).toBeNull();
+    expect(await learnerProgressService.loadCourse('missing')).toBeNull();
+  });
+
+  it('lists courses newest first without their analyzed content and switches the active one', async () => {
+    stubDatabase();
+    await database.put(STORES.documents, { id: 'old', name: 'Old', analysis: { topic: 'A' }, updatedAt: '2025-01-01T00:00:00.000Z' });
+    await database.put(STORES.documents, { id: 'new', name: 'New', analysis: { topic: 'B', collection: { fileCount: 3 } }, updatedAt: '2025-02-01T00:00:00.000Z' });
+
+    const courses = await learnerProgressService.listCourses();
+    await learnerProgressService.setActiveCourse('old');
+
+    expect(courses.map(({ id, topic, fileCount, analysis }) => ({ id, topic, fileCount, analysis }))).toEqual([
+      { id: 'new', topic: 'B', fileCount: 3, analysis: undefined },
+      { id: 'old', topic: 'A', fileCount: 1, analysis: undefined }
+    ]);
+    expect((await learnerProgressService.loadActiveCourse()).document.id).toBe('old');
+  });
+
+  it('keeps notes and highlights per concept', async () => {
+    stubDatabase();
+
+    await learnerProgressService.saveNotes('doc', 'c1', { notes: 'Membranes are lipid bilayers', highlights: ['bilayer'] });
+
+    expect(await learnerProgressService.getNotes('doc', 'c1')).toMatchObject({ notes: 'Membranes are lipid bilayers', highlights: ['bilayer'] });
+    expect(await learnerProgressService.getNotes('doc', 'c2')).toEqual({ notes: '', highlights: [], updatedAt: null });
+  });
+
+  it('reports a save that fails because IndexedDB is unavailable', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(learnerProgressService.saveCourse(course)).rejects.toThrow('Failed to save course');
+  });
+});
+
+describe('learnerProgressService assessment sessions', () => {
+  const questions = [{ id: 'q1', question: 'One?' }, { id: 'q2', question: 'Two?' }];
+  const checkpoint = (at, state) => {
+    vi.setSystemTime(new Date(at));
+    return learnerProgressService.saveAssessmentSession({ id: 's1', documentId: 'doc', questions, ...state });
+  };
+
+  afterEach(() => vi.useRealTimers());
+
+  it('resumes exactly where the last checkpoint left off', async () => {
+    stubDatabase();
+    vi.useFakeTimers();
+
+    await checkpoint('2025-03-01T10:00:00.000Z', { answers: { q1: 'a' }, confidence: { q1: 4 }, currentQuestionIndex: 0, sessionTime: 30 });
+    await checkpoint('2025-03-01T10:05:00.000Z', { answers: { q1: 'a', q2: 'b' }, confidence: { q1: 4, q2: 2 }, currentQuestionIndex: 1, sessionTime: 330 });
+
+    expect(await learnerProgressService.getInProgressSession('doc')).toEqual({
+      id: 's1',
+      documentId: 'doc',
+      questions,
+      answers: { q1: 'a', q2: 'b' },
+      confidence: { q1: 4, q2: 2 },
+      currentQuestionIndex: 1,
+      sessionTime: 330,
+      status: 'in_progress',
+      startedAt: '2025-03-01T10:00:00.000Z',
+      updatedAt: '2025-03-01T10:05:00.000Z'
+    });
+  });
+
+  it('offers the most recent session that has questions', async () => {
+    stubDatabase();
+    vi.useFakeTimers();
+
+    await checkpoint('2025-03-01T10:00:00.000Z', { id: 'older', currentQuestionIndex: 1 });
+    await checkpoint('2025-03-02T10:00:00.000Z', { id: 'newer', currentQuestionIndex: 0 });
+    await checkpoint('2025-03-03T10:00:00.000Z', { id: 'empty', questions: [] });
+
+    expect((await learnerProgressService.getInProgressSession('doc')).id).toBe('newer');
+    expect(await learnerProgressService.getInProgressSession('other')).toBeNull();
+  });
+
+  it('stops offering a submitted session and keeps a late checkpoint from reopening it', async () => {
+    stubDatabase();
+    vi.useFakeTimers();
+
+    await checkpoint('2025-03-01T10:00:00.000Z', { answers: { q1: 'a' } });
+    vi.setSystemTime(new Date('2025-03-01T10:10:00.000Z'));
+    await learnerProgressService.completeAssessmentSession({ id: 's1', grades: { q1: { score: 100 } } });
+    const lateCheckpoint = await checkpoint('2025-03-01T10:11:00.000Z', { answers: {} });
+
+    expect(lateCheckpoint).toBe('2025-03-01T10:10:00.000Z');
+    expect(await learnerProgressService.getInProgressSession('doc')).toBeNull();
+    expect(await database.get(STORES.sessions, 's1')).toMatchObject({
+      status: 'completed',
+      completedAt: '2025-03-01T10:10:00.000Z',
+      questionIds: ['q1', 'q2'],
+      answers: { q1: 'a' },
+      grades: { q1: { score: 100 } }
+    });
+    expect((await database.get(STORES.sessions, 's1')).questions).toBeUndefined();
+  });
+
+  it('forgets a discarded session', async () => {
+    stubDatabase();
+
+    await learnerProgressService.saveAssessmentSession({ id: 's1', documentId: 'doc', questions });
+    await learnerProgressService.discardAssessmentSession('s1');
+
+    expect(await learnerProgressService.getInProgressSession('doc')).toBeNull();
+  });
+
+  it('reports a checkpoint that could not be saved', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(learnerProgressService.saveAssessmentSession({ id: 's1', documentId: 'doc', questions }))
+      .rejects.toThrow('Failed to save assessment session');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * LLM Configuration
+ * Resolves the active provider and the model used for each LLM task from environment variables
+ */
+
+/**
+ * Tasks routed through the LLM gateway, keyed by the env suffix used for per-task model overrides
+ */
+export const LLM_TASKS = {
+  analyze: 'ANALYZE',
+  concepts: 'CONCEPTS',
+  questions: 'QUESTIONS',
+  evaluate: 'EVALUATE',
+  explain: 'EXPLAIN',
+  audioScript: 'AUDIO_SCRIPT',
+  learningPatterns: 'LEARNING_PATTERNS',
+  hints: 'HINTS',
+  studyPlan: 'STUDY_PLAN'
+};
+
+/**
+ * Server endpoint for each task when the proxy provider is active
+ */
+export const LLM_TASK_ENDPOINTS = {
+  analyze: '/api/analyze',
+  concepts: '/api/concepts',
+  questions: '/api/questions',
+  evaluate: '/api/evaluate',
+  explain: '/api/explain',
+  audioScript: '/api/audio-script',
+  learningPatterns: '/api/learning-patterns',
+  hints: '/api/hints',
+  studyPlan: '/api/study-plan'
+};
+
+const DEFAULT_MODEL = 'gpt-4o';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+const env = import.meta.env || {};
+
+/**
+ * Returns the configured provider name
+ * @returns {string} One of 'proxy', 'local' or 'fixture'
+ */
+export const getProviderName = () => env.VITE_LLM_PROVIDER || 'proxy';
+
+/**
+ * Resolves the model for a task
+ * Checks VITE_LLM_MODEL_<TASK>, then VITE_LLM_MODEL, then the provider default.
+ * The proxy provider ignores this; its models are chosen server-side from LLM_MODEL_<TASK>.
+ * @param {string} task - Task name from LLM_TASKS
+ * @returns {string} Model identifier
+ */
+export const getModelForTask = (task) => {
+  const taskKey = LLM_TASKS?.[task];
+  const taskModel = taskKey ? env?.[`VITE_LLM_MODEL_${taskKey}`] : null;
+
+  if (taskModel) return taskModel;
+  if (env.VITE_LLM_MODEL) return env.VITE_LLM_MODEL;
+
+  return getProviderName() === 'local' ? (env.VITE_LLM_LOCAL_MODEL || 'llama3.1') : DEFAULT_MODEL;
+};
+
+/**
+ * Returns provider-specific connection settings
+ * @returns {Object} Provider settings
+ */
+export const getProviderSettings = () => ({
+  proxy: {
+    baseURL: env.VITE_API_BASE_URL || '',
+    endpoints: LLM_TASK_ENDPOINTS
+  },
+  local: {
+    apiKey: env.VITE_LLM_LOCAL_API_KEY || 'local',
+    baseURL: env.VITE_LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+    jsonMode: env.VITE_LLM_LOCAL_JSON_MODE || 'json_object'
+  },
+  fixture: {
+    strict: env.VITE_LLM_FIXTURE_STRICT === 'true'
+  },
+  recordFixtures: env.VITE_LLM_RECORD_FIXTURES === 'true'
+});
@@ -0,0 +1,104 @@
+import ProxyProvider from './llmProviders/proxyProvider';
+import LocalProvider from './llmProviders/localProvider';
+import FixtureProvider, { hashRequest } from './llmProviders/fixtureProvider';
+import { getProviderName, getModelForTask, getProviderSettings } from './llmConfig';
+import { buildTaskRequest } from './llmTasks';
+
+const PROVIDERS = {
+  proxy: ProxyProvider,
+  local: LocalProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * LLM Gateway
+ * Routes every LLM task to the configured provider with the model selected for that task
+ */
+class LLMGateway {
+  constructor() {
+    this.provider = null;
+    this.recordedFixtures = {};
+  }
+
+  /**
+   * Returns the active provider, creating it on first use
+   * @returns {Object} Provider instance
+   */
+  getProvider() {
+    if (!this.provider) {
+      const settings = getProviderSettings();
+      const providerName = getProviderName();
+      const Provider = PROVIDERS?.[providerName];
+
+      if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+      }
+
+      this.provider = new Provider(settings?.[providerName]);
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Replaces the active provider (e.g. a FixtureProvider with custom fixtures)
+   * @param {Object} provider - Object implementing createChatCompletion
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Runs an LLM task, building its prompt from the task inputs
+   * Providers that call a model directly send the built messages; the proxy provider sends only the
+   * inputs, and the API server builds the same prompt itself.
+   * @param {string} task - Task name from LLM_TASKS
+   * @param {Object} inputs - Task inputs, as documented on the task's builder in llmTasks
+   * @returns {Promise<Object>} OpenAI-shaped chat completion response
+   */
+  async runTask(task, inputs) {
+    const model = getModelForTask(task);
+    const { messages, response_format } = buildTaskRequest(task, inputs);
+    const response = await this.getProvider()?.createChatCompletion({
+      task,
+      model,
+      inputs,
+      messages,
+      response_format
+    });
+
+    if (getProviderSettings()?.recordFixtures) {
+      this.recordFixture(task, messages, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Records a response so it can be saved as a fixture for offline replay
+   * @param {string} task - Task name
+   * @param {Array} messages - Chat messages
+   * @param {Object} response - Chat completion response
+   */
+  recordFixture(task, messages, response) {
+    try {
+      const content = JSON.parse(response?.choices?.[0]?.message?.content);
+      const taskFixtures = this.recordedFixtures?.[task] || { default: content, responses: {} };
+
+      taskFixtures.responses[hashRequest(messages)] = content;
+      this.recordedFixtures[task] = taskFixtures;
+    } catch (error) {
+      console.warn('Skipping fixture recording for task:', task);
+    }
+  }
+
+  /**
+   * Returns fixtures recorded during this session, keyed by task
+   * @returns {Object} Recorded fixtures in the fixtures/<task>.json format
+   */
+  getRecordedFixtures() {
+    return this.recordedFixtures;
+  }
+}
+
+export default new LLMGateway();
@@ -0,0 +1,115 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import llmGateway from './llmGateway';
+import adaptiveLearningService from './adaptiveLearningService';
+import FixtureProvider, { hashRequest } from './llmProviders/fixtureProvider';
+import { LLM_TASKS, getModelForTask } from './llmConfig';
+import { buildTaskRequest } from './llmTasks';
+
+const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Explain recursion.' }];
+const contentOf = (response) => JSON.parse(response?.choices?.[0]?.message?.content);
+
+afterEach(() => {
+  llmGateway.setProvider(null);
+  vi.restoreAllMocks();
+});
+
+describe('hashRequest', () => {
+  it('hashes the same messages to the same value and different content to another', () => {
+    expect(hashRequest(messages)).toBe(hashRequest(messages.map(message => ({ ...message }))));
+    expect(hashRequest(messages)).not.toBe(hashRequest([messages[0], { role: 'user', content: 'Explain loops.' }]));
+  });
+
+  it('ignores everything but the role and content of each message', () => {
+    expect(hashRequest(messages.map(message => ({ ...message, name: 'tutor' })))).toBe(hashRequest(messages));
+  });
+});
+
+describe('FixtureProvider', () => {
+  const fixtures = {
+    explain: { default: { overview: 'default' }, responses: { [hashRequest(messages)]: { overview: 'recorded' } } }
+  };
+
+  it('replays the response recorded for a request', async () => {
+    const provider = new FixtureProvider({ fixtures });
+    const response = await provider.createChatCompletion({ task: 'explain', model: 'gpt-4o', messages });
+
+    expect(contentOf(response)).toEqual({ overview: 'recorded' });
+    expect(response.model).toBe('gpt-4o');
+  });
+
+  it('falls back to the task default for an unrecorded request', async () => {
+    const provider = new FixtureProvider({ fixtures });
+    const response = await provider.createChatCompletion({ task: 'explain', messages: [messages[0]] });
+
+    expect(contentOf(response)).toEqual({ overview: 'default' });
+  });
+
+  it('fails on an unrecorded request in strict mode', async () => {
+    const provider = new FixtureProvider({ fixtures, strict: true });
+
+    await expect(provider.createChatCompletion({ task: 'explain', messages: [messages[0]] }))
+      .rejects.toThrow('No fixture recorded for task "explain"');
+  });
+
+  it('ships a default response for every task so the pipeline runs offline', async () => {
+    const provider = new FixtureProvider();
+
+    for (const task of Object.keys(LLM_TASKS)) {
+      expect(contentOf(await provider.createChatCompletion({ task, messages: [] }))).toBeTypeOf('object');
+    }
+  });
+});
+
+describe('llmGateway.runTask', () => {
+  const inputs = { question: { question: 'What is 2 + 2?', type: 'short_answer' }, masteryLevel: 40 };
+
+  it('sends the built prompt, the raw inputs and the task model to the provider', async () => {
+    const createChatCompletion = vi.fn().mockResolvedValue({ choices: [] });
+    llmGateway.setProvider({ createChatCompletion });
+
+    await llmGateway.runTask('hints', inputs);
+
+    expect(createChatCompletion).toHaveBeenCalledWith({
+      task: 'hints',
+      model: getModelForTask('hints'),
+      inputs,
+      ...buildTaskRequest('hints', inputs)
+    });
+  });
+
+  it('rejects unusable inputs before any provider is called', async () => {
+    const createChatCompletion = vi.fn();
+    llmGateway.setProvider({ createChatCompletion });
+
+    await expect(llmGateway.runTask('hints', 'not an object')).rejects.toMatchObject({ status: 400 });
+    expect(createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  it('lets a service run end to end against the fixture provider', async () => {
+    llmGateway.setProvider(new FixtureProvider());
+
+    const hints = await adaptiveLearningService.generateAdaptiveHints({ id: 'q1', ...inputs.question });
+
+    expect(hints.questionId).toBe('q1');
+    expect(hints.hints.map(hint => hint.level)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('llmGateway.recordFixture', () => {
+  it('keeps each response under the hash of its request, in the fixture file format', () => {
+    llmGateway.recordFixture('studyPlan', messages, { choices: [{ message: { content: '{"weeks":[]}' } }] });
+
+    expect(llmGateway.getRecordedFixtures().studyPlan).toEqual({
+      default: { weeks: [] },
+      responses: { [hashRequest(messages)]: { weeks: [] } }
+    });
+  });
+
+  it('skips responses that are not JSON', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    llmGateway.recordFixture('audioScript', messages, { choices: [{ message: { content: 'plain text' } }] });
+
+    expect(llmGateway.getRecordedFixtures().audioScript).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Fixture Provider
+ * Replays recorded LLM responses from JSON fixtures so the pipeline runs offline and deterministically
+ *
+ * Each task has a fixture file in ./fixtures/<task>.json shaped as
+ * `{ "default": {...}, "responses": { "<requestHash>": {...} } }`.
+ * A request is matched by the hash of its messages, falling back to the task's default.
+ */
+const fixtureModules = import.meta.glob('./fixtures/*.json', { eager: true });
+
+const fixturesByTask = Object.entries(fixtureModules)?.reduce((fixtures, [path, module]) => {
+  const task = path?.split('/')?.pop()?.replace('.json', '');
+  fixtures[task] = module?.default || module;
+  return fixtures;
+}, {});
+
+/**
+ * Computes a stable FNV-1a hash of a completion request
+ * @param {Array} messages - Chat messages
+ * @returns {string} Hex hash
+ */
+export const hashRequest = (messages = []) => {
+  const input = JSON.stringify(messages?.map(message => [message?.role, message?.content]));
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < input?.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, '0');
+};
+
+class FixtureProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {boolean} settings.strict - Throw instead of falling back to the task default
+   * @param {Object} settings.fixtures - Fixture overrides keyed by task
+   */
+  constructor(settings = {}) {
+    this.name = 'fixture';
+    this.strict = !!settings?.strict;
+    this.fixtures = { ...fixturesByTask, ...(settings?.fixtures || {}) };
+  }
+
+  /**
+   * Replays a recorded completion
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Task name
+   * @param {string} request.model - Model identifier
+   * @param {Array} request.messages - Chat messages
+   * @returns {Promise<Object>} OpenAI-shaped chat completion response
+   */
+  async createChatCompletion({ task, model, messages }) {
+    const taskFixtures = this.fixtures?.[task];
+    const requestHash = hashRequest(messages);
+    const recorded = taskFixtures?.responses?.[requestHash];
+
+    if (!recorded && (this.strict || !taskFixtures?.default)) {
+      throw new Error(`No fixture recorded for task "${task}" (request ${requestHash})`);
+    }
+
+    return {
+      id: `fixture-${task}-${requestHash}`,
+      object: 'chat.completion',
+      model,
+      choices: [
+        {
+          index: 0,
+          finish_reason: 'stop',
+          message: {
+            role: 'assistant',
+            content: JSON.stringify(recorded || taskFixtures?.default)
+          }
+        }
+      ]
+    };
+  }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,51 @@
+import createOpenAIClient from '../openaiClient';
+
+/**
+ * Local Provider
+ * Sends chat completions to an OpenAI-compatible endpoint such as Ollama, LM Studio or vLLM
+ */
+class LocalProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.baseURL - Endpoint base URL (e.g. http://localhost:11434/v1)
+   * @param {string} settings.apiKey - API key, ignored by most local servers
+   * @param {string} settings.jsonMode - 'json_schema' to pass schemas through, 'json_object' to downgrade
+   */
+  constructor(settings = {}) {
+    this.name = 'local';
+    this.jsonMode = settings?.jsonMode || 'json_object';
+    this.client = createOpenAIClient({
+      apiKey: settings?.apiKey,
+      baseURL: settings?.baseURL
+    });
+  }
+
+  /**
+   * Creates a chat completion
+   * Many local servers only understand `json_object`, so the schema is moved into the system prompt
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model identifier
+   * @param {Array} request.messages - Chat messages
+   * @param {Object} request.response_format - Structured output format
+   * @returns {Promise<Object>} OpenAI-compatible chat completion response
+   */
+  async createChatCompletion({ model, messages, response_format }) {
+    if (this.jsonMode === 'json_schema' || response_format?.type !== 'json_schema') {
+      return this.client?.chat?.completions?.create({ model, messages, response_format });
+    }
+
+    const schema = response_format?.json_schema?.schema;
+    const schemaInstruction = {
+      role: 'system',
+      content: `Respond only with a JSON object that matches this JSON schema:\n${JSON.stringify(schema)}`
+    };
+
+    return this.client?.chat?.completions?.create({
+      model,
+      messages: [schemaInstruction, ...messages],
+      response_format: { type: 'json_object' }
+    });
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,50 @@
+/**
+ * Proxy Provider
+ * Sends chat completions to the app's own /api endpoints, where the API key, model choice and rate limiting live
+ */
+class ProxyProvider {
+  /**
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.baseURL - Origin of the API server ('' for same origin)
+   * @param {Object} settings.endpoints - Endpoint path per task
+   */
+  constructor(settings = {}) {
+    this.name = 'proxy';
+    this.baseURL = settings?.baseURL || '';
+    this.endpoints = settings?.endpoints || {};
+  }
+
+  /**
+   * Creates a chat completion through the server-side proxy
+   * The server builds the prompt and chooses the model, so only the task inputs are sent
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Task name
+   * @param {Object} request.inputs - Task inputs
+   * @returns {Promise<Object>} OpenAI-shaped chat completion response
+   */
+  async createChatCompletion({ task, inputs }) {
+    const endpoint = this.endpoints?.[task];
+
+    if (!endpoint) {
+      throw new Error(`No API endpoint configured for task "${task}"`);
+    }
+
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ inputs })
+    });
+
+    const result = await response?.json()?.catch(() => ({}));
+
+    if (!response?.ok) {
+      const error = new Error(result?.error || `API request failed with status ${response?.status}`);
+      error.status = response?.status;
+      throw error;
+    }
+
+    return result;
+  }
+}
+
+export default ProxyProvider;
@@ -0,0 +1,110 @@
+import { toList, toNumber, toObject, toText } from './inputs.js';
+
+export const ANALYSIS_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'file_analysis_response',
+    schema: {
+      type: 'object',
+      properties: {
+        subject: { type: 'string' },
+        topic: { type: 'string' },
+        difficulty: { type: 'string' },
+        keyConcepts: { type: 'array', items: { type: 'string' } },
+        learningObjectives: { type: 'array', items: { type: 'string' } },
+        prerequisites: { type: 'array', items: { type: 'string' } },
+        estimatedTime: { type: 'string' },
+        summary: { type: 'string' }
+      },
+      required: ['subject', 'topic', 'difficulty', 'keyConcepts', 'learningObjectives', 'estimatedTime', 'summary'],
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Analysis of one chunk of a document
+ * @param {Object} inputs - { text, part, total, span }
+ * @returns {Object} { messages, response_format }
+ */
+const buildChunkRequest = (inputs) => {
+  const total = toNumber(inputs?.total, 1, { min: 1 });
+  const span = toText(inputs?.span);
+  const position = total > 1
+    ? `This is part ${toNumber(inputs?.part, 1, { min: 1 })} of ${total} of a larger document${span ? `, covering ${span}` : ''}. Analyze only this part.\n\n`
+    : '';
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are an AI educational content analyzer. Analyze the provided content and extract key information for adaptive learning purposes.`
+      },
+      {
+        role: 'user',
+        content: `${position}Analyze this educational content and provide structured information:
+
+Content (page and section anchors appear in square brackets):
+${toText(inputs?.text)}
+
+Please provide:
+1. Subject area and topic
+2. Difficulty level (Beginner/Intermediate/Advanced)
+3. Key concepts covered
+4. Learning objectives
+5. Prerequisites (if any)
+6. Estimated study time`
+      }
+    ],
+    response_format: ANALYSIS_RESPONSE_FORMAT
+  };
+};
+
+/**
+ * Combination of the analyses of a document's chunks
+ * @param {Object} inputs - { parts: [{ subject, topic, difficulty, summary }], candidates: { keyConcepts, learningObjectives, prerequisites }, estimatedTime }
+ * @returns {Object} { messages, response_format }
+ */
+const buildMergeRequest = (inputs) => {
+  const parts = (Array.isArray(inputs?.parts) ? inputs.parts : []).map((part, index) => ({
+    part: index + 1,
+    subject: toText(part?.subject),
+    topic: toText(part?.topic),
+    difficulty: toText(part?.difficulty),
+    summary: toText(part?.summary)
+  }));
+  const candidates = toObject(inputs?.candidates);
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are an AI educational content analyzer. Combine partial analyses of consecutive parts of one document into a single analysis of the whole document.`
+      },
+      {
+        role: 'user',
+        content: `These analyses each describe one part of the same document, in order:
+${JSON.stringify(parts, null, 2)}
+
+Candidate lists merged from every part, most frequent first:
+${JSON.stringify({
+  keyConcepts: toList(candidates?.keyConcepts),
+  learningObjectives: toList(candidates?.learningObjectives),
+  prerequisites: toList(candidates?.prerequisites)
+}, null, 2)}
+
+Provide one subject, topic and difficulty for the whole document, a summary of the whole document, and the key concepts, learning objectives and prerequisites with duplicates and near-duplicates combined. Do not list as a prerequisite anything the document itself teaches. The total estimated study time is ${toText(inputs?.estimatedTime, 'unknown')}.`
+      }
+    ],
+    response_format: ANALYSIS_RESPONSE_FORMAT
+  };
+};
+
+/**
+ * Builds the analyze request: a chunk analysis, or with step 'merge' the combination of chunk analyses
+ * @param {Object} inputs - Task inputs
+ * @returns {Object} { messages, response_format }
+ */
+const buildAnalyzeRequest = (inputs) => (inputs?.step === 'merge' ? buildMergeRequest(inputs) : buildChunkRequest(inputs));
+
+export default buildAnalyzeRequest;
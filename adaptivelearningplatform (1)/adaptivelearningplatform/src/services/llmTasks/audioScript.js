@@ -0,0 +1,70 @@
+import { toList, toText } from './inputs.js';
+
+/**
+ * Builds the avatar audio script request
+ * @param {Object} inputs - { overview, keyPoints, exampleTitles, pace, tone, includeExamples, maxDuration }
+ * @returns {Object} { messages, response_format }
+ */
+const buildAudioScriptRequest = (inputs) => ({
+  messages: [
+    {
+      role: 'system',
+      content: `You are a script writer for educational AI avatars. Create engaging, conversational audio scripts that make complex concepts easy to understand.`
+    },
+    {
+      role: 'user',
+      content: `Create an audio script for this explanation:
+
+Content Overview: ${toText(inputs?.overview)}
+Key Points: ${toList(inputs?.keyPoints).join(', ')}
+Examples: ${toList(inputs?.exampleTitles).join(', ')}
+
+Voice Settings:
+- Pace: ${toText(inputs?.pace, 'normal')}
+- Tone: ${toText(inputs?.tone, 'encouraging')}
+- Include Examples: ${inputs?.includeExamples !== false}
+- Max Duration: ${toText(inputs?.maxDuration, '5 minutes')}
+
+Create a conversational script with:
+1. Engaging introduction
+2. Clear explanations with pauses
+3. Emphasis markers for important points
+4. Smooth transitions
+5. Encouraging conclusion
+6. Timing cues`
+    }
+  ],
+  response_format: {
+    type: 'json_schema',
+    json_schema: {
+      name: 'audio_script_response',
+      schema: {
+        type: 'object',
+        properties: {
+          script: { type: 'string' },
+          segments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                emphasis: { type: 'string' },
+                pauseDuration: { type: 'number' },
+                type: { type: 'string' }
+              },
+              required: ['text', 'type'],
+              additionalProperties: false
+            }
+          },
+          estimatedDuration: { type: 'string' },
+          keyEmphasisPoints: { type: 'array', items: { type: 'string' } },
+          transitionCues: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['script', 'segments', 'estimatedDuration'],
+        additionalProperties: false
+      }
+    }
+  }
+});
+
+export default buildAudioScriptRequest;
@@ -0,0 +1,73 @@
+import { toList, toText } from './inputs.js';
+
+/**
+ * Builds the concept extraction request
+ * @param {Object} inputs - { subject, topic, keyConcepts, learningObjectives, summary } from the document analysis
+ * @returns {Object} { messages, response_format }
+ */
+const buildConceptsRequest = (inputs) => ({
+  messages: [
+    {
+      role: 'system',
+      content: `You are an expert educational content curator. Extract comprehensive concepts from the analyzed content to create an adaptive learning experience.`
+    },
+    {
+      role: 'user',
+      content: `Based on this content analysis, extract detailed concepts for adaptive learning:
+
+Subject: ${toText(inputs?.subject)}
+Topic: ${toText(inputs?.topic)}
+Key Concepts: ${toList(inputs?.keyConcepts).join(', ')}
+Learning Objectives: ${toList(inputs?.learningObjectives).join(', ')}
+Content Summary: ${toText(inputs?.summary)}
+
+For each concept, provide:
+1. Concept name and description
+2. Difficulty level
+3. Prerequisites
+4. Sub-concepts
+5. Real-world examples
+6. Common misconceptions
+7. Key formulas or principles (if applicable)
+8. Related concepts and contrasting (opposite) concepts, using the names of other concepts in this list`
+    }
+  ],
+  response_format: {
+    type: 'json_schema',
+    json_schema: {
+      name: 'concepts_extraction_response',
+      schema: {
+        type: 'object',
+        properties: {
+          concepts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                description: { type: 'string' },
+                difficulty: { type: 'string' },
+                prerequisites: { type: 'array', items: { type: 'string' } },
+                subConcepts: { type: 'array', items: { type: 'string' } },
+                examples: { type: 'array', items: { type: 'string' } },
+                misconceptions: { type: 'array', items: { type: 'string' } },
+                keyPrinciples: { type: 'array', items: { type: 'string' } },
+                relatedConcepts: { type: 'array', items: { type: 'string' } },
+                contrastingConcepts: { type: 'array', items: { type: 'string' } },
+                estimatedTime: { type: 'string' },
+                bloomsLevel: { type: 'string' }
+              },
+              required: ['id', 'name', 'description', 'difficulty', 'estimatedTime'],
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['concepts'],
+        additionalProperties: false
+      }
+    }
+  }
+});
+
+export default buildConceptsRequest;
@@ -0,0 +1,73 @@
+import { toList, toObject, toText } from './inputs.js';
+
+/**
+ * Builds the rubric-based answer evaluation request
+ * @param {Object} inputs - Task inputs
+ * @param {Object} inputs.question - { question, type, correctAnswer, sampleAnswers, explanation, learningObjective, context }
+ * @param {string} inputs.userAnswer - The learner's answer
+ * @param {string} inputs.sourceMaterial - Passages of the learner's material, labelled [S1], [S2], ...
+ * @returns {Object} { messages, response_format }
+ */
+const buildEvaluateRequest = (inputs) => {
+  const question = toObject(inputs?.question);
+  const sourceMaterial = toText(inputs?.sourceMaterial);
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are an expert educational evaluator. Assess the user's answer and provide constructive feedback.`
+      },
+      {
+        role: 'user',
+        content: `Evaluate this answer:
+
+Question: ${toText(question?.question)}
+Question Type: ${toText(question?.type)}
+Correct Answer: ${toText(question?.correctAnswer)}
+Acceptable Sample Answers: ${toList(question?.sampleAnswers).join(' | ') || 'N/A'}
+Explanation: ${toText(question?.explanation, 'N/A')}
+Learning Objective: ${toText(question?.learningObjective, 'N/A')}
+User Answer: ${toText(inputs?.userAnswer)}
+Context: ${toText(question?.context, 'N/A')}
+${sourceMaterial ? `\nSource Material from the learner's documents:\n${sourceMaterial}\n` : ''}
+Grade against this rubric, awarding partial credit:
+- Accuracy: the key idea of the correct answer is present and nothing stated is wrong
+- Completeness: the important parts of the correct answer are covered
+- Understanding: the answer shows the learner understands why, not just what
+Judge meaning rather than wording; ignore spelling and grammar unless they change the meaning.${sourceMaterial ? `
+Where the source material settles a point, grade against it, and list the labels of the passages your feedback relies on in sourceIds.` : ''}
+
+Provide:
+1. Whether the answer is correct
+2. Score (0-100), with partial credit for partially correct answers
+3. Detailed feedback
+4. Areas for improvement
+5. Hints for better understanding`
+      }
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'answer_evaluation_response',
+        schema: {
+          type: 'object',
+          properties: {
+            isCorrect: { type: 'boolean' },
+            score: { type: 'number' },
+            feedback: { type: 'string' },
+            explanation: { type: 'string' },
+            areasForImprovement: { type: 'array', items: { type: 'string' } },
+            hints: { type: 'array', items: { type: 'string' } },
+            nextSteps: { type: 'string' },
+            sourceIds: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['isCorrect', 'score', 'feedback', 'explanation'],
+          additionalProperties: false
+        }
+      }
+    }
+  };
+};
+
+export default buildEvaluateRequest;
@@ -0,0 +1,103 @@
+import { toList, toNumber, toObject, toText } from './inputs.js';
+
+/**
+ * Explanation sections that cite the learner's material
+ */
+export const CITED_SECTIONS = ['overview', 'detailedExplanation', 'examples'];
+
+/**
+ * Builds the personalized explanation request
+ * @param {Object} inputs - Task inputs
+ * @param {Object} inputs.concept - { name, description, keyPrinciples }
+ * @param {number} inputs.masteryLevel - Current mastery, 0-100
+ * @param {number} inputs.previousAttempts - Attempts so far
+ * @param {string} inputs.learningStyle - Preferred learning style
+ * @param {string} inputs.preferredComplexity - Preferred complexity
+ * @param {Array<string>} inputs.mistakePatterns - Mistakes the learner repeats
+ * @param {Array} inputs.misconceptions - Confidently wrong answers as { question, userAnswer, correctAnswer }
+ * @param {string} inputs.sourceMaterial - Passages of the learner's material, labelled [S1], [S2], ...
+ * @returns {Object} { messages, response_format }
+ */
+const buildExplainRequest = (inputs) => {
+  const concept = toObject(inputs?.concept);
+  const sourceMaterial = toText(inputs?.sourceMaterial);
+  const misconceptions = (Array.isArray(inputs?.misconceptions) ? inputs.misconceptions : []).map(toObject);
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are an adaptive learning AI tutor. Create personalized explanations that address specific knowledge gaps and learning preferences.`
+      },
+      {
+        role: 'user',
+        content: `Create a personalized explanation for this concept:
+
+Concept: ${toText(concept?.name)}
+Description: ${toText(concept?.description)}
+User's Mastery Level: ${toNumber(inputs?.masteryLevel, 0, { min: 0, max: 100 })}%
+Previous Attempts: ${toNumber(inputs?.previousAttempts, 0, { min: 0 })}
+Learning Style: ${toText(inputs?.learningStyle, 'visual')}
+Preferred Complexity: ${toText(inputs?.preferredComplexity, 'intermediate')}
+Common Mistakes: ${toList(inputs?.mistakePatterns).join(', ') || 'None identified'}
+Likely Misconceptions (answered confidently but wrong):
+${misconceptions.map(item => `- Asked "${toText(item?.question)}", answered "${toText(item?.userAnswer)}"; correct: "${toText(item?.correctAnswer)}"`).join('\n') || 'None identified'}
+Key Principles: ${toList(concept?.keyPrinciples).join(', ') || 'N/A'}
+${sourceMaterial ? `\nSource Material from the learner's documents:\n${sourceMaterial}\n\nTeach from this material and use its terminology. In sourceIds, list for the overview, the detailed explanation and the examples the labels of the passages each draws on (e.g. ["S1"]).\n` : ''}${misconceptions.length ? '\nThe learner holds these beliefs with confidence, so name each one, explain why it is wrong, and list it among the common pitfalls.\n' : ''}
+Provide:
+1. Overview tailored to their current understanding
+2. Step-by-step breakdown addressing their mistakes
+3. Examples matching their learning style
+4. Practice exercises
+5. Common pitfalls to avoid
+6. Connection to real-world applications
+7. Next learning steps`
+      }
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'personalized_explanation_response',
+        schema: {
+          type: 'object',
+          properties: {
+            overview: { type: 'string' },
+            detailedExplanation: { type: 'string' },
+            keyPoints: { type: 'array', items: { type: 'string' } },
+            examples: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  description: { type: 'string' },
+                  type: { type: 'string' }
+                },
+                required: ['title', 'description', 'type'],
+                additionalProperties: false
+              }
+            },
+            practiceExercises: { type: 'array', items: { type: 'string' } },
+            commonPitfalls: { type: 'array', items: { type: 'string' } },
+            realWorldApplications: { type: 'array', items: { type: 'string' } },
+            nextSteps: { type: 'array', items: { type: 'string' } },
+            estimatedStudyTime: { type: 'string' },
+            difficultyAdjustment: { type: 'string' },
+            sourceIds: {
+              type: 'object',
+              properties: Object.fromEntries(CITED_SECTIONS.map(section => [
+                section,
+                { type: 'array', items: { type: 'string' } }
+              ])),
+              additionalProperties: false
+            }
+          },
+          required: ['overview', 'detailedExplanation', 'keyPoints', 'examples'],
+          additionalProperties: false
+        }
+      }
+    }
+  };
+};
+
+export default buildExplainRequest;
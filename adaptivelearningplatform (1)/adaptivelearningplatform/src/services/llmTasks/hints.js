@@ -0,0 +1,75 @@
+import { toList, toNumber, toObject, toText } from './inputs.js';
+
+/**
+ * Builds the progressive hints request
+ * @param {Object} inputs - Task inputs
+ * @param {Object} inputs.question - { question, type, context }
+ * @param {number} inputs.attemptCount - Attempts so far
+ * @param {number} inputs.timeSpent - Seconds spent on the question
+ * @param {Array<string>} inputs.previousHints - Hints already shown
+ * @param {number} inputs.masteryLevel - Mastery of the question's concept, 0-100
+ * @returns {Object} { messages, response_format }
+ */
+const buildHintsRequest = (inputs) => {
+  const question = toObject(inputs?.question);
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a supportive AI tutor. Provide progressive hints that guide without giving away the answer.`
+      },
+      {
+        role: 'user',
+        content: `Generate progressive hints for this question:
+
+Question: ${toText(question?.question)}
+Question Type: ${toText(question?.type)}
+Context: ${toText(question?.context, 'N/A')}
+User's Attempt Count: ${toNumber(inputs?.attemptCount, 0, { min: 0 })}
+Time Spent: ${toNumber(inputs?.timeSpent, 0, { min: 0 })} seconds
+Previous Hints Given: ${toList(inputs?.previousHints).join(', ') || 'None'}
+User's Mastery Level: ${toNumber(inputs?.masteryLevel, 0, { min: 0, max: 100 })}%
+
+Provide 3-4 progressive hints:
+1. Gentle nudge (conceptual direction)
+2. More specific guidance (methodology)
+3. Detailed approach (step-by-step)
+4. Near-solution hint (if needed)
+
+Each hint should build on the previous one without revealing the answer.`
+      }
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'adaptive_hints_response',
+        schema: {
+          type: 'object',
+          properties: {
+            hints: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  level: { type: 'number' },
+                  text: { type: 'string' },
+                  type: { type: 'string' },
+                  revealAmount: { type: 'string' }
+                },
+                required: ['level', 'text', 'type'],
+                additionalProperties: false
+              }
+            },
+            encouragement: { type: 'string' },
+            studyTip: { type: 'string' }
+          },
+          required: ['hints', 'encouragement'],
+          additionalProperties: false
+        }
+      }
+    }
+  };
+};
+
+export default buildHintsRequest;
@@ -0,0 +1,58 @@
+import buildAnalyzeRequest from './analyze.js';
+import buildConceptsRequest from './concepts.js';
+import buildQuestionsRequest from './questions.js';
+import buildEvaluateRequest from './evaluate.js';
+import buildExplainRequest from './explain.js';
+import buildAudioScriptRequest from './audioScript.js';
+import buildLearningPatternsRequest from './learningPatterns.js';
+import buildHintsRequest from './hints.js';
+import buildStudyPlanRequest from './studyPlan.js';
+import { createInputError } from './inputs.js';
+
+/**
+ * Prompt builder for each LLM task. The browser and the API server build the same request from
+ * the same inputs, so the server never forwards messages or schemas supplied by a client.
+ */
+export const LLM_TASK_BUILDERS = {
+  analyze: buildAnalyzeRequest,
+  concepts: buildConceptsRequest,
+  questions: buildQuestionsRequest,
+  evaluate: buildEvaluateRequest,
+  explain: buildExplainRequest,
+  audioScript: buildAudioScriptRequest,
+  learningPatterns: buildLearningPatternsRequest,
+  hints: buildHintsRequest,
+  studyPlan: buildStudyPlanRequest
+};
+
+/**
+ * Most characters of message content one request may send to the model
+ */
+export const MAX_PROMPT_CHARS = 60000;
+
+/**
+ * Builds the chat completion request for a task
+ * @param {string} task - Task name from LLM_TASK_BUILDERS
+ * @param {Object} inputs - Task inputs
+ * @returns {Object} { messages, response_format }
+ * @throws {Error} With status 400 for an unknown task or unusable inputs, 413 for an oversized prompt
+ */
+export const buildTaskRequest = (task, inputs) => {
+  const builder = Object.prototype.hasOwnProperty.call(LLM_TASK_BUILDERS, task) ? LLM_TASK_BUILDERS[task] : null;
+
+  if (!builder) {
+    throw createInputError(`Unknown task: ${task}`);
+  }
+  if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+    throw createInputError('inputs must be an object');
+  }
+
+  const request = builder(inputs);
+  const promptChars = request?.messages?.reduce((sum, message) => sum + (message?.content?.length || 0), 0);
+
+  if (promptChars > MAX_PROMPT_CHARS) {
+    throw createInputError(`Prompt exceeds ${MAX_PROMPT_CHARS} characters`, 413);
+  }
+
+  return request;
+};
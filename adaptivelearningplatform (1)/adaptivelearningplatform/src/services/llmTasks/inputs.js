@@ -0,0 +1,51 @@
+/**
+ * Readers for task inputs. Inputs arrive from the browser, so every field is coerced to the
+ * shape its prompt expects instead of being trusted.
+ */
+
+/**
+ * Reads a text field
+ * @param {*} value - Input value
+ * @param {string} fallback - Text used when the value is missing
+ * @returns {string} Text
+ */
+export const toText = (value, fallback = '') => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return typeof value === 'object' ? fallback : String(value);
+};
+
+/**
+ * Reads a list of text fields
+ * @param {*} value - Input value
+ * @returns {Array<string>} Non-empty strings
+ */
+export const toList = (value) => (Array.isArray(value) ? value : [])
+  .map(item => toText(item))
+  .filter(Boolean);
+
+/**
+ * Reads a number field
+ * @param {*} value - Input value
+ * @param {number} fallback - Number used when the value is not a finite number
+ * @param {Object} bounds - { min, max } to clamp to
+ * @returns {number} Number
+ */
+export const toNumber = (value, fallback = 0, { min = -Infinity, max = Infinity } = {}) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+/**
+ * Reads an object field
+ * @param {*} value - Input value
+ * @returns {Object} The object, or an empty one
+ */
+export const toObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+/**
+ * Builds the error thrown for inputs a task cannot use; the API server answers with its status
+ * @param {string} message - What is wrong
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status and expose set
+ */
+export const createInputError = (message, status = 400) => Object.assign(new Error(message), { status, expose: true });
@@ -0,0 +1,70 @@
+import { toList, toNumber, toObject } from './inputs.js';
+
+/**
+ * Builds the learning pattern analysis request
+ * @param {Object} inputs - Task inputs
+ * @param {number} inputs.responseCount - Question responses recorded
+ * @param {number} inputs.averageStudyTime - Average study time in minutes
+ * @param {Object} inputs.conceptMastery - Mastery percentage keyed by concept name
+ * @param {Object} inputs.preferredQuestionTypes - Answer count keyed by question type
+ * @param {Array<string>} inputs.mistakePatterns - Mistakes the learner repeats
+ * @returns {Object} { messages, response_format }
+ */
+const buildLearningPatternsRequest = (inputs) => ({
+  messages: [
+    {
+      role: 'system',
+      content: `You are an educational data analyst. Analyze learning patterns to provide actionable insights for adaptive learning.`
+    },
+    {
+      role: 'user',
+      content: `Analyze this learning data and provide insights:
+
+Question Responses: ${toNumber(inputs?.responseCount, 0, { min: 0 })} total responses
+Average Study Time: ${toNumber(inputs?.averageStudyTime, 0, { min: 0 }).toFixed(1)} minutes
+Concept Mastery Levels: ${Object.entries(toObject(inputs?.conceptMastery)).map(([concept, level]) => `${concept}: ${toNumber(level)}%`).join(', ')}
+Preferred Question Types: ${Object.entries(toObject(inputs?.preferredQuestionTypes)).map(([type, count]) => `${type}: ${toNumber(count)}`).join(', ')}
+Common Mistakes: ${toList(inputs?.mistakePatterns).join(', ')}
+
+Provide:
+1. Learning strengths and weaknesses
+2. Optimal study patterns
+3. Recommended learning strategies
+4. Areas needing focus
+5. Personalized study plan
+6. Motivation boosters`
+    }
+  ],
+  response_format: {
+    type: 'json_schema',
+    json_schema: {
+      name: 'learning_analysis_response',
+      schema: {
+        type: 'object',
+        properties: {
+          strengths: { type: 'array', items: { type: 'string' } },
+          weaknesses: { type: 'array', items: { type: 'string' } },
+          optimalStudyTime: { type: 'string' },
+          recommendedStrategies: { type: 'array', items: { type: 'string' } },
+          focusAreas: { type: 'array', items: { type: 'string' } },
+          studyPlan: {
+            type: 'object',
+            properties: {
+              dailyGoals: { type: 'array', items: { type: 'string' } },
+              weeklyMilestones: { type: 'array', items: { type: 'string' } },
+              reviewSchedule: { type: 'string' }
+            },
+            required: ['dailyGoals', 'weeklyMilestones'],
+            additionalProperties: false
+          },
+          motivationalInsights: { type: 'array', items: { type: 'string' } },
+          nextLearningGoals: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['strengths', 'weaknesses', 'recommendedStrategies', 'focusAreas'],
+        additionalProperties: false
+      }
+    }
+  }
+});
+
+export default buildLearningPatternsRequest;
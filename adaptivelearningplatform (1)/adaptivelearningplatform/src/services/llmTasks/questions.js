@@ -0,0 +1,179 @@
+import { toList, toNumber, toObject, toText } from './inputs.js';
+
+/**
+ * Marker for a blank in cloze text
+ */
+export const CLOZE_BLANK = '___';
+
+/**
+ * Problems the quality checks look for, with the note sent back to the model when asking for a replacement
+ */
+export const QUALITY_ISSUES = {
+  unknownType: 'The question type is not one of the supported types.',
+  missingQuestion: 'The question has no text.',
+  invalidCorrectAnswer: 'The correct answer is not one of the option ids.',
+  tooFewOptions: 'A choice question needs at least two options.',
+  duplicateOptions: 'Two options say the same thing.',
+  allOfTheAbove: 'An option is "all of the above", "none of the above" or similar.',
+  invalidTrueFalse: 'A true/false correctAnswer must be "true" or "false".',
+  invalidStructure: 'The answer fields do not match the question type.',
+  answerLeak: 'The context gives away the correct answer.',
+  duplicateQuestion: 'The question repeats another question.'
+};
+
+/**
+ * Most questions asked for in one request
+ */
+export const MAX_QUESTION_COUNT = 10;
+
+/**
+ * Most earlier questions listed in a regeneration prompt as ones not to repeat
+ */
+const AVOID_QUESTION_LIMIT = 10;
+
+/**
+ * Schema for an { id, text } list entry, shared by options and ordering items
+ */
+const LIST_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string' },
+    explanation: { type: 'string' }
+  },
+  required: ['id', 'text'],
+  additionalProperties: false
+};
+
+/**
+ * Builds the question generation request
+ * @param {Object} inputs - Task inputs
+ * @param {Object} inputs.concept - { name, description, keyPrinciples, examples, misconceptions }
+ * @param {number} inputs.questionCount - Questions to generate
+ * @param {Array<string>} inputs.questionTypes - Types to include
+ * @param {string} inputs.difficultyLevel - Target difficulty
+ * @param {string} inputs.sourceMaterial - Passages of the learner's material, labelled [S1], [S2], ...
+ * @param {Array<string>} inputs.qualityIssues - Codes from QUALITY_ISSUES that earlier questions failed
+ * @param {Array<string>} inputs.avoidQuestions - Earlier questions not to repeat
+ * @returns {Object} { messages, response_format }
+ */
+const buildQuestionsRequest = (inputs) => {
+  const concept = toObject(inputs?.concept);
+  const sourceMaterial = toText(inputs?.sourceMaterial);
+  const qualityNotes = toList(inputs?.qualityIssues).map(issue => QUALITY_ISSUES?.[issue]).filter(Boolean);
+  const avoidQuestions = toList(inputs?.avoidQuestions).slice(-AVOID_QUESTION_LIMIT);
+
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: `You are an expert educational question generator. Create adaptive assessment questions that test understanding and identify knowledge gaps.`
+      },
+      {
+        role: 'user',
+        content: `Generate ${Math.round(toNumber(inputs?.questionCount, 5, { min: 1, max: MAX_QUESTION_COUNT }))} educational questions for this concept:
+
+Concept: ${toText(concept?.name)}
+Description: ${toText(concept?.description)}
+Difficulty: ${toText(inputs?.difficultyLevel)}
+Key Principles: ${toList(concept?.keyPrinciples).join(', ') || 'N/A'}
+Examples: ${toList(concept?.examples).join(', ') || 'N/A'}
+Common Misconceptions: ${toList(concept?.misconceptions).join(', ') || 'N/A'}
+${sourceMaterial ? `\nSource Material from the learner's documents:\n${sourceMaterial}\n` : ''}
+Question Types to Include: ${toList(inputs?.questionTypes).join(', ')}
+
+For each question:
+1. Create clear, unambiguous questions
+2. Include context when needed
+3. For multiple choice: 4 options with explanations
+4. For true/false: Include reasoning
+5. For short answer: Provide sample correct answers
+6. For multi_select: 4-6 options with explanations, listing every correct option id in correctOptionIds
+7. For ordering: 3-6 steps in sequence, listed in the correct order
+8. For matching: 3-6 pairs of a term and the description it matches
+9. For cloze: clozeText with each blank written as ${CLOZE_BLANK}, and one entry in blanks per blank listing its accepted answers
+10. For numeric: numericAnswer as a number, an absolute tolerance and the unit if there is one
+11. correctAnswer is the option id for multiple choice and "true" or "false" for true/false; for every other type it states the correct answer in words
+12. Make every option distinct, never use "all of the above" or "none of the above", and never state the answer in the context
+13. Include difficulty rating
+14. Map to specific learning objectives${sourceMaterial ? `
+15. Base each question on the source material where it covers the concept, and list the labels of the passages it draws on in sourceIds (e.g. ["S1"])` : ''}${qualityNotes.length ? `
+
+Earlier questions were rejected for these problems; avoid them:
+${qualityNotes.map(note => `- ${note}`).join('\n')}` : ''}${avoidQuestions.length ? `
+
+Do not repeat these questions:
+${avoidQuestions.map(question => `- ${question}`).join('\n')}` : ''}`
+      }
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'questions_generation_response',
+        schema: {
+          type: 'object',
+          properties: {
+            questions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  type: { type: 'string' },
+                  difficulty: { type: 'string' },
+                  question: { type: 'string' },
+                  context: { type: 'string' },
+                  options: { type: 'array', items: LIST_ITEM_SCHEMA },
+                  correctAnswer: { type: 'string' },
+                  correctOptionIds: { type: 'array', items: { type: 'string' } },
+                  sequence: { type: 'array', items: LIST_ITEM_SCHEMA },
+                  pairs: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        term: { type: 'string' },
+                        match: { type: 'string' }
+                      },
+                      required: ['id', 'term', 'match'],
+                      additionalProperties: false
+                    }
+                  },
+                  clozeText: { type: 'string' },
+                  blanks: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        acceptedAnswers: { type: 'array', items: { type: 'string' } }
+                      },
+                      required: ['id', 'acceptedAnswers'],
+                      additionalProperties: false
+                    }
+                  },
+                  numericAnswer: { type: 'number' },
+                  tolerance: { type: 'number' },
+                  unit: { type: 'string' },
+                  sampleAnswers: { type: 'array', items: { type: 'string' } },
+                  explanation: { type: 'string' },
+                  learningObjective: { type: 'string' },
+                  bloomsLevel: { type: 'string' },
+                  estimatedTime: { type: 'string' },
+                  sourceIds: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['id', 'type', 'difficulty', 'question', 'correctAnswer'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['questions'],
+          additionalProperties: false
+        }
+      }
+    }
+  };
+};
+
+export default buildQuestionsRequest;
@@ -0,0 +1,71 @@
+import { toList, toText } from './inputs.js';
+
+/**
+ * Builds the personalized study plan request
+ * @param {Object} inputs - { learningGoals, availableTime, preferredPace, currentLevel, weakAreas, strongAreas, conceptNames }
+ * @returns {Object} { messages, response_format }
+ */
+const buildStudyPlanRequest = (inputs) => ({
+  messages: [
+    {
+      role: 'system',
+      content: `You are a personalized learning advisor. Create effective study plans that align with user goals and constraints.`
+    },
+    {
+      role: 'user',
+      content: `Create a personalized study plan:
+
+Learning Goals: ${toList(inputs?.learningGoals).join(', ')}
+Available Time: ${toText(inputs?.availableTime, '1 hour')} per session
+Preferred Pace: ${toText(inputs?.preferredPace, 'moderate')}
+Current Level: ${toText(inputs?.currentLevel, 'beginner')}
+Weak Areas: ${toList(inputs?.weakAreas).join(', ')}
+Strong Areas: ${toList(inputs?.strongAreas).join(', ')}
+Available Concepts: ${toList(inputs?.conceptNames).join(', ')}
+
+Design a plan with:
+1. Daily learning sessions
+2. Weekly milestones
+3. Progress checkpoints
+4. Review schedules
+5. Motivation strategies
+6. Adaptive adjustments`
+    }
+  ],
+  response_format: {
+    type: 'json_schema',
+    json_schema: {
+      name: 'study_plan_response',
+      schema: {
+        type: 'object',
+        properties: {
+          planOverview: { type: 'string' },
+          dailySessions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                day: { type: 'number' },
+                concepts: { type: 'array', items: { type: 'string' } },
+                activities: { type: 'array', items: { type: 'string' } },
+                duration: { type: 'string' },
+                goals: { type: 'array', items: { type: 'string' } }
+              },
+              required: ['day', 'concepts', 'activities', 'duration'],
+              additionalProperties: false
+            }
+          },
+          weeklyMilestones: { type: 'array', items: { type: 'string' } },
+          progressCheckpoints: { type: 'array', items: { type: 'string' } },
+          reviewSchedule: { type: 'string' },
+          motivationStrategies: { type: 'array', items: { type: 'string' } },
+          adaptationTriggers: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['planOverview', 'dailySessions', 'weeklyMilestones'],
+        additionalProperties: false
+      }
+    }
+  }
+});
+
+export default buildStudyPlanRequest;
@@ -0,0 +1,206 @@
+/**
+ * Bayesian Knowledge Tracing parameters
+ * pInit: chance a concept is already known before any evidence
+ * pTransit: chance of learning the concept from one practice opportunity
+ * pSlip: chance of answering wrong although the concept is known
+ */
+export const BKT_PARAMETERS = {
+  pInit: 0.2,
+  pTransit: 0.1,
+  pSlip: 0.1
+};
+
+/**
+ * Chance of guessing right without knowing the concept, by question type
+ */
+const GUESS_BY_TYPE = {
+  multiple_choice: 0.25,
+  true_false: 0.5,
+  short_answer: 0.05,
+  multi_select: 0.1,
+  ordering: 0.05,
+  matching: 0.05,
+  cloze: 0.05,
+  numeric: 0.02
+};
+const DEFAULT_GUESS = 0.2;
+
+/**
+ * How much a correct or a wrong answer counts, by item difficulty. Getting a hard item right says
+ * more than getting an easy one right; missing an easy item says more than missing a hard one.
+ */
+const DIFFICULTY_WEIGHTS = {
+  easy: { correct: 0.7, incorrect: 1.3 },
+  medium: { correct: 1, incorrect: 1 },
+  hard: { correct: 1.3, incorrect: 0.7 }
+};
+const DIFFICULTY_ALIASES = { beginner: 'easy', intermediate: 'medium', advanced: 'hard' };
+
+/**
+ * Evidence lost from a correct answer per hint the learner revealed, and the least it keeps
+ */
+const HINT_WEIGHT_DISCOUNT = 0.2;
+const MIN_HINTED_WEIGHT = 0.4;
+
+/**
+ * Probability bounds, so one answer can never make mastery certain either way
+ */
+const MIN_PROBABILITY = 0.01;
+const MAX_PROBABILITY = 0.99;
+
+/**
+ * Mastery history entries kept per concept
+ */
+export const MASTERY_HISTORY_LIMIT = 100;
+
+const clamp = (value) => Math.max(MIN_PROBABILITY, Math.min(MAX_PROBABILITY, value));
+
+/**
+ * Mastery Model Service
+ * Bayesian Knowledge Tracing: every graded answer updates the probability that the learner has
+ * mastered its concept, with the evidence weighted by item difficulty and the learner's confidence
+ */
+class MasteryModelService {
+  /**
+   * Returns the probability of mastery a mastery record starts from
+   * Records written before the model existed only carry a 0-100 mastery level.
+   * @param {Object} record - Saved mastery record
+   * @returns {number} Probability from 0 to 1
+   */
+  getPrior(record) {
+    if (typeof record?.probability === 'number') return record.probability;
+    if (record?.attempts > 0 || record?.masteryLevel > 0) return clamp((record?.masteryLevel || 0) / 100);
+    return BKT_PARAMETERS.pInit;
+  }
+
+  /**
+   * Converts a probability of mastery to the 0-100 mastery level shown in the UI
+   * @param {number} probability - Probability from 0 to 1
+   * @returns {number} Mastery level
+   */
+  toMasteryLevel(probability) {
+    return Math.round((probability || 0) * 100);
+  }
+
+  /**
+   * Weighs an answer by the item's difficulty and the learner's confidence
+   * A confident wrong answer points to a misconception and counts more; a hesitant right answer may be
+   * a guess and counts less, as does a right answer reached with hints.
+   * @param {Object} attempt - Graded attempt with difficulty, confidence (1-5) and hintsUsed
+   * @param {boolean} isCorrect - Whether the answer counts as correct
+   * @returns {number} Evidence weight, 1 for a medium item answered with medium confidence
+   */
+  getEvidenceWeight(attempt, isCorrect) {
+    const difficulty = DIFFICULTY_ALIASES?.[attempt?.difficulty?.toLowerCase()] || attempt?.difficulty?.toLowerCase();
+    const difficultyWeight = DIFFICULTY_WEIGHTS?.[difficulty] || DIFFICULTY_WEIGHTS.medium;
+    const confidence = Math.max(1, Math.min(5, attempt?.confidence || 3));
+    const confidenceWeight = isCorrect
+      ? 0.7 + (confidence - 1) * 0.1
+      : 0.8 + (confidence - 1) * 0.1;
+
+    const hintWeight = isCorrect && attempt?.hintsUsed
+      ? Math.max(MIN_HINTED_WEIGHT, 1 - attempt.hintsUsed * HINT_WEIGHT_DISCOUNT)
+      : 1;
+
+    return (isCorrect ? difficultyWeight.correct : difficultyWeight.incorrect) * confidenceWeight * hintWeight;
+  }
+
+  /**
+   * Applies one graded answer to a probability of mastery
+   * Partial credit is treated as soft evidence between a right and a wrong answer, and the evidence
+   * weight tempers the likelihoods before the Bayesian update.
+   * @param {number} probability - Probability of mastery before the answer
+   * @param {Object} attempt - Graded attempt as { score, isCorrect, questionType, difficulty, confidence }
+   * @returns {number} Probability of mastery after the answer and the learning opportunity it gave
+   */
+  update(probability, attempt) {
+    const credit = Math.max(0, Math.min(1, (attempt?.score ?? (attempt?.isCorrect ? 100 : 0)) / 100));
+    const guess = GUESS_BY_TYPE?.[attempt?.questionType] ?? DEFAULT_GUESS;
+    const { pSlip, pTransit } = BKT_PARAMETERS;
+    const weight = this.getEvidenceWeight(attempt, credit >= 0.5);
+
+    const likelihoodKnown = Math.pow(credit * (1 - pSlip) + (1 - credit) * pSlip, weight);
+    const likelihoodUnknown = Math.pow(credit * guess + (1 - credit) * (1 - guess), weight);
+    const posterior = (probability * likelihoodKnown)
+      / (probability * likelihoodKnown + (1 - probability) * likelihoodUnknown);
+
+    return clamp(posterior + (1 - posterior) * pTransit);
+  }
+
+  /**
+   * Applies a batch of answers to a concept's mastery record and extends its history
+   * @param {Object} record - Saved mastery record, if any
+   * @param {Array} attempts - Graded attempts for the concept, in the order they were made
+   * @returns {Object} { probability, masteryLevel, history }
+   */
+  applyAttempts(record, attempts) {
+    let probability = this.getPrior(record);
+    const history = [...(record?.history || [])];
+
+    // Start the history from the prior so the first answer shows up as a change
+    if (!history.length && attempts?.length) {
+      history.push({
+        at: attempts[0]?.submittedAt,
+        probability,
+        masteryLevel: this.toMasteryLevel(probability),
+        source: 'prior'
+      });
+    }
+
+    attempts?.forEach(attempt => {
+      probability = this.update(probability, attempt);
+      history.push({
+        at: attempt?.submittedAt,
+        probability,
+        masteryLevel: this.toMasteryLevel(probability),
+        questionId: attempt?.questionId,
+        score: attempt?.score ?? (attempt?.isCorrect ? 100 : 0),
+        source: attempt?.source || 'assessment'
+      });
+    });
+
+    return {
+      probability,
+      masteryLevel: this.toMasteryLevel(probability),
+      history: history.slice(-MASTERY_HISTORY_LIMIT)
+    };
+  }
+
+  /**
+   * Sets a concept's mastery directly, e.g. from a passed test-out diagnostic
+   * @param {Object} record - Saved mastery record, if any
+   * @param {number} masteryLevel - Mastery from 0 to 100
+   * @param {Object} details - { at, source }
+   * @returns {Object} { probability, masteryLevel, history }
+   */
+  setLevel(record, masteryLevel, { at = new Date()?.toISOString(), source = 'test_out' } = {}) {
+    const probability = clamp(masteryLevel / 100);
+    const history = [
+      ...(record?.history || []),
+      { at, probability, masteryLevel: this.toMasteryLevel(probability), source }
+    ];
+
+    return {
+      probability,
+      masteryLevel: this.toMasteryLevel(probability),
+      history: history.slice(-MASTERY_HISTORY_LIMIT)
+    };
+  }
+
+  /**
+   * Summarizes the trend of a concept's mastery history
+   * @param {Array} history - Mastery history
+   * @returns {Object} { change, direction } with change in mastery points since the first entry
+   */
+  getTrend(history) {
+    if (!history?.length) return { change: 0, direction: 'flat' };
+
+    const change = history[history.length - 1]?.masteryLevel - (history[0]?.masteryLevel ?? 0);
+    return {
+      change,
+      direction: change > 0 ? 'up' : change < 0 ? 'down' : 'flat'
+    };
+  }
+}
+
+export default new MasteryModelService();
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import masteryModelService, { BKT_PARAMETERS, MASTERY_HISTORY_LIMIT } from './masteryModelService';
+
+const answer = (details) => ({ questionType: 'short_answer', difficulty: 'medium', confidence: 3, ...details });
+
+describe('masteryModelService.update', () => {
+  it('raises mastery after a right answer and lowers it after a wrong one', () => {
+    expect(masteryModelService.update(0.5, answer({ isCorrect: true }))).toBeGreaterThan(0.5);
+    expect(masteryModelService.update(0.5, answer({ isCorrect: false }))).toBeLessThan(0.5);
+  });
+
+  it('gives partial credit a result between a right and a wrong answer', () => {
+    const right = masteryModelService.update(0.5, answer({ score: 100 }));
+    const partial = masteryModelService.update(0.5, answer({ score: 60 }));
+    const wrong = masteryModelService.update(0.5, answer({ score: 0 }));
+
+    expect(partial).toBeLessThan(right);
+    expect(partial).toBeGreaterThan(wrong);
+  });
+
+  it('learns less from a right answer that could have been guessed', () => {
+    const trueFalse = masteryModelService.update(0.5, answer({ isCorrect: true, questionType: 'true_false' }));
+    const shortAnswer = masteryModelService.update(0.5, answer({ isCorrect: true }));
+
+    expect(trueFalse).toBeLessThan(shortAnswer);
+  });
+
+  it('weighs a hard right answer and a confident wrong answer more', () => {
+    const hard = masteryModelService.update(0.5, answer({ isCorrect: true, difficulty: 'advanced' }));
+    const easy = masteryModelService.update(0.5, answer({ isCorrect: true, difficulty: 'easy' }));
+    const sureWrong = masteryModelService.update(0.5, answer({ isCorrect: false, confidence: 5 }));
+    const unsureWrong = masteryModelService.update(0.5, answer({ isCorrect: false, confidence: 1 }));
+
+    expect(hard).toBeGreaterThan(easy);
+    expect(sureWrong).toBeLessThan(unsureWrong);
+  });
+
+  it('discounts right answers reached with hints, down to a floor', () => {
+    const unhinted = masteryModelService.update(0.5, answer({ isCorrect: true }));
+    const hinted = masteryModelService.update(0.5, answer({ isCorrect: true, hintsUsed: 2 }));
+
+    expect(hinted).toBeLessThan(unhinted);
+    expect(masteryModelService.getEvidenceWeight(answer({ hintsUsed: 10 }), true))
+      .toBeCloseTo(masteryModelService.getEvidenceWeight(answer({ hintsUsed: 3 }), true));
+  });
+
+  it('never makes mastery certain either way', () => {
+    let high = 0.5;
+    let low = 0.5;
+    for (let index = 0; index < 50; index++) {
+      high = masteryModelService.update(high, answer({ isCorrect: true }));
+      low = masteryModelService.update(low, answer({ isCorrect: false }));
+    }
+
+    expect(high).toBe(0.99);
+    expect(low).toBeGreaterThanOrEqual(BKT_PARAMETERS.pTransit);
+  });
+});
+
+describe('masteryModelService.applyAttempts', () => {
+  it('starts a new record from the prior and appends one history entry per answer', () => {
+    const attempts = [
+      answer({ questionId: 'q1', isCorrect: true, submittedAt: '2025-01-01T00:00:00.000Z' }),
+      answer({ questionId: 'q2', score: 40, submittedAt: '2025-01-01T00:01:00.000Z' })
+    ];
+
+    const result = masteryModelService.applyAttempts(null, attempts);
+
+    expect(result.history.map(entry => entry.source)).toEqual(['prior', 'assessment', 'assessment']);
+    expect(result.history[0].probability).toBe(BKT_PARAMETERS.pInit);
+    expect(result.history[2]).toMatchObject({ questionId: 'q2', score: 40, probability: result.probability });
+    expect(result.masteryLevel).toBe(Math.round(result.probability * 100));
+  });
+
+  it('continues from a legacy 0-100 mastery level', () => {
+    expect(masteryModelService.getPrior({ masteryLevel: 60, attempts: 2 })).toBe(0.6);
+    expect(masteryModelService.getPrior({ probability: 0.3, masteryLevel: 60 })).toBe(0.3);
+  });
+
+  it('caps the history', () => {
+    const record = { probability: 0.5, history: Array.from({ length: MASTERY_HISTORY_LIMIT }, () => ({ masteryLevel: 50 })) };
+
+    const result = masteryModelService.applyAttempts(record, [answer({ isCorrect: true })]);
+
+    expect(result.history).toHaveLength(MASTERY_HISTORY_LIMIT);
+    expect(result.history[MASTERY_HISTORY_LIMIT - 1].masteryLevel).toBe(result.masteryLevel);
+  });
+});
+
+describe('masteryModelService.getTrend', () => {
+  it('reports the change since the first history entry', () => {
+    expect(masteryModelService.getTrend([{ masteryLevel: 20 }, { masteryLevel: 55 }])).toEqual({ change: 35, direction: 'up' });
+    expect(masteryModelService.getTrend([{ masteryLevel: 60 }, { masteryLevel: 40 }])).toEqual({ change: -20, direction: 'down' });
+    expect(masteryModelService.getTrend([])).toEqual({ change: 0, direction: 'flat' });
+  });
+});
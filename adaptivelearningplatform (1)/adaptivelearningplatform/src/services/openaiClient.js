@@ -1,12 +1,17 @@
 import OpenAI from 'openai';
 
 /**
- * OpenAI client configuration for adaptive learning platform
- * Initializes the OpenAI client with API key from environment variables
+ * OpenAI client factory for adaptive learning platform
+ * Builds an OpenAI SDK client for the public API or any OpenAI-compatible endpoint
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - API key (local endpoints usually accept any value)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible endpoint
+ * @returns {OpenAI} Configured OpenAI client
  */
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
+const createOpenAIClient = ({ apiKey, baseURL } = {}) => new OpenAI({
+  apiKey,
+  baseURL,
   dangerouslyAllowBrowser: true, // Required for client-side usage in React
 });
 
-export default openai;
\ No newline at end of file
+export default createOpenAIClient;
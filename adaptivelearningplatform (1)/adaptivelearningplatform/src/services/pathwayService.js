@@ -0,0 +1,160 @@
+import conceptGraphService from './conceptGraphService';
+
+/**
+ * Mastery a concept needs before the concepts that depend on it unlock
+ */
+export const DEFAULT_MASTERY_THRESHOLD = 80;
+
+/**
+ * States a concept moves through on the learning pathway:
+ * locked -> unlocked -> in_progress -> mastered, or locked/unlocked -> tested_out
+ */
+export const CONCEPT_STATES = {
+  locked: 'locked',
+  unlocked: 'unlocked',
+  inProgress: 'in_progress',
+  mastered: 'mastered',
+  testedOut: 'tested_out'
+};
+
+/**
+ * Questions per prerequisite in a test-out diagnostic
+ */
+export const DIAGNOSTIC_QUESTIONS_PER_CONCEPT = 2;
+
+/**
+ * Pathway Service
+ * Pathway state machine: concepts unlock once every dependency reaches the mastery threshold,
+ * or once the learner tests out of the dependencies with a short diagnostic.
+ * Prerequisites between concepts caught in the same cycle do not gate each other.
+ */
+class PathwayService {
+  /**
+   * Returns the mastery threshold configured for a pathway
+   * @param {Object} learningPathway - Pathway from conceptExtractionService.createLearningPathway
+   * @returns {number} Threshold from 0 to 100
+   */
+  getMasteryThreshold(learningPathway) {
+    return learningPathway?.masteryThreshold ?? DEFAULT_MASTERY_THRESHOLD;
+  }
+
+  /**
+   * Checks whether a concept counts as mastered for unlocking purposes
+   * @param {Object} concept - Concept with current mastery
+   * @param {number} threshold - Mastery threshold
+   * @returns {boolean} True if mastered or tested out
+   */
+  isMastered(concept, threshold) {
+    return !!concept?.testedOut || (concept?.masteryLevel || 0) >= threshold;
+  }
+
+  /**
+   * Derives the state of a concept from its own mastery and that of its dependencies
+   * @param {Object} concept - Concept with current mastery
+   * @param {Array} dependencies - Dependency concepts with current mastery
+   * @param {number} threshold - Mastery threshold
+   * @returns {string} One of CONCEPT_STATES
+   */
+  getConceptState(concept, dependencies, threshold) {
+    if (concept?.testedOut) return CONCEPT_STATES.testedOut;
+    if ((concept?.masteryLevel || 0) >= threshold) return CONCEPT_STATES.mastered;
+    if (dependencies?.some(dependency => !this.isMastered(dependency, threshold))) return CONCEPT_STATES.locked;
+    if ((concept?.masteryLevel || 0) > 0 || concept?.attempts > 0) return CONCEPT_STATES.inProgress;
+    return CONCEPT_STATES.unlocked;
+  }
+
+  /**
+   * Groups concepts that share a prerequisite cycle, merging cycles that overlap
+   * @param {Array<Array<string>>} cycles - Cycles from conceptGraphService.topologicalSort
+   * @returns {Map<string, number>} Group index keyed by concept id
+   */
+  getCycleGroups(cycles) {
+    const groups = new Map();
+
+    cycles?.forEach((cycle, index) => {
+      const merged = new Set(cycle?.map(id => groups.get(id))?.filter(group => group !== undefined));
+      groups.forEach((group, id) => {
+        if (merged.has(group)) groups.set(id, index);
+      });
+      cycle?.forEach(id => groups.set(id, index));
+    });
+
+    return groups;
+  }
+
+  /**
+   * Resolves the current state of every concept on the pathway
+   * @param {Object} learningPathway - Saved pathway (its order and dependency graph are used)
+   * @param {Array} concepts - Concepts with the learner's current mastery
+   * @returns {Array} Pathway entries as { ...concept, order, dependencies, state, isUnlocked, blockedBy }
+   */
+  resolvePathway(learningPathway, concepts) {
+    const threshold = this.getMasteryThreshold(learningPathway);
+    const graph = learningPathway?.graph || conceptGraphService?.buildGraph(concepts);
+    const cycleGroups = this.getCycleGroups(conceptGraphService?.topologicalSort(concepts, graph)?.cycles);
+    const inSameCycle = (idA, idB) => cycleGroups.has(idA) && cycleGroups.get(idA) === cycleGroups.get(idB);
+    const order = learningPathway?.pathway?.map(entry => entry?.id) || [];
+    const ordered = [...(concepts || [])]?.sort((a, b) => {
+      const indexA = order.indexOf(a?.id);
+      const indexB = order.indexOf(b?.id);
+      return (indexA === -1 ? Infinity : indexA) - (indexB === -1 ? Infinity : indexB);
+    });
+
+    return ordered?.map((concept, index) => {
+      const dependencies = conceptGraphService?.getPrerequisiteIds(graph, concept?.id)
+        ?.map(id => concepts?.find(other => other?.id === id))
+        ?.filter(Boolean);
+      // Inside a cycle each concept would wait on the other forever, so only outside prerequisites gate
+      const gatingDependencies = dependencies?.filter(dependency => !inSameCycle(dependency?.id, concept?.id));
+      const state = this.getConceptState(concept, gatingDependencies, threshold);
+
+      return {
+        ...concept,
+        order: index + 1,
+        dependencies: dependencies?.map(dependency => dependency?.id),
+        state,
+        isUnlocked: state !== CONCEPT_STATES.locked,
+        blockedBy: state === CONCEPT_STATES.locked
+          ? gatingDependencies?.filter(dependency => !this.isMastered(dependency, threshold))
+          : []
+      };
+    });
+  }
+
+  /**
+   * Summarizes pathway progress for headers and breadcrumbs
+   * @param {Array} resolvedPathway - Pathway from resolvePathway
+   * @returns {Object} { total, unlocked, mastered, locked }
+   */
+  getProgress(resolvedPathway) {
+    const count = (predicate) => resolvedPathway?.filter(predicate)?.length || 0;
+
+    return {
+      total: resolvedPathway?.length || 0,
+      unlocked: count(entry => entry?.isUnlocked),
+      mastered: count(entry => [CONCEPT_STATES.mastered, CONCEPT_STATES.testedOut].includes(entry?.state)),
+      locked: count(entry => !entry?.isUnlocked)
+    };
+  }
+
+  /**
+   * Scores a test-out diagnostic per concept
+   * @param {Array} questions - Diagnostic questions
+   * @param {Object} grades - Grades keyed by question id
+   * @param {number} threshold - Mastery threshold
+   * @returns {Array} Results as { conceptId, score, passed }
+   */
+  scoreDiagnostic(questions, grades, threshold) {
+    const conceptIds = [...new Set(questions?.map(question => question?.conceptId))];
+
+    return conceptIds?.map(conceptId => {
+      const conceptQuestions = questions?.filter(question => question?.conceptId === conceptId);
+      const score = Math.round(
+        conceptQuestions?.reduce((sum, question) => sum + (grades?.[question?.id]?.score ?? 0), 0) / conceptQuestions?.length
+      );
+      return { conceptId, score, passed: score >= threshold };
+    });
+  }
+}
+
+export default new PathwayService();
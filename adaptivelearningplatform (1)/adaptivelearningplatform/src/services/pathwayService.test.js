@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import pathwayService, { CONCEPT_STATES, DEFAULT_MASTERY_THRESHOLD } from './pathwayService';
+import conceptGraphService from './conceptGraphService';
+
+const concepts = [
+  { id: 'a', name: 'Chain Rule', masteryLevel: 0 },
+  { id: 'b', name: 'Neural Networks', prerequisites: ['Chain Rule'], masteryLevel: 0 },
+  { id: 'c', name: 'Backpropagation', prerequisites: ['Neural Networks', 'Chain Rule'], masteryLevel: 0 }
+];
+
+const withMastery = (levels) => concepts.map(concept => ({ ...concept, ...levels?.[concept.id] }));
+const learningPathway = { pathway: concepts, graph: conceptGraphService.buildGraph(concepts), masteryThreshold: 80 };
+const states = (resolved) => resolved.map(entry => [entry.id, entry.state]);
+
+describe('pathwayService.resolvePathway', () => {
+  it('locks concepts until every dependency reaches the threshold', () => {
+    const resolved = pathwayService.resolvePathway(learningPathway, withMastery({ a: { masteryLevel: 79, attempts: 3 } }));
+
+    expect(states(resolved)).toEqual([
+      ['a', CONCEPT_STATES.inProgress],
+      ['b', CONCEPT_STATES.locked],
+      ['c', CONCEPT_STATES.locked]
+    ]);
+    expect(resolved[2].blockedBy.map(entry => entry.id).sort()).toEqual(['a', 'b']);
+  });
+
+  it('unlocks the next concept once its dependencies are mastered', () => {
+    const resolved = pathwayService.resolvePathway(learningPathway, withMastery({ a: { masteryLevel: 80 } }));
+
+    expect(states(resolved)).toEqual([
+      ['a', CONCEPT_STATES.mastered],
+      ['b', CONCEPT_STATES.unlocked],
+      ['c', CONCEPT_STATES.locked]
+    ]);
+    expect(resolved[2].blockedBy.map(entry => entry.id)).toEqual(['b']);
+  });
+
+  it('counts a tested-out dependency as mastered', () => {
+    const resolved = pathwayService.resolvePathway(learningPathway, withMastery({
+      a: { testedOut: true },
+      b: { testedOut: true }
+    }));
+
+    expect(resolved[2].state).toBe(CONCEPT_STATES.unlocked);
+    expect(pathwayService.getProgress(resolved)).toEqual({ total: 3, unlocked: 3, mastered: 2, locked: 0 });
+  });
+
+  it('keeps the saved pathway order whatever order the concepts arrive in', () => {
+    const resolved = pathwayService.resolvePathway(learningPathway, [...withMastery()].reverse());
+
+    expect(resolved.map(entry => [entry.id, entry.order])).toEqual([['a', 1], ['b', 2], ['c', 3]]);
+  });
+
+  it('does not let concepts in a prerequisite cycle lock each other', () => {
+    const cyclic = [
+      { id: 'x', name: 'Recursion', prerequisites: ['Induction'], masteryLevel: 0 },
+      { id: 'y', name: 'Induction', prerequisites: ['Recursion'], masteryLevel: 0 }
+    ];
+    const resolved = pathwayService.resolvePathway({ pathway: cyclic, graph: conceptGraphService.buildGraph(cyclic) }, cyclic);
+
+    expect(states(resolved)).toEqual([['x', CONCEPT_STATES.unlocked], ['y', CONCEPT_STATES.unlocked]]);
+    expect(resolved.map(entry => entry.blockedBy)).toEqual([[], []]);
+    expect(resolved[0].dependencies).toEqual(['y']);
+  });
+
+  it('still gates a cycle on prerequisites outside it', () => {
+    const cyclic = [
+      { id: 'a', name: 'Chain Rule', masteryLevel: 0 },
+      { id: 'x', name: 'Recursion', prerequisites: ['Induction', 'Chain Rule'], masteryLevel: 0 },
+      { id: 'y', name: 'Induction', prerequisites: ['Recursion'], masteryLevel: 0 }
+    ];
+    const resolved = pathwayService.resolvePathway({ pathway: cyclic, graph: conceptGraphService.buildGraph(cyclic) }, cyclic);
+
+    expect(states(resolved)).toEqual([
+      ['a', CONCEPT_STATES.unlocked],
+      ['x', CONCEPT_STATES.locked],
+      ['y', CONCEPT_STATES.unlocked]
+    ]);
+    expect(resolved[1].blockedBy.map(entry => entry.id)).toEqual(['a']);
+  });
+
+  it('uses the default threshold when the pathway has none', () => {
+    expect(pathwayService.getMasteryThreshold({})).toBe(DEFAULT_MASTERY_THRESHOLD);
+  });
+});
+
+describe('pathwayService.scoreDiagnostic', () => {
+  it('averages the questions of each concept, counting unanswered ones as zero', () => {
+    const questions = [
+      { id: 'q1', conceptId: 'a' },
+      { id: 'q2', conceptId: 'a' },
+      { id: 'q3', conceptId: 'b' },
+      { id: 'q4', conceptId: 'b' }
+    ];
+    const grades = { q1: { score: 100 }, q2: { score: 70 }, q3: { score: 100 } };
+
+    expect(pathwayService.scoreDiagnostic(questions, grades, 80)).toEqual([
+      { conceptId: 'a', score: 85, passed: true },
+      { conceptId: 'b', score: 50, passed: false }
+    ]);
+  });
+});
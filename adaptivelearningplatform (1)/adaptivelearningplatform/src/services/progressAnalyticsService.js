@@ -0,0 +1,193 @@
+import { format, parseISO, subDays, startOfWeek, addDays, differenceInCalendarDays } from 'date-fns';
+import calibrationService from './calibrationService';
+import { QUESTION_TYPE_LABELS } from './questionScoringService';
+
+const DAY_FORMAT = 'yyyy-MM-dd';
+
+/**
+ * Weeks shown in the streak calendar
+ */
+export const STREAK_CALENDAR_WEEKS = 12;
+
+const DIFFICULTY_LABELS = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+const DIFFICULTY_ALIASES = { beginner: 'easy', intermediate: 'medium', advanced: 'hard' };
+
+const toDay = (timestamp) => (timestamp ? format(new Date(timestamp), DAY_FORMAT) : null);
+const scoreOf = (attempt) => attempt?.score ?? (attempt?.isCorrect ? 100 : 0);
+
+/**
+ * Progress Analytics Service
+ * Turns saved attempts, mastery records and completed assessment sessions into the series the
+ * progress dashboard charts
+ */
+class ProgressAnalyticsService {
+  /**
+   * Builds one row per day with each concept's mastery at the end of that day
+   * Days without a change carry the previous level forward so every line is continuous.
+   * @param {Array} masteryRecords - Mastery records with history
+   * @param {Array} concepts - Concepts, used for names
+   * @returns {Object} { rows: Array<{ date, [conceptId]: level }>, series: Array<{ id, name }> }
+   */
+  getMasteryOverTime(masteryRecords, concepts) {
+    const withHistory = masteryRecords?.filter(record => record?.history?.length) || [];
+    const days = [...new Set(withHistory?.flatMap(record => record.history.map(entry => toDay(entry?.at))))]
+      ?.filter(Boolean)
+      ?.sort();
+    const current = {};
+
+    const rows = days?.map(day => {
+      withHistory?.forEach(record => {
+        const last = record.history.filter(entry => toDay(entry?.at) === day).pop();
+        if (last) current[record.conceptId] = last.masteryLevel;
+      });
+      return { date: day, ...current };
+    });
+
+    return {
+      rows,
+      series: withHistory?.map(record => ({
+        id: record?.conceptId,
+        name: concepts?.find(concept => concept?.id === record?.conceptId)?.name || record?.conceptId
+      }))
+    };
+  }
+
+  /**
+   * Groups attempts and reports accuracy and average score per group
+   * @param {Array} attempts - Saved attempts
+   * @param {string} dimension - 'questionType' or 'difficulty'
+   * @returns {Array} Groups as { key, label, count, accuracy, averageScore }
+   */
+  getAccuracyBreakdown(attempts, dimension) {
+    const groups = {};
+
+    attempts?.forEach(attempt => {
+      const raw = attempt?.[dimension]?.toLowerCase?.();
+      if (!raw) return;
+
+      const key = dimension === 'difficulty' ? (DIFFICULTY_ALIASES?.[raw] || raw) : raw;
+      groups[key] = groups[key] || { key, count: 0, correct: 0, totalScore: 0 };
+      groups[key].count++;
+      groups[key].totalScore += scoreOf(attempt);
+      if (attempt?.isCorrect) groups[key].correct++;
+    });
+
+    const labels = dimension === 'difficulty' ? DIFFICULTY_LABELS : QUESTION_TYPE_LABELS;
+    const order = Object.keys(labels);
+
+    return Object.values(groups)
+      ?.sort((a, b) => (order.indexOf(a.key) === -1 ? Infinity : order.indexOf(a.key))
+        - (order.indexOf(b.key) === -1 ? Infinity : order.indexOf(b.key)))
+      ?.map(group => ({
+        key: group.key,
+        label: labels?.[group.key] || group.key,
+        count: group.count,
+        accuracy: Math.round((group.correct / group.count) * 100),
+        averageScore: Math.round(group.totalScore / group.count)
+      }));
+  }
+
+  /**
+   * Compares stated confidence with how often the learner was actually right
+   * @param {Array} attempts - Saved attempts
+   * @returns {Array} One point per confidence level as { confidence, expected, accuracy, count }
+   */
+  getCalibration(attempts) {
+    return [1, 2, 3, 4, 5]?.map(confidence => {
+      const atLevel = attempts?.filter(attempt => (attempt?.confidence || 3) === confidence) || [];
+      return {
+        confidence,
+        expected: Math.round(calibrationService?.confidenceToProbability(confidence) * 100),
+        accuracy: atLevel.length
+          ? Math.round(atLevel.reduce((sum, attempt) => sum + scoreOf(attempt), 0) / atLevel.length)
+          : null,
+        count: atLevel.length
+      };
+    });
+  }
+
+  /**
+   * Sums assessment time per day over a recent window
+   * @param {Array} sessions - Assessment sessions with sessionTime in seconds
+   * @param {Object} options - { days, now }
+   * @returns {Array} Rows as { date, label, minutes }
+   */
+  getTimeOnTask(sessions, { days = 14, now = new Date() } = {}) {
+    const minutesByDay = {};
+
+    sessions?.forEach(session => {
+      const day = toDay(session?.completedAt || session?.updatedAt);
+      if (!day) return;
+      minutesByDay[day] = (minutesByDay[day] || 0) + (session?.sessionTime || 0) / 60;
+    });
+
+    return Array.from({ length: days }, (_, index) => {
+      const date = subDays(now, days - 1 - index);
+      const day = format(date, DAY_FORMAT);
+      return { date: day, label: format(date, 'MMM d'), minutes: Math.round(minutesByDay?.[day] || 0) };
+    });
+  }
+
+  /**
+   * Builds the streak calendar: activity per day for the last weeks, plus current and longest streak
+   * A day counts as active when the learner answered at least one question.
+   * @param {Array} attempts - Saved attempts
+   * @param {Object} options - { weeks, now }
+   * @returns {Object} { weeks: Array<Array<{ date, count, isFuture }>>, currentStreak, longestStreak, activeDays }
+   */
+  getStreakCalendar(attempts, { weeks = STREAK_CALENDAR_WEEKS, now = new Date() } = {}) {
+    const countByDay = {};
+    attempts?.forEach(attempt => {
+      const day = toDay(attempt?.submittedAt);
+      if (day) countByDay[day] = (countByDay[day] || 0) + 1;
+    });
+
+    const firstDay = startOfWeek(subDays(now, (weeks - 1) * 7));
+    const calendar = Array.from({ length: weeks }, (_, week) =>
+      Array.from({ length: 7 }, (_, weekday) => {
+        const date = addDays(firstDay, week * 7 + weekday);
+        const day = format(date, DAY_FORMAT);
+        return { date: day, count: countByDay?.[day] || 0, isFuture: differenceInCalendarDays(date, now) > 0 };
+      })
+    );
+
+    const activeDays = Object.keys(countByDay)?.sort();
+    let longestStreak = 0;
+    let run = 0;
+    activeDays?.forEach((day, index) => {
+      run = index > 0 && differenceInCalendarDays(parseISO(day), parseISO(activeDays[index - 1])) === 1 ? run + 1 : 1;
+      longestStreak = Math.max(longestStreak, run);
+    });
+
+    // The current streak survives until the end of today even if the learner has not practised yet
+    let currentStreak = 0;
+    let cursor = countByDay?.[format(now, DAY_FORMAT)] ? now : subDays(now, 1);
+    while (countByDay?.[format(cursor, DAY_FORMAT)]) {
+      currentStreak++;
+      cursor = subDays(cursor, 1);
+    }
+
+    return { weeks: calendar, currentStreak, longestStreak, activeDays: activeDays?.length || 0 };
+  }
+
+  /**
+   * Lists completed assessments with their saved results, oldest first
+   * @param {Array} sessions - Completed assessment sessions
+   * @returns {Array} Rows as { id, date, label, score, mode, questionCount }
+   */
+  getAssessmentHistory(sessions) {
+    return sessions
+      ?.filter(session => session?.results)
+      ?.sort((a, b) => (a?.completedAt || '').localeCompare(b?.completedAt || ''))
+      ?.map(session => ({
+        id: session?.id,
+        date: session?.completedAt,
+        label: format(new Date(session?.completedAt), 'MMM d'),
+        score: session?.results?.overallScore,
+        mode: session?.mode || 'standard',
+        questionCount: session?.results?.totalQuestions
+      })) || [];
+  }
+}
+
+export default new ProgressAnalyticsService();
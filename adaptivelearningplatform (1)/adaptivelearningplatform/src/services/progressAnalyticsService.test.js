@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import progressAnalyticsService from './progressAnalyticsService';
+
+// Local noon on a day of January 2025, so day boundaries hold in any time zone
+const at = (day, hour = 12) => new Date(2025, 0, day, hour).toISOString();
+
+describe('progressAnalyticsService.getMasteryOverTime', () => {
+  it('keeps the last level of each day and carries it forward on days without a change', () => {
+    const records = [
+      { conceptId: 'a', history: [{ at: at(1, 9), masteryLevel: 20 }, { at: at(1, 18), masteryLevel: 35 }] },
+      { conceptId: 'b', history: [{ at: at(2), masteryLevel: 60 }] }
+    ];
+
+    const { rows, series } = progressAnalyticsService.getMasteryOverTime(records, [{ id: 'a', name: 'Recursion' }]);
+
+    expect(rows).toEqual([
+      { date: '2025-01-01', a: 35 },
+      { date: '2025-01-02', a: 35, b: 60 }
+    ]);
+    expect(series).toEqual([{ id: 'a', name: 'Recursion' }, { id: 'b', name: 'b' }]);
+  });
+});
+
+describe('progressAnalyticsService.getAccuracyBreakdown', () => {
+  it('groups difficulty aliases together in easy, medium, hard order', () => {
+    const attempts = [
+      { difficulty: 'advanced', isCorrect: false, score: 40 },
+      { difficulty: 'beginner', isCorrect: true, score: 100 },
+      { difficulty: 'Easy', isCorrect: false, score: 0 },
+      { difficulty: null, isCorrect: true }
+    ];
+
+    expect(progressAnalyticsService.getAccuracyBreakdown(attempts, 'difficulty')).toEqual([
+      { key: 'easy', label: 'Easy', count: 2, accuracy: 50, averageScore: 50 },
+      { key: 'hard', label: 'Hard', count: 1, accuracy: 0, averageScore: 40 }
+    ]);
+  });
+});
+
+describe('progressAnalyticsService.getCalibration', () => {
+  it('compares each confidence level with the average score given at it', () => {
+    const points = progressAnalyticsService.getCalibration([
+      { confidence: 5, score: 100 },
+      { confidence: 5, score: 50 },
+      { confidence: 1, isCorrect: false }
+    ]);
+
+    expect(points[4]).toEqual({ confidence: 5, expected: 100, accuracy: 75, count: 2 });
+    expect(points[0]).toEqual({ confidence: 1, expected: 20, accuracy: 0, count: 1 });
+    expect(points[2].accuracy).toBeNull();
+  });
+});
+
+describe('progressAnalyticsService.getStreakCalendar', () => {
+  const attempts = [1, 2, 3, 6, 7].map(day => ({ submittedAt: at(day) }));
+
+  it('finds the longest run of active days', () => {
+    const { longestStreak, activeDays } = progressAnalyticsService.getStreakCalendar(attempts, { now: new Date(2025, 0, 10) });
+
+    expect(longestStreak).toBe(3);
+    expect(activeDays).toBe(5);
+  });
+
+  it('keeps the current streak alive until the end of a day without practice', () => {
+    expect(progressAnalyticsService.getStreakCalendar(attempts, { now: new Date(2025, 0, 7, 20) }).currentStreak).toBe(2);
+    expect(progressAnalyticsService.getStreakCalendar(attempts, { now: new Date(2025, 0, 8, 20) }).currentStreak).toBe(2);
+    expect(progressAnalyticsService.getStreakCalendar(attempts, { now: new Date(2025, 0, 9, 20) }).currentStreak).toBe(0);
+  });
+
+  it('lays out whole weeks and marks days after today', () => {
+    const { weeks } = progressAnalyticsService.getStreakCalendar(attempts, { weeks: 2, now: new Date(2025, 0, 7) });
+    const days = weeks.flat();
+
+    expect(weeks).toHaveLength(2);
+    expect(days.find(day => day.date === '2025-01-06')).toMatchObject({ count: 1, isFuture: false });
+    expect(days.find(day => day.date === '2025-01-08')?.isFuture).toBe(true);
+  });
+});
+
+describe('progressAnalyticsService.getTimeOnTask', () => {
+  it('sums session minutes per day over the window', () => {
+    const sessions = [
+      { completedAt: at(5, 9), sessionTime: 600 },
+      { completedAt: at(5, 15), sessionTime: 300 },
+      { updatedAt: at(3), sessionTime: 120 }
+    ];
+
+    const rows = progressAnalyticsService.getTimeOnTask(sessions, { days: 3, now: new Date(2025, 0, 5) });
+
+    expect(rows.map(row => [row.date, row.minutes])).toEqual([
+      ['2025-01-03', 2],
+      ['2025-01-04', 0],
+      ['2025-01-05', 15]
+    ]);
+  });
+});
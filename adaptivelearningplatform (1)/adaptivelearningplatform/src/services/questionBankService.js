@@ -0,0 +1,286 @@
+import questionRepository from './storage/questionRepository';
+import attemptRepository from './storage/attemptRepository';
+import documentRepository from './storage/documentRepository';
+import questionGenerationService from './questionGenerationService';
+import { QUESTION_TYPES } from './questionScoringService';
+
+/**
+ * Review states of a bank question: pending - generated or added and not yet reviewed;
+ * approved - checked by an instructor; rejected - kept for history but never asked
+ */
+export const QUESTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Bank settings a course starts with: assessments may use questions that are still pending review
+ */
+export const DEFAULT_BANK_SETTINGS = {
+  useOnlyApproved: false
+};
+
+/**
+ * Concepts covered by one assessment and questions drawn for each
+ */
+export const ASSESSMENT_CONCEPT_LIMIT = 3;
+export const QUESTIONS_PER_CONCEPT = 3;
+
+const createQuestionId = (conceptId) =>
+  `${conceptId || 'question'}_${Date.now()?.toString(36)}${Math.random()?.toString(36)?.slice(2, 6)}`;
+
+/**
+ * Question Bank Service
+ * The curated, per-course store of generated questions that assessments draw from
+ */
+class QuestionBankService {
+  /**
+   * Reads the review state of a question; questions saved before the bank existed count as pending
+   * @param {Object} question - Bank question
+   * @returns {string} One of QUESTION_STATUSES
+   */
+  getStatus(question) {
+    return QUESTION_STATUSES.includes(question?.status) ? question.status : 'pending';
+  }
+
+  /**
+   * Reads every question in a course's bank, oldest first
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} Questions
+   */
+  async getQuestions(documentId) {
+    const questions = await questionRepository?.getByDocument(documentId);
+    return questions?.sort((a, b) => (a?.createdAt || '').localeCompare(b?.createdAt || '') || (a?.number || 0) - (b?.number || 0));
+  }
+
+  /**
+   * Reads the questions in a course's bank that have not been rejected, which new ones must not repeat
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} Pending and approved questions
+   */
+  async getActiveQuestions(documentId) {
+    const questions = await this.getQuestions(documentId);
+    return questions?.filter(question => this.getStatus(question) !== 'rejected') || [];
+  }
+
+  /**
+   * Adds questions to a course's bank as pending, each with a fresh id
+   * The id a question had before banking is kept as previousId, and attempts already made at it
+   * are moved to the new id so its history follows it into the bank.
+   * @param {string} documentId - Document id
+   * @param {Array} questions - Questions from questionGenerationService
+   * @returns {Promise<Array>} Questions as saved
+   */
+  async addQuestions(documentId, questions) {
+    try {
+      const now = new Date()?.toISOString();
+      const added = questions?.map(question => ({
+        ...question,
+        id: createQuestionId(question?.conceptId),
+        previousId: question?.id || null,
+        status: 'pending',
+        tags: question?.tags || [],
+        createdAt: question?.createdAt || now
+      }));
+
+      await questionRepository?.saveAll(documentId, added);
+      await this.relinkAttempts(documentId, added);
+      return added;
+    } catch (error) {
+      console.error('Error adding questions to bank:', error);
+      throw new Error('Failed to add questions to bank');
+    }
+  }
+
+  /**
+   * Points attempts made at questions before they were banked to their bank ids
+   * @param {string} documentId - Document id
+   * @param {Array} questions - Banked questions with previousId set
+   * @returns {Promise<void>}
+   */
+  async relinkAttempts(documentId, questions) {
+    const relinked = (await Promise.all((questions || [])
+      ?.filter(question => question?.previousId)
+      ?.map(async (question) => {
+        const attempts = await attemptRepository?.getByQuestion(documentId, question.previousId);
+        return attempts?.map(attempt => ({ ...attempt, questionId: question?.id })) || [];
+      })))?.flat();
+
+    if (relinked?.length) {
+      await attemptRepository?.saveAll(documentId, relinked);
+    }
+  }
+
+  /**
+   * Reads when each question in a course's bank was last asked
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object>} ISO time of the latest attempt, keyed by question id
+   */
+  async getLastAskedTimes(documentId) {
+    const attempts = await attemptRepository?.getByDocument(documentId);
+    return (attempts || [])?.reduce((lastAsked, attempt) => {
+      if ((attempt?.submittedAt || '') > (lastAsked?.[attempt?.questionId] || '')) {
+        lastAsked[attempt.questionId] = attempt.submittedAt;
+      }
+      return lastAsked;
+    }, {});
+  }
+
+  /**
+   * Saves an instructor's edits to a question
+   * @param {string} documentId - Document id
+   * @param {Object} question - Question with its edited fields
+   * @returns {Promise<Object>} Question as saved
+   */
+  async updateQuestion(documentId, question) {
+    try {
+      const updated = { ...question, documentId, editedAt: new Date()?.toISOString() };
+      await questionRepository?.save(updated);
+      return updated;
+    } catch (error) {
+      console.error('Error updating question:', error);
+      throw new Error('Failed to update question');
+    }
+  }
+
+  /**
+   * Approves or rejects a question, or returns it to pending
+   * @param {string} documentId - Document id
+   * @param {Object} question - Bank question
+   * @param {string} status - One of QUESTION_STATUSES
+   * @returns {Promise<Object>} Question as saved
+   */
+  async setStatus(documentId, question, status) {
+    try {
+      const updated = { ...question, documentId, status, reviewedAt: new Date()?.toISOString() };
+      await questionRepository?.save(updated);
+      return updated;
+    } catch (error) {
+      console.error('Error updating question status:', error);
+      throw new Error('Failed to update question status');
+    }
+  }
+
+  /**
+   * Generates new questions for a concept and adds them to the bank for review
+   * @param {string} documentId - Document id
+   * @param {Object} concept - Concept to generate questions for
+   * @param {Object} options - Generation options passed to generateQuestionsForConcept
+   * @returns {Promise<Array>} Added questions
+   */
+  async generateForConcept(documentId, concept, options = {}) {
+    const questions = await questionGenerationService?.generateQuestionsForConcept(concept, {
+      questionCount: QUESTIONS_PER_CONCEPT,
+      questionTypes: QUESTION_TYPES,
+      documentId,
+      existingQuestions: await this.getActiveQuestions(documentId),
+      ...options
+    });
+    return this.addQuestions(documentId, questions);
+  }
+
+  /**
+   * Replaces a question with a newly generated one of the same type; the original is rejected
+   * and links to its replacement so its attempt history stays readable
+   * @param {string} documentId - Document id
+   * @param {Object} question - Bank question to replace
+   * @param {Object} concept - Concept the question tests
+   * @returns {Promise<Object>} { replacement, original }
+   */
+  async regenerateQuestion(documentId, question, concept) {
+    const generated = await questionGenerationService?.generateQuestionsForConcept(concept, {
+      questionCount: 1,
+      questionTypes: [question?.type],
+      documentId,
+      existingQuestions: await this.getActiveQuestions(documentId)
+    });
+    if (!generated?.length) {
+      throw new Error('Failed to regenerate question');
+    }
+
+    const [replacement] = await this.addQuestions(documentId, [{ ...generated[0], tags: question?.tags }]);
+    const original = await this.setStatus(documentId, { ...question, replacedBy: replacement.id }, 'rejected');
+    return { replacement, original };
+  }
+
+  /**
+   * Reads the bank settings of a course
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object>} { useOnlyApproved }
+   */
+  async getSettings(documentId) {
+    const savedDocument = await documentRepository?.get(documentId);
+    return { ...DEFAULT_BANK_SETTINGS, ...savedDocument?.questionBankSettings };
+  }
+
+  /**
+   * Configures the bank settings of a course; they apply from the next assessment started
+   * @param {string} documentId - Document id
+   * @param {Object} settings - { useOnlyApproved }
+   * @returns {Promise<Object>} Saved settings
+   */
+  async setSettings(documentId, settings) {
+    try {
+      const savedDocument = await documentRepository?.get(documentId);
+      const questionBankSettings = { useOnlyApproved: !!settings?.useOnlyApproved };
+
+      await documentRepository?.save({ ...savedDocument, questionBankSettings, updatedAt: new Date()?.toISOString() });
+      return questionBankSettings;
+    } catch (error) {
+      console.error('Error saving question bank settings:', error);
+      throw new Error('Failed to save question bank settings');
+    }
+  }
+
+  /**
+   * Filters a bank to the questions an assessment may ask
+   * @param {Array} questions - Bank questions
+   * @param {Object} settings - { useOnlyApproved }
+   * @returns {Array} Approved questions, plus pending ones unless only approved questions are used
+   */
+  getEligibleQuestions(questions, settings = DEFAULT_BANK_SETTINGS) {
+    return (questions || [])?.filter(question => {
+      const status = this.getStatus(question);
+      return settings?.useOnlyApproved ? status === 'approved' : status !== 'rejected';
+    });
+  }
+
+  /**
+   * Draws an assessment from a bank: up to QUESTIONS_PER_CONCEPT questions for each of the first
+   * ASSESSMENT_CONCEPT_LIMIT concepts that have any, in shuffled order
+   * Within a concept, questions never asked come first, then the ones asked longest ago; ties go to
+   * approved questions and are otherwise broken at random, so repeated assessments rotate through the bank.
+   * @param {Array} questions - Bank questions
+   * @param {Array} concepts - Course concepts, in pathway order
+   * @param {Object} settings - { useOnlyApproved }
+   * @param {Object} lastAsked - ISO time each question was last asked, keyed by question id, from getLastAskedTimes
+   * @returns {Array} Numbered questions
+   */
+  selectForAssessment(questions, concepts, settings = DEFAULT_BANK_SETTINGS, lastAsked = {}) {
+    const eligible = questionGenerationService?.shuffleQuestions(this.getEligibleQuestions(questions, settings));
+    const conceptOrder = [...new Set([
+      ...(concepts || [])?.map(concept => concept?.id),
+      ...eligible?.map(question => question?.conceptId)
+    ])];
+
+    const selected = conceptOrder
+      ?.map(conceptId => eligible
+        ?.filter(question => question?.conceptId === conceptId)
+        ?.sort((a, b) => (lastAsked?.[a?.id] || '').localeCompare(lastAsked?.[b?.id] || '')
+          || (this.getStatus(a) === 'approved' ? 0 : 1) - (this.getStatus(b) === 'approved' ? 0 : 1))
+        ?.slice(0, QUESTIONS_PER_CONCEPT))
+      ?.filter(group => group?.length)
+      ?.slice(0, ASSESSMENT_CONCEPT_LIMIT)
+      ?.flat();
+
+    return questionGenerationService?.shuffleQuestions(selected);
+  }
+
+  /**
+   * Lists the tags used anywhere in a bank
+   * @param {Array} questions - Bank questions
+   * @returns {Array<string>} Tags in alphabetical order
+   */
+  getTags(questions) {
+    return [...new Set((questions || [])?.flatMap(question => question?.tags || []))]?.sort();
+  }
+}
+
+export default new QuestionBankService();
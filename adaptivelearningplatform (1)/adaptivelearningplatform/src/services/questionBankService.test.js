@@ -0,0 +1,109 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import questionBankService, { ASSESSMENT_CONCEPT_LIMIT, QUESTIONS_PER_CONCEPT } from './questionBankService';
+import questionRepository from './storage/questionRepository';
+import attemptRepository from './storage/attemptRepository';
+
+const bankQuestion = (id, conceptId, status = 'pending') => ({ id, conceptId, status });
+const ids = (questions) => questions.map(question => question.id).sort();
+
+describe('questionBankService.getEligibleQuestions', () => {
+  const questions = [bankQuestion('a', 'c1', 'approved'), bankQuestion('b', 'c1'), bankQuestion('c', 'c1', 'rejected'), { id: 'd' }];
+
+  it('never asks rejected questions and counts unreviewed ones as pending', () => {
+    expect(ids(questionBankService.getEligibleQuestions(questions))).toEqual(['a', 'b', 'd']);
+  });
+
+  it('asks only approved questions when the course requires it', () => {
+    expect(ids(questionBankService.getEligibleQuestions(questions, { useOnlyApproved: true }))).toEqual(['a']);
+  });
+});
+
+describe('questionBankService.selectForAssessment', () => {
+  const concepts = [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }, { id: 'c4' }];
+  const questions = concepts.flatMap(concept =>
+    Array.from({ length: 5 }, (_, index) => bankQuestion(`${concept.id}_${index}`, concept.id)));
+
+  it('draws a fixed number of questions for the first concepts that have any, numbered in order', () => {
+    const selected = questionBankService.selectForAssessment(questions.filter(question => question.conceptId !== 'c1'), concepts);
+
+    expect(selected).toHaveLength(ASSESSMENT_CONCEPT_LIMIT * QUESTIONS_PER_CONCEPT);
+    expect([...new Set(selected.map(question => question.conceptId))].sort()).toEqual(['c2', 'c3', 'c4']);
+    expect(selected.map(question => question.number)).toEqual(selected.map((question, index) => index + 1));
+  });
+
+  it('asks questions never asked before, then the ones asked longest ago', () => {
+    const lastAsked = {
+      c1_0: '2025-01-03T00:00:00.000Z',
+      c1_1: '2025-01-01T00:00:00.000Z',
+      c1_2: '2025-01-02T00:00:00.000Z',
+      c1_3: '2025-01-04T00:00:00.000Z'
+    };
+
+    const selected = questionBankService.selectForAssessment(questions, concepts, undefined, lastAsked)
+      .filter(question => question.conceptId === 'c1');
+
+    expect(ids(selected)).toEqual(['c1_1', 'c1_2', 'c1_4']);
+  });
+
+  it('rotates through the whole bank over repeated assessments', () => {
+    const lastAsked = {};
+    const seen = new Set();
+
+    for (let round = 0; round < 2; round++) {
+      questionBankService.selectForAssessment(questions, concepts, undefined, lastAsked)
+        .filter(question => question.conceptId === 'c1')
+        .forEach(question => {
+          seen.add(question.id);
+          lastAsked[question.id] = `2025-01-0${round + 1}T00:00:00.000Z`;
+        });
+    }
+
+    expect(seen.size).toBe(5);
+  });
+
+  it('prefers approved questions among those asked equally recently', () => {
+    const withApproved = questions.map(question =>
+      (question.id === 'c1_3' || question.id === 'c1_4' ? { ...question, status: 'approved' } : question));
+
+    const selected = questionBankService.selectForAssessment(withApproved, concepts)
+      .filter(question => question.conceptId === 'c1');
+
+    expect(ids(selected)).toEqual(expect.arrayContaining(['c1_3', 'c1_4']));
+  });
+});
+
+describe('questionBankService history', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('banks questions under fresh ids and moves earlier attempts to them', async () => {
+    const saveQuestions = vi.spyOn(questionRepository, 'saveAll').mockResolvedValue();
+    vi.spyOn(attemptRepository, 'getByQuestion').mockImplementation(async (documentId, questionId) =>
+      (questionId === 'generated_1' ? [{ id: 'attempt_1', questionId, score: 80 }] : []));
+    const saveAttempts = vi.spyOn(attemptRepository, 'saveAll').mockResolvedValue();
+
+    const added = await questionBankService.addQuestions('doc', [
+      { id: 'generated_1', conceptId: 'c1' },
+      { id: 'generated_2', conceptId: 'c1' }
+    ]);
+
+    expect(added.map(question => question.previousId)).toEqual(['generated_1', 'generated_2']);
+    expect(added.every(question => question.status === 'pending' && !question.id.startsWith('generated'))).toBe(true);
+    expect(saveQuestions).toHaveBeenCalledWith('doc', added);
+    expect(saveAttempts).toHaveBeenCalledWith('doc', [{ id: 'attempt_1', questionId: added[0].id, score: 80 }]);
+  });
+
+  it('reads the latest attempt time of each question', async () => {
+    vi.spyOn(attemptRepository, 'getByDocument').mockResolvedValue([
+      { questionId: 'q1', submittedAt: '2025-01-02T00:00:00.000Z' },
+      { questionId: 'q1', submittedAt: '2025-01-05T00:00:00.000Z' },
+      { questionId: 'q2', submittedAt: '2025-01-03T00:00:00.000Z' }
+    ]);
+
+    await expect(questionBankService.getLastAskedTimes('doc')).resolves.toEqual({
+      q1: '2025-01-05T00:00:00.000Z',
+      q2: '2025-01-03T00:00:00.000Z'
+    });
+  });
+});
@@ -0,0 +1,551 @@
+import JSZip from 'jszip';
+import { CLOZE_BLANK, QUESTION_TYPE_LABELS, parseNumber } from './questionScoringService';
+
+/**
+ * Formats questions can be exported to, with the question types each one can express
+ */
+export const EXPORT_FORMATS = {
+  qti: {
+    label: 'QTI 2.1',
+    description: 'Zip package for LMSs that import IMS QTI',
+    extension: 'zip',
+    types: ['multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'cloze', 'numeric']
+  },
+  gift: {
+    label: 'Moodle GIFT',
+    description: 'Text file for Moodle question import',
+    extension: 'txt',
+    types: ['multiple_choice', 'true_false', 'short_answer', 'multi_select', 'matching', 'cloze', 'numeric']
+  },
+  aiken: {
+    label: 'Aiken',
+    description: 'Plain text, multiple choice and true/false only',
+    extension: 'txt',
+    types: ['multiple_choice', 'true_false']
+  }
+};
+
+/**
+ * LOM difficulty vocabulary values for the difficulty labels questions use
+ */
+const LOM_DIFFICULTY = {
+  easy: 'easy',
+  beginner: 'easy',
+  medium: 'medium',
+  intermediate: 'medium',
+  hard: 'difficult',
+  advanced: 'difficult'
+};
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+
+// Moodle needs at least three pairs in a matching question
+const GIFT_MIN_MATCHING_PAIRS = 3;
+
+const AIKEN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// GIFT reserves ~ = # { } : and backslash; questions end at a blank line, so text stays on one line
+const escapeGift = (text) => String(text ?? '')
+  .replace(/([~=#{}:\\])/g, '\\$1')
+  .replace(/\s*\n\s*/g, ' ')
+  .trim();
+
+const toSingleLine = (text) => String(text ?? '').replace(/\s*\n\s*/g, ' ').trim();
+
+// QTI identifiers must start with a letter and use only letters, digits, _ . and -
+const toIdentifier = (prefix, id) => `${prefix}_${String(id ?? '').replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+
+const toFileSlug = (text) => String(text || 'questions')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'questions';
+
+const getStem = (question) => [question?.context, question?.question]?.filter(Boolean)?.join('\n\n');
+
+const getTextAnswers = (question) => [...new Set([question?.correctAnswer, ...(question?.sampleAnswers || [])]
+  ?.map(answer => String(answer ?? '').trim())
+  ?.filter(Boolean))];
+
+const getCorrectOptionIds = (question) => (question?.type === 'multi_select'
+  ? question?.correctOptionIds || []
+  : [question?.correctAnswer]);
+
+// Weights Moodle accepts are 100/n rounded to five decimals
+const formatGiftWeight = (weight) => String(Number(weight.toFixed(5)));
+
+const setScore = (expression) =>
+  `    <setOutcomeValue identifier="SCORE">${expression}</setOutcomeValue>`;
+
+const scoreIfCorrect = (condition) => `    <responseCondition>
+      <responseIf>
+        ${condition}
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>`;
+
+const MATCH_CORRECT = '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>';
+
+const textMapping = (answers) => `<mapping defaultValue="0" upperBound="1">
+${answers.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`).join('\n')}
+    </mapping>`;
+
+/**
+ * Question Export Service
+ * Converts questions from the internal schema to formats LMSs can import
+ */
+class QuestionExportService {
+  /**
+   * Checks whether a format can express a question
+   * @param {Object} question - Question
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @returns {string|null} Why the question is left out, or null if it can be exported
+   */
+  getSkipReason(question, format) {
+    if (!EXPORT_FORMATS?.[format]?.types?.includes(question?.type)) {
+      return `${EXPORT_FORMATS?.[format]?.label} has no ${QUESTION_TYPE_LABELS?.[question?.type] || question?.type} questions`;
+    }
+    if (format === 'aiken' && question?.type === 'multiple_choice'
+      && !question?.options?.some(option => option?.id === question?.correctAnswer)) {
+      return 'The correct answer is not one of the options';
+    }
+    if (format === 'gift' && question?.type === 'cloze' && question?.blanks?.length !== 1) {
+      return 'GIFT fill-in-the-blank questions have exactly one blank';
+    }
+    if (format === 'gift' && question?.type === 'matching' && (question?.pairs?.length || 0) < GIFT_MIN_MATCHING_PAIRS) {
+      return `Moodle matching questions need at least ${GIFT_MIN_MATCHING_PAIRS} pairs`;
+    }
+    return null;
+  }
+
+  /**
+   * Exports questions to a file
+   * @param {Array} questions - Questions in the internal schema
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {Object} options - Export options
+   * @param {string} options.title - Title of the quiz, used for the file name and QTI test
+   * @returns {Promise<Object>} { blob, fileName, exported, skipped } where skipped entries are { number, type, reason }
+   */
+  async exportQuestions(questions, format, { title = 'Questions' } = {}) {
+    try {
+      const numbered = (questions || [])?.map((question, index) => ({ ...question, number: index + 1 }));
+      const skipped = numbered
+        ?.map(question => ({ number: question?.number, type: question?.type, reason: this.getSkipReason(question, format) }))
+        ?.filter(entry => entry?.reason);
+      const exportable = numbered?.filter(question => !this.getSkipReason(question, format));
+
+      let blob;
+      switch (format) {
+        case 'qti':
+          blob = await this.toQtiPackage(exportable, title);
+          break;
+        case 'gift':
+          blob = new Blob([this.toGift(exportable, title)], { type: 'text/plain;charset=utf-8' });
+          break;
+        case 'aiken':
+          blob = new Blob([this.toAiken(exportable)], { type: 'text/plain;charset=utf-8' });
+          break;
+        default:
+          throw new Error(`Unknown export format: ${format}`);
+      }
+
+      return {
+        blob,
+        fileName: `${toFileSlug(title)}-${format}.${EXPORT_FORMATS[format].extension}`,
+        exported: exportable?.length,
+        skipped
+      };
+    } catch (error) {
+      console.error('Error exporting questions:', error);
+      throw new Error('Failed to export questions');
+    }
+  }
+
+  /**
+   * Saves an export through the browser's download
+   * @param {Object} exportResult - Result of exportQuestions
+   */
+  download({ blob, fileName }) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Writes questions as Moodle GIFT, one category per concept. Option explanations become answer
+   * feedback and the question explanation general feedback; GIFT has no difficulty field, so it
+   * is kept in a comment above each question.
+   * @param {Array} questions - Exportable questions
+   * @param {string} title - Quiz title, the parent category
+   * @returns {string} GIFT text
+   */
+  toGift(questions, title) {
+    const categoryPath = (name) => [title, name]?.filter(Boolean)?.map(part => toSingleLine(part).replace(/\//g, '-'))?.join('/');
+    let currentConcept;
+
+    return (questions || [])?.map(question => {
+      const lines = [];
+      if (question?.conceptName !== currentConcept) {
+        currentConcept = question?.conceptName;
+        lines.push(`$CATEGORY: $course$/${categoryPath(currentConcept)}`, '');
+      }
+      if (question?.difficulty) lines.push(`// difficulty: ${toSingleLine(question.difficulty)}`);
+      if (question?.learningObjective) lines.push(`// objective: ${toSingleLine(question.learningObjective)}`);
+
+      const name = `::${escapeGift(`Q${question?.number}${question?.conceptName ? ` ${question.conceptName}` : ''}`)}::`;
+      const stem = escapeGift(getStem(question));
+      const generalFeedback = question?.explanation ? `####${escapeGift(question.explanation)}` : '';
+      const withFeedback = (text, feedback) => `${escapeGift(text)}${feedback ? `#${escapeGift(feedback)}` : ''}`;
+      const correctIds = getCorrectOptionIds(question);
+      const closeAnswers = () => lines.push(...(generalFeedback ? [`  ${generalFeedback}`] : []), '}');
+
+      switch (question?.type) {
+        case 'multiple_choice':
+          lines.push(`${name}${stem} {`);
+          question?.options?.forEach(option => {
+            lines.push(`  ${correctIds.includes(option?.id) ? '=' : '~'}${withFeedback(option?.text, option?.explanation)}`);
+          });
+          closeAnswers();
+          break;
+        case 'multi_select': {
+          // Mirrors the internal scoring: each wrong choice takes back one correct choice's credit
+          const weight = formatGiftWeight(100 / Math.max(correctIds.length, 1));
+          lines.push(`${name}${stem} {`);
+          question?.options?.forEach(option => {
+            const optionWeight = correctIds.includes(option?.id) ? weight : `-${weight}`;
+            lines.push(`  ~%${optionWeight}%${withFeedback(option?.text, option?.explanation)}`);
+          });
+          closeAnswers();
+          break;
+        }
+        case 'true_false':
+          lines.push(`${name}${stem} {${question?.correctAnswer === 'true' ? 'TRUE' : 'FALSE'}${generalFeedback}}`);
+          break;
+        case 'short_answer':
+          lines.push(`${name}${stem} {${getTextAnswers(question)?.map(answer => `=${escapeGift(answer)}`)?.join(' ')}${generalFeedback}}`);
+          break;
+        case 'matching':
+          lines.push(`${name}${stem} {`);
+          question?.pairs?.forEach(pair => {
+            lines.push(`  =${escapeGift(pair?.term)} -> ${escapeGift(pair?.match)}`);
+          });
+          closeAnswers();
+          break;
+        case 'cloze': {
+          const [before, ...after] = String(question?.clozeText || '').split(CLOZE_BLANK);
+          const answers = question?.blanks?.[0]?.acceptedAnswers?.map(answer => `=${escapeGift(answer)}`)?.join(' ');
+          lines.push(`${name}${escapeGift(before)} {${answers}${generalFeedback}} ${escapeGift(after.join(CLOZE_BLANK))}`.trimEnd());
+          break;
+        }
+        case 'numeric': {
+          const unit = question?.unit ? ` (${escapeGift(question.unit)})` : '';
+          const tolerance = Number(question?.tolerance) > 0 ? `:${Math.abs(Number(question.tolerance))}` : '';
+          lines.push(`${name}${stem}${unit} {#${parseNumber(question?.numericAnswer)}${tolerance}${generalFeedback}}`);
+          break;
+        }
+        default:
+          break;
+      }
+
+      return lines.join('\n');
+    })?.join('\n\n') + '\n';
+  }
+
+  /**
+   * Writes questions as Aiken: the stem, lettered options and the answer letter. Aiken has no
+   * feedback or difficulty, so only the question and its options are kept.
+   * @param {Array} questions - Exportable questions
+   * @returns {string} Aiken text
+   */
+  toAiken(questions) {
+    return (questions || [])?.map(question => {
+      const options = question?.type === 'true_false'
+        ? [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }]
+        : question?.options || [];
+      const answerIndex = options.findIndex(option => option?.id === question?.correctAnswer);
+
+      return [
+        toSingleLine(getStem(question)),
+        ...options.map((option, index) => `${AIKEN_LETTERS[index]}. ${toSingleLine(option?.text)}`),
+        `ANSWER: ${AIKEN_LETTERS[answerIndex]}`
+      ].join('\n');
+    })?.join('\n\n') + '\n';
+  }
+
+  /**
+   * Builds an IMS QTI 2.1 content package: one item per question, an assessment test listing
+   * them in order, and a manifest carrying each item's difficulty as LOM metadata
+   * @param {Array} questions - Exportable questions
+   * @param {string} title - Test title
+   * @returns {Promise<Blob>} Zip package
+   */
+  async toQtiPackage(questions, title) {
+    const zip = new JSZip();
+    const items = (questions || [])?.map(question => ({
+      question,
+      identifier: `item_${question?.number}`,
+      href: `items/item_${question?.number}.xml`
+    }));
+
+    items.forEach(({ question, identifier, href }) => {
+      zip.file(href, this.toQtiItem(question, identifier));
+    });
+    zip.file('assessment.xml', this.toQtiTest(items, title));
+    zip.file('imsmanifest.xml', this.toQtiManifest(items, title));
+
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+  }
+
+  /**
+   * Writes one QTI 2.1 assessment item. Scoring follows the internal rules where QTI can express
+   * them: partial credit for multi-select, matching and cloze, and an absolute tolerance for
+   * numeric answers. Option explanations are inline feedback on the chosen option, and the
+   * question explanation is modal feedback shown after responding.
+   * @param {Object} question - Question
+   * @param {string} identifier - Item identifier
+   * @returns {string} Item XML
+   */
+  toQtiItem(question, identifier) {
+    const correctIds = getCorrectOptionIds(question);
+    const responseDeclarations = [];
+    const scoreRules = [];
+    let interaction = '';
+    let hasOptionFeedback = false;
+
+    const prompt = question?.type === 'cloze' ? '' : `<prompt>${escapeXml(question?.question)}</prompt>`;
+    const context = question?.context ? `    <p>${escapeXml(question.context)}</p>\n` : '';
+
+    const simpleChoice = (choiceId, text, explanation) => {
+      hasOptionFeedback = hasOptionFeedback || !!explanation;
+      const feedback = explanation
+        ? `<feedbackInline outcomeIdentifier="FEEDBACK" identifier="${choiceId}" showHide="show"> ${escapeXml(explanation)}</feedbackInline>`
+        : '';
+      return `      <simpleChoice identifier="${choiceId}">${escapeXml(text)}${feedback}</simpleChoice>`;
+    };
+
+    switch (question?.type) {
+      case 'multiple_choice':
+      case 'true_false':
+      case 'multi_select': {
+        const isMultiple = question?.type === 'multi_select';
+        const options = question?.type === 'true_false'
+          ? [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }]
+          : question?.options || [];
+        const correctChoices = correctIds.map(id => toIdentifier('choice', id));
+        const weight = 1 / Math.max(correctIds.length, 1);
+
+        responseDeclarations.push(`  <responseDeclaration identifier="RESPONSE" cardinality="${isMultiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>
+${correctChoices.map(id => `      <value>${id}</value>`).join('\n')}
+    </correctResponse>${isMultiple ? `
+    <mapping defaultValue="0" lowerBound="0" upperBound="1">
+${options.map(option => `      <mapEntry mapKey="${toIdentifier('choice', option?.id)}" mappedValue="${correctIds.includes(option?.id) ? weight : -weight}"/>`).join('\n')}
+    </mapping>` : ''}
+  </responseDeclaration>`);
+        scoreRules.push(isMultiple ? setScore('<mapResponse identifier="RESPONSE"/>') : scoreIfCorrect(MATCH_CORRECT));
+        interaction = `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${isMultiple ? 0 : 1}">
+      ${prompt}
+${options.map(option => simpleChoice(toIdentifier('choice', option?.id), option?.text, option?.explanation)).join('\n')}
+    </choiceInteraction>`;
+        break;
+      }
+      case 'ordering':
+        responseDeclarations.push(`  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+${question?.sequence?.map(item => `      <value>${toIdentifier('item', item?.id)}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`);
+        scoreRules.push(scoreIfCorrect(MATCH_CORRECT));
+        interaction = `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${prompt}
+${question?.sequence?.map(item => simpleChoice(toIdentifier('item', item?.id), item?.text)).join('\n')}
+    </orderInteraction>`;
+        break;
+      case 'matching': {
+        const pairs = question?.pairs || [];
+        const weight = 1 / Math.max(pairs.length, 1);
+        const pairKey = (pair) => `${toIdentifier('term', pair?.id)} ${toIdentifier('match', pair?.id)}`;
+
+        responseDeclarations.push(`  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${pairs.map(pair => `      <value>${pairKey(pair)}</value>`).join('\n')}
+    </correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="1">
+${pairs.map(pair => `      <mapEntry mapKey="${pairKey(pair)}" mappedValue="${weight}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`);
+        scoreRules.push(setScore('<mapResponse identifier="RESPONSE"/>'));
+        interaction = `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      ${prompt}
+      <simpleMatchSet>
+${pairs.map(pair => `        <simpleAssociableChoice identifier="${toIdentifier('term', pair?.id)}" matchMax="1">${escapeXml(pair?.term)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${pairs.map(pair => `        <simpleAssociableChoice identifier="${toIdentifier('match', pair?.id)}" matchMax="1">${escapeXml(pair?.match)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+    </matchInteraction>`;
+        break;
+      }
+      case 'short_answer': {
+        const answers = getTextAnswers(question);
+        responseDeclarations.push(`  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(answers[0])}</value></correctResponse>
+    ${textMapping(answers)}
+  </responseDeclaration>`);
+        scoreRules.push(setScore('<mapResponse identifier="RESPONSE"/>'));
+        interaction = `    <p>${escapeXml(question?.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="40"/></p>`;
+        break;
+      }
+      case 'cloze': {
+        const blanks = question?.blanks || [];
+        const segments = String(question?.clozeText || '').split(CLOZE_BLANK);
+
+        blanks.forEach((blank, index) => {
+          const answers = blank?.acceptedAnswers || [];
+          responseDeclarations.push(`  <responseDeclaration identifier="RESPONSE_${index + 1}" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(answers[0])}</value></correctResponse>
+    ${textMapping(answers)}
+  </responseDeclaration>`);
+        });
+        scoreRules.push(setScore(`<divide>
+      <sum>${blanks.map((blank, index) => `<mapResponse identifier="RESPONSE_${index + 1}"/>`).join('')}</sum>
+      <baseValue baseType="float">${Math.max(blanks.length, 1)}</baseValue>
+    </divide>`));
+        interaction = `    ${question?.question ? `<p>${escapeXml(question.question)}</p>\n    ` : ''}<p>${segments.map((segment, index) => (
+          `${escapeXml(segment)}${index < blanks.length && index < segments.length - 1
+            ? `<textEntryInteraction responseIdentifier="RESPONSE_${index + 1}" expectedLength="15"/>`
+            : ''}`
+        )).join('')}</p>`;
+        break;
+      }
+      case 'numeric': {
+        const tolerance = Math.abs(Number(question?.tolerance) || 0);
+        responseDeclarations.push(`  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${parseNumber(question?.numericAnswer)}</value></correctResponse>
+  </responseDeclaration>`);
+        scoreRules.push(scoreIfCorrect(
+          `<equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`
+        ));
+        interaction = `    <p>${escapeXml(question?.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>${question?.unit ? ` ${escapeXml(question.unit)}` : ''}</p>`;
+        break;
+      }
+      default:
+        break;
+    }
+
+    // FEEDBACK holds the chosen options (for their inline feedback) and EXPLANATION once responded
+    const feedbackValues = [
+      hasOptionFeedback ? '<variable identifier="RESPONSE"/>' : '',
+      question?.explanation ? '<baseValue baseType="identifier">EXPLANATION</baseValue>' : ''
+    ].filter(Boolean);
+    if (feedbackValues.length) {
+      scoreRules.push(`    <setOutcomeValue identifier="FEEDBACK"><multiple>${feedbackValues.join('')}</multiple></setOutcomeValue>`);
+    }
+
+    const title = `Q${question?.number}${question?.conceptName ? ` ${question.conceptName}` : ''}`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+  identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+${responseDeclarations.join('\n')}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>1</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="multiple" baseType="identifier"/>
+  <itemBody>
+${context}${interaction}
+  </itemBody>
+  <responseProcessing>
+${scoreRules.join('\n')}
+  </responseProcessing>${question?.explanation ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>` : ''}
+</assessmentItem>
+`;
+  }
+
+  /**
+   * Writes the QTI 2.1 assessment test that presents the items in order
+   * @param {Array} items - { identifier, href } of each item
+   * @param {string} title - Test title
+   * @returns {string} Test XML
+   */
+  toQtiTest(items, title) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+  identifier="assessment" title="${escapeXml(title)}">
+  <testPart identifier="part_1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section_1" title="${escapeXml(title)}" visible="true">
+${items.map(({ identifier, href }) => `      <assessmentItemRef identifier="${identifier}" href="${href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+  }
+
+  /**
+   * Writes the IMS content package manifest, with each item's difficulty as LOM metadata
+   * @param {Array} items - { question, identifier, href } of each item
+   * @param {string} title - Package title
+   * @returns {string} Manifest XML
+   */
+  toQtiManifest(items, title) {
+    const itemResource = ({ question, identifier, href }) => {
+      const difficulty = LOM_DIFFICULTY?.[question?.difficulty?.toLowerCase()];
+      const metadata = difficulty ? `
+      <metadata>
+        <imsmd:lom>
+          <imsmd:educational>
+            <imsmd:difficulty>
+              <imsmd:source>LOMv1.0</imsmd:source>
+              <imsmd:value>${difficulty}</imsmd:value>
+            </imsmd:difficulty>
+          </imsmd:educational>
+        </imsmd:lom>
+      </metadata>` : '';
+
+      return `    <resource identifier="res_${identifier}" type="imsqti_item_xmlv2p1" href="${href}">${metadata}
+      <file href="${href}"/>
+    </resource>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd http://ltsc.ieee.org/xsd/LOM http://www.imsglobal.org/xsd/imsmd_loose_v1p3p2.xsd"
+  identifier="manifest_${toFileSlug(title)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="res_assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${items.map(({ identifier }) => `      <dependency identifierref="res_${identifier}"/>`).join('\n')}
+    </resource>
+${items.map(itemResource).join('\n')}
+  </resources>
+</manifest>
+`;
+  }
+}
+
+export default new QuestionExportService();
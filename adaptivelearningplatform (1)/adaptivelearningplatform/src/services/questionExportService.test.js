@@ -0,0 +1,160 @@
+import { describe, expect, it } from 'vitest';
+import JSZip from 'jszip';
+import questionExportService from './questionExportService';
+import { CLOZE_BLANK } from './questionScoringService';
+
+const multipleChoice = {
+  number: 1,
+  type: 'multiple_choice',
+  conceptName: 'Cells',
+  difficulty: 'easy',
+  question: 'Which organelle makes ATP?',
+  options: [
+    { id: 'a', text: 'Mitochondrion', explanation: 'It runs cellular respiration.' },
+    { id: 'b', text: 'Ribosome' }
+  ],
+  correctAnswer: 'a',
+  explanation: 'ATP comes from respiration.'
+};
+
+describe('questionExportService.getSkipReason', () => {
+  it('leaves out types a format cannot express', () => {
+    expect(questionExportService.getSkipReason({ type: 'ordering' }, 'gift')).toBe('Moodle GIFT has no Ordering questions');
+    expect(questionExportService.getSkipReason({ type: 'numeric' }, 'aiken')).toBe('Aiken has no Numeric questions');
+    expect(questionExportService.getSkipReason({ type: 'ordering' }, 'qti')).toBeNull();
+  });
+
+  it('leaves out questions the target LMS would reject', () => {
+    expect(questionExportService.getSkipReason({ ...multipleChoice, correctAnswer: 'z' }, 'aiken'))
+      .toBe('The correct answer is not one of the options');
+    expect(questionExportService.getSkipReason({ type: 'cloze', blanks: [{}, {}] }, 'gift'))
+      .toBe('GIFT fill-in-the-blank questions have exactly one blank');
+    expect(questionExportService.getSkipReason({ type: 'matching', pairs: [{}, {}] }, 'gift'))
+      .toBe('Moodle matching questions need at least 3 pairs');
+  });
+});
+
+describe('questionExportService.toGift', () => {
+  it('writes a category per concept, answer feedback and general feedback', () => {
+    expect(questionExportService.toGift([multipleChoice], 'Biology 101')).toBe([
+      '$CATEGORY: $course$/Biology 101/Cells',
+      '',
+      '// difficulty: easy',
+      '::Q1 Cells::Which organelle makes ATP? {',
+      '  =Mitochondrion#It runs cellular respiration.',
+      '  ~Ribosome',
+      '  ####ATP comes from respiration.',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes GIFT control characters and keeps each question on one line', () => {
+    const question = { number: 2, type: 'true_false', question: 'Is {x: 1} valid\nJSON?', correctAnswer: 'false' };
+
+    expect(questionExportService.toGift([question], '')).toContain('::Q2::Is \\{x\\: 1\\} valid JSON? {FALSE}');
+  });
+
+  it('weighs multi-select options like the internal scoring', () => {
+    const question = {
+      number: 3,
+      type: 'multi_select',
+      question: 'Which are organelles?',
+      options: [{ id: 'a', text: 'Nucleus' }, { id: 'b', text: 'Ribosome' }, { id: 'c', text: 'Lobe' }, { id: 'd', text: 'Vacuole' }],
+      correctOptionIds: ['a', 'b', 'd']
+    };
+
+    expect(questionExportService.toGift([question], '')).toContain([
+      '  ~%33.33333%Nucleus',
+      '  ~%33.33333%Ribosome',
+      '  ~%-33.33333%Lobe',
+      '  ~%33.33333%Vacuole'
+    ].join('\n'));
+  });
+
+  it('writes numeric tolerances, short answer alternatives and the cloze blank in place', () => {
+    const gift = questionExportService.toGift([
+      { number: 1, type: 'numeric', question: 'g at sea level?', unit: 'm/s²', numericAnswer: '9,81', tolerance: 0.05 },
+      { number: 2, type: 'short_answer', question: 'Cell powerhouse?', correctAnswer: 'Mitochondria', sampleAnswers: ['mitochondrion', 'Mitochondria'] },
+      { number: 3, type: 'cloze', clozeText: `ATP is made in the ${CLOZE_BLANK}.`, blanks: [{ acceptedAnswers: ['mitochondria', 'mitochondrion'] }] }
+    ], '');
+
+    expect(gift).toContain('::Q1::g at sea level? (m/s²) {#9.81:0.05}');
+    expect(gift).toContain('::Q2::Cell powerhouse? {=Mitochondria =mitochondrion}');
+    expect(gift).toContain('::Q3::ATP is made in the {=mitochondria =mitochondrion} .');
+  });
+});
+
+describe('questionExportService.toAiken', () => {
+  it('writes lettered options and the answer letter', () => {
+    const trueFalse = { type: 'true_false', context: 'Cells divide.', question: 'Mitosis\nmakes two cells.', correctAnswer: 'true' };
+
+    expect(questionExportService.toAiken([multipleChoice, trueFalse])).toBe([
+      'Which organelle makes ATP?',
+      'A. Mitochondrion',
+      'B. Ribosome',
+      'ANSWER: A',
+      '',
+      'Cells divide. Mitosis makes two cells.',
+      'A. True',
+      'B. False',
+      'ANSWER: A',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('questionExportService.toQtiItem', () => {
+  it('declares the correct choice, inline option feedback and the explanation', () => {
+    const xml = questionExportService.toQtiItem({ ...multipleChoice, question: 'Which makes ATP & why?' }, 'item_1');
+
+    expect(xml).toContain('identifier="item_1" title="Q1 Cells"');
+    expect(xml).toContain('<value>choice_a</value>');
+    expect(xml).toContain('<prompt>Which makes ATP &amp; why?</prompt>');
+    expect(xml).toContain('<feedbackInline outcomeIdentifier="FEEDBACK" identifier="choice_a" showHide="show"> It runs cellular respiration.</feedbackInline>');
+    expect(xml).toContain('<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">ATP comes from respiration.</modalFeedback>');
+  });
+
+  it('gives partial credit for matching and an absolute tolerance for numeric answers', () => {
+    const matching = questionExportService.toQtiItem({
+      number: 2,
+      type: 'matching',
+      question: 'Match the organelles',
+      pairs: [{ id: 'p1', term: 'Nucleus', match: 'DNA' }, { id: 'p2', term: 'Ribosome', match: 'Protein' }]
+    }, 'item_2');
+    const numeric = questionExportService.toQtiItem({ number: 3, type: 'numeric', question: 'g?', numericAnswer: '9.81', tolerance: -0.05 }, 'item_3');
+
+    expect(matching).toContain('<mapEntry mapKey="term_p1 match_p1" mappedValue="0.5"/>');
+    expect(matching).toContain('<mapResponse identifier="RESPONSE"/>');
+    expect(numeric).toContain('<correctResponse><value>9.81</value></correctResponse>');
+    expect(numeric).toContain('<equal toleranceMode="absolute" tolerance="0.05 0.05">');
+  });
+});
+
+describe('questionExportService.exportQuestions', () => {
+  it('packages QTI items with a test and a manifest carrying difficulty', async () => {
+    const result = await questionExportService.exportQuestions([
+      multipleChoice,
+      { type: 'ordering', question: 'Order mitosis', sequence: [{ id: 's1', text: 'Prophase' }, { id: 's2', text: 'Metaphase' }] }
+    ], 'qti', { title: 'Biology 101: Cells' });
+
+    const zip = await JSZip.loadAsync(await result.blob.arrayBuffer());
+    const manifest = await zip.file('imsmanifest.xml').async('string');
+
+    expect(result).toMatchObject({ fileName: 'biology-101-cells-qti.zip', exported: 2, skipped: [] });
+    expect(Object.keys(zip.files).sort()).toEqual(['assessment.xml', 'imsmanifest.xml', 'items/', 'items/item_1.xml', 'items/item_2.xml']);
+    expect(await zip.file('assessment.xml').async('string')).toContain('<assessmentItemRef identifier="item_2" href="items/item_2.xml"/>');
+    expect(manifest).toContain('<imsmd:value>easy</imsmd:value>');
+  });
+
+  it('reports the questions it leaves out by their number', async () => {
+    const result = await questionExportService.exportQuestions([
+      multipleChoice,
+      { type: 'short_answer', question: 'Why?', correctAnswer: 'Because' }
+    ], 'aiken');
+
+    expect(result.exported).toBe(1);
+    expect(result.skipped).toEqual([{ number: 2, type: 'short_answer', reason: 'Aiken has no Short answer questions' }]);
+    expect(await result.blob.text()).toContain('ANSWER: A');
+  });
+});
@@ -1,4 +1,33 @@
-import openai from './openaiClient';
+import llmGateway from './llmGateway';
+import questionScoringService, { normalizeAnswer } from './questionScoringService';
+import retrievalService from './retrievalService';
+import questionQualityService from './questionQualityService';
+
+/**
+ * Score (0-100) at or above which a graded answer counts as correct
+ */
+export const CORRECT_SCORE_THRESHOLD = 70;
+
+/**
+ * Share of an answer's credit lost for each hint revealed, and the most hints can take away
+ */
+export const HINT_PENALTY = 0.15;
+export const MAX_HINT_PENALTY = 0.6;
+
+/**
+ * Passages of the learner's material quoted when generating questions and when grading an answer
+ */
+const GENERATION_PASSAGE_LIMIT = 4;
+const EVALUATION_PASSAGE_LIMIT = 2;
+
+/**
+ * Builds a question id that stays unique across generation requests for the same concept
+ * @param {string} conceptId - Concept the question tests
+ * @param {number} index - Position of the question in its batch
+ * @returns {string} Question id
+ */
+const createQuestionId = (conceptId, index) =>
+  `${conceptId || 'question'}_q${index + 1}_${Date.now()?.toString(36)}${Math.random()?.toString(36)?.slice(2, 6)}`;
 
 /**
  * Question Generation Service
@@ -7,8 +36,14 @@ import openai from './openaiClient';
 class QuestionGenerationService {
   /**
    * Generates questions for a specific concept
+   * With a documentId, questions are grounded in passages of the uploaded material, and each one cites
+   * the passages it came from in `sources` as { passageId, fileName, anchor, page, excerpt }.
+   * Every question passes questionQualityService's checks; ones that fail are regenerated once and
+   * dropped if they fail again, so fewer than questionCount questions may come back.
    * @param {Object} concept - Concept to generate questions for
    * @param {Object} options - Generation options
+   * @param {string} options.documentId - Course whose material the questions are drawn from
+   * @param {Array} options.existingQuestions - Questions already asked or banked, which new ones must not repeat
    * @returns {Promise<Array>} Generated questions
    */
   async generateQuestionsForConcept(concept, options = {}) {
@@ -16,94 +51,48 @@ class QuestionGenerationService {
       questionCount = 5,
       questionTypes = ['multiple_choice', 'true_false', 'short_answer'],
       difficultyLevel = concept?.difficulty,
-      includeExplanations = true
+      includeExplanations = true,
+      documentId,
+      existingQuestions = []
     } = options;
 
     try {
-      const response = await openai?.chat?.completions?.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an expert educational question generator. Create adaptive assessment questions that test understanding and identify knowledge gaps.`
-          },
-          {
-            role: 'user',
-            content: `Generate ${questionCount} educational questions for this concept:
+      const passages = documentId
+        ? await retrievalService?.retrieveForConcept(documentId, concept, { limit: GENERATION_PASSAGE_LIMIT })
+        : [];
+      const request = { questionTypes, difficultyLevel, passages };
 
-Concept: ${concept?.name}
-Description: ${concept?.description}
-Difficulty: ${difficultyLevel}
-Key Principles: ${concept?.keyPrinciples?.join(', ') || 'N/A'}
-Examples: ${concept?.examples?.join(', ') || 'N/A'}
-Common Misconceptions: ${concept?.misconceptions?.join(', ') || 'N/A'}
+      // Questions that fail the quality checks are asked for again once, then dropped
+      const generated = await this.requestQuestions(concept, { ...request, questionCount });
+      let { passed, flagged } = questionQualityService?.reviewQuestions(generated, existingQuestions);
 
-Question Types to Include: ${questionTypes?.join(', ')}
+      if (flagged?.length) {
+        const replacements = await this.requestQuestions(concept, {
+          ...request,
+          questionCount: flagged.length,
+          qualityIssues: questionQualityService?.getIssueCodes(flagged),
+          avoidQuestions: [...existingQuestions, ...passed]
+        }).catch(error => {
+          console.error('Error regenerating flagged questions:', error);
+          return [];
+        });
+        const review = questionQualityService?.reviewQuestions(replacements, [...existingQuestions, ...passed]);
+        passed = [...passed, ...review.passed];
+        flagged = review.flagged;
+      }
 
-For each question:
-1. Create clear, unambiguous questions
-2. Include context when needed
-3. For multiple choice: 4 options with explanations
-4. For true/false: Include reasoning
-5. For short answer: Provide sample correct answers
-6. Include difficulty rating
-7. Map to specific learning objectives`
-          }
-        ],
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'questions_generation_response',
-            schema: {
-              type: 'object',
-              properties: {
-                questions: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      id: { type: 'string' },
-                      type: { type: 'string' },
-                      difficulty: { type: 'string' },
-                      question: { type: 'string' },
-                      context: { type: 'string' },
-                      options: {
-                        type: 'array',
-                        items: {
-                          type: 'object',
-                          properties: {
-                            id: { type: 'string' },
-                            text: { type: 'string' },
-                            explanation: { type: 'string' }
-                          },
-                          required: ['id', 'text'],
-                          additionalProperties: false
-                        }
-                      },
-                      correctAnswer: { type: 'string' },
-                      sampleAnswers: { type: 'array', items: { type: 'string' } },
-                      explanation: { type: 'string' },
-                      learningObjective: { type: 'string' },
-                      bloomsLevel: { type: 'string' },
-                      estimatedTime: { type: 'string' }
-                    },
-                    required: ['id', 'type', 'difficulty', 'question', 'correctAnswer'],
-                    additionalProperties: false
-                  }
-                }
-              },
-              required: ['questions'],
-              additionalProperties: false
-            }
-          }
-        }
-      });
+      if (flagged?.length) {
+        console.warn(`Dropped ${flagged.length} generated question(s) for ${concept?.name} that failed quality checks:`,
+          flagged.map(({ question, issues }) => ({ question: question?.question, issues })));
+      }
 
-      const generationResult = JSON.parse(response?.choices?.[0]?.message?.content);
-      
-      return generationResult?.questions?.map((question, index) => ({
+      return passed?.map(({ sourceIds, ...question }, index) => ({
         ...question,
-        id: question?.id || `${concept?.id}_q${index + 1}`,
+        sources: retrievalService?.resolveCitations(passages, sourceIds, {
+          fallbackText: [question?.question, question?.context, question?.explanation]?.filter(Boolean)?.join(' ')
+        }),
+        // Models reuse ids such as "q1" across requests, so the model's id is never kept
+        id: createQuestionId(concept?.id, index),
         conceptId: concept?.id,
         conceptName: concept?.name,
         number: index + 1,
@@ -122,13 +111,41 @@ For each question:
     }
   }
 
+  /**
+   * Asks the model for questions on a concept, without checking them
+   * @param {Object} concept - Concept to generate questions for
+   * @param {Object} request - { questionCount, questionTypes, difficultyLevel, passages, qualityIssues, avoidQuestions }
+   * @returns {Promise<Array>} Questions as the model returned them, with sourceIds still unresolved
+   */
+  async requestQuestions(concept, { questionCount, questionTypes, difficultyLevel, passages = [], qualityIssues = [], avoidQuestions = [] }) {
+    const response = await llmGateway?.runTask('questions', {
+      concept: {
+        name: concept?.name,
+        description: concept?.description,
+        keyPrinciples: concept?.keyPrinciples,
+        examples: concept?.examples,
+        misconceptions: concept?.misconceptions
+      },
+      questionCount,
+      questionTypes,
+      difficultyLevel,
+      sourceMaterial: passages?.length ? retrievalService?.formatForPrompt(passages) : '',
+      qualityIssues,
+      avoidQuestions: avoidQuestions?.map(question => question?.question || question?.clozeText)
+    });
+
+    return JSON.parse(response?.choices?.[0]?.message?.content)?.questions || [];
+  }
+
   /**
    * Generates adaptive questions based on user performance
    * @param {Array} concepts - Available concepts
    * @param {Object} userPerformance - User's performance data
+   * @param {Object} options - Generation options
+   * @param {string} options.documentId - Course whose material the questions are drawn from
    * @returns {Promise<Array>} Adaptive question set
    */
-  async generateAdaptiveQuestions(concepts, userPerformance = {}) {
+  async generateAdaptiveQuestions(concepts, userPerformance = {}, { documentId } = {}) {
     try {
       // Identify weak areas from performance
       const weakConcepts = this.identifyWeakAreas(concepts, userPerformance);
@@ -142,7 +159,8 @@ For each question:
         questionPromises?.push(
           this.generateQuestionsForConcept(concept, {
             questionCount: 3,
-            difficultyLevel: this.adjustDifficultyForPerformance(concept, userPerformance)
+            difficultyLevel: this.adjustDifficultyForPerformance(concept, userPerformance),
+            documentId
           })
         );
       }
@@ -153,7 +171,8 @@ For each question:
           questionPromises?.push(
             this.generateQuestionsForConcept(concept, {
               questionCount: 2,
-              questionTypes: ['multiple_choice', 'short_answer']
+              questionTypes: ['multiple_choice', 'short_answer'],
+              documentId
             })
           );
         }
@@ -164,13 +183,15 @@ For each question:
         questionPromises?.push(
           this.generateQuestionsForConcept(strongConcepts?.[0], {
             questionCount: 1,
-            difficultyLevel: 'Advanced'
+            difficultyLevel: 'Advanced',
+            documentId
           })
         );
       }
 
       const questionSets = await Promise.all(questionPromises);
-      const allQuestions = questionSets?.flat();
+      // Concepts are generated for in parallel, so repeats across concepts are only caught here
+      const allQuestions = questionQualityService?.dropDuplicateQuestions(questionSets?.flat());
       
       // Shuffle and return
       return this.shuffleQuestions(allQuestions);
@@ -184,66 +205,43 @@ For each question:
    * Evaluates user's answer and provides feedback
    * @param {Object} question - The question object
    * @param {string} userAnswer - User's answer
-   * @returns {Promise<Object>} Evaluation result with feedback
+   * @param {Object} options - Evaluation options
+   * @param {number} options.timeTaken - Seconds the learner spent on the question
+   * @param {string} options.documentId - Course to search for material when the question cites none
+   * @returns {Promise<Object>} Evaluation result with feedback and the cited `sources`
    */
-  async evaluateAnswer(question, userAnswer) {
+  async evaluateAnswer(question, userAnswer, { timeTaken = 0, documentId } = {}) {
     try {
-      const response = await openai?.chat?.completions?.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an expert educational evaluator. Assess the user's answer and provide constructive feedback.`
-          },
-          {
-            role: 'user',
-            content: `Evaluate this answer:
-
-Question: ${question?.question}
-Question Type: ${question?.type}
-Correct Answer: ${question?.correctAnswer}
-User Answer: ${userAnswer}
-Context: ${question?.context || 'N/A'}
+      const passages = question?.sources?.length
+        ? question.sources
+        : documentId
+          ? await retrievalService?.retrieve(documentId, `${question?.question} ${question?.correctAnswer}`, { limit: EVALUATION_PASSAGE_LIMIT })
+          : [];
 
-Provide:
-1. Whether the answer is correct
-2. Score (0-100)
-3. Detailed feedback
-4. Areas for improvement
-5. Hints for better understanding`
-          }
-        ],
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'answer_evaluation_response',
-            schema: {
-              type: 'object',
-              properties: {
-                isCorrect: { type: 'boolean' },
-                score: { type: 'number' },
-                feedback: { type: 'string' },
-                explanation: { type: 'string' },
-                areasForImprovement: { type: 'array', items: { type: 'string' } },
-                hints: { type: 'array', items: { type: 'string' } },
-                nextSteps: { type: 'string' }
-              },
-              required: ['isCorrect', 'score', 'feedback', 'explanation'],
-              additionalProperties: false
-            }
-          }
-        }
+      const response = await llmGateway?.runTask('evaluate', {
+        question: {
+          question: question?.question,
+          type: question?.type,
+          correctAnswer: question?.correctAnswer,
+          sampleAnswers: question?.sampleAnswers,
+          explanation: question?.explanation,
+          learningObjective: question?.learningObjective,
+          context: question?.context
+        },
+        userAnswer,
+        sourceMaterial: passages?.length ? retrievalService?.formatForPrompt(passages) : ''
       });
 
-      const evaluationResult = JSON.parse(response?.choices?.[0]?.message?.content);
+      const { sourceIds, ...evaluationResult } = JSON.parse(response?.choices?.[0]?.message?.content);
       
       return {
         ...evaluationResult,
+        sources: retrievalService?.resolveCitations(passages, sourceIds),
         questionId: question?.id,
         conceptId: question?.conceptId,
         evaluatedAt: new Date()?.toISOString(),
         userAnswer,
-        timeTaken: 0 // To be updated by calling component
+        timeTaken
       };
     } catch (error) {
       console.error('Error evaluating answer:', error);
@@ -251,6 +249,87 @@ Provide:
     }
   }
 
+  /**
+   * Grades submitted answers, using rubric-based AI evaluation for free-text answers
+   * Every other type is scored by its deterministic rule in questionScoringService. If the evaluation
+   * request fails, free-text answers fall back to matching the correct and sample answers.
+   * @param {Array} questions - Questions in the assessment
+   * @param {Object} answers - Answers keyed by question id
+   * @param {Object} options - Grading options
+   * @param {Object} options.questionTimes - Seconds spent on each question, keyed by question id
+   * @param {string} options.documentId - Course whose material free-text answers are graded against
+   * @returns {Promise<Object>} Grades keyed by question id: { score, isCorrect, feedback, hints, gradedBy, timeTaken, ... }
+   */
+  async gradeResponses(questions, answers, { questionTimes = {}, documentId } = {}) {
+    const answered = questions?.filter(question => questionScoringService?.isAnswered(question, answers?.[question?.id]));
+
+    const grades = await Promise.all(answered?.map(async (question) => {
+      const userAnswer = answers?.[question?.id];
+      const timeTaken = questionTimes?.[question?.id] || 0;
+      const acceptedAnswers = [question?.correctAnswer, ...(question?.sampleAnswers || [])]?.map(normalizeAnswer);
+      const exactMatch = acceptedAnswers?.includes(normalizeAnswer(userAnswer));
+
+      if (questionScoringService?.isDeterministic(question?.type)) {
+        return [question?.id, { ...questionScoringService?.score(question, userAnswer), gradedBy: 'exact', timeTaken }];
+      }
+      if (question?.type === 'fill_blank' && exactMatch) {
+        return [question?.id, { score: 100, isCorrect: true, gradedBy: 'exact', timeTaken }];
+      }
+
+      try {
+        const evaluation = await this.evaluateAnswer(question, userAnswer, { timeTaken, documentId });
+        const score = Math.max(0, Math.min(100, Math.round(Number(evaluation?.score) || 0)));
+
+        return [question?.id, {
+          score,
+          isCorrect: score >= CORRECT_SCORE_THRESHOLD,
+          feedback: evaluation?.feedback,
+          explanation: evaluation?.explanation,
+          areasForImprovement: evaluation?.areasForImprovement || [],
+          hints: evaluation?.hints || [],
+          nextSteps: evaluation?.nextSteps,
+          sources: evaluation?.sources || [],
+          gradedBy: 'ai',
+          timeTaken
+        }];
+      } catch (error) {
+        return [question?.id, {
+          score: exactMatch ? 100 : 0,
+          isCorrect: exactMatch,
+          feedback: 'Automatic feedback is unavailable, so this answer was compared with the expected answer.',
+          explanation: question?.explanation,
+          hints: [],
+          gradedBy: 'fallback',
+          timeTaken
+        }];
+      }
+    }));
+
+    return Object.fromEntries(grades);
+  }
+
+  /**
+   * Discounts grades for answers the learner needed hints for
+   * Each revealed hint removes HINT_PENALTY of the credit, up to MAX_HINT_PENALTY.
+   * @param {Object} grades - Grades keyed by question id
+   * @param {Object} hintUsage - Number of hints revealed, keyed by question id
+   * @returns {Object} Grades with the discounted score, plus rawScore and hintsUsed where hints were used
+   */
+  applyHintPenalty(grades, hintUsage = {}) {
+    return Object.fromEntries(Object.entries(grades || {})?.map(([questionId, grade]) => {
+      const hintsUsed = hintUsage?.[questionId] || 0;
+      if (!hintsUsed) return [questionId, grade];
+
+      const penalty = Math.min(MAX_HINT_PENALTY, hintsUsed * HINT_PENALTY);
+      return [questionId, {
+        ...grade,
+        rawScore: grade?.score,
+        score: Math.round((grade?.score || 0) * (1 - penalty)),
+        hintsUsed
+      }];
+    }));
+  }
+
   /**
    * Identifies weak areas based on user performance
    * @param {Array} concepts - All concepts
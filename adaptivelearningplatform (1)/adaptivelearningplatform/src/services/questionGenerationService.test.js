@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import questionGenerationService, { CORRECT_SCORE_THRESHOLD, HINT_PENALTY, MAX_HINT_PENALTY } from './questionGenerationService';
+import llmGateway from './llmGateway';
+
+const evaluation = (details) => ({
+  choices: [{ message: { content: JSON.stringify({ feedback: 'Covers the base case.', hints: [], sourceIds: [], ...details }) } }]
+});
+
+const shortAnswer = {
+  id: 'q1',
+  conceptId: 'recursion',
+  type: 'short_answer',
+  question: 'Why does a recursive function need a base case?',
+  correctAnswer: 'So the recursion stops',
+  sampleAnswers: ['To stop recursing']
+};
+
+describe('questionGenerationService.gradeResponses', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('gives free-text answers the partial credit of the rubric evaluation', async () => {
+    const runTask = vi.spyOn(llmGateway, 'runTask').mockResolvedValue(evaluation({ score: 64.6 }));
+
+    const grades = await questionGenerationService.gradeResponses([shortAnswer], { q1: 'It prevents infinite calls' }, {
+      questionTimes: { q1: 42 }
+    });
+
+    expect(runTask).toHaveBeenCalledWith('evaluate', expect.objectContaining({ userAnswer: 'It prevents infinite calls' }));
+    expect(grades.q1).toMatchObject({ score: 65, isCorrect: false, gradedBy: 'ai', timeTaken: 42 });
+  });
+
+  it('counts an evaluation at the threshold as correct and clamps out-of-range scores', async () => {
+    vi.spyOn(llmGateway, 'runTask')
+      .mockResolvedValueOnce(evaluation({ score: CORRECT_SCORE_THRESHOLD }))
+      .mockResolvedValueOnce(evaluation({ score: 140 }));
+    const questions = [shortAnswer, { ...shortAnswer, id: 'q2' }];
+
+    const grades = await questionGenerationService.gradeResponses(questions, { q1: 'a', q2: 'b' });
+
+    expect(grades.q1).toMatchObject({ score: CORRECT_SCORE_THRESHOLD, isCorrect: true });
+    expect(grades.q2).toMatchObject({ score: 100, isCorrect: true });
+  });
+
+  it('falls back to matching the accepted answers when the evaluation fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(llmGateway, 'runTask').mockRejectedValue(new Error('offline'));
+    const questions = [shortAnswer, { ...shortAnswer, id: 'q2' }];
+
+    const grades = await questionGenerationService.gradeResponses(questions, { q1: ' to stop recursing. ', q2: 'No idea' });
+
+    expect(grades.q1).toMatchObject({ score: 100, isCorrect: true, gradedBy: 'fallback' });
+    expect(grades.q2).toMatchObject({ score: 0, isCorrect: false, gradedBy: 'fallback' });
+  });
+
+  it('scores closed question types without calling the model and skips unanswered ones', async () => {
+    const runTask = vi.spyOn(llmGateway, 'runTask');
+    const questions = [
+      { id: 'mc', type: 'multiple_choice', options: ['A stack', 'A queue'], correctAnswer: 'A stack' },
+      shortAnswer
+    ];
+
+    const grades = await questionGenerationService.gradeResponses(questions, { mc: 'A stack', q1: '   ' });
+
+    expect(runTask).not.toHaveBeenCalled();
+    expect(grades).toEqual({ mc: expect.objectContaining({ score: 100, isCorrect: true, gradedBy: 'exact' }) });
+  });
+});
+
+describe('questionGenerationService.applyHintPenalty', () => {
+  it('removes a share of the credit per hint and keeps the raw score', () => {
+    const grades = questionGenerationService.applyHintPenalty(
+      { q1: { score: 100, isCorrect: true }, q2: { score: 80 } },
+      { q1: 2 }
+    );
+
+    expect(grades.q1).toEqual({ score: Math.round(100 * (1 - 2 * HINT_PENALTY)), rawScore: 100, hintsUsed: 2, isCorrect: true });
+    expect(grades.q2).toEqual({ score: 80 });
+  });
+
+  it('never takes more than the maximum penalty', () => {
+    const grades = questionGenerationService.applyHintPenalty({ q1: { score: 100 } }, { q1: 10 });
+
+    expect(grades.q1.score).toBe(Math.round(100 * (1 - MAX_HINT_PENALTY)));
+  });
+});
@@ -0,0 +1,237 @@
+import { CLOZE_BLANK, QUESTION_TYPES, normalizeAnswer, parseNumber } from './questionScoringService';
+import { QUALITY_ISSUES } from './llmTasks/questions';
+
+export { QUALITY_ISSUES };
+
+/**
+ * Similarity (0-1) at or above which two options or two questions count as duplicates
+ */
+export const OPTION_SIMILARITY_THRESHOLD = 0.9;
+export const QUESTION_SIMILARITY_THRESHOLD = 0.85;
+
+const CATCH_ALL_OPTION_PATTERN = /\b(all|none|both|neither) of (the )?(above|these|them)\b|\ball (of )?the (answers|options) (above )?are correct\b/i;
+
+/**
+ * Character bigrams of normalized text, for fuzzy comparison
+ * @param {string} text - Text
+ * @returns {Map} Bigram counts
+ */
+const getBigrams = (text) => {
+  const normalized = normalizeAnswer(text)?.replace(/\s+/g, ' ');
+  const bigrams = new Map();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const bigram = normalized.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+};
+
+/**
+ * Sørensen–Dice similarity of two texts over character bigrams
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} 1 for the same normalized text, 0 for nothing in common
+ */
+export const textSimilarity = (a, b) => {
+  if (normalizeAnswer(a) === normalizeAnswer(b)) return 1;
+
+  const first = getBigrams(a);
+  const second = getBigrams(b);
+  const total = [...first.values(), ...second.values()].reduce((sum, count) => sum + count, 0);
+  if (!total) return 0;
+
+  let shared = 0;
+  first.forEach((count, bigram) => {
+    shared += Math.min(count, second.get(bigram) || 0);
+  });
+  return (2 * shared) / total;
+};
+
+// Whole-word, case-insensitive containment of normalized text
+const containsText = (haystack, needle) => {
+  const text = normalizeAnswer(needle);
+  if (!text) return false;
+
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(normalizeAnswer(haystack));
+};
+
+const getQuestionText = (question) => question?.question || question?.clozeText || '';
+
+/**
+ * Question Quality Service
+ * Checks generated questions for problems that would make them unfair or unscorable before learners see them
+ */
+class QuestionQualityService {
+  /**
+   * Repairs answer shapes that have one unambiguous fix: true/false answers as booleans or in
+   * another case, and choice answers given as the option text instead of its id
+   * @param {Object} question - Generated question
+   * @returns {Object} Question with its answer fields repaired
+   */
+  repairQuestion(question) {
+    const optionIdFor = (answer) => question?.options?.find(option => option?.id === answer)?.id
+      ?? question?.options?.find(option => normalizeAnswer(option?.text) === normalizeAnswer(answer))?.id
+      ?? answer;
+
+    switch (question?.type) {
+      case 'true_false': {
+        const answer = normalizeAnswer(question?.correctAnswer);
+        return ['true', 'false'].includes(answer) ? { ...question, correctAnswer: answer } : question;
+      }
+      case 'multiple_choice':
+        return { ...question, correctAnswer: optionIdFor(question?.correctAnswer) };
+      case 'multi_select':
+        return { ...question, correctOptionIds: question?.correctOptionIds?.map(optionIdFor) };
+      default:
+        return question;
+    }
+  }
+
+  /**
+   * Checks one question on its own
+   * @param {Object} question - Generated question
+   * @returns {Array<string>} Issue codes from QUALITY_ISSUES, empty when the question passes
+   */
+  checkQuestion(question) {
+    const issues = [];
+    const optionIds = question?.options?.map(option => option?.id) || [];
+
+    if (!QUESTION_TYPES.includes(question?.type)) issues.push('unknownType');
+    if (!getQuestionText(question)?.trim()) issues.push('missingQuestion');
+
+    switch (question?.type) {
+      case 'multiple_choice':
+      case 'multi_select': {
+        const correctIds = question?.type === 'multi_select' ? question?.correctOptionIds || [] : [question?.correctAnswer];
+        if (optionIds.length < 2) issues.push('tooFewOptions');
+        if (!correctIds.length || correctIds.some(id => !optionIds.includes(id))) issues.push('invalidCorrectAnswer');
+        if (this.hasDuplicateOptions(question?.options)) issues.push('duplicateOptions');
+        if (question?.options?.some(option => CATCH_ALL_OPTION_PATTERN.test(option?.text || ''))) issues.push('allOfTheAbove');
+        break;
+      }
+      case 'true_false':
+        if (!['true', 'false'].includes(question?.correctAnswer)) issues.push('invalidTrueFalse');
+        break;
+      case 'ordering':
+        if ((question?.sequence?.length || 0) < 2) issues.push('invalidStructure');
+        break;
+      case 'matching':
+        if ((question?.pairs?.length || 0) < 2) issues.push('invalidStructure');
+        break;
+      case 'cloze': {
+        const blankCount = (question?.clozeText || '').split(CLOZE_BLANK).length - 1;
+        if (!blankCount || blankCount !== question?.blanks?.length
+          || question?.blanks?.some(blank => !blank?.acceptedAnswers?.length)) {
+          issues.push('invalidStructure');
+        }
+        break;
+      }
+      case 'numeric':
+        if (parseNumber(question?.numericAnswer) === null) issues.push('invalidStructure');
+        break;
+      default:
+        break;
+    }
+
+    if (this.leaksAnswer(question)) issues.push('answerLeak');
+    return issues;
+  }
+
+  /**
+   * Checks whether any two options are the same or nearly the same
+   * @param {Array} options - Options as { id, text }
+   * @returns {boolean} True if a pair of options is near-duplicate
+   */
+  hasDuplicateOptions(options) {
+    return (options || [])?.some((option, index) =>
+      options.slice(index + 1).some(other => textSimilarity(option?.text, other?.text) >= OPTION_SIMILARITY_THRESHOLD)
+    );
+  }
+
+  /**
+   * Checks whether the context states the correct answer. For choice questions the context leaks
+   * only when it names a correct option and none of the distractors, since context often
+   * mentions the terms every option uses.
+   * @param {Object} question - Generated question
+   * @returns {boolean} True if the context gives the answer away
+   */
+  leaksAnswer(question) {
+    const context = question?.context;
+    if (!context?.trim()) return false;
+
+    const mentions = (text) => containsText(context, text);
+
+    switch (question?.type) {
+      case 'multiple_choice':
+      case 'multi_select': {
+        const correctIds = question?.type === 'multi_select' ? question?.correctOptionIds || [] : [question?.correctAnswer];
+        const correct = question?.options?.filter(option => correctIds.includes(option?.id));
+        const distractors = question?.options?.filter(option => !correctIds.includes(option?.id));
+        return !!correct?.length && correct.every(option => mentions(option?.text)) && !distractors?.some(option => mentions(option?.text));
+      }
+      case 'short_answer':
+        return mentions(question?.correctAnswer);
+      case 'cloze':
+        return !!question?.blanks?.length && question.blanks.every(blank => blank?.acceptedAnswers?.some(mentions));
+      case 'numeric':
+        return mentions(String(question?.numericAnswer ?? ''));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Reviews generated questions: repairs what can be repaired, then checks each question on its
+   * own and against earlier ones, including questions already accepted for other concepts
+   * @param {Array} questions - Generated questions
+   * @param {Array} existingQuestions - Questions already accepted, to avoid repeating
+   * @returns {Object} { passed, flagged } where flagged entries are { question, issues }
+   */
+  reviewQuestions(questions, existingQuestions = []) {
+    const passed = [];
+    const flagged = [];
+
+    (questions || [])?.forEach(generated => {
+      const question = this.repairQuestion(generated);
+      const issues = this.checkQuestion(question);
+      const isDuplicate = [...(existingQuestions || []), ...passed]?.some(other =>
+        textSimilarity(getQuestionText(question), getQuestionText(other)) >= QUESTION_SIMILARITY_THRESHOLD
+      );
+      if (isDuplicate) issues.push('duplicateQuestion');
+
+      if (issues.length) {
+        flagged.push({ question, issues });
+      } else {
+        passed.push(question);
+      }
+    });
+
+    return { passed, flagged };
+  }
+
+  /**
+   * Drops questions that repeat an earlier one, e.g. after generating for several concepts at once
+   * @param {Array} questions - Questions
+   * @returns {Array} Questions without near-duplicates, first occurrence kept
+   */
+  dropDuplicateQuestions(questions) {
+    return (questions || [])?.reduce((kept, question) => (
+      kept.some(other => textSimilarity(getQuestionText(question), getQuestionText(other)) >= QUESTION_SIMILARITY_THRESHOLD)
+        ? kept
+        : [...kept, question]
+    ), []);
+  }
+
+  /**
+   * Collects flagged issues for a regeneration request
+   * @param {Array} flagged - Flagged entries from reviewQuestions
+   * @returns {Array<string>} Distinct issue codes from QUALITY_ISSUES
+   */
+  getIssueCodes(flagged) {
+    return [...new Set((flagged || [])?.flatMap(entry => entry?.issues || []))]
+      ?.filter(issue => QUALITY_ISSUES?.[issue]);
+  }
+}
+
+export default new QuestionQualityService();
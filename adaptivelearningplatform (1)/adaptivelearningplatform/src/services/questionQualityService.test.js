@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import questionQualityService, { textSimilarity } from './questionQualityService';
+import { CLOZE_BLANK } from './questionScoringService';
+
+const multipleChoice = (details) => ({
+  type: 'multiple_choice',
+  question: 'Which organelle produces most ATP in a cell?',
+  options: [
+    { id: 'a', text: 'Mitochondrion' },
+    { id: 'b', text: 'Ribosome' },
+    { id: 'c', text: 'Golgi apparatus' }
+  ],
+  correctAnswer: 'a',
+  ...details
+});
+
+describe('textSimilarity', () => {
+  it('is 1 for the same normalized text and 0 for nothing in common', () => {
+    expect(textSimilarity('Cell wall.', ' cell WALL')).toBe(1);
+    expect(textSimilarity('abc', 'xyz')).toBe(0);
+  });
+
+  it('scores near-duplicates above unrelated text', () => {
+    expect(textSimilarity('Mitochondrion', 'Mitochondria')).toBeGreaterThan(textSimilarity('Mitochondrion', 'Ribosome'));
+  });
+});
+
+describe('questionQualityService.checkQuestion', () => {
+  it('passes a well-formed question', () => {
+    expect(questionQualityService.checkQuestion(multipleChoice())).toEqual([]);
+  });
+
+  it('flags a correct answer that is not one of the options', () => {
+    expect(questionQualityService.checkQuestion(multipleChoice({ correctAnswer: 'z' }))).toEqual(['invalidCorrectAnswer']);
+  });
+
+  it('flags near-duplicate and catch-all options', () => {
+    const options = [{ id: 'a', text: 'Mitochondrion' }, { id: 'b', text: 'mitochondrion.' }, { id: 'c', text: 'All of the above' }];
+
+    expect(questionQualityService.checkQuestion(multipleChoice({ options }))).toEqual(['duplicateOptions', 'allOfTheAbove']);
+  });
+
+  it('flags context that names the correct option and no distractor', () => {
+    expect(questionQualityService.checkQuestion(multipleChoice({ context: 'The mitochondrion is the powerhouse of the cell.' })))
+      .toEqual(['answerLeak']);
+    expect(questionQualityService.checkQuestion(multipleChoice({ context: 'Compare the mitochondrion and the ribosome.' })))
+      .toEqual([]);
+  });
+
+  it('flags cloze questions whose blanks do not match their answers', () => {
+    const cloze = {
+      type: 'cloze',
+      clozeText: `ATP is made in the ${CLOZE_BLANK} by ${CLOZE_BLANK}.`,
+      blanks: [{ acceptedAnswers: ['mitochondria'] }]
+    };
+
+    expect(questionQualityService.checkQuestion(cloze)).toEqual(['invalidStructure']);
+  });
+
+  it('flags unknown types and missing question text', () => {
+    expect(questionQualityService.checkQuestion({ type: 'essay', question: ' ' })).toEqual(['unknownType', 'missingQuestion']);
+  });
+});
+
+describe('questionQualityService.reviewQuestions', () => {
+  it('repairs answers given as option text or booleans before checking', () => {
+    const { passed, flagged } = questionQualityService.reviewQuestions([
+      multipleChoice({ correctAnswer: 'mitochondrion' }),
+      { type: 'true_false', question: 'Ribosomes make proteins.', correctAnswer: 'True' }
+    ]);
+
+    expect(flagged).toEqual([]);
+    expect(passed.map(question => question.correctAnswer)).toEqual(['a', 'true']);
+  });
+
+  it('flags questions that repeat an earlier or existing one', () => {
+    const existing = [{ question: 'What does the ribosome make?' }];
+    const { passed, flagged } = questionQualityService.reviewQuestions([
+      multipleChoice(),
+      multipleChoice({ question: 'Which organelle produces most ATP in the cell' }),
+      { type: 'short_answer', question: 'What does a ribosome make?', correctAnswer: 'Proteins' }
+    ], existing);
+
+    expect(passed).toHaveLength(1);
+    expect(flagged.map(entry => entry.issues)).toEqual([['duplicateQuestion'], ['duplicateQuestion']]);
+    expect(questionQualityService.getIssueCodes([...flagged, { issues: ['notAnIssue'] }])).toEqual(['duplicateQuestion']);
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Question types and the answer each one stores:
+ * multiple_choice - option id; true_false - 'true' or 'false'; short_answer - free text;
+ * multi_select - option ids; ordering - sequence item ids in the chosen order;
+ * matching - chosen pair id keyed by the pair id of each term; cloze - one string per blank;
+ * numeric - the number as typed
+ */
+export const QUESTION_TYPES = [
+  'multiple_choice',
+  'true_false',
+  'short_answer',
+  'multi_select',
+  'ordering',
+  'matching',
+  'cloze',
+  'numeric'
+];
+
+/**
+ * Display names of the question types
+ */
+export const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Multiple choice',
+  true_false: 'True / false',
+  short_answer: 'Short answer',
+  multi_select: 'Multi-select',
+  ordering: 'Ordering',
+  matching: 'Matching',
+  cloze: 'Fill in the blank',
+  numeric: 'Numeric'
+};
+
+/**
+ * Types scored by a deterministic rule rather than AI evaluation
+ */
+export const DETERMINISTIC_TYPES = ['multiple_choice', 'true_false', 'multi_select', 'ordering', 'matching', 'cloze', 'numeric'];
+
+// The cloze blank marker is shared with the question generation prompt
+export { CLOZE_BLANK } from './llmTasks/questions';
+
+// Absolute slack for numeric answers without a tolerance, to absorb floating-point noise
+const NUMERIC_EPSILON = 1e-9;
+
+/**
+ * Normalizes free text for exact-match comparison
+ * @param {string} value - Answer text
+ * @returns {string} Lowercased text without punctuation or extra whitespace
+ */
+export const normalizeAnswer = (value) => String(value ?? '')
+  ?.toLowerCase()
+  ?.replace(/[^\p{L}\p{N}\s.-]/gu, '')
+  ?.replace(/\s+/g, ' ')
+  ?.trim()
+  ?.replace(/\.+$/, '');
+
+/**
+ * Parses a typed number, accepting a decimal comma and thousands separators
+ * @param {string|number} value - Typed answer
+ * @returns {number|null} Parsed number, or null if it is not a number
+ */
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = String(value ?? '')?.trim()?.replace(/\s/g, '');
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (!text.includes('.')) {
+    text = text.replace(',', '.');
+  }
+
+  const number = Number(text);
+  return text !== '' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so shuffles are stable across renders
+ * @param {string} seed - Seed text
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = [...String(seed ?? '')]?.reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0, 0x811c9dc5);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const toResult = (fraction) => {
+  const score = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+  return { score, isCorrect: score === 100 };
+};
+
+/**
+ * Question Scoring Service
+ * Deterministic scorers, answer checks and answer formatting for every question type
+ */
+class QuestionScoringService {
+  /**
+   * Checks whether a question type is scored deterministically
+   * @param {string} type - Question type
+   * @returns {boolean} True if the type has a deterministic scorer
+   */
+  isDeterministic(type) {
+    return DETERMINISTIC_TYPES.includes(type);
+  }
+
+  /**
+   * Checks whether an answer is complete enough to submit
+   * @param {Object} question - Question
+   * @param {*} answer - Answer in the question type's format
+   * @returns {boolean} True if the learner has answered
+   */
+  isAnswered(question, answer) {
+    if (answer === undefined || answer === null) return false;
+
+    switch (question?.type) {
+      case 'multi_select':
+      case 'ordering':
+        return Array.isArray(answer) && answer.length > 0;
+      case 'matching':
+        return Object.values(answer || {})?.some(Boolean);
+      case 'cloze':
+      case 'fill_blank':
+        return Array.isArray(answer) && answer.some(part => String(part ?? '')?.trim());
+      default:
+        return String(answer)?.trim()?.length > 0;
+    }
+  }
+
+  /**
+   * Scores an answer with the rule for its question type
+   * @param {Object} question - Question
+   * @param {*} answer - Answer in the question type's format
+   * @returns {Object|null} { score, isCorrect }, or null for types that need AI evaluation
+   */
+  score(question, answer) {
+    switch (question?.type) {
+      case 'multiple_choice':
+      case 'true_false':
+        return toResult(answer === question?.correctAnswer ? 1 : 0);
+      case 'multi_select':
+        return this.scoreMultiSelect(question, answer);
+      case 'ordering':
+        return this.scoreOrdering(question, answer);
+      case 'matching':
+        return this.scoreMatching(question, answer);
+      case 'cloze':
+        return this.scoreCloze(question, answer);
+      case 'numeric':
+        return this.scoreNumeric(question, answer);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Multi-select: each correct option selected earns credit, each wrong one selected takes it back
+   * @param {Object} question - Question with options and correctOptionIds
+   * @param {Array} answer - Selected option ids
+   * @returns {Object} { score, isCorrect }
+   */
+  scoreMultiSelect(question, answer) {
+    const correctIds = question?.correctOptionIds || [];
+    const selected = [...new Set(answer || [])];
+    if (!correctIds.length) return toResult(0);
+
+    const hits = selected.filter(id => correctIds.includes(id))?.length;
+    const misses = selected.filter(id => !correctIds.includes(id))?.length;
+    return toResult((hits - misses) / correctIds.length);
+  }
+
+  /**
+   * Ordering: credit is the share of item pairs placed in the right relative order
+   * @param {Object} question - Question with sequence in the correct order
+   * @param {Array} answer - Sequence item ids in the chosen order
+   * @returns {Object} { score, isCorrect }
+   */
+  scoreOrdering(question, answer) {
+    const correctIds = question?.sequence?.map(item => item?.id) || [];
+    const positions = new Map((answer || [])?.map((id, index) => [id, index]));
+    if (correctIds.length < 2) {
+      return toResult(correctIds.length === 1 && positions.has(correctIds[0]) ? 1 : 0);
+    }
+
+    let pairs = 0;
+    let inOrder = 0;
+    for (let i = 0; i < correctIds.length; i++) {
+      for (let j = i + 1; j < correctIds.length; j++) {
+        pairs++;
+        if (positions.has(correctIds[i]) && positions.has(correctIds[j])
+          && positions.get(correctIds[i]) < positions.get(correctIds[j])) {
+          inOrder++;
+        }
+      }
+    }
+    return toResult(inOrder / pairs);
+  }
+
+  /**
+   * Matching: credit is the share of terms matched correctly
+   * @param {Object} question - Question with pairs as { id, term, match }
+   * @param {Object} answer - Chosen pair id keyed by the pair id of each term
+   * @returns {Object} { score, isCorrect }
+   */
+  scoreMatching(question, answer) {
+    const pairs = question?.pairs || [];
+    if (!pairs.length) return toResult(0);
+
+    return toResult(pairs.filter(pair => answer?.[pair?.id] === pair?.id)?.length / pairs.length);
+  }
+
+  /**
+   * Cloze: credit is the share of blanks filled with an accepted answer
+   * @param {Object} question - Question with blanks as { id, acceptedAnswers }
+   * @param {Array} answer - One string per blank
+   * @returns {Object} { score, isCorrect }
+   */
+  scoreCloze(question, answer) {
+    const blanks = question?.blanks || [];
+    if (!blanks.length) return toResult(0);
+
+    const filled = blanks.filter((blank, index) =>
+      blank?.acceptedAnswers?.map(normalizeAnswer)?.includes(normalizeAnswer(answer?.[index]))
+    );
+    return toResult(filled.length / blanks.length);
+  }
+
+  /**
+   * Numeric: full credit within the question's absolute tolerance, none outside it
+   * @param {Object} question - Question with numericAnswer and tolerance
+   * @param {string} answer - Typed number
+   * @returns {Object} { score, isCorrect }
+   */
+  scoreNumeric(question, answer) {
+    const expected = parseNumber(question?.numericAnswer);
+    const given = parseNumber(answer);
+    if (expected === null || given === null) return toResult(0);
+
+    const tolerance = Math.abs(Number(question?.tolerance) || 0) + NUMERIC_EPSILON;
+    return toResult(Math.abs(given - expected) <= tolerance ? 1 : 0);
+  }
+
+  /**
+   * Averages graded scores over every question in an assessment
+   * Unanswered and expired questions have no grade and count as 0, so skipping a question never raises the score.
+   * @param {Array} questions - Questions in the assessment
+   * @param {Object} grades - Grades keyed by question id
+   * @returns {number} Overall score, 0-100
+   */
+  getOverallScore(questions, grades) {
+    if (!questions?.length) return 0;
+
+    const total = questions.reduce((sum, question) => sum + (grades?.[question?.id]?.score ?? 0), 0);
+    return Math.round(total / questions.length);
+  }
+
+  /**
+   * Works out what a practice session still needs when it is submitted
+   * Checked answers were graded and recorded when the learner checked them. Answers left unchecked
+   * still need grading, and questions never tried at all are recorded as incorrect.
+   * @param {Array} questions - Questions in the session
+   * @param {Object} progress - { answeredIds, grades, practiceTries }
+   * @returns {Object} { uncheckedIds, skippedIds }
+   */
+  getPracticeSubmission(questions, { answeredIds = [], grades = {}, practiceTries = {} } = {}) {
+    return {
+      uncheckedIds: answeredIds?.filter(questionId => !grades?.[questionId]),
+      skippedIds: questions?.map(question => question?.id)
+        ?.filter(questionId => !answeredIds?.includes(questionId) && !practiceTries?.[questionId])
+    };
+  }
+
+  /**
+   * Shuffles items in a stable order for display; a list never comes out already in its original order
+   * @param {Array} items - Items to shuffle
+   * @param {string} seed - Seed, usually the question id
+   * @returns {Array} Shuffled copy
+   */
+  shuffleForDisplay(items, seed) {
+    const random = createRandom(seed);
+    const shuffled = [...(items || [])];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    if (shuffled.length > 1 && shuffled.every((item, index) => item === items[index])) {
+      shuffled.push(shuffled.shift());
+    }
+    return shuffled;
+  }
+
+  /**
+   * Describes an answer in words, for summaries and prompts
+   * @param {Object} question - Question
+   * @param {*} answer - Answer in the question type's format
+   * @returns {string} Readable answer
+   */
+  formatAnswer(question, answer) {
+    if (!this.isAnswered(question, answer)) return '';
+
+    const optionText = (id) => question?.options?.find(option => option?.id === id)?.text || id;
+
+    switch (question?.type) {
+      case 'multiple_choice':
+        return optionText(answer);
+      case 'multi_select':
+        return answer.map(optionText).join(', ');
+      case 'ordering':
+        return answer.map(id => question?.sequence?.find(item => item?.id === id)?.text || id).join(' → ');
+      case 'matching':
+        return (question?.pairs || [])
+          ?.map(pair => `${pair?.term} → ${question?.pairs?.find(match => match?.id === answer?.[pair?.id])?.match || '—'}`)
+          ?.join('; ');
+      case 'cloze':
+      case 'fill_blank':
+        return answer.map(part => part || '—').join(' / ');
+      case 'numeric':
+        return [answer, question?.unit].filter(Boolean).join(' ');
+      default:
+        return String(answer);
+    }
+  }
+
+  /**
+   * Describes the correct answer in words
+   * @param {Object} question - Question
+   * @returns {string} Readable correct answer
+   */
+  formatCorrectAnswer(question) {
+    switch (question?.type) {
+      case 'multi_select':
+        return this.formatAnswer(question, question?.correctOptionIds);
+      case 'ordering':
+        return this.formatAnswer(question, question?.sequence?.map(item => item?.id));
+      case 'matching':
+        return this.formatAnswer(question, Object.fromEntries((question?.pairs || [])?.map(pair => [pair?.id, pair?.id])));
+      case 'cloze':
+        return this.formatAnswer(question, question?.blanks?.map(blank => blank?.acceptedAnswers?.[0]));
+      case 'numeric': {
+        const value = [question?.numericAnswer, question?.unit].filter(part => part !== undefined && part !== '').join(' ');
+        return Number(question?.tolerance) > 0 ? `${value} (±${question.tolerance})` : value;
+      }
+      default:
+        return this.formatAnswer(question, question?.correctAnswer);
+    }
+  }
+}
+
+export default new QuestionScoringService();
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import questionScoringService, { normalizeAnswer, parseNumber } from './questionScoringService';
+
+describe('questionScoringService.getOverallScore', () => {
+  const questions = [{ id: 'q1' }, { id: 'q2' }, { id: 'q3' }, { id: 'q4' }];
+
+  it('averages over every question, counting unanswered and expired ones as 0', () => {
+    expect(questionScoringService.getOverallScore(questions, { q1: { score: 100 }, q2: { score: 50 } })).toBe(38);
+  });
+
+  it('cannot be raised by skipping questions', () => {
+    const answeredOne = questionScoringService.getOverallScore(questions, { q1: { score: 100 } });
+    const answeredAll = questionScoringService.getOverallScore(questions, {
+      q1: { score: 100 }, q2: { score: 40 }, q3: { score: 40 }, q4: { score: 40 }
+    });
+
+    expect(answeredOne).toBe(25);
+    expect(answeredAll).toBeGreaterThan(answeredOne);
+  });
+
+  it('is 0 for an empty assessment', () => {
+    expect(questionScoringService.getOverallScore([], {})).toBe(0);
+  });
+});
+
+describe('questionScoringService.getPracticeSubmission', () => {
+  const questions = [{ id: 'checked' }, { id: 'unchecked' }, { id: 'retried' }, { id: 'cleared' }, { id: 'skipped' }];
+
+  it('grades only unchecked answers and records only questions never tried', () => {
+    expect(questionScoringService.getPracticeSubmission(questions, {
+      answeredIds: ['checked', 'unchecked', 'retried'],
+      grades: { checked: { score: 100 } },
+      practiceTries: { checked: 1, retried: 1, cleared: 2 }
+    })).toEqual({ uncheckedIds: ['unchecked', 'retried'], skippedIds: ['skipped'] });
+  });
+
+  it('records every question of an untouched session as skipped', () => {
+    expect(questionScoringService.getPracticeSubmission(questions)).toEqual({
+      uncheckedIds: [],
+      skippedIds: questions.map(question => question.id)
+    });
+  });
+});
+
+describe('questionScoringService.score', () => {
+  it('gives choice questions all or nothing', () => {
+    const question = { type: 'multiple_choice', correctAnswer: 'b' };
+
+    expect(questionScoringService.score(question, 'b')).toEqual({ score: 100, isCorrect: true });
+    expect(questionScoringService.score(question, 'a')).toEqual({ score: 0, isCorrect: false });
+  });
+
+  it('takes credit back for wrong multi-select choices without going below 0', () => {
+    const question = { type: 'multi_select', correctOptionIds: ['a', 'b', 'c'] };
+
+    expect(questionScoringService.score(question, ['a', 'b', 'c'])).toEqual({ score: 100, isCorrect: true });
+    expect(questionScoringService.score(question, ['a', 'b'])).toEqual({ score: 67, isCorrect: false });
+    expect(questionScoringService.score(question, ['a', 'b', 'd'])).toEqual({ score: 33, isCorrect: false });
+    expect(questionScoringService.score(question, ['d', 'e'])).toEqual({ score: 0, isCorrect: false });
+    expect(questionScoringService.score(question, ['a', 'a', 'a']).score).toBe(33);
+  });
+
+  it('credits ordering by the share of pairs in the right relative order', () => {
+    const question = { type: 'ordering', sequence: [{ id: '1' }, { id: '2' }, { id: '3' }] };
+
+    expect(questionScoringService.score(question, ['1', '2', '3']).score).toBe(100);
+    expect(questionScoringService.score(question, ['2', '1', '3']).score).toBe(67);
+    expect(questionScoringService.score(question, ['3', '2', '1']).score).toBe(0);
+    expect(questionScoringService.score(question, ['1', '3']).score).toBe(33);
+  });
+
+  it('credits matching by the share of terms matched', () => {
+    const question = { type: 'matching', pairs: [{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }, { id: 'p4' }] };
+
+    expect(questionScoringService.score(question, { p1: 'p1', p2: 'p3', p3: 'p2', p4: 'p4' }).score).toBe(50);
+  });
+
+  it('credits cloze by blanks filled with an accepted answer, ignoring case and punctuation', () => {
+    const question = {
+      type: 'cloze',
+      blanks: [{ acceptedAnswers: ['mitochondria', 'mitochondrion'] }, { acceptedAnswers: ['ATP'] }]
+    };
+
+    expect(questionScoringService.score(question, ['Mitochondrion!', ' atp. '])).toEqual({ score: 100, isCorrect: true });
+    expect(questionScoringService.score(question, ['nucleus', 'ATP']).score).toBe(50);
+  });
+
+  it('accepts numeric answers within the tolerance only', () => {
+    const question = { type: 'numeric', numericAnswer: '9.81', tolerance: 0.05 };
+
+    expect(questionScoringService.score(question, '9,8').isCorrect).toBe(true);
+    expect(questionScoringService.score(question, '9.86').isCorrect).toBe(true);
+    expect(questionScoringService.score(question, '9.87').isCorrect).toBe(false);
+    expect(questionScoringService.score(question, 'ten').isCorrect).toBe(false);
+    expect(questionScoringService.score({ type: 'numeric', numericAnswer: 0.3 }, 0.1 + 0.2).isCorrect).toBe(true);
+  });
+
+  it('leaves free-text types to AI evaluation', () => {
+    expect(questionScoringService.score({ type: 'short_answer' }, 'anything')).toBeNull();
+    expect(questionScoringService.isDeterministic('short_answer')).toBe(false);
+  });
+});
+
+describe('questionScoringService answer parsing', () => {
+  it('parses decimal commas and thousands separators', () => {
+    expect(parseNumber('1,5')).toBe(1.5);
+    expect(parseNumber('1,234,567.5')).toBe(1234567.5);
+    expect(parseNumber(' -42 ')).toBe(-42);
+    expect(parseNumber('')).toBeNull();
+    expect(parseNumber(Infinity)).toBeNull();
+  });
+
+  it('normalizes free text for exact matching', () => {
+    expect(normalizeAnswer('  The  Krebs-Cycle!... ')).toBe('the krebs-cycle');
+  });
+
+  it('only counts complete answers as answered', () => {
+    expect(questionScoringService.isAnswered({ type: 'multi_select' }, [])).toBe(false);
+    expect(questionScoringService.isAnswered({ type: 'matching' }, { p1: '' })).toBe(false);
+    expect(questionScoringService.isAnswered({ type: 'cloze' }, ['', ' x '])).toBe(true);
+    expect(questionScoringService.isAnswered({ type: 'short_answer' }, '   ')).toBe(false);
+  });
+});
+
+describe('questionScoringService.shuffleForDisplay', () => {
+  const items = ['a', 'b', 'c', 'd', 'e'];
+
+  it('shuffles the same way for the same seed and never returns the original order', () => {
+    const first = questionScoringService.shuffleForDisplay(items, 'q1');
+
+    expect(questionScoringService.shuffleForDisplay(items, 'q1')).toEqual(first);
+    expect([...first].sort()).toEqual(items);
+    ['q1', 'q2', 'q3', 'q4', 'q5', 'q6'].forEach(seed => {
+      expect(questionScoringService.shuffleForDisplay(['x', 'y'], seed)).toEqual(['y', 'x']);
+    });
+  });
+});
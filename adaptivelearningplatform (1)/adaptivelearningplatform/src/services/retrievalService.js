@@ -0,0 +1,268 @@
+import documentRepository from './storage/documentRepository';
+import { chunkDocument } from './documentChunker';
+
+/**
+ * Maximum characters per indexed passage; small enough to quote several in one prompt
+ */
+export const PASSAGE_CHARS = 1200;
+
+/**
+ * Passages retrieved for a prompt unless the caller asks for a different number
+ */
+export const DEFAULT_PASSAGE_LIMIT = 3;
+
+/**
+ * Characters of a passage kept as the quoted excerpt of a citation
+ */
+const EXCERPT_CHARS = 300;
+
+/**
+ * BM25 term-frequency saturation and length normalization
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Common words left out of the index and of queries
+ */
+const STOPWORDS = new Set(`a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had has have having he her here
+hers him his how i if in into is it its itself just me more most my no nor not now of off on once only or other our ours out
+over own same she should so some such than that the their theirs them then there these they this those through to too under
+until up very was we were what when where which while who whom why will with would you your yours`.split(/\s+/));
+
+/**
+ * Splits text into lowercase search terms, dropping stopwords and folding common suffixes
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export const tokenize = (text) => (String(text ?? '')?.toLowerCase()?.match(/[\p{L}\p{N}]+/gu) || [])
+  ?.filter(word => word.length > 1 && !STOPWORDS.has(word))
+  ?.map(word => word
+    .replace(/(?<=\w{3})(ies)$/, 'y')
+    .replace(/(?<=\w{3})(ing|ed|es|s)$/, ''));
+
+const countTerms = (terms) => terms?.reduce((counts, term) => {
+  counts[term] = (counts[term] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Lists the source files of an analysis; analyses saved before collections hold a single file
+ * @param {Object} analysis - Saved analysis
+ * @returns {Array} Sources as { fileInfo, document, rawContent }
+ */
+const getSources = (analysis) => analysis?.sources?.length
+  ? analysis.sources
+  : [{ fileInfo: analysis?.fileInfo, document: analysis?.document, rawContent: analysis?.rawContent }];
+
+/**
+ * Retrieval Service
+ * Local lexical (BM25) search over the text of uploaded documents, so prompts can quote and cite them
+ */
+class RetrievalService {
+  constructor() {
+    this.indexes = new Map();
+  }
+
+  /**
+   * Builds a search index from an analysis' source files
+   * Passages follow the document's sections, so each one can be cited by its page, slide or heading anchor.
+   * @param {Object} analysis - Analysis from fileAnalysisService, with rawContent per source
+   * @returns {Object} Index as { passages, documentFrequencies, averageLength }
+   */
+  buildIndex(analysis) {
+    const passages = [];
+
+    getSources(analysis)?.forEach((source, sourceIndex) => {
+      if (!source?.rawContent) return;
+
+      const document = { text: source.rawContent, sections: source?.document?.sections || [] };
+      chunkDocument(document, { maxChars: PASSAGE_CHARS })?.forEach(chunk => {
+        const section = document.sections?.find(item => item?.id === chunk?.sectionIds?.[0]);
+
+        passages.push({
+          id: `p${sourceIndex + 1}_${chunk.index + 1}`,
+          fileName: source?.fileInfo?.name || `File ${sourceIndex + 1}`,
+          anchor: chunk?.firstAnchor && chunk?.lastAnchor && chunk.firstAnchor !== chunk.lastAnchor
+            ? `${chunk.firstAnchor} – ${chunk.lastAnchor}`
+            : chunk?.firstAnchor || '',
+          page: section?.page ?? null,
+          sectionTitle: section?.title || '',
+          text: chunk.text
+        });
+      });
+    });
+
+    return this.indexPassages(passages);
+  }
+
+  /**
+   * Indexes passages for BM25 search; passages without searchable terms are left out
+   * @param {Array} passages - Passages or saved citations, with text or excerpt
+   * @returns {Object} Index as { passages, documentFrequencies, averageLength }
+   */
+  indexPassages(passages) {
+    const documentFrequencies = {};
+    const indexed = (passages || [])
+      ?.map(passage => {
+        const terms = tokenize(passage?.text || passage?.excerpt);
+        return { ...passage, length: terms.length, termCounts: countTerms(terms) };
+      })
+      ?.filter(passage => passage.length > 0);
+
+    indexed?.forEach(passage => Object.keys(passage.termCounts)?.forEach(term => {
+      documentFrequencies[term] = (documentFrequencies[term] || 0) + 1;
+    }));
+
+    const averageLength = indexed?.reduce((sum, passage) => sum + passage.length, 0) / (indexed.length || 1);
+    return { passages: indexed, documentFrequencies, averageLength };
+  }
+
+  /**
+   * Returns the index for a saved course, building it from the stored text on first use
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object|null>} Index, or null if the course is not saved
+   */
+  async getIndex(documentId) {
+    if (!documentId) return null;
+    if (this.indexes.has(documentId)) return this.indexes.get(documentId);
+
+    const savedDocument = await documentRepository?.get(documentId);
+    if (!savedDocument) return null;
+
+    const index = this.buildIndex(savedDocument?.analysis);
+    this.indexes.set(documentId, index);
+    return index;
+  }
+
+  /**
+   * Ranks the passages of an index against a query with BM25
+   * @param {Object} index - Index from buildIndex
+   * @param {string} query - Search text
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum passages returned
+   * @returns {Array} Matching passages with their score, best first
+   */
+  search(index, query, { limit = DEFAULT_PASSAGE_LIMIT } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const passageCount = index?.passages?.length || 0;
+    if (!queryTerms.length || !passageCount) return [];
+
+    return index.passages
+      ?.map(passage => {
+        const score = queryTerms.reduce((sum, term) => {
+          const frequency = passage?.termCounts?.[term] || 0;
+          if (!frequency) return sum;
+
+          const documentFrequency = index?.documentFrequencies?.[term] || 0;
+          const idf = Math.log(1 + (passageCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          const norm = BM25_K1 * (1 - BM25_B + BM25_B * passage.length / (index.averageLength || 1));
+          return sum + idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+        }, 0);
+        return { passage, score };
+      })
+      ?.filter(result => result.score > 0)
+      ?.sort((a, b) => b.score - a.score)
+      ?.slice(0, limit)
+      ?.map(({ passage: { length, termCounts, ...passage }, score }) => ({
+        ...passage,
+        score: Math.round(score * 100) / 100
+      }));
+  }
+
+  /**
+   * Finds the passages of a course most relevant to a query
+   * Retrieval only adds context, so a failure returns no passages rather than throwing.
+   * @param {string} documentId - Document id
+   * @param {string} query - Search text
+   * @param {Object} options - Search options, as for search
+   * @returns {Promise<Array>} Matching passages, best first
+   */
+  async retrieve(documentId, query, options = {}) {
+    try {
+      const index = await this.getIndex(documentId);
+      return index ? this.search(index, query, options) : [];
+    } catch (error) {
+      console.error('Error retrieving passages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Finds the passages of a course that teach a concept
+   * @param {string} documentId - Document id
+   * @param {Object} concept - Concept with name, description and keyPrinciples
+   * @param {Object} options - Search options, as for search
+   * @returns {Promise<Array>} Matching passages, best first
+   */
+  retrieveForConcept(documentId, concept, options = {}) {
+    const query = [concept?.name, concept?.name, concept?.description, ...(concept?.keyPrinciples || [])]
+      ?.filter(Boolean)
+      ?.join(' ');
+    return this.retrieve(documentId, query, options);
+  }
+
+  /**
+   * Formats passages for a prompt, each labeled [S1], [S2], ... with where it comes from
+   * @param {Array} passages - Passages from search, or saved citations
+   * @returns {string} Prompt text, or an empty string without passages
+   */
+  formatForPrompt(passages) {
+    return (passages || [])
+      ?.map((passage, index) => `[S${index + 1}] ${this.describeLocation(passage)}\n${passage?.text || passage?.excerpt}`)
+      ?.join('\n\n');
+  }
+
+  /**
+   * Maps the [S1]-style labels a model cited back to citations of the passages
+   * When no label resolves, the passage that best matches fallbackText is cited instead, so content
+   * generated from the material always points back to where it came from.
+   * @param {Array} passages - Passages or saved citations given to the model, in prompt order
+   * @param {Array<string>} labels - Cited labels such as 'S1' or '[S2]'
+   * @param {Object} options - Resolution options
+   * @param {string} options.fallbackText - Generated text to match against the passages when nothing is cited
+   * @returns {Array} Citations as { passageId, fileName, anchor, page, excerpt }
+   */
+  resolveCitations(passages, labels, { fallbackText } = {}) {
+    const cited = [...new Set((labels || [])
+      ?.map(label => Number(String(label)?.match(/\d+/)?.[0]) - 1)
+      ?.filter(index => passages?.[index]))];
+
+    if (!cited.length && fallbackText) {
+      return this.search(this.indexPassages(passages), fallbackText, { limit: 1 })
+        ?.map(passage => this.toCitation(passage));
+    }
+    return cited.map(index => this.toCitation(passages[index]));
+  }
+
+  /**
+   * Reduces a passage to the citation stored with a question or explanation
+   * @param {Object} passage - Passage from search; a saved citation is returned unchanged
+   * @returns {Object} { passageId, fileName, anchor, page, excerpt }
+   */
+  toCitation(passage) {
+    return {
+      passageId: passage?.passageId ?? passage?.id,
+      fileName: passage?.fileName,
+      anchor: passage?.anchor,
+      page: passage?.page ?? null,
+      excerpt: passage?.excerpt ?? passage?.text
+        ?.replace(/^\[[^\]]+\][^\n]*\n/, '')
+        ?.replace(/\s+/g, ' ')
+        ?.trim()
+        ?.slice(0, EXCERPT_CHARS)
+    };
+  }
+
+  /**
+   * Describes where a passage or citation comes from, e.g. "notes.pdf, Page 3"
+   * @param {Object} passage - Passage or citation
+   * @returns {string} Location text
+   */
+  describeLocation(passage) {
+    return [passage?.fileName, passage?.anchor]?.filter(Boolean)?.join(', ');
+  }
+}
+
+export default new RetrievalService();
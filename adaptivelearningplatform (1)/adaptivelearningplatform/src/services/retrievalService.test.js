@@ -0,0 +1,110 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import retrievalService, { tokenize } from './retrievalService';
+import documentRepository from './storage/documentRepository';
+
+const passages = [
+  { id: 'p1', fileName: 'biology.pdf', anchor: 'Page 1', text: 'Mitochondria produce ATP through cellular respiration.' },
+  { id: 'p2', fileName: 'biology.pdf', anchor: 'Page 2', text: 'Photosynthesis in chloroplasts turns light into chemical energy.' },
+  { id: 'p3', fileName: 'biology.pdf', anchor: 'Page 3', text: 'The cell membrane controls what enters and leaves the cell. The cell wall supports plant cells.' }
+];
+
+describe('tokenize', () => {
+  it('drops stopwords and folds common suffixes', () => {
+    expect(tokenize('The cells are dividing and the batteries charged')).toEqual(['cell', 'divid', 'battery', 'charg']);
+  });
+
+  it('keeps letters of any script', () => {
+    expect(tokenize('Photosynthèse und Zellatmung')).toEqual(['photosynthèse', 'und', 'zellatmung']);
+  });
+});
+
+describe('retrievalService.search', () => {
+  const index = retrievalService.indexPassages(passages);
+
+  it('ranks the passage that matches the query terms first', () => {
+    const results = retrievalService.search(index, 'How do mitochondria make ATP?');
+
+    expect(results.map(result => result.id)).toEqual(['p1']);
+    expect(results[0].score).toBeGreaterThan(0);
+    expect(results[0]).not.toHaveProperty('termCounts');
+  });
+
+  it('returns every matching passage, most frequent match first', () => {
+    const results = retrievalService.search(index, 'cell energy');
+
+    expect(results.map(result => result.id)).toEqual(['p3', 'p2']);
+  });
+
+  it('returns nothing for a query of stopwords or an empty index', () => {
+    expect(retrievalService.search(index, 'what is the')).toEqual([]);
+    expect(retrievalService.search(retrievalService.indexPassages([]), 'cell')).toEqual([]);
+  });
+
+  it('respects the limit', () => {
+    expect(retrievalService.search(index, 'cell energy ATP', { limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('retrievalService.retrieve', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    retrievalService.indexes.clear();
+  });
+
+  it('returns no passages when the course cannot be loaded', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(documentRepository, 'get').mockRejectedValue(new Error('blocked'));
+
+    await expect(retrievalService.retrieve('doc', 'cell')).resolves.toEqual([]);
+  });
+
+  it('indexes a saved course once and reuses the index', async () => {
+    const get = vi.spyOn(documentRepository, 'get').mockResolvedValue({
+      analysis: { fileInfo: { name: 'notes.txt' }, rawContent: passages.map(passage => passage.text).join('\n\n') }
+    });
+
+    const first = await retrievalService.retrieve('doc', 'chloroplasts');
+    const second = await retrievalService.retrieve('doc', 'mitochondria');
+
+    expect(first[0]).toMatchObject({ fileName: 'notes.txt' });
+    expect(first[0].text).toContain('chloroplasts');
+    expect(second[0].text).toContain('Mitochondria');
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('retrievalService.resolveCitations', () => {
+  it('maps cited labels back to their passages, once each', () => {
+    const citations = retrievalService.resolveCitations(passages, ['S2', '[S2]', 'S9', 's1']);
+
+    expect(citations.map(citation => citation.passageId)).toEqual(['p2', 'p1']);
+    expect(citations[0]).toEqual({
+      passageId: 'p2',
+      fileName: 'biology.pdf',
+      anchor: 'Page 2',
+      page: null,
+      excerpt: passages[1].text
+    });
+  });
+
+  it('cites the best matching passage when the model cites none', () => {
+    const citations = retrievalService.resolveCitations(passages, [], { fallbackText: 'Where is ATP produced?' });
+
+    expect(citations.map(citation => citation.passageId)).toEqual(['p1']);
+    expect(retrievalService.resolveCitations(passages, [])).toEqual([]);
+  });
+
+  it('keeps saved citations unchanged when they are cited again', () => {
+    const saved = retrievalService.resolveCitations(passages, ['S3']);
+
+    expect(retrievalService.resolveCitations(saved, ['S1'])).toEqual(saved);
+  });
+});
+
+describe('retrievalService.formatForPrompt', () => {
+  it('labels passages in prompt order with where they come from', () => {
+    expect(retrievalService.formatForPrompt(passages.slice(0, 2))).toBe(
+      `[S1] biology.pdf, Page 1\n${passages[0].text}\n\n[S2] biology.pdf, Page 2\n${passages[1].text}`
+    );
+  });
+});
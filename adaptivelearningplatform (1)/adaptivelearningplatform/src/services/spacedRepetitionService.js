@@ -0,0 +1,115 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SM-2 parameters
+ */
+const INITIAL_EASE = 2.5;
+const MINIMUM_EASE = 1.3;
+const PASSING_QUALITY = 3;
+const FIRST_INTERVAL_DAYS = 1;
+const SECOND_INTERVAL_DAYS = 6;
+
+/**
+ * Spaced Repetition Service
+ * SM-2 scheduling of review cards for questions and concepts: each graded answer updates the card's
+ * ease, interval and lapses and sets when it is next due
+ */
+class SpacedRepetitionService {
+  /**
+   * Converts a graded answer to an SM-2 recall quality from 0 (blackout) to 5 (perfect recall)
+   * A correct answer given with low confidence counts as a hesitant recall.
+   * @param {number} score - Score from 0 to 100
+   * @param {number} confidence - Confidence from 1 to 5
+   * @returns {number} Recall quality
+   */
+  getRecallQuality(score, confidence = 3) {
+    if (score >= 90) return confidence >= 3 ? 5 : 4;
+    if (score >= 70) return confidence >= 3 ? 4 : 3;
+    if (score >= 50) return 2;
+    if (score >= 20) return 1;
+    return 0;
+  }
+
+  /**
+   * Creates a card that has never been reviewed
+   * @param {string} documentId - Document id
+   * @param {string} itemType - 'question' or 'concept'
+   * @param {string} itemId - Question or concept id
+   * @param {Object} details - Extra fields stored with the card, e.g. { conceptId }
+   * @returns {Object} New review card
+   */
+  createCard(documentId, itemType, itemId, details = {}) {
+    return {
+      ...details,
+      documentId,
+      itemType,
+      itemId,
+      easeFactor: INITIAL_EASE,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      reviewCount: 0,
+      lastQuality: null,
+      lastReviewedAt: null,
+      dueAt: new Date()?.toISOString()
+    };
+  }
+
+  /**
+   * Applies one review to a card
+   * @param {Object} card - Current review card
+   * @param {number} quality - Recall quality from 0 to 5
+   * @param {Date} reviewedAt - Time of the review
+   * @returns {Object} Updated card
+   */
+  review(card, quality, reviewedAt = new Date()) {
+    const passed = quality >= PASSING_QUALITY;
+    const repetitions = passed ? (card?.repetitions || 0) + 1 : 0;
+    let interval = FIRST_INTERVAL_DAYS;
+
+    if (passed && repetitions === 2) {
+      interval = SECOND_INTERVAL_DAYS;
+    } else if (passed && repetitions > 2) {
+      interval = Math.round((card?.interval || SECOND_INTERVAL_DAYS) * (card?.easeFactor || INITIAL_EASE));
+    }
+
+    const easeFactor = Math.max(
+      MINIMUM_EASE,
+      (card?.easeFactor || INITIAL_EASE) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+      ...card,
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      interval,
+      repetitions,
+      lapses: (card?.lapses || 0) + (!passed && card?.repetitions > 0 ? 1 : 0),
+      reviewCount: (card?.reviewCount || 0) + 1,
+      lastQuality: quality,
+      lastReviewedAt: reviewedAt?.toISOString(),
+      dueAt: new Date(reviewedAt.getTime() + interval * DAY_MS)?.toISOString()
+    };
+  }
+
+  /**
+   * Checks whether a card is due
+   * @param {Object} card - Review card
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the card should be reviewed now
+   */
+  isDue(card, now = new Date()) {
+    return !!card?.dueAt && new Date(card.dueAt) <= now;
+  }
+
+  /**
+   * Returns when the learner next has something to review
+   * @param {Array} cards - Review cards
+   * @returns {string} ISO date of the earliest due card, or one interval from now if there are none
+   */
+  getNextReviewDate(cards) {
+    const dueDates = cards?.map(card => card?.dueAt)?.filter(Boolean)?.sort();
+    return dueDates?.[0] || new Date(Date.now() + FIRST_INTERVAL_DAYS * DAY_MS)?.toISOString();
+  }
+}
+
+export default new SpacedRepetitionService();
@@ -0,0 +1,113 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import spacedRepetitionService from './spacedRepetitionService';
+import adaptiveLearningService from './adaptiveLearningService';
+import reviewRepository from './storage/reviewRepository';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date('2025-01-01T09:00:00.000Z');
+
+const reviewSeries = (qualities) => {
+  let card = spacedRepetitionService.createCard('doc', 'question', 'q1');
+  let reviewedAt = start;
+
+  return qualities.map(quality => {
+    card = spacedRepetitionService.review(card, quality, reviewedAt);
+    reviewedAt = new Date(card.dueAt);
+    return card;
+  });
+};
+
+describe('spacedRepetitionService.getRecallQuality', () => {
+  it('maps scores to SM-2 qualities and marks hesitant right answers down', () => {
+    expect(spacedRepetitionService.getRecallQuality(100, 5)).toBe(5);
+    expect(spacedRepetitionService.getRecallQuality(100, 1)).toBe(4);
+    expect(spacedRepetitionService.getRecallQuality(75, 3)).toBe(4);
+    expect(spacedRepetitionService.getRecallQuality(75, 2)).toBe(3);
+    expect(spacedRepetitionService.getRecallQuality(60)).toBe(2);
+    expect(spacedRepetitionService.getRecallQuality(0)).toBe(0);
+  });
+});
+
+describe('spacedRepetitionService.review', () => {
+  it('grows the interval 1, 6, then by the ease factor on perfect recall', () => {
+    const cards = reviewSeries([5, 5, 5]);
+
+    expect(cards.map(card => card.interval)).toEqual([1, 6, 16]);
+    expect(cards.map(card => card.easeFactor)).toEqual([2.6, 2.7, 2.8]);
+    expect(cards[2].repetitions).toBe(3);
+    expect(cards[2].dueAt).toBe(new Date(start.getTime() + 23 * DAY_MS).toISOString());
+  });
+
+  it('lowers the ease for a hard pass without resetting progress', () => {
+    const [, card] = reviewSeries([5, 3]);
+
+    expect(card.interval).toBe(6);
+    expect(card.easeFactor).toBe(2.46);
+    expect(card.lapses).toBe(0);
+  });
+
+  it('resets repetitions and counts a lapse when a learned card is forgotten', () => {
+    const [, , card] = reviewSeries([5, 5, 1]);
+
+    expect(card.repetitions).toBe(0);
+    expect(card.interval).toBe(1);
+    expect(card.lapses).toBe(1);
+    expect(card.reviewCount).toBe(3);
+  });
+
+  it('does not count a lapse for a card that was never learned', () => {
+    const [card] = reviewSeries([0]);
+
+    expect(card.lapses).toBe(0);
+    expect(card.easeFactor).toBe(1.7);
+  });
+
+  it('never lets the ease fall below the SM-2 minimum', () => {
+    const cards = reviewSeries([0, 0, 0, 0]);
+
+    expect(cards[cards.length - 1].easeFactor).toBe(1.3);
+  });
+});
+
+describe('spacedRepetitionService due dates', () => {
+  it('treats a card as due once its due date has passed', () => {
+    const [card] = reviewSeries([5]);
+
+    expect(spacedRepetitionService.isDue(card, start)).toBe(false);
+    expect(spacedRepetitionService.isDue(card, new Date(start.getTime() + DAY_MS))).toBe(true);
+  });
+
+  it('returns the earliest due date among the cards', () => {
+    const cards = [
+      { dueAt: '2025-03-01T00:00:00.000Z' },
+      { dueAt: '2025-02-01T00:00:00.000Z' },
+      { dueAt: null }
+    ];
+
+    expect(spacedRepetitionService.getNextReviewDate(cards)).toBe('2025-02-01T00:00:00.000Z');
+  });
+});
+
+describe('adaptiveLearningService.calculateNextReviewDate', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('schedules from the course review cards', async () => {
+    const getByDocument = vi.spyOn(reviewRepository, 'getByDocument')
+      .mockResolvedValue([{ dueAt: '2025-02-01T00:00:00.000Z' }]);
+
+    await expect(adaptiveLearningService.calculateNextReviewDate('doc')).resolves.toBe('2025-02-01T00:00:00.000Z');
+    expect(getByDocument).toHaveBeenCalledWith('doc');
+  });
+
+  it('falls back to one day ahead when the cards cannot be loaded', async () => {
+    vi.spyOn(reviewRepository, 'getByDocument').mockRejectedValue(new Error('blocked'));
+    const before = Date.now();
+
+    const nextReview = new Date(await adaptiveLearningService.calculateNextReviewDate('doc')).getTime();
+
+    expect(nextReview).toBeGreaterThanOrEqual(before + DAY_MS);
+    expect(nextReview).toBeLessThanOrEqual(Date.now() + DAY_MS);
+  });
+});
@@ -0,0 +1,33 @@
+import database, { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Submitted answers, one record per question attempt
+ */
+class AttemptRepository extends Repository {
+  constructor() {
+    super(STORES.attempts);
+  }
+
+  /**
+   * Reads the attempts for one concept in the order they were made
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Array>} Attempts
+   */
+  getByConcept(documentId, conceptId) {
+    return database.getAll(this.storeName, { index: 'conceptId', query: [documentId, conceptId] });
+  }
+
+  /**
+   * Reads the attempts at one question
+   * @param {string} documentId - Document id
+   * @param {string} questionId - Question id
+   * @returns {Promise<Array>} Attempts
+   */
+  getByQuestion(documentId, questionId) {
+    return database.getAll(this.storeName, { index: 'questionId', query: [documentId, questionId] });
+  }
+}
+
+export default new AttemptRepository();
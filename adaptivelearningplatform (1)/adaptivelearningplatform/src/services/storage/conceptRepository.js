@@ -0,0 +1,13 @@
+import { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Concepts extracted for a document, keyed by [documentId, id]
+ */
+class ConceptRepository extends Repository {
+  constructor() {
+    super(STORES.concepts);
+  }
+}
+
+export default new ConceptRepository();
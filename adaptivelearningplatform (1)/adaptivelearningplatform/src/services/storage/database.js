@@ -0,0 +1,223 @@
+/**
+ * Learner Database
+ * Thin promise wrapper around the browser's IndexedDB used by the repositories
+ */
+const DB_NAME = 'adaptive-learning-platform';
+const DB_VERSION = 3;
+
+export const STORES = {
+  documents: 'documents',
+  concepts: 'concepts',
+  questions: 'questions',
+  attempts: 'attempts',
+  notes: 'notes',
+  mastery: 'mastery',
+  profile: 'profile',
+  sessions: 'sessions',
+  reviews: 'reviews'
+};
+
+/**
+ * Schema changes, one entry per database version. Each runs once when upgrading past it.
+ */
+const MIGRATIONS = [
+  (db) => {
+    db.createObjectStore(STORES.documents, { keyPath: 'id' })
+      .createIndex('updatedAt', 'updatedAt');
+
+    db.createObjectStore(STORES.concepts, { keyPath: ['documentId', 'id'] })
+      .createIndex('documentId', 'documentId');
+
+    const questions = db.createObjectStore(STORES.questions, { keyPath: ['documentId', 'id'] });
+    questions.createIndex('documentId', 'documentId');
+    questions.createIndex('conceptId', ['documentId', 'conceptId']);
+
+    const attempts = db.createObjectStore(STORES.attempts, { keyPath: 'id', autoIncrement: true });
+    attempts.createIndex('documentId', 'documentId');
+    attempts.createIndex('conceptId', ['documentId', 'conceptId']);
+    attempts.createIndex('questionId', ['documentId', 'questionId']);
+
+    db.createObjectStore(STORES.notes, { keyPath: ['documentId', 'conceptId'] })
+      .createIndex('documentId', 'documentId');
+
+    db.createObjectStore(STORES.mastery, { keyPath: ['documentId', 'conceptId'] })
+      .createIndex('documentId', 'documentId');
+
+    db.createObjectStore(STORES.profile, { keyPath: 'key' });
+  },
+  (db) => {
+    const sessions = db.createObjectStore(STORES.sessions, { keyPath: 'id' });
+    sessions.createIndex('documentId', 'documentId');
+    sessions.createIndex('status', ['documentId', 'status']);
+  },
+  (db) => {
+    const reviews = db.createObjectStore(STORES.reviews, { keyPath: ['documentId', 'itemType', 'itemId'] });
+    reviews.createIndex('documentId', 'documentId');
+    reviews.createIndex('dueAt', ['documentId', 'dueAt']);
+  }
+];
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class Database {
+  constructor() {
+    this.connection = null;
+  }
+
+  /**
+   * Opens (and on first use creates or upgrades) the database
+   * @returns {Promise<IDBDatabase>} Open connection
+   */
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          MIGRATIONS.slice(event.oldVersion).forEach(migrate => migrate(request.result, request.transaction));
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer tab upgrade the schema instead of blocking it
+          db.onversionchange = () => {
+            db.close();
+            this.connection = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+      }).catch(error => {
+        this.connection = null;
+        throw error;
+      });
+    }
+
+    return this.connection;
+  }
+
+  /**
+   * Runs an operation in a transaction and resolves once the transaction commits
+   * @param {string|Array<string>} storeNames - Stores used by the operation
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called synchronously with the transaction; may return a request or value
+   * @returns {Promise<any>} The request result (or returned value)
+   */
+  async transaction(storeNames, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+      try {
+        const value = operation(transaction);
+        if (value instanceof IDBRequest) {
+          value.onsuccess = () => { result = value.result; };
+        } else {
+          result = value;
+        }
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Reads one record by key
+   * @param {string} storeName - Store name
+   * @param {any} key - Primary key
+   * @returns {Promise<Object|undefined>} Record
+   */
+  async get(storeName, key) {
+    const db = await this.open();
+    return promisifyRequest(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+  }
+
+  /**
+   * Reads every record in a store, or every record matching an index query
+   * @param {string} storeName - Store name
+   * @param {Object} options - Optional { index, query }
+   * @returns {Promise<Array>} Records
+   */
+  async getAll(storeName, { index, query } = {}) {
+    const db = await this.open();
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    return promisifyRequest((index ? store.index(index) : store).getAll(query));
+  }
+
+  /**
+   * Inserts or replaces records
+   * @param {string} storeName - Store name
+   * @param {Array<Object>} records - Records to write
+   * @returns {Promise<void>}
+   */
+  putAll(storeName, records) {
+    return this.transaction(storeName, 'readwrite', (transaction) => {
+      const store = transaction.objectStore(storeName);
+      records?.forEach(record => store.put(record));
+    });
+  }
+
+  /**
+   * Inserts or replaces one record
+   * @param {string} storeName - Store name
+   * @param {Object} record - Record to write
+   * @returns {Promise<any>} Key of the written record
+   */
+  put(storeName, record) {
+    return this.transaction(storeName, 'readwrite', (transaction) => transaction.objectStore(storeName).put(record));
+  }
+
+  /**
+   * Deletes one record by key
+   * @param {string} storeName - Store name
+   * @param {any} key - Primary key
+   * @returns {Promise<void>}
+   */
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', (transaction) => {
+      transaction.objectStore(storeName).delete(key);
+    });
+  }
+
+  /**
+   * Deletes every record matching an index query
+   * @param {string} storeName - Store name
+   * @param {string} index - Index name
+   * @param {any} query - Index key or key range
+   * @returns {Promise<void>}
+   */
+  deleteWhere(storeName, index, query) {
+    return this.transaction(storeName, 'readwrite', (transaction) => {
+      const request = transaction.objectStore(storeName).index(index).openKeyCursor(query);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          transaction.objectStore(storeName).delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
+  }
+}
+
+export default new Database();
@@ -0,0 +1,31 @@
+import database, { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Uploaded courses and collections: the merged analysis, its source files and the learning pathway
+ */
+class DocumentRepository extends Repository {
+  constructor() {
+    super(STORES.documents);
+  }
+
+  /**
+   * Lists every saved document, most recently updated first
+   * @returns {Promise<Array>} Documents
+   */
+  async getAll() {
+    const documents = await database.getAll(this.storeName);
+    return documents?.sort((a, b) => (b?.updatedAt || '').localeCompare(a?.updatedAt || ''));
+  }
+
+  /**
+   * Deletes a document
+   * @param {string} documentId - Document id
+   * @returns {Promise<void>}
+   */
+  remove(documentId) {
+    return database.delete(this.storeName, documentId);
+  }
+}
+
+export default new DocumentRepository();
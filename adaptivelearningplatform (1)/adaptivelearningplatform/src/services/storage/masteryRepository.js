@@ -0,0 +1,23 @@
+import { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Mastery state per concept, keyed by [documentId, conceptId]
+ */
+class MasteryRepository extends Repository {
+  constructor() {
+    super(STORES.mastery);
+  }
+
+  /**
+   * Reads the mastery record for a concept
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Object|undefined>} Mastery record
+   */
+  getForConcept(documentId, conceptId) {
+    return this.get([documentId, conceptId]);
+  }
+}
+
+export default new MasteryRepository();
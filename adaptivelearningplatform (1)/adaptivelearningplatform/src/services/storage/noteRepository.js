@@ -0,0 +1,23 @@
+import { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Learner notes and highlights, one record per concept
+ */
+class NoteRepository extends Repository {
+  constructor() {
+    super(STORES.notes);
+  }
+
+  /**
+   * Reads the notes for a concept
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Object|undefined>} Notes record
+   */
+  getForConcept(documentId, conceptId) {
+    return this.get([documentId, conceptId]);
+  }
+}
+
+export default new NoteRepository();
@@ -0,0 +1,29 @@
+import database, { STORES } from './database';
+
+/**
+ * Learner profile settings stored as key-value records
+ */
+class ProfileRepository {
+  /**
+   * Reads a profile setting
+   * @param {string} key - Setting name
+   * @param {any} fallback - Value returned when the setting is not stored
+   * @returns {Promise<any>} Setting value
+   */
+  async getValue(key, fallback = null) {
+    const record = await database.get(STORES.profile, key);
+    return record?.value ?? fallback;
+  }
+
+  /**
+   * Writes a profile setting
+   * @param {string} key - Setting name
+   * @param {any} value - Setting value
+   * @returns {Promise<any>} Key of the written record
+   */
+  setValue(key, value) {
+    return database.put(STORES.profile, { key, value, updatedAt: new Date()?.toISOString() });
+  }
+}
+
+export default new ProfileRepository();
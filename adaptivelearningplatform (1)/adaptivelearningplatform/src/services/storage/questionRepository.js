@@ -0,0 +1,23 @@
+import database, { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Generated questions for a document, keyed by [documentId, id]
+ */
+class QuestionRepository extends Repository {
+  constructor() {
+    super(STORES.questions);
+  }
+
+  /**
+   * Reads the questions for one concept
+   * @param {string} documentId - Document id
+   * @param {string} conceptId - Concept id
+   * @returns {Promise<Array>} Questions
+   */
+  getByConcept(documentId, conceptId) {
+    return database.getAll(this.storeName, { index: 'conceptId', query: [documentId, conceptId] });
+  }
+}
+
+export default new QuestionRepository();
@@ -0,0 +1,61 @@
+import database from './database';
+
+/**
+ * Base repository for a store whose records belong to one document (course or collection)
+ */
+class Repository {
+  /**
+   * @param {string} storeName - IndexedDB object store backing this repository
+   */
+  constructor(storeName) {
+    this.storeName = storeName;
+  }
+
+  /**
+   * Reads a record by primary key
+   * @param {any} key - Primary key
+   * @returns {Promise<Object|undefined>} Record
+   */
+  get(key) {
+    return database.get(this.storeName, key);
+  }
+
+  /**
+   * Reads every record for a document
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} Records
+   */
+  getByDocument(documentId) {
+    return database.getAll(this.storeName, { index: 'documentId', query: documentId });
+  }
+
+  /**
+   * Inserts or replaces a record
+   * @param {Object} record - Record to write
+   * @returns {Promise<any>} Key of the written record
+   */
+  save(record) {
+    return database.put(this.storeName, record);
+  }
+
+  /**
+   * Inserts or replaces records for a document, stamping each with the document id
+   * @param {string} documentId - Document id
+   * @param {Array<Object>} records - Records to write
+   * @returns {Promise<void>}
+   */
+  saveAll(documentId, records) {
+    return database.putAll(this.storeName, records?.map(record => ({ ...record, documentId })));
+  }
+
+  /**
+   * Deletes every record for a document
+   * @param {string} documentId - Document id
+   * @returns {Promise<void>}
+   */
+  removeByDocument(documentId) {
+    return database.deleteWhere(this.storeName, 'documentId', documentId);
+  }
+}
+
+export default Repository;
@@ -0,0 +1,37 @@
+import database, { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Spaced-repetition cards per question and per concept, keyed by [documentId, itemType, itemId]
+ */
+class ReviewRepository extends Repository {
+  constructor() {
+    super(STORES.reviews);
+  }
+
+  /**
+   * Reads the card for a question or concept
+   * @param {string} documentId - Document id
+   * @param {string} itemType - 'question' or 'concept'
+   * @param {string} itemId - Question or concept id
+   * @returns {Promise<Object|undefined>} Review card
+   */
+  getForItem(documentId, itemType, itemId) {
+    return this.get([documentId, itemType, itemId]);
+  }
+
+  /**
+   * Reads the cards of a document that are due at or before a time, most overdue first
+   * @param {string} documentId - Document id
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<Array>} Due review cards
+   */
+  getDue(documentId, before) {
+    return database.getAll(this.storeName, {
+      index: 'dueAt',
+      query: IDBKeyRange.bound([documentId, ''], [documentId, before])
+    });
+  }
+}
+
+export default new ReviewRepository();
@@ -0,0 +1,33 @@
+import database, { STORES } from './database';
+import Repository from './repository';
+
+/**
+ * Assessment session checkpoints: question set, answers, position and elapsed time
+ */
+class SessionRepository extends Repository {
+  constructor() {
+    super(STORES.sessions);
+  }
+
+  /**
+   * Reads the sessions of a document with a given status, most recently updated first
+   * @param {string} documentId - Document id
+   * @param {string} status - 'in_progress' or 'completed'
+   * @returns {Promise<Array>} Sessions
+   */
+  async getByStatus(documentId, status) {
+    const sessions = await database.getAll(this.storeName, { index: 'status', query: [documentId, status] });
+    return sessions?.sort((a, b) => (b?.updatedAt || '').localeCompare(a?.updatedAt || ''));
+  }
+
+  /**
+   * Deletes a session
+   * @param {string} sessionId - Session id
+   * @returns {Promise<void>}
+   */
+  remove(sessionId) {
+    return database.delete(this.storeName, sessionId);
+  }
+}
+
+export default new SessionRepository();
@@ -0,0 +1,43 @@
+/**
+ * Normalizes a label for duplicate detection ("Neural Networks" matches "neural network")
+ * Letters and digits of any script are kept, as are + and # so "C++" and "C#" stay apart.
+ * A label made only of other symbols falls back to its trimmed lowercase form.
+ * @param {string} value - Label to normalize
+ * @returns {string} Comparison key
+ */
+export function normalizeKey(value) {
+  const lowered = String(value || '').toLowerCase();
+  const key = lowered
+    .replace(/[^\p{L}\p{N}\s+#]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/s$/, '');
+
+  return key || lowered.trim();
+}
+
+/**
+ * Flattens lists, removes duplicates and orders entries by how many lists contain them
+ * @param {Array<Array<string>>} lists - Lists to merge, in source order
+ * @returns {Array<string>} Unique entries, most frequent first, ties in first-seen order
+ */
+export function rankByFrequency(lists) {
+  const entries = new Map();
+
+  lists?.forEach(list => {
+    const seen = new Set();
+    list?.forEach(value => {
+      const key = normalizeKey(value);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+
+      const entry = entries.get(key) || { value: String(value).trim(), count: 0, order: entries.size };
+      entry.count += 1;
+      entries.set(key, entry);
+    });
+  });
+
+  return Array.from(entries.values())
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .map(entry => entry.value);
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeKey, rankByFrequency } from './dedupe';
+
+describe('normalizeKey', () => {
+  it('matches labels that differ in case, punctuation and a plural s', () => {
+    expect(normalizeKey('Neural Networks')).toBe('neural network');
+    expect(normalizeKey('  neural-network ')).toBe('neural network');
+  });
+
+  it('keeps + and # so programming languages stay apart', () => {
+    expect(normalizeKey('C++')).toBe('c++');
+    expect(normalizeKey('C#')).toBe('c#');
+    expect(normalizeKey('C')).toBe('c');
+  });
+
+  it('keeps letters of non-Latin scripts', () => {
+    expect(normalizeKey('機械学習')).toBe('機械学習');
+    expect(normalizeKey('Машинное обучение')).toBe('машинное обучение');
+  });
+
+  it('falls back to the trimmed label when only symbols remain', () => {
+    expect(normalizeKey(' ??? ')).toBe('???');
+    expect(normalizeKey(null)).toBe('');
+  });
+});
+
+describe('rankByFrequency', () => {
+  it('merges duplicates across lists and puts the most common first', () => {
+    expect(rankByFrequency([
+      ['Gradient Descent', 'Backpropagation'],
+      ['backpropagation', 'Loss Functions'],
+      ['Backpropagation.']
+    ])).toEqual(['Backpropagation', 'Gradient Descent', 'Loss Functions']);
+  });
+
+  it('counts a duplicate within one list once', () => {
+    expect(rankByFrequency([['C++', 'c++', 'C#'], ['C#']])).toEqual(['C#', 'C++']);
+  });
+});
@@ -1,21 +1,38 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import tsconfigPaths from "vite-tsconfig-paths";
 import tagger from "@dhiwise/component-tagger";
+import { createApiMiddleware } from "./server/apiMiddleware.mjs";
 
-// https://vitejs.dev/config/
-export default defineConfig({
-  // This changes the out put dir from dist to build
-  // comment this out if that isn't relevant for your project
-  build: {
-    outDir: "build",
-    chunkSizeWarningLimit: 2000,
+// Serves the /api LLM proxy from the dev and preview servers so the key stays server-side
+const apiProxy = (env) => ({
+  name: "adaptive-learning-api",
+  configureServer(server) {
+    server.middlewares.use(createApiMiddleware(env));
   },
-  plugins: [tsconfigPaths(), react(), tagger()],
-  server: {
-    port: "4028",
-    host: "0.0.0.0",
-    strictPort: true,
-    allowedHosts: ['.amazonaws.com', '.builtwithrocket.new']
+  configurePreviewServer(server) {
+    server.middlewares.use(createApiMiddleware(env));
   }
-});
\ No newline at end of file
+});
+
+// https://vitejs.dev/config/
+export default defineConfig(({ mode }) => {
+  // Load every variable from .env, not only VITE_ ones; non-VITE_ values never reach the bundle
+  const env = { ...process.env, ...loadEnv(mode, process.cwd(), "") };
+
+  return {
+    // This changes the out put dir from dist to build
+    // comment this out if that isn't relevant for your project
+    build: {
+      outDir: "build",
+      chunkSizeWarningLimit: 2000,
+    },
+    plugins: [tsconfigPaths(), react(), tagger(), apiProxy(env)],
+    server: {
+      port: "4028",
+      host: "0.0.0.0",
+      strictPort: true,
+      allowedHosts: ['.amazonaws.com', '.builtwithrocket.new']
+    }
+  };
+});